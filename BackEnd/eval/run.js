@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+// The report goes to stdout alone, without the reviews ai.service would log.
+process.env.LOG_AI_RESPONSES = 'false';
+
+const aiService = require('../src/services/ai.service');
+const cacheService = require('../src/services/cache.service');
+const { analyzeCode } = require('../src/services/analysis.service');
+const { getProvider, listProviders } = require('../src/services/providers');
+const templates = require('../src/prompts/templates');
+const { errorCode } = require('../src/utils/errors');
+const { scoreReview, summarize } = require('./score');
+
+const USAGE = `Usage:
+  npm run eval -- [options]
+
+Reviews every case of the labelled corpus with two prompt versions and compares
+how many of the known issues each finds (recall), how many of its findings are
+real (precision) and how well it follows the output format.
+
+Options:
+  --baseline <version>   Prompt version to compare against (default: v1)
+  --candidate <version>  Prompt version under test (default: the active one, see PROMPT_VERSION)
+  --provider <name>      Model provider (default: AI_PROVIDER, else gemini)
+  --model <name>         Model name
+  --corpus <dir>         Directory of labelled cases (default: eval/corpus)
+  --case <id>            Only run this case; repeat for more
+  --verbose              List the missed issues and unmatched findings of every case
+  --json                 Print the full report as JSON
+  -h, --help             Show this help
+
+The numbers only mean something with a real model. To compare without calling
+it every time, record its answers once, then replay them offline:
+  RECORD_WITH=gemini npm run eval -- --provider recorded
+  npm run eval -- --provider recorded
+
+Exit codes: 0 done, 1 a review failed, 2 bad usage.`;
+
+const OPTIONS = {
+    baseline: { type: 'string', default: 'v1' },
+    candidate: { type: 'string' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    corpus: { type: 'string', default: path.join(__dirname, 'corpus') },
+    case: { type: 'string', multiple: true },
+    verbose: { type: 'boolean' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+const print = (text = '') => process.stdout.write(`${text}\n`);
+
+// Each case is a JSON file: { id, description, language, path, code, issues:
+// [{ id, lines: [start, end], category, severity, keywords, optional }] }.
+function loadCorpus(dir, only) {
+    const cases = fs.readdirSync(dir)
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    const unknown = (only ?? []).filter((id) => !cases.some((c) => c.id === id));
+    if (unknown.length) throw new UsageError(`Unknown case: ${unknown.join(', ')}`);
+    return only ? cases.filter((c) => only.includes(c.id)) : cases;
+}
+
+// Reviews a case the way the review endpoint would (static analysis included),
+// bypassing the cache so every run asks the provider.
+async function runCase(testCase, version, { provider, model }) {
+    const startedAt = Date.now();
+    try {
+        const markdown = await aiService.generateContent(testCase.code, {
+            provider,
+            model,
+            language: testCase.language,
+            promptVersion: version,
+            analysis: analyzeCode(testCase.code, { language: testCase.language, path: testCase.path }),
+            cacheControl: 'no-store'
+        });
+        return { id: testCase.id, required: testCase.issues.filter((i) => !i.optional).length, score: scoreReview(markdown, testCase), latencyMs: Date.now() - startedAt };
+    } catch (err) {
+        return { id: testCase.id, required: testCase.issues.filter((i) => !i.optional).length, error: { code: errorCode(err), message: err.message } };
+    }
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+const points = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+
+function printCase(result) {
+    if (result.error) {
+        print(`    failed (${result.error.code}): ${result.error.message}`);
+        return;
+    }
+    const { score } = result;
+    print(`    recall ${score.detected}/${score.required}  precision ${score.correct}/${score.found}  format ${percent(score.format.score)}`);
+    if (score.missed.length) print(`    missed: ${score.missed.join(', ')}`);
+    if (score.unmatched.length) print(`    unmatched: ${score.unmatched.join('; ')}`);
+}
+
+function printReport(report, verbose) {
+    const [ baseline, candidate ] = report.versions;
+    print(`Prompt ${baseline.version} vs ${candidate.version} · provider ${report.provider}${report.model ? ` (${report.model})` : ''} · ${report.cases} cases`);
+    print();
+
+    const columns = [ 'recall', 'precision', 'f1', 'format' ];
+    print(`${'prompt'.padEnd(10)}${columns.map((c) => c.padEnd(11)).join('')}failed`);
+    for (const { version, summary } of report.versions) {
+        print(`${version.padEnd(10)}${columns.map((c) => percent(summary[c]).padEnd(11)).join('')}${summary.failed}`);
+    }
+    print(`${'change'.padEnd(10)}${columns.map((c) => points(candidate.summary[c] - baseline.summary[c]).padEnd(11)).join('')}`);
+
+    if (!verbose) return;
+    for (const [ i, { id } ] of baseline.results.entries()) {
+        print();
+        print(id);
+        for (const { version, results } of report.versions) {
+            print(`  ${version}`);
+            printCase(results[i]);
+        }
+    }
+}
+
+async function main(argv) {
+    const { values } = parseArgs({ args: argv, options: OPTIONS });
+    if (values.help) {
+        print(USAGE);
+        return 0;
+    }
+
+    const candidate = values.candidate ?? templates.activeVersion();
+    for (const version of [ values.baseline, candidate ]) templates.getTemplate(version);
+    if (values.provider !== undefined && !listProviders().includes(values.provider)) {
+        throw new UsageError(`--provider must be one of ${listProviders().join(', ')}`);
+    }
+    const provider = getProvider(values.provider).name;
+    if (provider === 'mock') {
+        process.stderr.write('The mock provider answers every prompt the same way: this only checks the harness, not the prompts.\n');
+    }
+
+    const cases = loadCorpus(values.corpus, values.case);
+    const versions = [];
+    for (const version of [ values.baseline, candidate ]) {
+        const results = [];
+        for (const testCase of cases) {
+            process.stderr.write(`${version} · ${testCase.id}\n`);
+            const result = await runCase(testCase, version, { provider, model: values.model });
+            // A provider without its key fails every case the same way.
+            if (result.error?.code === 'provider_unavailable') {
+                throw new UsageError(`${result.error.message}; the eval needs a configured model provider (see --help)`);
+            }
+            results.push(result);
+        }
+        versions.push({ version, summary: summarize(results), results });
+    }
+
+    const report = { provider, model: values.model ?? null, cases: cases.length, versions };
+    if (values.json) print(JSON.stringify(report, null, 2));
+    else printReport(report, values.verbose);
+
+    return versions.some((v) => v.summary.failed) ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .catch((err) => {
+        process.stderr.write(`${err.message}\n`);
+        if (!(err instanceof UsageError) && !err.code?.startsWith('ERR_PARSE_ARGS') && !/^Unknown prompt version/.test(err.message)) {
+            process.stderr.write(`${err.stack}\n`);
+        }
+        return 2;
+    })
+    .then(async (code) => {
+        await cacheService.close();
+        process.exitCode = code;
+    });
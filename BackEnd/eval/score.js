@@ -0,0 +1,106 @@
+const { parseFindings, extractRefactoredCode } = require('../src/utils/reviewMarkdown');
+
+// Scores a Markdown review against a corpus case's labelled issues.
+//
+// A finding matches an issue when they are about the same lines (give or take
+// LINE_TOLERANCE; issues without lines match anywhere) and the same thing: the
+// same category, or one of the issue's keywords in the finding's title or
+// message. Recall counts the required issues that some finding matches;
+// precision counts the findings that match any issue, `optional` ones included,
+// so reasonable extra remarks aren't counted as noise.
+const LINE_TOLERANCE = 2;
+
+// The sections the output format asks for, in order.
+const SECTIONS = [
+    { name: 'Critical Issues', pattern: /🔴|critical/i },
+    { name: 'Warnings', pattern: /🟡|warning/i },
+    { name: 'Suggestions', pattern: /🟢|suggestion/i },
+    { name: "What's Done Well", pattern: /✅|done well/i },
+    { name: 'Refactored Code', pattern: /📝|refactored code/i },
+    { name: 'Key Takeaways', pattern: /💡|takeaways/i }
+];
+
+function linesOverlap(finding, [ start, end ] = []) {
+    if (start === undefined) return true;
+    if (!finding.lineStart) return false;
+    return finding.lineStart <= end + LINE_TOLERANCE && (finding.lineEnd || finding.lineStart) >= start - LINE_TOLERANCE;
+}
+
+function matches(finding, issue) {
+    if (!linesOverlap(finding, issue.lines)) return false;
+    const text = `${finding.title} ${finding.message}`.toLowerCase();
+    return finding.category === issue.category || issue.keywords.some((keyword) => text.includes(keyword.toLowerCase()));
+}
+
+// How closely the review follows the output format, from 0 to 1: the share of
+// sections present in order, the share of issue bullets written as
+// "- **Title** `category` _(line N)_: ...", and whether the refactored code can
+// be extracted, averaged.
+function scoreFormat(markdown, findings) {
+    const headings = [ ...markdown.matchAll(/^#{1,6}\s+(.*)$/gm) ].map((m) => m[1]);
+    let next = 0;
+    let inOrder = 0;
+    for (const section of SECTIONS) {
+        const at = headings.findIndex((heading, i) => i >= next && section.pattern.test(heading));
+        if (at === -1) continue;
+        inOrder++;
+        next = at + 1;
+    }
+
+    const wellFormed = findings.filter((f) => f.title && f.category !== 'other' && f.lineStart > 0).length;
+    const checks = {
+        sections: inOrder / SECTIONS.length,
+        bullets: findings.length ? wellFormed / findings.length : 1,
+        refactoredCode: extractRefactoredCode(markdown) ? 1 : 0
+    };
+    return { score: (checks.sections + checks.bullets + checks.refactoredCode) / 3, checks };
+}
+
+// { found, required, detected, correct, recall, precision, format, missed, unmatched }
+// `missed` are the ids of required issues no finding matched, `unmatched` the
+// titles of findings that match no issue.
+function scoreReview(markdown, testCase) {
+    const findings = parseFindings(markdown);
+    const required = testCase.issues.filter((issue) => !issue.optional);
+
+    const detected = required.filter((issue) => findings.some((f) => matches(f, issue)));
+    const correct = findings.filter((f) => testCase.issues.some((issue) => matches(f, issue)));
+
+    return {
+        found: findings.length,
+        required: required.length,
+        detected: detected.length,
+        correct: correct.length,
+        recall: required.length ? detected.length / required.length : 1,
+        precision: findings.length ? correct.length / findings.length : 1,
+        format: scoreFormat(markdown, findings),
+        missed: required.filter((issue) => !detected.includes(issue)).map((issue) => issue.id),
+        unmatched: findings.filter((f) => !correct.includes(f)).map((f) => f.title || f.message.slice(0, 60))
+    };
+}
+
+// Totals over a version's cases. Recall and precision are pooled over all
+// issues and findings (micro-averaged), format is the mean per review; failed
+// cases count as missing every issue.
+function summarize(results) {
+    const scored = results.filter((r) => r.score);
+    const sum = (key) => scored.reduce((total, r) => total + r.score[key], 0);
+    const required = results.reduce((total, r) => total + r.required, 0);
+    const recall = required ? sum('detected') / required : 1;
+    // No findings at all is vacuously precise, unless there were no reviews either.
+    const precision = sum('found') ? sum('correct') / sum('found') : Number(scored.length > 0);
+
+    return {
+        cases: results.length,
+        failed: results.length - scored.length,
+        required,
+        detected: sum('detected'),
+        found: sum('found'),
+        recall,
+        precision,
+        f1: recall + precision ? (2 * recall * precision) / (recall + precision) : 0,
+        format: scored.length ? scored.reduce((total, r) => total + r.score.format.score, 0) / scored.length : 0
+    };
+}
+
+module.exports = { LINE_TOLERANCE, scoreReview, summarize };
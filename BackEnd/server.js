@@ -1,7 +1,24 @@
 require('dotenv').config()
 const app = require('./src/app')
+const { connect, disconnect } = require('./src/db/mongo')
+const cache = require('./src/services/cache.service')
+const jobs = require('./src/services/job.service')
 
 
-app.listen(3000, () => {
+connect()
+    .then(() => console.log('Connected to MongoDB'))
+    .catch((err) => console.error('MongoDB connection failed; review history is disabled:', err.message))
+
+const server = app.listen(3000, () => {
     console.log('Server is running on port 3000')
-})
\ No newline at end of file
+})
+
+// Stop the job queue and close the HTTP server, the database and the cache connections on Ctrl+C / container stop.
+for (const signal of [ 'SIGINT', 'SIGTERM' ]) {
+    process.on(signal, () => {
+        // Running jobs go back to the queue (with JOB_STORE=mongo) before the database goes away.
+        jobs.close().finally(() => {
+            server.close(() => Promise.allSettled([ disconnect(), cache.close() ]).finally(() => process.exit(0)))
+        })
+    })
+}
@@ -1,16 +1,52 @@
 const express = require('express');
 const aiRoutes = require('./routes/ai.routes');
+const presetRoutes = require('./routes/preset.routes');
+const ruleSetRoutes = require('./routes/ruleSet.routes');
+const historyRoutes = require('./routes/history.routes');
+const jobRoutes = require('./routes/job.routes');
+const chatRoutes = require('./routes/chat.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const authRoutes = require('./routes/auth.routes');
+const adminRoutes = require('./routes/admin.routes');
+const shareRoutes = require('./routes/share.routes');
+const { requireAuth, requireRole } = require('./middlewares/auth.middleware');
+const { errorHandler, notFound } = require('./middlewares/error.middleware');
 const cors = require('cors');
 
 const app = express()
-app.use(express.json());
-app.use(cors());
+// Project reviews send whole files in the body, so allow more than the 100kb default.
+// The raw body is kept for checking webhook signatures.
+app.use(express.json({
+    limit: process.env.JSON_BODY_LIMIT || '5mb',
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+// Only the configured frontends may call the API from a browser.
+app.use(cors({
+    origin: (process.env.CORS_ORIGINS || 'http://localhost:5173').split(',').map((o) => o.trim()),
+    exposedHeaders: [ 'Content-Disposition', 'Location', 'Retry-After', 'X-Cache', 'X-Quota-Requests-Remaining', 'X-Quota-Tokens-Remaining' ]
+}));
 
 
 app.get('/', (req, res) => {
     res.send('Hello World!')
 })
 
+app.use('/auth', authRoutes);
+app.use('/webhooks', webhookRoutes);
+// Usage and cost analytics, for admins only (see ADMIN_EMAILS).
+app.use('/admin', requireAuth, requireRole('admin'), adminRoutes);
+// Shared review links; reading one needs no account.
+app.use('/shares', shareRoutes);
+// Everything under /ai needs a signed-in user.
+app.use('/ai', requireAuth);
+app.use('/ai/presets', presetRoutes);
+app.use('/ai/rule-sets', ruleSetRoutes);
+app.use('/ai/history', historyRoutes);
+app.use('/ai/chat', chatRoutes);
+app.use('/ai/reviews', jobRoutes);
 app.use('/ai', aiRoutes);
 
+app.use(notFound);
+app.use(errorHandler);
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,132 @@
+const metricsService = require('../services/metrics.service');
+const auditService = require('../services/audit.service');
+const authService = require('../services/auth.service');
+const { isConnected } = require('../db/mongo');
+const { ValidationError, NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Metrics and audit records live in MongoDB, like history.
+function requireDatabase(what = 'Metrics') {
+    if (!isConnected()) {
+        throw new ServiceUnavailableError(`${what} are unavailable`);
+    }
+}
+
+function readLimit(query) {
+    const limit = query.limit === undefined ? undefined : Number(query.limit);
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+        throw new ValidationError('limit must be a positive whole number');
+    }
+    return limit;
+}
+
+// `from` and `to` are UTC days (YYYY-MM-DD), both included. Defaults to the
+// last 30 days.
+function readRange(query) {
+    const parse = (name) => {
+        if (query[name] === undefined) return null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(query[name]) || Number.isNaN(Date.parse(query[name]))) {
+            throw new ValidationError(`${name} must be a date (YYYY-MM-DD)`);
+        }
+        return new Date(query[name]);
+    };
+
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const to = new Date((parse('to') ?? today).getTime() + DAY_MS);
+    const from = parse('from') ?? new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (from >= to) {
+        throw new ValidationError('from must not be after to');
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        throw new ValidationError(`The range can be at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { from, to };
+}
+
+function rangeOf({ from, to }) {
+    return { from: from.toISOString().slice(0, 10), to: new Date(to.getTime() - DAY_MS).toISOString().slice(0, 10) };
+}
+
+// Totals over the range: requests, errors, cache hits, tokens, average latency
+// and estimated cost.
+module.exports.getSummary = async (req, res) => {
+
+    requireDatabase();
+
+    const range = readRange(req.query);
+    const summary = await metricsService.getSummary(range);
+
+    res.send({ range: rangeOf(range), summary });
+}
+
+// The same totals per day, user, language, model, endpoint or error code.
+module.exports.getBreakdown = async (req, res) => {
+
+    const { groupBy } = req.params;
+    if (!Object.hasOwn(metricsService.DIMENSIONS, groupBy)) {
+        throw new NotFoundError(`Metrics can be grouped by ${Object.keys(metricsService.DIMENSIONS).join(', ')}`);
+    }
+
+    const limit = readLimit(req.query);
+
+    requireDatabase();
+
+    const range = readRange(req.query);
+    const rows = await metricsService.getBreakdown(groupBy, range, { limit });
+
+    res.send({ range: rangeOf(range), groupBy, rows });
+}
+
+// The latest redaction audit records: who sent secrets or personal data towards
+// the model, through which endpoint, and which placeholders replaced them.
+module.exports.listRedactions = async (req, res) => {
+
+    const limit = readLimit(req.query);
+
+    requireDatabase('Audit records');
+
+    const range = readRange(req.query);
+    const redactions = await auditService.listRedactions(range, { limit });
+
+    res.send({ range: rangeOf(range), redactions });
+}
+
+module.exports.listPrices = async (req, res) => {
+
+    const prices = await metricsService.listPrices();
+
+    res.send({ prices });
+}
+
+// Sets the price of `model` in US dollars per million tokens: { prompt, response }.
+module.exports.setPrice = async (req, res) => {
+
+    const error = metricsService.validatePrice(req.body ?? {});
+    if (error) {
+        throw new ValidationError(error);
+    }
+
+    const prices = await metricsService.setPrice(req.params.model, req.body);
+
+    res.send({ prices });
+}
+
+module.exports.removePrice = async (req, res) => {
+
+    const prices = await metricsService.removePrice(req.params.model);
+
+    res.send({ prices });
+}
+
+// Moves a user to another team: { team }. Teams own presets and rule sets, so
+// users can't pick their own at sign-up.
+module.exports.setUserTeam = async (req, res) => {
+
+    const user = await authService.setTeam(req.params.email, req.body?.team);
+
+    res.send({ user });
+}
@@ -1,14 +1,194 @@
 const aiService = require('../services/ai.service');
-
+const historyService = require('../services/history.service');
+const reviewService = require('../services/review.service');
+const consensusService = require('../services/consensus.service');
+const cacheService = require('../services/cache.service');
+const analysisService = require('../services/analysis.service');
+const redactionService = require('../services/redaction.service');
+const { extractFiles } = require('../services/archive.service');
+const { readOptions } = require('../utils/reviewOptions');
+const { AppError, ValidationError, errorCode } = require('../utils/errors');
+const { extractRefactoredCode, parseFindings } = require('../utils/reviewMarkdown');
 
 module.exports.getReview = async (req, res) => {
 
+    if (req.body.mode === 'diff') {
+        return reviewDiff(req, res);
+    }
+
     const code = req.body.code;
+    const format = req.body.format ?? req.query.format ?? 'markdown';
 
     if (!code) {
-        return res.status(400).json({ error: 'Prompt is required' });
+        throw new ValidationError('Prompt is required');
     }
-    const response = await aiService(code);
 
-    res.send({ response });
-}
\ No newline at end of file
+    const options = readOptions(req, req.body, code);
+    reviewService.checkFormat(format);
+
+    const result = await reviewService.reviewSnippet(req.user.id, code, options, { format, path: req.body.path });
+
+    res.send({ ...result, redactions: req.redactions });
+}
+
+
+// Diff mode of getReview: takes a unified diff in `diff`, or a `before`/`after`
+// pair (with an optional `path`), and reviews only the changed hunks.
+async function reviewDiff(req, res) {
+
+    const change = reviewService.readChange(req.body);
+    const options = readOptions(req, req.body);
+
+    const result = await reviewService.reviewChange(req.user.id, change, options);
+
+    res.send({ ...result, redactions: req.redactions });
+}
+
+// Reviews a snippet with several models at once (see consensus.service). The
+// body is getReview's plus `models`, ids of configured models (all by default);
+// `provider` and `model` are ignored. Answers like getReview with
+// `format: 'json'`, each finding carrying the `models` that raised it and a
+// `confidence`, plus `consensus.models` with every model's own review. The
+// code is redacted once for all models.
+module.exports.getConsensusReview = async (req, res) => {
+
+    const code = req.body.code;
+
+    if (!code) {
+        throw new ValidationError('Prompt is required');
+    }
+
+    const options = {
+        ...readOptions(req, req.body, code),
+        onModelCall: (call) => req.metrics.calls.push(call)
+    };
+
+    const result = await consensusService.reviewWithConsensus(req.user, code, options, { path: req.body.path, models: req.body.models });
+
+    res.send({ ...result, redactions: req.redactions });
+}
+
+// The models a consensus review can ask, as set by CONSENSUS_MODELS.
+module.exports.listConsensusModels = async (req, res) => {
+
+    res.send({ models: consensusService.listModels() });
+}
+
+// Server-Sent Events version of getReview. Accepts the code in a POST body or as
+// `?code=` on a GET (for EventSource clients) and sends a `meta` event with
+// the detected language, an `analysis` event with the static analysis,
+// `chunk` events with the partial Markdown, then `done`
+// with the `historyId` of the saved review, the `cache` status, the
+// extracted `refactoredCode`, the `findings` read from the Markdown and the
+// `redactions` made before the code was sent (or `error`). Closing the
+// connection aborts the upstream model request.
+module.exports.streamReview = async (req, res) => {
+
+    const params = req.method === 'GET' ? req.query : req.body;
+    const code = params.code;
+
+    if (!code) {
+        throw new ValidationError('Prompt is required');
+    }
+
+    const options = readOptions(req, params, code);
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Tell the client up front which language profile the review uses.
+    send('meta', { language: options.language ?? null });
+
+    // The analysis is ready before the model starts, so it is shown right away.
+    const analysis = analysisService.analyzeCode(code, { language: options.language, path: params.path });
+    send('analysis', analysis);
+
+    const recording = historyService.startRecording(req.user.id, 'snippet', code, { ...options, analysis });
+    let response = '';
+
+    try {
+        for await (const text of aiService.streamContent(code, { ...recording.options, signal: controller.signal })) {
+            response += text;
+            send('chunk', { text });
+        }
+        // Cancelled reviews are incomplete, so only finished ones go into history.
+        if (controller.signal.aborted) return;
+        const historyId = await recording.save({ response, analysis });
+        send('done', {
+            historyId,
+            cache: req.cacheStatus,
+            refactoredCode: extractRefactoredCode(response),
+            findings: parseFindings(response),
+            redactions: req.redactions
+        });
+    } catch (err) {
+        if (controller.signal.aborted) return;
+        res.locals.error = { code: errorCode(err), message: err.message };
+        // Headers are already sent, so the error envelope goes out as an event.
+        if (err instanceof AppError) {
+            send('error', err.toJSON());
+        } else {
+            console.error('Streaming review failed:', err);
+            send('error', { error: 'Review stream failed', code: 'internal_error' });
+        }
+    }
+    res.end();
+}
+
+
+// Reviews several files at once. Accepts either a JSON body
+// `{ files: [{ path, content }] }` or a multipart upload with an `archive`
+// field holding a .zip / .tar / .tar.gz.
+module.exports.getProjectReview = async (req, res) => {
+
+    let files;
+
+    if (req.file) {
+        try {
+            files = await extractFiles(req.file.buffer, req.file.originalname);
+        } catch (err) {
+            throw new ValidationError(err.message);
+        }
+        reviewService.checkProjectFiles(files);
+    } else {
+        files = reviewService.readProjectFiles(req.body?.files);
+    }
+
+    const options = readOptions(req, req.body);
+
+    const result = await reviewService.reviewProject(req.user.id, files, options);
+
+    // For archive uploads the client never had the file contents, so send them back.
+    res.send({ ...result, files: req.file ? files : undefined, redactions: req.redactions });
+}
+
+// What would be redacted from `code` before it goes to the model, one entry per
+// occurrence with its line and placeholder, so the client can warn before a
+// review is submitted. Nothing is sent to the model.
+module.exports.previewRedactions = async (req, res) => {
+
+    const code = req.body?.code;
+    if (typeof code !== 'string') {
+        throw new ValidationError('code must be a string');
+    }
+
+    res.send({ mode: redactionService.MODE, redactions: redactionService.scan(code) });
+}
+
+// Hit/miss counters of the review cache since the server started.
+module.exports.getCacheStats = async (req, res) => {
+
+    const stats = await cacheService.getStats();
+
+    res.send({ cache: stats });
+}
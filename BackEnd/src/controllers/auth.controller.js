@@ -0,0 +1,47 @@
+const authService = require('../services/auth.service');
+const quotaService = require('../services/quota.service');
+const { ValidationError } = require('../utils/errors');
+
+function readRefreshToken(req) {
+    const refreshToken = req.body?.refreshToken;
+    if (!refreshToken) {
+        throw new ValidationError('refreshToken is required');
+    }
+    return refreshToken;
+}
+
+module.exports.signup = async (req, res) => {
+
+    const session = await authService.signup(req.body ?? {});
+
+    res.status(201).send(session);
+}
+
+module.exports.login = async (req, res) => {
+
+    const session = await authService.login(req.body ?? {});
+
+    res.send(session);
+}
+
+module.exports.refresh = async (req, res) => {
+
+    const session = await authService.refresh(readRefreshToken(req));
+
+    res.send(session);
+}
+
+module.exports.logout = async (req, res) => {
+
+    await authService.logout(readRefreshToken(req));
+
+    res.status(204).end();
+}
+
+// The signed-in user and today's quota usage.
+module.exports.me = async (req, res) => {
+
+    const quota = await quotaService.getQuota(req.user.id);
+
+    res.send({ user: req.user, quota });
+}
@@ -0,0 +1,89 @@
+const chatService = require('../services/chat.service');
+const { isConnected } = require('../db/mongo');
+const { readOptions } = require('../utils/reviewOptions');
+const { ValidationError, NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+
+// Threads live in MongoDB. Runs before the quota check so a request that can't
+// be stored doesn't use up the user's quota.
+module.exports.requireDatabase = (req, res, next) => {
+    if (!isConnected()) {
+        throw new ServiceUnavailableError('Chat is unavailable');
+    }
+    next();
+}
+
+function readMessage(body) {
+    const message = typeof body?.message === 'string' ? body.message.trim() : '';
+    if (!message) {
+        throw new ValidationError('message is required');
+    }
+    if (message.length > chatService.MAX_MESSAGE_LENGTH) {
+        throw new ValidationError(`message must be at most ${chatService.MAX_MESSAGE_LENGTH} characters`);
+    }
+    return message;
+}
+
+// Starts a thread about a review: `code` and `review` (the Markdown as shown),
+// the first `message`, an optional `historyId`, and the same provider / model /
+// language / focus / strictness options as a review. Answers with the
+// `sessionId` of the new thread and the model's `reply`.
+module.exports.startThread = async (req, res) => {
+
+    const { code, review, historyId } = req.body ?? {};
+    if (typeof code !== 'string' || !code.trim() || typeof review !== 'string' || !review.trim()) {
+        throw new ValidationError('code and review are required');
+    }
+    if (historyId !== undefined && typeof historyId !== 'string') {
+        throw new ValidationError('historyId must be a string');
+    }
+
+    const message = readMessage(req.body);
+    const options = readOptions(req, req.body, code);
+
+    const result = await chatService.startThread(req.user.id, { code, review, historyId, message }, options);
+
+    res.status(201).send(result);
+}
+
+module.exports.sendMessage = async (req, res) => {
+
+    const message = readMessage(req.body);
+
+    const result = await chatService.sendMessage(req.user.id, req.params.sessionId, message, { onUsage: req.recordUsage, onRedact: req.recordRedactions });
+    if (!result) {
+        throw new NotFoundError('Thread not found');
+    }
+
+    // The thread's own provider and model answered, for the request's metrics.
+    const { sessionId, reply, ...thread } = result;
+    Object.assign(req.metrics, thread);
+
+    res.send({ sessionId, reply });
+}
+
+module.exports.listThreads = async (req, res) => {
+
+    const threads = await chatService.listThreads(req.user.id, { historyId: req.query.historyId });
+
+    res.send({ threads });
+}
+
+module.exports.getThread = async (req, res) => {
+
+    const thread = await chatService.getThread(req.user.id, req.params.sessionId);
+    if (!thread) {
+        throw new NotFoundError('Thread not found');
+    }
+
+    res.send({ thread });
+}
+
+module.exports.deleteThread = async (req, res) => {
+
+    const deleted = await chatService.deleteThread(req.user.id, req.params.sessionId);
+    if (!deleted) {
+        throw new NotFoundError('Thread not found');
+    }
+
+    res.status(204).end();
+}
@@ -0,0 +1,120 @@
+const exportService = require('../services/export.service');
+const historyService = require('../services/history.service');
+const { isConnected } = require('../db/mongo');
+const { listLanguages } = require('../services/language.service');
+const { validateFinding } = require('../schemas/review.schema');
+const { ValidationError, NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+
+function readFormat(format) {
+    if (!exportService.listFormats().includes(format)) {
+        throw new ValidationError(`format must be one of ${exportService.listFormats().join(', ')}`);
+    }
+    return format;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isMissing = (value) => value === undefined || value === null;
+
+// Findings from the client go straight into every exporter, so they're held to
+// the structured review's schema.
+function checkFindings(findings, at) {
+    if (!Array.isArray(findings)) {
+        throw new ValidationError(`${at} must be an array`);
+    }
+    const errors = findings.flatMap((finding, i) => validateFinding(finding, `${at}[${i}]`));
+    if (errors.length) {
+        throw new ValidationError(`Invalid findings: ${errors[0]}`, { errors });
+    }
+}
+
+// A review's findings and analysis findings: a snippet's structured review, or
+// each file of a diff or project review.
+function checkReview(kind, review, analysis) {
+    if (!isMissing(analysis)) {
+        if (!isObject(analysis)) throw new ValidationError('analysis must be a static analysis with `findings`');
+        checkFindings(analysis.findings, 'analysis.findings');
+    }
+    if (kind === 'snippet') {
+        if (isMissing(review)) return;
+        if (!isObject(review)) throw new ValidationError('review must be an object');
+        if (review.findings !== undefined) checkFindings(review.findings, 'review.findings');
+        return;
+    }
+
+    if (!isObject(review) || !Array.isArray(review.files)) {
+        throw new ValidationError('Diff and project reviews need `review.files`');
+    }
+    review.files.forEach((file, i) => {
+        const at = `review.files[${i}]`;
+        if (!isObject(file) || typeof file.path !== 'string' || !file.path) {
+            throw new ValidationError(`${at} must be an object with a \`path\``);
+        }
+        if (!isMissing(file.review)) {
+            if (!isObject(file.review)) throw new ValidationError(`${at}.review must be an object`);
+            checkFindings(file.review.findings ?? [], `${at}.review.findings`);
+        }
+        if (!isMissing(file.analysis)) {
+            if (!isObject(file.analysis)) throw new ValidationError(`${at}.analysis must be an object`);
+            checkFindings(file.analysis.findings ?? [], `${at}.analysis.findings`);
+        }
+    });
+}
+
+// HTML reports open in the browser (to print as PDF); everything else downloads.
+function sendExport(res, { body, contentType, filename }) {
+    const disposition = contentType.startsWith('text/html') ? 'inline' : 'attachment';
+    res.set({ 'Content-Type': contentType, 'Content-Disposition': `${disposition}; filename="${filename}"` });
+    res.send(body);
+}
+
+// Exports a review the client has on screen, saved or not: `code` and
+// `response` (the Markdown), plus `review` (the structured review, or
+// `{ files }` for a diff or project review with `"kind": "diff"` or
+// `"kind": "project"`), `analysis`, `language` and `path` when it has them.
+// `format` is sarif, junit, markdown or html; `print` makes the HTML report
+// open the print dialog.
+module.exports.exportReview = async (req, res) => {
+
+    const format = readFormat(req.body.format ?? req.query.format);
+    const { kind = 'snippet', code, response, review, analysis, language, path } = req.body;
+
+    if (typeof code !== 'string' || !code.trim() || typeof response !== 'string' || !response.trim()) {
+        throw new ValidationError('code and response are required');
+    }
+    if (![ 'snippet', 'diff', 'project' ].includes(kind)) {
+        throw new ValidationError('kind must be "snippet", "diff" or "project"');
+    }
+    checkReview(kind, review, analysis);
+    if (language !== undefined && language !== 'auto' && !listLanguages().includes(language)) {
+        throw new ValidationError(`language must be "auto" or one of ${listLanguages().join(', ')}`);
+    }
+    if (path !== undefined && typeof path !== 'string') {
+        throw new ValidationError('path must be a string');
+    }
+
+    sendExport(res, exportService.exportReview(format, {
+        kind,
+        code,
+        response,
+        review: review ?? undefined,
+        analysis: analysis ?? undefined,
+        language: language && language !== 'auto' ? language : undefined,
+        path
+    }, { print: Boolean(req.body.print ?? req.query.print) }));
+}
+
+// Exports one of the user's saved reviews: GET /ai/history/:id/export?format=...
+module.exports.exportSavedReview = async (req, res) => {
+
+    if (!isConnected()) {
+        throw new ServiceUnavailableError('Review history is unavailable');
+    }
+
+    const format = readFormat(req.query.format);
+    const review = await historyService.getReview(req.user.id, req.params.id);
+    if (!review) {
+        throw new NotFoundError('Review not found');
+    }
+
+    sendExport(res, exportService.exportReview(format, { ...review, language: review.language ?? undefined }, { print: Boolean(req.query.print) }));
+}
@@ -0,0 +1,48 @@
+const historyService = require('../services/history.service');
+const { isConnected } = require('../db/mongo');
+const { ValidationError, NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+
+// History lives in MongoDB; answer 503 rather than failing each query when it's down.
+function requireDatabase() {
+    if (!isConnected()) {
+        throw new ServiceUnavailableError('Review history is unavailable');
+    }
+}
+
+module.exports.listReviews = async (req, res) => {
+
+    requireDatabase();
+
+    const { q, kind, language, before, limit } = req.query;
+    if (before && Number.isNaN(Date.parse(before))) {
+        throw new ValidationError('before must be an ISO date');
+    }
+
+    const reviews = await historyService.listReviews(req.user.id, { q, kind, language, before, limit });
+
+    res.send({ reviews });
+}
+
+module.exports.getReview = async (req, res) => {
+
+    requireDatabase();
+
+    const review = await historyService.getReview(req.user.id, req.params.id);
+    if (!review) {
+        throw new NotFoundError('Review not found');
+    }
+
+    res.send({ review });
+}
+
+module.exports.deleteReview = async (req, res) => {
+
+    requireDatabase();
+
+    const deleted = await historyService.deleteReview(req.user.id, req.params.id);
+    if (!deleted) {
+        throw new NotFoundError('Review not found');
+    }
+
+    res.status(204).end();
+}
@@ -0,0 +1,39 @@
+const jobService = require('../services/job.service');
+const { readOptions } = require('../utils/reviewOptions');
+const { NotFoundError } = require('../utils/errors');
+
+// Queues a review and answers 202 with the job right away; its Location is
+// where to poll for the result. The body is what the matching endpoint takes
+// (`code`, a `diff` or `before`/`after`, or project `files`) plus the review
+// options, `kind` (`snippet`, `diff` or `project`) and `priority`.
+module.exports.createJob = async (req, res) => {
+
+    const code = (req.body.kind ?? 'snippet') === 'snippet' ? req.body.code : undefined;
+    const options = readOptions(req, req.body, code || undefined);
+
+    const job = await jobService.enqueue(req.user, req.body, options);
+
+    res.status(202).location(`${req.baseUrl}/${job.id}`).send({ job });
+}
+
+// The job's status and, once it is done, its `result` (the matching endpoint's
+// response) or `error` (its error envelope). Queued jobs have a `position`.
+module.exports.getJob = async (req, res) => {
+
+    const job = await jobService.getJob(req.user.id, req.params.id);
+    if (!job) {
+        throw new NotFoundError('Job not found');
+    }
+
+    res.send({ job });
+}
+
+module.exports.cancelJob = async (req, res) => {
+
+    const job = await jobService.cancel(req.user.id, req.params.id);
+    if (!job) {
+        throw new NotFoundError('Job not found');
+    }
+
+    res.send({ job });
+}
@@ -0,0 +1,36 @@
+const presetService = require('../services/preset.service');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Presets are shared by everyone in the signed-in user's team.
+function getTeam(req) {
+    return req.user.team;
+}
+
+module.exports.listPresets = async (req, res) => {
+
+    const presets = await presetService.listPresets(getTeam(req));
+
+    res.send({ presets });
+}
+
+module.exports.createPreset = async (req, res) => {
+
+    const error = presetService.validatePreset(req.body ?? {});
+    if (error) {
+        throw new ValidationError(error);
+    }
+
+    const preset = await presetService.createPreset(getTeam(req), req.body);
+
+    res.status(201).send({ preset });
+}
+
+module.exports.deletePreset = async (req, res) => {
+
+    const deleted = await presetService.deletePreset(getTeam(req), req.params.id);
+    if (!deleted) {
+        throw new NotFoundError('Preset not found');
+    }
+
+    res.status(204).end();
+}
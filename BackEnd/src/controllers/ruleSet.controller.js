@@ -0,0 +1,63 @@
+const ruleSetService = require('../services/ruleSet.service');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Rule sets are shared by everyone in the signed-in user's team, like presets.
+function getTeam(req) {
+    return req.user.team;
+}
+
+function validate(body) {
+    const error = ruleSetService.validateRuleSet(body ?? {});
+    if (error) {
+        throw new ValidationError(error);
+    }
+}
+
+module.exports.listRuleSets = async (req, res) => {
+
+    const ruleSets = await ruleSetService.listRuleSets(getTeam(req));
+
+    res.send({ ruleSets });
+}
+
+module.exports.getRuleSet = async (req, res) => {
+
+    const ruleSet = await ruleSetService.getRuleSet(getTeam(req), req.params.id);
+    if (!ruleSet) {
+        throw new NotFoundError('Rule set not found');
+    }
+
+    res.send({ ruleSet });
+}
+
+module.exports.createRuleSet = async (req, res) => {
+
+    validate(req.body);
+
+    const ruleSet = await ruleSetService.createRuleSet(getTeam(req), req.body);
+
+    res.status(201).send({ ruleSet });
+}
+
+// Replaces the whole rule set: name, description and rules.
+module.exports.updateRuleSet = async (req, res) => {
+
+    validate(req.body);
+
+    const ruleSet = await ruleSetService.updateRuleSet(getTeam(req), req.params.id, req.body);
+    if (!ruleSet) {
+        throw new NotFoundError('Rule set not found');
+    }
+
+    res.send({ ruleSet });
+}
+
+module.exports.deleteRuleSet = async (req, res) => {
+
+    const deleted = await ruleSetService.deleteRuleSet(getTeam(req), req.params.id);
+    if (!deleted) {
+        throw new NotFoundError('Rule set not found');
+    }
+
+    res.status(204).end();
+}
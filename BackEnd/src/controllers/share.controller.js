@@ -0,0 +1,41 @@
+const shareService = require('../services/share.service');
+const { NotFoundError } = require('../utils/errors');
+
+// Saves the code and review on screen as a shared snapshot and answers with its
+// link. The body has `code` and `response`, optionally `kind`, `language`,
+// `analysis`, `findings`, `refactoredCode` and `expiresInDays`.
+module.exports.createShare = async (req, res) => {
+
+    const share = await shareService.createShare(req.user.id, req.body ?? {});
+
+    res.status(201).send({ share });
+}
+
+module.exports.listShares = async (req, res) => {
+
+    const shares = await shareService.listShares(req.user.id);
+
+    res.send({ shares });
+}
+
+// Public: anyone with the link may read the snapshot. It is kept out of caches
+// and search engines, since revoking must take effect.
+module.exports.getSharedReview = async (req, res) => {
+
+    const review = await shareService.getSharedReview(req.params.id);
+    if (!review) {
+        throw new NotFoundError('This shared review does not exist or is no longer shared');
+    }
+
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' }).send({ review });
+}
+
+module.exports.revokeShare = async (req, res) => {
+
+    const revoked = await shareService.revokeShare(req.user.id, req.params.id);
+    if (!revoked) {
+        throw new NotFoundError('Share not found');
+    }
+
+    res.status(204).end();
+}
@@ -0,0 +1,48 @@
+const webhookService = require('../services/webhook.service');
+const auditService = require('../services/audit.service');
+const vcs = require('../services/vcs');
+const { AuthError, ServiceUnavailableError } = require('../utils/errors');
+
+// One log line per review: its status and counts, e.g. `reviewed (files: 2, comments: 3)`.
+function describeOutcome({ status, ...details }) {
+    const parts = Object.entries(details).map(([key, value]) => `${key}: ${String(value).split('\n')[0]}`);
+    return parts.length ? `${status} (${parts.join(', ')})` : status;
+}
+
+// Checks the delivery, then answers right away and reviews in the background:
+// GitHub gives up on a delivery after 10 seconds and reviews take longer. The
+// outcome shows up as comments on the pull request, and failures in the log.
+async function receive(platform, req, res) {
+
+    if (!platform.isConfigured()) {
+        throw new ServiceUnavailableError(`${platform.title} webhooks are not configured`);
+    }
+
+    if (!platform.verifySignature(req)) {
+        throw new AuthError('Invalid webhook signature');
+    }
+
+    const pr = platform.parseEvent(req);
+    if (!pr) {
+        return res.send({ status: 'ignored' });
+    }
+
+    // What gets redacted from the pull request's files is audited once the review is over.
+    const redactions = [];
+    webhookService.reviewPullRequest(vcs.getClient(platform.name), pr, { onRedact: (items) => redactions.push(...items) })
+        .then((result) => console.log(`${platform.title} review of ${pr.repo}#${pr.number}: ${describeOutcome(result)}`))
+        .catch((err) => console.error(`${platform.title} review of ${pr.repo}#${pr.number} failed:`, err))
+        .finally(() => auditService.recordRedactions({ userId: null, source: `${pr.repo}#${pr.number}`, endpoint: 'webhook', redactions }));
+
+    res.status(202).send({ status: 'accepted' });
+}
+
+module.exports.github = async (req, res) => {
+
+    await receive(vcs.getPlatform('github'), req, res);
+}
+
+module.exports.gitlab = async (req, res) => {
+
+    await receive(vcs.getPlatform('gitlab'), req, res);
+}
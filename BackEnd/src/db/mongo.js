@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_URI = 'mongodb://127.0.0.1:27017/ai-code-reviewer';
+
+// Fail fast instead of queueing queries while the database is unreachable, so a
+// Mongo outage doesn't hang review requests.
+mongoose.set('bufferCommands', false);
+
+// Connects the default mongoose connection. The URI is a parameter so tests can
+// point the app at an in-memory server (e.g. mongodb-memory-server) instead.
+async function connect(uri = process.env.MONGODB_URI || DEFAULT_URI) {
+    await mongoose.connect(uri, { serverSelectionTimeoutMS: 5000 });
+
+    mongoose.connection.on('disconnected', () => console.warn('MongoDB disconnected'));
+    mongoose.connection.on('reconnected', () => console.log('MongoDB reconnected'));
+
+    return mongoose.connection;
+}
+
+async function disconnect() {
+    await mongoose.disconnect();
+}
+
+function isConnected() {
+    return mongoose.connection.readyState === 1;
+}
+
+module.exports = { connect, disconnect, isConnected };
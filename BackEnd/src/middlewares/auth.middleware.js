@@ -0,0 +1,27 @@
+const authService = require('../services/auth.service');
+const { AuthError, ForbiddenError } = require('../utils/errors');
+
+// Requires a valid `Authorization: Bearer <access token>` and exposes the user
+// as `req.user` ({ id, email, team, role }).
+module.exports.requireAuth = (req, res, next) => {
+
+    const [ scheme, token ] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        throw new AuthError('Authentication required');
+    }
+
+    req.user = authService.verifyAccessToken(token);
+
+    next();
+}
+
+// Runs after requireAuth and lets only users with `role` through.
+module.exports.requireRole = (role) => (req, res, next) => {
+
+    if (req.user?.role !== role) {
+        throw new ForbiddenError(`This requires the ${role} role`);
+    }
+
+    next();
+}
@@ -0,0 +1,52 @@
+const { AppError, ValidationError } = require('../utils/errors');
+
+// Turns errors that aren't AppErrors yet (body parser, multer) into one.
+function normalizeError(err) {
+    if (err instanceof AppError) return err;
+
+    // express.json(): malformed or oversized bodies.
+    if (err.type === 'entity.parse.failed') return new ValidationError('Request body is not valid JSON');
+    if (err.type === 'entity.too.large') {
+        return new AppError('Request body is too large', { status: 413, code: 'payload_too_large' });
+    }
+
+    // multer upload limits.
+    if (err.name === 'MulterError') {
+        return err.code === 'LIMIT_FILE_SIZE'
+            ? new AppError('Uploaded archive is too large', { status: 413, code: 'payload_too_large' })
+            : new ValidationError(err.message);
+    }
+
+    return null;
+}
+
+// Sends every error as the JSON envelope `{ error, code, ...details }`.
+// Unexpected errors are logged and answered with a generic 500.
+module.exports.errorHandler = (err, req, res, next) => {
+
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const error = normalizeError(err);
+    // For the request's metrics (see metrics.middleware).
+    res.locals.error = { code: error?.code ?? 'internal_error', message: error?.message ?? err.message };
+    if (!error) {
+        console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+        return res.status(500).json({ error: 'Internal server error', code: 'internal_error' });
+    }
+
+    if (error.status >= 500) {
+        console.error(`${error.name} on ${req.method} ${req.originalUrl}:`, error.message);
+    }
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error.status).json(error.toJSON());
+}
+
+// 404 for routes that don't exist, in the same envelope.
+module.exports.notFound = (req, res) => {
+    res.status(404).json({ error: `Cannot ${req.method} ${req.path}`, code: 'not_found' });
+}
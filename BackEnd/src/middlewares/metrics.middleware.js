@@ -0,0 +1,42 @@
+const metricsService = require('../services/metrics.service');
+
+// Records the request's metrics once the response is over (see metrics.service):
+// user, `endpoint`, latency, status, cache status and error code. Runs before
+// the quota check so rejected requests are counted too. readOptions fills in
+// provider, model and language, and token usage arrives through addUsage.
+// Requests that ask several models (consensus reviews) push each model call to
+// `req.metrics.calls` instead ({ provider, model, tokens, latencyMs, status,
+// cache, errorCode, errorMessage }); each is recorded as its own metric, so it
+// is priced at its model's rate.
+module.exports.trackMetrics = (endpoint) => (req, res, next) => {
+
+    const startedAt = Date.now();
+    req.metrics = { endpoint, provider: undefined, model: undefined, language: null, tokens: { prompt: 0, response: 0 }, calls: [] };
+
+    // `close` fires for finished responses and for clients that went away mid-stream.
+    res.on('close', () => {
+        const error = res.locals.error ?? (res.writableFinished ? null : { code: 'cancelled', message: null });
+        const { calls, ...metrics } = req.metrics;
+        const request = {
+            ...metrics,
+            userId: req.user.id,
+            email: req.user.email,
+            latencyMs: Date.now() - startedAt,
+            status: res.statusCode,
+            cache: req.cacheStatus ?? null,
+            errorCode: error?.code ?? null,
+            errorMessage: error?.message ?? null
+        };
+        if (calls.length === 0) return metricsService.record(request);
+        for (const call of calls) metricsService.record({ ...request, ...call });
+    });
+
+    next();
+}
+
+// Adds a model call's token usage ({ promptTokens, responseTokens }) to the request's metrics.
+module.exports.addUsage = (req, usage) => {
+    if (!req.metrics || !usage) return;
+    req.metrics.tokens.prompt += usage.promptTokens ?? 0;
+    req.metrics.tokens.response += usage.responseTokens ?? 0;
+}
@@ -0,0 +1,31 @@
+const quotaService = require('../services/quota.service');
+const { addUsage } = require('./metrics.middleware');
+const { QuotaExceededError } = require('../utils/errors');
+
+// Counts the request against the user's daily quota and rejects it with 429 once
+// the request or token limit is reached. Model token usage is added afterwards
+// through `req.recordUsage`, which controllers pass to the AI service as `onUsage`;
+// it also goes into the request's metrics.
+const enforceQuotaOf = (cost) => async (req, res, next) => {
+
+    const requests = cost(req);
+    const { allowed, quota } = await quotaService.consumeRequest(req.user.id, requests);
+
+    res.set('X-Quota-Requests-Remaining', String(Math.max(quota.requests.limit - quota.requests.used, 0)));
+    res.set('X-Quota-Tokens-Remaining', String(Math.max(quota.tokens.limit - quota.tokens.used, 0)));
+
+    if (!allowed) {
+        throw new QuotaExceededError(quota, { requests });
+    }
+
+    req.recordUsage = (usage) => {
+        addUsage(req, usage);
+        quotaService.recordTokens(req.user.id, usage ?? {}).catch((err) => console.error('Failed to record token usage:', err));
+    };
+
+    next();
+}
+
+module.exports.enforceQuota = enforceQuotaOf(() => 1);
+// For requests that call several models: `cost(req)` is how many requests they count as.
+module.exports.enforceQuotaOf = enforceQuotaOf;
@@ -0,0 +1,27 @@
+const auditService = require('../services/audit.service');
+
+// Collects what the AI service redacted from the request's model calls (see
+// redaction.service) in `req.redactions`, through `req.recordRedactions`, which
+// readOptions passes on as `onRedact`. Once the response is over, the list is
+// saved as one audit record. Runs after trackMetrics, whose endpoint, provider
+// and model it reuses.
+module.exports.auditRedactions = (req, res, next) => {
+
+    req.redactions = [];
+    req.recordRedactions = (redactions) => {
+        req.redactions.push(...redactions);
+    };
+
+    res.on('close', () => {
+        auditService.recordRedactions({
+            userId: req.user.id,
+            email: req.user.email,
+            endpoint: req.metrics?.endpoint ?? req.baseUrl,
+            provider: req.metrics?.provider,
+            model: req.metrics?.model,
+            redactions: req.redactions
+        });
+    });
+
+    next();
+}
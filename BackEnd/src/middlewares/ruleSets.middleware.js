@@ -0,0 +1,20 @@
+const ruleSetService = require('../services/ruleSet.service');
+const { ValidationError } = require('../utils/errors');
+
+// Loads the team rule sets a review asks for in `ruleSets` (ids, as an array or
+// comma-separated in a query string or form field) into `req.ruleSets`, which
+// readOptions hands to the prompt. Unknown ids are rejected with a 400.
+module.exports.loadRuleSets = async (req, res, next) => {
+
+    const params = req.method === 'GET' ? req.query : req.body;
+    const raw = params?.ruleSets;
+    const ids = typeof raw === 'string' ? raw.split(',').map((id) => id.trim()).filter(Boolean) : raw;
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string'))) {
+        throw new ValidationError('ruleSets must be a list of rule set ids');
+    }
+
+    req.ruleSets = ids?.length ? await ruleSetService.loadRuleSets(req.user.team, ids) : [];
+
+    next();
+}
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A queued review (see job.service), for JOB_STORE=mongo. Finished jobs are
+// dropped at `expiresAt` (MongoDB TTL index).
+const jobSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    email: String,
+    // `snippet`, `diff` or `project`.
+    kind: { type: String, required: true },
+    // 0 (low) to 2 (high); higher runs first, then oldest first.
+    priority: { type: Number, default: 1 },
+    // `queued`, `running`, `succeeded`, `failed` or `cancelled`.
+    status: { type: String, required: true },
+    // What to review and how: the request body and its review options.
+    input: mongoose.Schema.Types.Mixed,
+    options: mongoose.Schema.Types.Mixed,
+    result: mongoose.Schema.Types.Mixed,
+    // The error envelope `{ error, code, ...details }` of a failed job.
+    error: mongoose.Schema.Types.Mixed,
+    // The server process running the job, and when it last said it still is.
+    owner: { type: String, default: null },
+    heartbeatAt: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    expiresAt: Date
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+jobSchema.index({ status: 1, priority: -1, createdAt: 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Metrics are dropped after this many days (MongoDB TTL index).
+const RETENTION_DAYS = Number(process.env.METRICS_RETENTION_DAYS || 90);
+
+// One API request that used (or tried to use) the model: who sent it, what it
+// cost and how it went. Written by metrics.middleware, read by the admin dashboard.
+const metricSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    email: String,
+    // `review`, `stream`, `project` or `chat`.
+    endpoint: { type: String, required: true },
+    provider: String,
+    model: String,
+    language: { type: String, default: null },
+    tokens: {
+        prompt: { type: Number, default: 0 },
+        response: { type: Number, default: 0 }
+    },
+    latencyMs: Number,
+    status: Number,
+    // `hit`, `miss` or `bypass` when the review cache was consulted, else null.
+    cache: { type: String, default: null },
+    // `code` and message of the error envelope for failed requests, else null;
+    // `cancelled` when the client went away first.
+    errorCode: { type: String, default: null },
+    errorMessage: { type: String, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+metricSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Metric', metricSchema);
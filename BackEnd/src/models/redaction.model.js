@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Audit records are dropped after this many days (MongoDB TTL index).
+const RETENTION_DAYS = Number(process.env.REDACTION_AUDIT_RETENTION_DAYS || 365);
+
+// What was redacted from one request before it went to the model provider
+// (see redaction.service). Never holds the redacted values themselves.
+const redactionSchema = new mongoose.Schema({
+    // Null for webhook reviews, which `source` names instead (`owner/repo#12`).
+    userId: { type: String, default: null },
+    email: String,
+    source: { type: String, default: null },
+    // `review`, `stream`, `project`, `chat` or `webhook`.
+    endpoint: { type: String, required: true },
+    provider: String,
+    model: String,
+    // [{ type, kind, placeholder, occurrences, path }]; placeholders are
+    // numbered per model call, so `path` tells apart those of different files.
+    redactions: { type: [ mongoose.Schema.Types.Mixed ], default: [] }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+redactionSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Redaction', redactionSchema);
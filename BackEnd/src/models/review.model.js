@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One saved review: what was submitted, how it was reviewed and what came back.
+const reviewSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    // `snippet` for a single piece of code, `diff` for a change (code holds the
+    // diff), `project` for several files (code holds them all, see review.service).
+    kind: { type: String, enum: [ 'snippet', 'diff', 'project' ], default: 'snippet' },
+    code: { type: String, required: true },
+    // First line of the code, so the history list doesn't load whole submissions.
+    preview: String,
+    language: { type: String, default: null },
+    provider: String,
+    model: String,
+    focus: [ String ],
+    strictness: String,
+    latencyMs: Number,
+    tokens: {
+        prompt: { type: Number, default: 0 },
+        response: { type: Number, default: 0 }
+    },
+    // Markdown as shown in the output panel, plus the structured review when there is one.
+    response: { type: String, required: true },
+    review: mongoose.Schema.Types.Mixed,
+    // Static analysis findings and function metrics (see analysis.service).
+    analysis: mongoose.Schema.Types.Mixed
+}, { timestamps: true });
+
+reviewSchema.index({ userId: 1, createdAt: -1 });
+// Full-text search over history.
+reviewSchema.index({ code: 'text', response: 'text' });
+
+module.exports = mongoose.model('Review', reviewSchema);
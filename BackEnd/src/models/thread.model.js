@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    role: { type: String, enum: [ 'user', 'assistant' ], required: true },
+    content: { type: String, required: true }
+}, { _id: false, timestamps: { createdAt: true, updatedAt: false } });
+
+// A follow-up conversation about one review. The code and the review open the
+// conversation; `messages` holds the questions and answers after it. The
+// review options are fixed when the thread starts so every answer uses the
+// same provider, model and reviewer profile.
+const threadSchema = new mongoose.Schema({
+    // Public identifier of the thread, handed to the client.
+    sessionId: { type: String, required: true, unique: true },
+    userId: { type: String, required: true },
+    // The saved review the thread is about, when there is one.
+    historyId: { type: String, default: null },
+    code: { type: String, required: true },
+    review: { type: String, required: true },
+    language: { type: String, default: null },
+    provider: String,
+    model: String,
+    focus: [ String ],
+    strictness: String,
+    // The team rule sets the review used, as they were when the thread started.
+    ruleSets: { type: mongoose.Schema.Types.Mixed, default: [] },
+    messages: [ messageSchema ]
+}, { timestamps: true });
+
+threadSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Thread', threadSchema);
@@ -0,0 +1,63 @@
+module.exports = {
+    id: 'go',
+    label: 'Go',
+    extensions: [ '.go' ],
+    criteria: [
+        'Every returned `error` is checked and wrapped with context (`fmt.Errorf("...: %w", err)`)',
+        '`context.Context` passed as the first parameter and honoured for cancellation and timeouts',
+        '`defer` used to release resources; no goroutine leaks or unbounded goroutine creation',
+        'Data races avoided: shared state guarded by mutexes or channels',
+        'Idiomatic naming (MixedCaps, short receivers), small interfaces defined by the consumer'
+    ],
+    examples: `
+### Example: Ignored errors and missing cancellation
+
+❌ **Bad Code:**
+\`\`\`go
+func GetUser(id string) User {
+    resp, _ := http.Get("https://api.example.com/users/" + id)
+    body, _ := ioutil.ReadAll(resp.Body)
+    var u User
+    json.Unmarshal(body, &u)
+    return u
+}
+\`\`\`
+
+🔍 **Issues:**
+- ❌ **Critical:** Errors ignored; a failed request panics on \`resp.Body\`
+- ❌ **Critical:** Response body is never closed (connection leak)
+- ❌ **Warning:** No context, so callers can't cancel or time out
+- ⚠️ **Suggestion:** \`ioutil\` is deprecated
+
+✅ **Refactored Code:**
+\`\`\`go
+func GetUser(ctx context.Context, client *http.Client, id string) (User, error) {
+    req, err := http.NewRequestWithContext(ctx, http.MethodGet, "https://api.example.com/users/"+url.PathEscape(id), nil)
+    if err != nil {
+        return User{}, fmt.Errorf("build request: %w", err)
+    }
+
+    resp, err := client.Do(req)
+    if err != nil {
+        return User{}, fmt.Errorf("get user %s: %w", id, err)
+    }
+    defer resp.Body.Close()
+
+    if resp.StatusCode != http.StatusOK {
+        return User{}, fmt.Errorf("get user %s: unexpected status %d", id, resp.StatusCode)
+    }
+
+    var u User
+    if err := json.NewDecoder(resp.Body).Decode(&u); err != nil {
+        return User{}, fmt.Errorf("decode user %s: %w", id, err)
+    }
+    return u, nil
+}
+\`\`\`
+
+💡 **Improvements:**
+- ✔ Every error checked and wrapped
+- ✔ Body closed with \`defer\`
+- ✔ Context-aware request with an injectable client
+`
+};
@@ -0,0 +1,21 @@
+const javascript = require('./javascript');
+const typescript = require('./typescript');
+const python = require('./python');
+const java = require('./java');
+const go = require('./go');
+const sql = require('./sql');
+const rust = require('./rust');
+
+// Review profiles by language id. Each profile has a label, file extensions,
+// extra review criteria and worked examples for the system prompt.
+const PROFILES = { javascript, typescript, python, java, go, sql, rust };
+
+function listLanguages() {
+    return Object.keys(PROFILES);
+}
+
+function getLanguageProfile(id) {
+    return PROFILES[id] ?? null;
+}
+
+module.exports = { listLanguages, getLanguageProfile };
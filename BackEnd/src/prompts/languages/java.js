@@ -0,0 +1,57 @@
+module.exports = {
+    id: 'java',
+    label: 'Java',
+    extensions: [ '.java' ],
+    criteria: [
+        'try-with-resources for streams, connections and locks',
+        'No catching `Exception`/`Throwable` without handling; checked exceptions wrapped with context',
+        '`Optional` for absent values instead of returning null; `equals`/`hashCode` implemented together',
+        'Immutability (final fields, unmodifiable collections) and thread-safety of shared state',
+        'PreparedStatement for SQL; no deserialisation of untrusted data'
+    ],
+    examples: `
+### Example: Leaking resources and swallowing errors
+
+❌ **Bad Code:**
+\`\`\`java
+public User find(String name) {
+    try {
+        Connection c = dataSource.getConnection();
+        Statement s = c.createStatement();
+        ResultSet rs = s.executeQuery("SELECT * FROM users WHERE name = '" + name + "'");
+        return rs.next() ? map(rs) : null;
+    } catch (Exception e) {
+        return null;
+    }
+}
+\`\`\`
+
+🔍 **Issues:**
+- ❌ **Critical:** SQL injection through string concatenation
+- ❌ **Critical:** Connection, statement and result set are never closed
+- ❌ **Warning:** \`catch (Exception)\` hides failures as "not found"
+- ⚠️ **Suggestion:** Return \`Optional<User>\` instead of null
+
+✅ **Refactored Code:**
+\`\`\`java
+public Optional<User> find(String name) {
+    String sql = "SELECT id, name, email FROM users WHERE name = ?";
+    try (Connection c = dataSource.getConnection();
+         PreparedStatement ps = c.prepareStatement(sql)) {
+        ps.setString(1, name);
+        try (ResultSet rs = ps.executeQuery()) {
+            return rs.next() ? Optional.of(map(rs)) : Optional.empty();
+        }
+    } catch (SQLException e) {
+        throw new DataAccessException("Failed to load user " + name, e);
+    }
+}
+\`\`\`
+
+💡 **Improvements:**
+- ✔ PreparedStatement prevents injection
+- ✔ try-with-resources closes everything
+- ✔ Errors surface with context instead of disappearing
+- ✔ \`Optional\` makes absence explicit
+`
+};
@@ -0,0 +1,427 @@
+module.exports = {
+    id: 'javascript',
+    label: 'JavaScript',
+    extensions: [ '.js', '.jsx', '.mjs', '.cjs' ],
+    criteria: [
+        'Promises are awaited or returned; no floating promises or mixed callback/promise styles',
+        '`const`/`let` instead of `var`; strict equality (`===`) instead of loose comparisons',
+        'No prototype pollution, `eval`, `new Function` or unsanitised `innerHTML`',
+        'Node.js: streams and event listeners are cleaned up; no blocking sync I/O on request paths',
+        'React: hooks follow the rules of hooks, effects declare dependencies and clean up, list keys are stable ids'
+    ],
+    examples: `
+### Example 1: Async/Await & Error Handling
+
+❌ **Bad Code:**
+\`\`\`javascript
+function fetchData() {
+    let data = fetch('/api/data').then(response => response.json());
+    return data;
+}
+\`\`\`
+
+🔍 **Issues:**
+- ❌ **Critical:** Returns Promise, not actual data
+- ❌ **Critical:** No error handling for network failures
+- ❌ **Warning:** No HTTP status validation
+- ❌ **Warning:** No timeout mechanism
+
+✅ **Refactored Code:**
+\`\`\`javascript
+/**
+ * Fetches data from the API with proper error handling
+ * @param {string} endpoint - API endpoint to fetch from
+ * @param {number} timeout - Request timeout in milliseconds (default: 5000)
+ * @returns {Promise<Object|null>} Parsed JSON data or null on error
+ */
+async function fetchData(endpoint = '/api/data', timeout = 5000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    
+    try {
+        const response = await fetch(endpoint, { 
+            signal: controller.signal,
+            headers: { 'Content-Type': 'application/json' }
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(\`HTTP error! Status: \${response.status} - \${response.statusText}\`);
+        }
+        
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.error('Request timeout after', timeout, 'ms');
+        } else {
+            console.error('Failed to fetch data:', error.message);
+        }
+        return null;
+    }
+}
+\`\`\`
+
+💡 **Improvements:**
+- ✔ Proper async/await usage
+- ✔ Comprehensive error handling
+- ✔ HTTP status validation
+- ✔ Timeout mechanism with AbortController
+- ✔ Configurable parameters
+- ✔ JSDoc documentation
+- ✔ Detailed error logging
+
+---
+
+### Example 2: Security Vulnerabilities
+
+❌ **Bad Code:**
+\`\`\`javascript
+app.post('/login', (req, res) => {
+    const { username, password } = req.body;
+    const query = \`SELECT * FROM users WHERE username='\${username}' AND password='\${password}'\`;
+    db.query(query, (err, result) => {
+        if (result.length > 0) {
+            res.json({ success: true });
+        }
+    });
+});
+\`\`\`
+
+🔍 **Issues:**
+- 🚨 **Critical:** SQL Injection vulnerability
+- 🚨 **Critical:** Plain text password storage
+- ❌ **Critical:** No input validation
+- ❌ **Critical:** Missing rate limiting
+- ❌ **Warning:** No session management
+- ❌ **Warning:** Exposing database errors to client
+
+✅ **Refactored Code:**
+\`\`\`javascript
+const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
+const validator = require('validator');
+
+// Rate limiting middleware
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // 5 attempts
+    message: 'Too many login attempts, please try again later'
+});
+
+app.post('/login', loginLimiter, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        // Input validation
+        if (!username || !password) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Username and password are required' 
+            });
+        }
+        
+        if (!validator.isAlphanumeric(username)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid username format' 
+            });
+        }
+        
+        // Parameterized query to prevent SQL injection
+        const query = 'SELECT id, username, password_hash FROM users WHERE username = ?';
+        const [users] = await db.query(query, [username]);
+        
+        if (users.length === 0) {
+            // Generic error message to prevent user enumeration
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Invalid credentials' 
+            });
+        }
+        
+        const user = users[0];
+        const passwordMatch = await bcrypt.compare(password, user.password_hash);
+        
+        if (!passwordMatch) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Invalid credentials' 
+            });
+        }
+        
+        // Create secure session
+        req.session.userId = user.id;
+        req.session.username = user.username;
+        
+        res.json({ 
+            success: true, 
+            message: 'Login successful',
+            user: { id: user.id, username: user.username }
+        });
+        
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'An error occurred during login' 
+        });
+    }
+});
+\`\`\`
+
+💡 **Improvements:**
+- ✔ Parameterized queries prevent SQL injection
+- ✔ Password hashing with bcrypt
+- ✔ Input validation with validator library
+- ✔ Rate limiting to prevent brute force
+- ✔ Secure session management
+- ✔ Generic error messages prevent user enumeration
+- ✔ Comprehensive error handling
+- ✔ Proper HTTP status codes
+
+---
+
+### Example 3: Performance Optimization
+
+❌ **Bad Code:**
+\`\`\`javascript
+function processUsers(users) {
+    const results = [];
+    for (let i = 0; i < users.length; i++) {
+        const user = users[i];
+        const posts = db.query(\`SELECT * FROM posts WHERE user_id = \${user.id}\`);
+        const comments = db.query(\`SELECT * FROM comments WHERE user_id = \${user.id}\`);
+        results.push({ ...user, posts, comments });
+    }
+    return results;
+}
+\`\`\`
+
+🔍 **Issues:**
+- 🚨 **Critical:** N+1 query problem
+- 🚨 **Critical:** SQL injection vulnerability
+- ❌ **Warning:** Synchronous operations block execution
+- ❌ **Warning:** No database connection pooling
+- ⚠️ **Suggestion:** Could use more efficient data structures
+
+✅ **Refactored Code:**
+\`\`\`javascript
+/**
+ * Efficiently processes users with their posts and comments
+ * @param {Array<Object>} users - Array of user objects
+ * @returns {Promise<Array<Object>>} Users with their posts and comments
+ */
+async function processUsers(users) {
+    if (!users || users.length === 0) return [];
+    
+    const userIds = users.map(user => user.id);
+    
+    // Single query for all posts
+    const postsQuery = \`
+        SELECT * FROM posts 
+        WHERE user_id IN (?)
+        ORDER BY user_id, created_at DESC
+    \`;
+    
+    // Single query for all comments
+    const commentsQuery = \`
+        SELECT * FROM comments 
+        WHERE user_id IN (?)
+        ORDER BY user_id, created_at DESC
+    \`;
+    
+    // Execute queries in parallel
+    const [posts, comments] = await Promise.all([
+        db.query(postsQuery, [userIds]),
+        db.query(commentsQuery, [userIds])
+    ]);
+    
+    // Create lookup maps for O(1) access
+    const postsByUser = new Map();
+    const commentsByUser = new Map();
+    
+    posts.forEach(post => {
+        if (!postsByUser.has(post.user_id)) {
+            postsByUser.set(post.user_id, []);
+        }
+        postsByUser.get(post.user_id).push(post);
+    });
+    
+    comments.forEach(comment => {
+        if (!commentsByUser.has(comment.user_id)) {
+            commentsByUser.set(comment.user_id, []);
+        }
+        commentsByUser.get(comment.user_id).push(comment);
+    });
+    
+    // Map users with their data
+    return users.map(user => ({
+        ...user,
+        posts: postsByUser.get(user.id) || [],
+        comments: commentsByUser.get(user.id) || []
+    }));
+}
+\`\`\`
+
+💡 **Improvements:**
+- ✔ Solved N+1 problem: 2 queries instead of 2N queries
+- ✔ Parameterized queries prevent SQL injection
+- ✔ Parallel execution with Promise.all
+- ✔ O(1) lookup time with Map data structure
+- ✔ Input validation for empty arrays
+- ✔ Proper JSDoc documentation
+- ✔ Performance improvement: O(N) instead of O(N²)
+
+---
+
+### Example 4: React Component Best Practices
+
+❌ **Bad Code:**
+\`\`\`javascript
+function UserList() {
+    const [users, setUsers] = useState([]);
+    
+    fetch('/api/users')
+        .then(res => res.json())
+        .then(data => setUsers(data));
+    
+    return (
+        <div>
+            {users.map((user, index) => (
+                <div key={index}>
+                    <h3>{user.name}</h3>
+                    <button onClick={() => deleteUser(user.id)}>Delete</button>
+                </div>
+            ))}
+        </div>
+    );
+}
+\`\`\`
+
+🔍 **Issues:**
+- 🚨 **Critical:** Infinite render loop (fetch on every render)
+- ❌ **Warning:** Using array index as key
+- ❌ **Warning:** No loading or error states
+- ❌ **Warning:** Inline function creation on every render
+- ⚠️ **Suggestion:** No accessibility attributes
+
+✅ **Refactored Code:**
+\`\`\`javascript
+import { useState, useEffect, useCallback } from 'react';
+
+function UserList() {
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    
+    useEffect(() => {
+        let isMounted = true;
+        
+        const fetchUsers = async () => {
+            try {
+                setLoading(true);
+                const response = await fetch('/api/users');
+                
+                if (!response.ok) {
+                    throw new Error(\`HTTP error! status: \${response.status}\`);
+                }
+                
+                const data = await response.json();
+                
+                if (isMounted) {
+                    setUsers(data);
+                    setError(null);
+                }
+            } catch (err) {
+                if (isMounted) {
+                    setError(err.message);
+                    console.error('Failed to fetch users:', err);
+                }
+            } finally {
+                if (isMounted) {
+                    setLoading(false);
+                }
+            }
+        };
+        
+        fetchUsers();
+        
+        // Cleanup function to prevent state updates on unmounted component
+        return () => {
+            isMounted = false;
+        };
+    }, []); // Empty dependency array - runs once on mount
+    
+    const handleDeleteUser = useCallback(async (userId) => {
+        if (!window.confirm('Are you sure you want to delete this user?')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(\`/api/users/\${userId}\`, {
+                method: 'DELETE'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to delete user');
+            }
+            
+            setUsers(prevUsers => prevUsers.filter(user => user.id !== userId));
+        } catch (err) {
+            alert('Failed to delete user: ' + err.message);
+        }
+    }, []);
+    
+    if (loading) {
+        return (
+            <div role="status" aria-live="polite">
+                Loading users...
+            </div>
+        );
+    }
+    
+    if (error) {
+        return (
+            <div role="alert" aria-live="assertive">
+                Error: {error}
+            </div>
+        );
+    }
+    
+    if (users.length === 0) {
+        return <div>No users found.</div>;
+    }
+    
+    return (
+        <div role="list" aria-label="User list">
+            {users.map((user) => (
+                <div key={user.id} role="listitem">
+                    <h3>{user.name}</h3>
+                    <button 
+                        onClick={() => handleDeleteUser(user.id)}
+                        aria-label={\`Delete user \${user.name}\`}
+                    >
+                        Delete
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default UserList;
+\`\`\`
+
+💡 **Improvements:**
+- ✔ useEffect prevents infinite loops
+- ✔ Proper cleanup to prevent memory leaks
+- ✔ Loading and error states
+- ✔ useCallback for optimized function memoization
+- ✔ Unique ID as key instead of index
+- ✔ Accessibility attributes (ARIA)
+- ✔ User confirmation before deletion
+- ✔ Optimistic UI update after deletion
+- ✔ Empty state handling
+`
+};
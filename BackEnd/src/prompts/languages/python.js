@@ -0,0 +1,58 @@
+module.exports = {
+    id: 'python',
+    label: 'Python',
+    extensions: [ '.py', '.pyw' ],
+    criteria: [
+        'PEP 8 naming and layout; PEP 484 type hints on public functions',
+        'No mutable default arguments; context managers (`with`) for files, locks and connections',
+        'Specific exceptions instead of bare `except:`; no silently swallowed errors',
+        'No `eval`/`exec`, `pickle` on untrusted data, `shell=True` or string-formatted SQL',
+        'Idiomatic constructs (comprehensions, `enumerate`, `pathlib`, f-strings) and generators for large data'
+    ],
+    examples: `
+### Example: Resource handling and injection
+
+❌ **Bad Code:**
+\`\`\`python
+def load_users(db, names=[]):
+    f = open("users.txt")
+    for line in f.readlines():
+        names.append(line.strip())
+    try:
+        return db.execute("SELECT * FROM users WHERE name IN ('%s')" % "','".join(names))
+    except:
+        return None
+\`\`\`
+
+🔍 **Issues:**
+- ❌ **Critical:** SQL built with \`%\` formatting allows injection
+- ❌ **Warning:** Mutable default \`names=[]\` is shared between calls
+- ❌ **Warning:** File is never closed
+- ❌ **Warning:** Bare \`except\` hides every error, including typos
+
+✅ **Refactored Code:**
+\`\`\`python
+from pathlib import Path
+from sqlite3 import Connection, DatabaseError
+
+
+def load_users(db: Connection, path: Path = Path("users.txt")) -> list[tuple]:
+    """Return the users whose names are listed in *path*."""
+    names = [line.strip() for line in path.read_text().splitlines() if line.strip()]
+    if not names:
+        return []
+
+    placeholders = ", ".join("?" for _ in names)
+    try:
+        return db.execute(f"SELECT * FROM users WHERE name IN ({placeholders})", names).fetchall()
+    except DatabaseError as exc:
+        raise RuntimeError("Could not load users") from exc
+\`\`\`
+
+💡 **Improvements:**
+- ✔ Parameterised query
+- ✔ No shared mutable default; file read via \`pathlib\`
+- ✔ Specific exception, re-raised with context
+- ✔ Type hints and docstring
+`
+};
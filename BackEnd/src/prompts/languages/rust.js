@@ -0,0 +1,65 @@
+module.exports = {
+    id: 'rust',
+    label: 'Rust',
+    extensions: [ '.rs' ],
+    criteria: [
+        'No `unwrap()`/`expect()` on fallible operations outside tests; errors propagated with `?` and typed errors',
+        '`unsafe` blocks are minimal and justified with a `// SAFETY:` comment',
+        'Borrowing preferred over cloning; `&str`/slices in signatures instead of owned types',
+        'Iterators and pattern matching instead of manual indexing; exhaustive `match`',
+        'Async code does not block the executor; `Send`/`Sync` bounds are intentional'
+    ],
+    examples: `
+### Example: Panics and needless allocation
+
+❌ **Bad Code:**
+\`\`\`rust
+fn read_port(path: String) -> u16 {
+    let text = std::fs::read_to_string(path.clone()).unwrap();
+    let mut port = 0;
+    for i in 0..text.lines().count() {
+        let line = text.lines().nth(i).unwrap().to_string();
+        if line.starts_with("port=") {
+            port = line[5..].parse().unwrap();
+        }
+    }
+    port
+}
+\`\`\`
+
+🔍 **Issues:**
+- ❌ **Critical:** \`unwrap()\` panics on a missing file or bad number
+- ❌ **Warning:** \`nth(i)\` in a loop is O(n²)
+- ❌ **Warning:** Needless \`String\` ownership and clones
+- ⚠️ **Suggestion:** 0 silently returned when no port is configured
+
+✅ **Refactored Code:**
+\`\`\`rust
+use std::{fs, num::ParseIntError, path::Path};
+
+#[derive(Debug, thiserror::Error)]
+enum ConfigError {
+    #[error("could not read config: {0}")]
+    Io(#[from] std::io::Error),
+    #[error("invalid port: {0}")]
+    Port(#[from] ParseIntError),
+    #[error("no port configured")]
+    Missing,
+}
+
+fn read_port(path: &Path) -> Result<u16, ConfigError> {
+    let text = fs::read_to_string(path)?;
+    let value = text
+        .lines()
+        .find_map(|line| line.strip_prefix("port="))
+        .ok_or(ConfigError::Missing)?;
+    Ok(value.trim().parse()?)
+}
+\`\`\`
+
+💡 **Improvements:**
+- ✔ Errors propagated with \`?\` and a typed error enum
+- ✔ Single pass over the lines with \`find_map\`
+- ✔ Borrows a \`&Path\` instead of taking an owned \`String\`
+`
+};
@@ -0,0 +1,44 @@
+module.exports = {
+    id: 'sql',
+    label: 'SQL',
+    extensions: [ '.sql' ],
+    criteria: [
+        'No `SELECT *` in production queries; only the needed columns',
+        'Predicates are sargable (no functions on indexed columns) and backed by suitable indexes',
+        'Joins have explicit conditions; no accidental cartesian products',
+        'Multi-statement changes run in a transaction with the right isolation level',
+        'Dynamic SQL uses bind parameters; NULL semantics (`IS NULL`, `NOT IN` with NULLs) handled correctly'
+    ],
+    examples: `
+### Example: Non-sargable filter and implicit join
+
+❌ **Bad Code:**
+\`\`\`sql
+SELECT *
+FROM orders o, customers c
+WHERE YEAR(o.created_at) = 2024
+  AND c.email LIKE '%@example.com';
+\`\`\`
+
+🔍 **Issues:**
+- ❌ **Critical:** Missing join condition produces a cartesian product
+- ❌ **Warning:** \`YEAR(created_at)\` prevents index use on \`created_at\`
+- ❌ **Warning:** Leading wildcard in \`LIKE\` forces a full scan
+- ⚠️ **Suggestion:** \`SELECT *\` returns unused columns
+
+✅ **Refactored Code:**
+\`\`\`sql
+SELECT o.id, o.total, o.created_at, c.email
+FROM orders AS o
+JOIN customers AS c ON c.id = o.customer_id
+WHERE o.created_at >= '2024-01-01'
+  AND o.created_at <  '2025-01-01'
+  AND c.email_domain = 'example.com';   -- indexed, denormalised domain column
+\`\`\`
+
+💡 **Improvements:**
+- ✔ Explicit join condition
+- ✔ Range predicate can use the index on \`created_at\`
+- ✔ Only the needed columns are selected
+`
+};
@@ -0,0 +1,54 @@
+module.exports = {
+    id: 'typescript',
+    label: 'TypeScript',
+    extensions: [ '.ts', '.tsx', '.mts', '.cts' ],
+    criteria: [
+        'No `any` or unchecked type assertions (`as`) where a precise type, generic or `unknown` plus narrowing would do',
+        '`strict` compiler options assumed: null/undefined handled explicitly, no non-null assertions (`!`) hiding bugs',
+        'Discriminated unions and exhaustive `switch` checks (`never`) instead of stringly-typed flags',
+        'Public APIs have explicit return types; `interface`/`type` used consistently',
+        'Runtime validation (e.g. zod) at trust boundaries, since types are erased at runtime'
+    ],
+    examples: `
+### Example: Unsafe types at an API boundary
+
+❌ **Bad Code:**
+\`\`\`typescript
+async function getUser(id: any) {
+    const res = await fetch(\`/api/users/\${id}\`);
+    const user = (await res.json()) as User;
+    return user.profile!.name;
+}
+\`\`\`
+
+🔍 **Issues:**
+- ❌ **Critical:** \`as User\` trusts unvalidated JSON from the network
+- ❌ **Warning:** \`profile!\` hides a possible runtime \`TypeError\`
+- ❌ **Warning:** \`id: any\` disables type checking for callers
+- ⚠️ **Suggestion:** No explicit return type
+
+✅ **Refactored Code:**
+\`\`\`typescript
+import { z } from 'zod';
+
+const UserSchema = z.object({
+    id: z.string(),
+    profile: z.object({ name: z.string() }).nullable()
+});
+
+async function getUserName(id: string): Promise<string | null> {
+    const res = await fetch(\`/api/users/\${encodeURIComponent(id)}\`);
+    if (!res.ok) throw new Error(\`Failed to load user \${id}: \${res.status}\`);
+
+    // Validate at the boundary instead of asserting the type
+    const user = UserSchema.parse(await res.json());
+    return user.profile?.name ?? null;
+}
+\`\`\`
+
+💡 **Improvements:**
+- ✔ Response validated at runtime, so the static type is true
+- ✔ Nullable profile handled explicitly
+- ✔ Typed, encoded parameter and explicit return type
+`
+};
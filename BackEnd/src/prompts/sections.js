@@ -0,0 +1,107 @@
+// Per-request parts of the reviewer system prompt. system.prompt.js picks them
+// per request (focus areas, strictness) and fills them into the prompt
+// template (see templates/), which holds the fixed text.
+
+const OBJECTIVES = `## 🎯 CORE REVIEW OBJECTIVES
+1. **Code Quality** - Clean, maintainable, and well-structured code
+2. **Security** - Identify vulnerabilities and security risks
+3. **Performance** - Optimize execution time and resource usage
+4. **Scalability** - Design for growth and maintainability
+5. **Best Practices** - Apply industry-standard patterns and principles
+6. **Error Handling** - Robust error management and edge case coverage
+7. **Testing** - Adequate test coverage and quality
+8. **Documentation** - Clear, meaningful comments and documentation`;
+
+// One entry per focus area; ids match the finding categories of the structured schema.
+const FOCUS_AREAS = {
+    architecture: {
+        title: 'Architecture & Design',
+        criteria: [
+            'Adherence to SOLID principles',
+            'Proper separation of concerns',
+            'DRY (Don\'t Repeat Yourself) principle',
+            'Design pattern appropriateness',
+            'Module coupling and cohesion',
+            'Dependency injection and inversion'
+        ]
+    },
+    security: {
+        title: 'Security Analysis',
+        criteria: [
+            'Input validation and sanitization',
+            'SQL Injection vulnerabilities',
+            'XSS (Cross-Site Scripting) risks',
+            'CSRF (Cross-Site Request Forgery) protection',
+            'Authentication and authorization flaws',
+            'Sensitive data exposure',
+            'Insecure dependencies',
+            'API security (rate limiting, authentication)'
+        ]
+    },
+    performance: {
+        title: 'Performance Optimization',
+        criteria: [
+            'Time complexity analysis (Big O notation)',
+            'Space complexity optimization',
+            'Database query efficiency (N+1 problems)',
+            'Unnecessary loops or iterations',
+            'Memory leaks',
+            'Caching opportunities',
+            'Lazy loading vs eager loading',
+            'Asynchronous operations usage'
+        ]
+    },
+    'error-handling': {
+        title: 'Error Handling & Edge Cases',
+        criteria: [
+            'Try-catch blocks placement',
+            'Null/undefined checks',
+            'Empty array/object handling',
+            'Error message clarity',
+            'Graceful degradation',
+            'Timeout handling',
+            'Race condition prevention'
+        ]
+    },
+    readability: {
+        title: 'Code Quality & Readability',
+        criteria: [
+            'Naming conventions (camelCase, PascalCase, etc.)',
+            'Function length (ideally < 50 lines)',
+            'Cyclomatic complexity',
+            'Magic numbers/strings',
+            'Code duplication',
+            'Commented-out code removal',
+            'Consistent formatting'
+        ]
+    },
+    testing: {
+        title: 'Testing & Validation',
+        criteria: [
+            'Unit test coverage',
+            'Integration test presence',
+            'Edge case testing',
+            'Mock/stub usage',
+            'Test naming conventions',
+            'Assertion quality'
+        ]
+    }
+};
+
+const NUMBER_EMOJI = [ '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣' ];
+
+const STRICTNESS = {
+    strict: `## ⚖️ STRICTNESS: STRICT
+Hold the code to production standards. Report every deviation you find, including minor ones, and classify anything that could cause a bug, vulnerability or outage as **Critical**. Keep praise to a single line.`,
+    balanced: `## ⚖️ STRICTNESS: BALANCED
+Balance strictness with encouragement: report everything that matters, but don't nitpick style that is consistent and readable.`,
+    'beginner-friendly': `## ⚖️ STRICTNESS: BEGINNER-FRIENDLY
+The author is still learning. Limit the review to the five most important issues, explain each one in plain language, define any jargon you use, and prefer simple fixes over advanced patterns. Be warm and encouraging.`
+};
+
+module.exports = {
+    OBJECTIVES,
+    FOCUS_AREAS,
+    NUMBER_EMOJI,
+    STRICTNESS
+};
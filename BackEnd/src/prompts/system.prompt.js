@@ -0,0 +1,99 @@
+const { getLanguageProfile } = require('./languages');
+const sections = require('./sections');
+const templates = require('./templates');
+
+const FOCUS_IDS = Object.keys(sections.FOCUS_AREAS);
+const STRICTNESS_LEVELS = Object.keys(sections.STRICTNESS);
+const DEFAULT_STRICTNESS = 'balanced';
+
+// Language-specific criteria and worked examples for the detected language. For
+// unknown languages the model is told to work the language out itself.
+function buildLanguageSection(profile) {
+    if (!profile) {
+        return `## 🧩 LANGUAGE
+Identify the language of the submitted code yourself and only give advice that applies to that language and its ecosystem.`;
+    }
+
+    const criteria = profile.criteria.map((c) => `- ${c}`).join('\n');
+    return `## 🧩 LANGUAGE PROFILE: ${profile.label}
+The submitted code is **${profile.label}**. Apply these ${profile.label}-specific criteria in addition to the general ones above, and only give advice that applies to ${profile.label} and its ecosystem.
+
+${criteria}
+
+## 🎓 DETAILED EXAMPLES
+
+${profile.examples}`;
+}
+
+// The full objectives list for a complete review; a focus notice when the
+// request narrows the review to some areas.
+function buildScopeSection(focus) {
+    if (focus.length === FOCUS_IDS.length) return sections.OBJECTIVES;
+
+    const titles = focus.map((id) => `**${sections.FOCUS_AREAS[id].title}**`).join(', ');
+    return `## 🔎 REVIEW FOCUS
+This review is limited to: ${titles}. Only report findings in these areas and skip everything else, even if you notice it.`;
+}
+
+function buildCriteriaSection(focus) {
+    const blocks = focus.map((id, i) => {
+        const area = sections.FOCUS_AREAS[id];
+        return `### ${sections.NUMBER_EMOJI[i]} ${area.title}\n${area.criteria.map((c) => `- ${c}`).join('\n')}`;
+    });
+    return `## 📋 ${focus.length === FOCUS_IDS.length ? 'COMPREHENSIVE ' : ''}REVIEW CRITERIA\n\n${blocks.join('\n\n')}`;
+}
+
+// A code block that the example's own backticks can't close.
+function fence(code) {
+    const longest = Math.max(2, ...(code.match(/`+/g) ?? []).map((run) => run.length));
+    const marker = '`'.repeat(longest + 1);
+    return `${marker}\n${code}\n${marker}`;
+}
+
+function formatRule(rule) {
+    const lines = [ `- **${rule.id}** (${rule.severity}) — **${rule.title}**: ${rule.description}` ];
+    if (rule.bad) lines.push(`  Bad:\n${fence(rule.bad).replace(/^/gm, '  ')}`);
+    if (rule.good) lines.push(`  Good:\n${fence(rule.good).replace(/^/gm, '  ')}`);
+    return lines.join('\n');
+}
+
+// The team's own conventions (see services/ruleSet.service.js), or null when the
+// review uses none.
+function buildRulesSection(ruleSets) {
+    if (!ruleSets?.length) return null;
+
+    const sets = ruleSets.map((set) => [
+        `### ${set.name}`,
+        set.description,
+        set.rules.map(formatRule).join('\n')
+    ].filter(Boolean).join('\n\n'));
+
+    return `## 📏 TEAM RULES
+This team has its own conventions on top of the criteria above. Check the code against every rule below and report each violation as its own issue, with the rule's severity. Tag it with the rule id in brackets after the category, e.g. \`\`- **Default export** \`readability\` [rule: no-default-exports] _(line 3)_: ...\`\`; in structured output, put the id in "ruleId". Issues that break no team rule get no tag.
+
+${sets.join('\n\n')}`;
+}
+
+// Builds the reviewer persona for one request from a prompt template (see
+// templates.js):
+// - `language`: a profile id from ./languages (e.g. "python"); anything else gets
+//   the language-neutral section.
+// - `focus`: focus area ids (see FOCUS_IDS); empty or missing means all of them.
+// - `strictness`: one of STRICTNESS_LEVELS, "balanced" by default.
+// - `ruleSets`: team rule sets to enforce, as loaded by ruleSet.service.
+// - `promptVersion`: the template to use instead of the active one (evaluations
+//   compare versions this way).
+function buildSystemInstruction({ language, focus, strictness, ruleSets, promptVersion } = {}) {
+    // Keep the canonical order whatever order the client sent.
+    const areas = focus?.length ? FOCUS_IDS.filter((id) => focus.includes(id)) : FOCUS_IDS;
+
+    return templates.render(templates.getTemplate(promptVersion ?? templates.activeVersion()), {
+        scope: buildScopeSection(areas),
+        criteria: buildCriteriaSection(areas),
+        strictness: sections.STRICTNESS[strictness] ?? sections.STRICTNESS[DEFAULT_STRICTNESS],
+        rules: buildRulesSection(ruleSets),
+        language: buildLanguageSection(getLanguageProfile(language))
+    });
+}
+
+module.exports = { buildSystemInstruction, FOCUS_IDS, STRICTNESS_LEVELS, DEFAULT_STRICTNESS };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned system prompt templates, kept out of the code: one Markdown file per
+// version in PROMPT_TEMPLATES_DIR (default ./templates), named after it, e.g.
+// v2.md. A template may open with a front matter block holding its
+// `description`. Placeholders mark where the per-request parts go (see
+// system.prompt.js): {{scope}}, {{criteria}}, {{strictness}}, {{rules}} and
+// {{language}}; a template without one of them leaves that part out.
+// PROMPT_VERSION picks the version reviews use.
+const TEMPLATES_DIR = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, 'templates');
+const DEFAULT_VERSION = 'v2';
+const PLACEHOLDERS = [ 'scope', 'criteria', 'strictness', 'rules', 'language' ];
+
+const FRONT_MATTER = /^---\n([\s\S]*?)\n---\n/;
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+let templates = null;
+let active = null;
+
+function parseTemplate(version, text) {
+    const front = text.replace(/\r\n/g, '\n').match(FRONT_MATTER);
+    const meta = Object.fromEntries((front?.[1] ?? '').split('\n')
+        .map((line) => line.match(/^(\w+):\s*(.*)$/))
+        .filter(Boolean)
+        .map(([ , key, value ]) => [ key, value.trim() ]));
+    const body = text.replace(/\r\n/g, '\n').slice(front ? front[0].length : 0).trimEnd();
+    const placeholders = [ ...new Set([ ...body.matchAll(PLACEHOLDER) ].map((m) => m[1])) ];
+
+    const unknown = placeholders.filter((name) => !PLACEHOLDERS.includes(name));
+    if (unknown.length) {
+        throw new Error(`Prompt template ${version} uses unknown placeholders: ${unknown.join(', ')}`);
+    }
+    return { version, description: meta.description ?? '', placeholders, body };
+}
+
+// Read once, on first use.
+function loadTemplates() {
+    templates ??= new Map(fs.readdirSync(TEMPLATES_DIR)
+        .filter((file) => file.endsWith('.md'))
+        .map((file) => {
+            const version = path.basename(file, '.md');
+            return [ version, parseTemplate(version, fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8')) ];
+        }));
+    return templates;
+}
+
+// [{ version, description, placeholders }], oldest version first.
+function listTemplates() {
+    return [ ...loadTemplates().values() ]
+        .map(({ version, description, placeholders }) => ({ version, description, placeholders }))
+        .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+function getTemplate(version) {
+    const template = loadTemplates().get(version);
+    if (!template) {
+        throw new Error(`Unknown prompt version "${version}". Available: ${listTemplates().map((t) => t.version).join(', ')}`);
+    }
+    return template;
+}
+
+// The version reviews use: PROMPT_VERSION, or DEFAULT_VERSION when that isn't set
+// or doesn't exist.
+function activeVersion() {
+    if (active) return active;
+    const wanted = process.env.PROMPT_VERSION || DEFAULT_VERSION;
+    active = loadTemplates().has(wanted) ? wanted : DEFAULT_VERSION;
+    if (active !== wanted) {
+        console.warn(`PROMPT_VERSION "${wanted}" has no template in ${TEMPLATES_DIR}; using ${DEFAULT_VERSION}.`);
+    }
+
+    const missing = PLACEHOLDERS.filter((name) => !getTemplate(active).placeholders.includes(name));
+    if (missing.length) {
+        console.warn(`Prompt ${active} has no place for ${missing.join(', ')}; those review options are ignored.`);
+    }
+    return active;
+}
+
+// Fills a template's placeholders with `parts` ({ name: text }). A placeholder
+// on a line of its own disappears with the blank line after it when its part
+// is empty (e.g. no team rules).
+function render(template, parts) {
+    return template.body
+        .replace(/^\{\{(\w+)\}\}(\n\n?|$)/gm, (match, name, after) => (parts[name] ? parts[name] + after : ''))
+        .replace(PLACEHOLDER, (match, name) => parts[name] ?? '')
+        .trimEnd();
+}
+
+module.exports = { DEFAULT_VERSION, listTemplates, getTemplate, activeVersion, render };
@@ -0,0 +1,14 @@
+const express = require('express');
+const adminController = require('../controllers/admin.controller');
+const router = express.Router();
+
+router.get('/metrics', adminController.getSummary);
+router.get('/metrics/:groupBy', adminController.getBreakdown);
+router.get('/redactions', adminController.listRedactions);
+router.get('/prices', adminController.listPrices);
+router.put('/prices/:model', adminController.setPrice);
+router.delete('/prices/:model', adminController.removePrice);
+router.put('/users/:email/team', adminController.setUserTeam);
+
+
+module.exports = router;
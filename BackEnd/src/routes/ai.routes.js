@@ -1,8 +1,32 @@
 const express = require('express');
 const aiController = require('../controllers/ai.controller');
+const exportController = require('../controllers/export.controller');
+const multer = require('multer');
+const { pickModels } = require('../services/consensus.service');
+const { enforceQuota, enforceQuotaOf } = require('../middlewares/quota.middleware');
+const { trackMetrics } = require('../middlewares/metrics.middleware');
+const { loadRuleSets } = require('../middlewares/ruleSets.middleware');
+const { auditRedactions } = require('../middlewares/redaction.middleware');
 const router = express.Router();
 
-router.post('/get-review', aiController.getReview);
+// Project archives are kept in memory; they are unpacked and discarded per request.
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Number(process.env.PROJECT_MAX_ARCHIVE_BYTES || 10 * 1024 * 1024) }
+});
+
+router.post('/get-review', trackMetrics('review'), auditRedactions, loadRuleSets, enforceQuota, aiController.getReview);
+router.get('/get-review/stream', trackMetrics('stream'), auditRedactions, loadRuleSets, enforceQuota, aiController.streamReview);
+router.post('/get-review/stream', trackMetrics('stream'), auditRedactions, loadRuleSets, enforceQuota, aiController.streamReview);
+// Multipart fields are only parsed by multer, so rule sets load after the upload.
+router.post('/get-project-review', trackMetrics('project'), auditRedactions, enforceQuota, upload.single('archive'), loadRuleSets, aiController.getProjectReview);
+// Each model's call is recorded as its own metric (see metrics.middleware) and
+// counts as a request against the quota.
+router.post('/get-consensus-review', trackMetrics('consensus'), auditRedactions, loadRuleSets, enforceQuotaOf((req) => pickModels(req.body.models).length), aiController.getConsensusReview);
+router.get('/consensus/models', aiController.listConsensusModels);
+router.post('/redactions/preview', aiController.previewRedactions);
+router.get('/cache/stats', aiController.getCacheStats);
+router.post('/export', exportController.exportReview);
 
 
 module.exports = router;
\ No newline at end of file
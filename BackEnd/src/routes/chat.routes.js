@@ -0,0 +1,18 @@
+const express = require('express');
+const chatController = require('../controllers/chat.controller');
+const { enforceQuota } = require('../middlewares/quota.middleware');
+const { trackMetrics } = require('../middlewares/metrics.middleware');
+const { loadRuleSets } = require('../middlewares/ruleSets.middleware');
+const { auditRedactions } = require('../middlewares/redaction.middleware');
+const router = express.Router();
+
+router.use(chatController.requireDatabase);
+
+router.get('/', chatController.listThreads);
+router.post('/', trackMetrics('chat'), auditRedactions, loadRuleSets, enforceQuota, chatController.startThread);
+router.get('/:sessionId', chatController.getThread);
+router.post('/:sessionId/messages', trackMetrics('chat'), auditRedactions, enforceQuota, chatController.sendMessage);
+router.delete('/:sessionId', chatController.deleteThread);
+
+
+module.exports = router;
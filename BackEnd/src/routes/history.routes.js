@@ -0,0 +1,12 @@
+const express = require('express');
+const historyController = require('../controllers/history.controller');
+const exportController = require('../controllers/export.controller');
+const router = express.Router();
+
+router.get('/', historyController.listReviews);
+router.get('/:id', historyController.getReview);
+router.get('/:id/export', exportController.exportSavedReview);
+router.delete('/:id', historyController.deleteReview);
+
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const jobController = require('../controllers/job.controller');
+const { enforceQuota } = require('../middlewares/quota.middleware');
+const { loadRuleSets } = require('../middlewares/ruleSets.middleware');
+const router = express.Router();
+
+// Queued reviews count against the quota when they are queued; their token
+// usage and metrics are recorded by the job itself (see job.service).
+router.post('/', loadRuleSets, enforceQuota, jobController.createJob);
+router.get('/:id', jobController.getJob);
+router.delete('/:id', jobController.cancelJob);
+
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const presetController = require('../controllers/preset.controller');
+const router = express.Router();
+
+router.get('/', presetController.listPresets);
+router.post('/', presetController.createPreset);
+router.delete('/:id', presetController.deletePreset);
+
+
+module.exports = router;
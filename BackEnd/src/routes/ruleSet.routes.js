@@ -0,0 +1,12 @@
+const express = require('express');
+const ruleSetController = require('../controllers/ruleSet.controller');
+const router = express.Router();
+
+router.get('/', ruleSetController.listRuleSets);
+router.post('/', ruleSetController.createRuleSet);
+router.get('/:id', ruleSetController.getRuleSet);
+router.put('/:id', ruleSetController.updateRuleSet);
+router.delete('/:id', ruleSetController.deleteRuleSet);
+
+
+module.exports = router;
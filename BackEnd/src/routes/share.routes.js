@@ -0,0 +1,13 @@
+const express = require('express');
+const shareController = require('../controllers/share.controller');
+const { requireAuth } = require('../middlewares/auth.middleware');
+const router = express.Router();
+
+// Reading a shared review needs only its link; managing shares needs a user.
+router.get('/:id', shareController.getSharedReview);
+router.get('/', requireAuth, shareController.listShares);
+router.post('/', requireAuth, shareController.createShare);
+router.delete('/:id', requireAuth, shareController.revokeShare);
+
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const webhookController = require('../controllers/webhook.controller');
+const router = express.Router();
+
+// Called by GitHub / GitLab, which authenticate with the webhook secret instead of a user token.
+router.post('/github', webhookController.github);
+router.post('/gitlab', webhookController.gitlab);
+
+
+module.exports = router;
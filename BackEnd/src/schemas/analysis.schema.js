@@ -0,0 +1,59 @@
+const { validateFinding } = require('./review.schema');
+
+// Shape of a static analysis (see analysis.service), for analyses that come
+// back from clients: { findings, functions, limits, tools }. Findings use the
+// structured review's finding shape plus `tool`.
+
+const TOOL_STATUSES = [ 'ok', 'failed' ];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function validateList(value, at, validateItem) {
+    if (!Array.isArray(value)) return [ `${at} must be an array` ];
+    return value.flatMap((item, i) => validateItem(item, `${at}[${i}]`));
+}
+
+function validateAnalysisFinding(finding, at) {
+    const errors = validateFinding(finding, at);
+    if (isObject(finding) && finding.tool != null && typeof finding.tool !== 'string') errors.push(`${at}.tool must be a string`);
+    return errors;
+}
+
+function validateFunction(fn, at) {
+    if (!isObject(fn)) return [ `${at} must be an object` ];
+    const errors = [];
+    if (typeof fn.name !== 'string') errors.push(`${at}.name must be a string`);
+    for (const field of [ 'lineStart', 'lineEnd', 'lines', 'complexity' ]) {
+        if (!Number.isInteger(fn[field])) errors.push(`${at}.${field} must be an integer`);
+    }
+    return errors;
+}
+
+function validateTool(tool, at) {
+    if (!isObject(tool)) return [ `${at} must be an object` ];
+    const errors = [];
+    if (typeof tool.name !== 'string' || !tool.name) errors.push(`${at}.name is required`);
+    if (!TOOL_STATUSES.includes(tool.status)) errors.push(`${at}.status must be one of ${TOOL_STATUSES.join(', ')}`);
+    if (tool.error != null && typeof tool.error !== 'string') errors.push(`${at}.error must be a string`);
+    return errors;
+}
+
+// Returns a list of human readable problems; an empty list means the analysis is valid.
+function validateAnalysis(analysis, at = 'analysis') {
+    if (!isObject(analysis)) return [ `${at} must be an object` ];
+    const errors = [
+        ...validateList(analysis.findings, `${at}.findings`, validateAnalysisFinding),
+        ...validateList(analysis.functions, `${at}.functions`, validateFunction),
+        ...validateList(analysis.tools, `${at}.tools`, validateTool)
+    ];
+    if (!isObject(analysis.limits)) {
+        errors.push(`${at}.limits must be an object`);
+    } else {
+        for (const field of [ 'functionLines', 'complexity' ]) {
+            if (typeof analysis.limits[field] !== 'number') errors.push(`${at}.limits.${field} must be a number`);
+        }
+    }
+    return errors;
+}
+
+module.exports = { validateAnalysis };
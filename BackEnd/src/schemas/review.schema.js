@@ -0,0 +1,186 @@
+// Shape of a structured review. The model is asked to answer with JSON matching
+// this contract; `repairReview` fixes the usual near-misses and `validateReview`
+// reports whatever is still wrong so the service can retry.
+
+const SEVERITIES = ['critical', 'warning', 'suggestion'];
+
+const CATEGORIES = [
+    'architecture',
+    'security',
+    'performance',
+    'error-handling',
+    'readability',
+    'testing',
+    'correctness',
+    'documentation',
+    'other'
+];
+
+// Common synonyms the model uses instead of our severity names.
+const SEVERITY_ALIASES = {
+    high: 'critical',
+    error: 'critical',
+    blocker: 'critical',
+    major: 'critical',
+    medium: 'warning',
+    moderate: 'warning',
+    minor: 'suggestion',
+    low: 'suggestion',
+    info: 'suggestion',
+    nit: 'suggestion'
+};
+
+const CATEGORY_ALIASES = {
+    design: 'architecture',
+    maintainability: 'readability',
+    style: 'readability',
+    'code-quality': 'readability',
+    bug: 'correctness',
+    logic: 'correctness',
+    errors: 'error-handling',
+    tests: 'testing',
+    docs: 'documentation'
+};
+
+// Included verbatim in the prompt so the model knows the exact contract.
+const REVIEW_JSON_SCHEMA = `{
+  "summary": string,                       // one or two sentences on overall quality
+  "findings": [
+    {
+      "severity": ${SEVERITIES.map((s) => `"${s}"`).join(' | ')},
+      "category": ${CATEGORIES.map((c) => `"${c}"`).join(' | ')},
+      "title": string,                     // short headline
+      "lineStart": integer,                // 1-based line in the submitted code
+      "lineEnd": integer,                  // >= lineStart
+      "message": string,                   // what is wrong and why it matters
+      "suggestedFix": string,              // concrete fix, may contain code
+      "ruleId": string | null              // id of the team rule it breaks, if any
+    }
+  ],
+  "strengths": [string],                   // what is done well
+  "refactoredCode": { "language": string, "code": string },
+  "takeaways": [string]
+}`;
+
+function toSlug(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+function toLine(value) {
+    const n = Number.parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function toStringList(value) {
+    if (!Array.isArray(value)) return typeof value === 'string' && value ? [value] : [];
+    return value.filter((v) => typeof v === 'string' && v.trim()).map((v) => v.trim());
+}
+
+// Pull the JSON object out of the raw model text (it sometimes wraps it in a
+// ```json fence or adds a sentence before it) and parse it.
+function parseReviewText(text) {
+    if (typeof text !== 'string') return null;
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const body = fenced ? fenced[1] : text;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(body.slice(start, end + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
+// One of CATEGORIES for whatever category name the model used, `other` when unknown.
+function normalizeCategory(value) {
+    const category = toSlug(value);
+    return CATEGORIES.includes(category) ? category : (CATEGORY_ALIASES[category] ?? 'other');
+}
+
+function repairFinding(raw) {
+    if (!raw || typeof raw !== 'object') return raw;
+    const severity = toSlug(raw.severity);
+    let lineStart = toLine(raw.lineStart ?? raw.line ?? raw.lines?.[0]);
+    let lineEnd = toLine(raw.lineEnd ?? raw.lines?.[1]) ?? lineStart;
+    if (lineStart && lineEnd && lineEnd < lineStart) [ lineStart, lineEnd ] = [ lineEnd, lineStart ];
+
+    return {
+        severity: SEVERITY_ALIASES[severity] ?? severity,
+        category: normalizeCategory(raw.category),
+        title: typeof raw.title === 'string' ? raw.title.trim() : '',
+        lineStart,
+        lineEnd,
+        message: typeof raw.message === 'string' ? raw.message.trim() : (raw.description ?? ''),
+        suggestedFix: typeof raw.suggestedFix === 'string' ? raw.suggestedFix : (raw.fix ?? ''),
+        ruleId: typeof raw.ruleId === 'string' && raw.ruleId.trim() ? raw.ruleId.trim() : null
+    };
+}
+
+// Normalise a parsed model answer into the schema shape. Anything that cannot be
+// repaired is left as-is so `validateReview` can report it.
+function repairReview(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return raw;
+    const refactored = raw.refactoredCode;
+
+    return {
+        summary: typeof raw.summary === 'string' ? raw.summary.trim() : '',
+        findings: Array.isArray(raw.findings) ? raw.findings.map(repairFinding) : raw.findings,
+        strengths: toStringList(raw.strengths),
+        refactoredCode: typeof refactored === 'string'
+            ? { language: '', code: refactored }
+            : {
+                language: typeof refactored?.language === 'string' ? refactored.language : '',
+                code: typeof refactored?.code === 'string' ? refactored.code : ''
+            },
+        takeaways: toStringList(raw.takeaways)
+    };
+}
+
+// Problems with one finding, named `at` in the messages. Lines may be missing;
+// the text fields other than `message` are optional.
+function validateFinding(finding, at) {
+    if (!finding || typeof finding !== 'object' || Array.isArray(finding)) {
+        return [ `${at} must be an object` ];
+    }
+    const errors = [];
+    if (!SEVERITIES.includes(finding.severity)) errors.push(`${at}.severity must be one of ${SEVERITIES.join(', ')}`);
+    if (!CATEGORIES.includes(finding.category)) errors.push(`${at}.category must be one of ${CATEGORIES.join(', ')}`);
+    if (typeof finding.message !== 'string' || !finding.message) errors.push(`${at}.message is required`);
+    for (const field of [ 'lineStart', 'lineEnd' ]) {
+        if (finding[field] != null && !Number.isInteger(finding[field])) errors.push(`${at}.${field} must be an integer`);
+    }
+    for (const field of [ 'title', 'suggestedFix', 'ruleId' ]) {
+        if (finding[field] != null && typeof finding[field] !== 'string') errors.push(`${at}.${field} must be a string`);
+    }
+    return errors;
+}
+
+// Returns a list of human readable problems; an empty list means the review is valid.
+function validateReview(review) {
+    const errors = [];
+    if (!review || typeof review !== 'object' || Array.isArray(review)) {
+        return [ 'response is not a JSON object' ];
+    }
+    if (typeof review.summary !== 'string') errors.push('summary must be a string');
+    if (!Array.isArray(review.findings)) {
+        errors.push('findings must be an array');
+    } else {
+        review.findings.forEach((finding, i) => errors.push(...validateFinding(finding, `findings[${i}]`)));
+    }
+    if (!Array.isArray(review.strengths)) errors.push('strengths must be an array of strings');
+    if (!review.refactoredCode || typeof review.refactoredCode.code !== 'string') errors.push('refactoredCode.code must be a string');
+    if (!Array.isArray(review.takeaways)) errors.push('takeaways must be an array of strings');
+    return errors;
+}
+
+module.exports = {
+    SEVERITIES,
+    CATEGORIES,
+    normalizeCategory,
+    REVIEW_JSON_SCHEMA,
+    parseReviewText,
+    repairReview,
+    validateFinding,
+    validateReview
+};
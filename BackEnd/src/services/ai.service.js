@@ -1,689 +1,323 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-// The client gets the API key from the environment variable `GOOGLE_GEMINI_KEY`.
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_KEY);
-const model = genAI.getGenerativeModel({
-    model: "gemini-2.0-flash",
-    systemInstruction: `
-# 🎯 AI Code Reviewer - Senior Software Engineer (7+ Years Experience)
-
-## 🔷 ROLE & IDENTITY
-You are an elite code reviewer with 7+ years of full-stack development experience across multiple languages and frameworks. You combine deep technical expertise with practical real-world experience in building scalable, production-grade systems.
-
-## 🎯 CORE REVIEW OBJECTIVES
-1. **Code Quality** - Clean, maintainable, and well-structured code
-2. **Security** - Identify vulnerabilities and security risks
-3. **Performance** - Optimize execution time and resource usage
-4. **Scalability** - Design for growth and maintainability
-5. **Best Practices** - Apply industry-standard patterns and principles
-6. **Error Handling** - Robust error management and edge case coverage
-7. **Testing** - Adequate test coverage and quality
-8. **Documentation** - Clear, meaningful comments and documentation
-
-## 📋 COMPREHENSIVE REVIEW CRITERIA
-
-### 1️⃣ Architecture & Design
-- Adherence to SOLID principles
-- Proper separation of concerns
-- DRY (Don't Repeat Yourself) principle
-- Design pattern appropriateness
-- Module coupling and cohesion
-- Dependency injection and inversion
-
-### 2️⃣ Security Analysis
-- Input validation and sanitization
-- SQL Injection vulnerabilities
-- XSS (Cross-Site Scripting) risks
-- CSRF (Cross-Site Request Forgery) protection
-- Authentication and authorization flaws
-- Sensitive data exposure
-- Insecure dependencies
-- API security (rate limiting, authentication)
-
-### 3️⃣ Performance Optimization
-- Time complexity analysis (Big O notation)
-- Space complexity optimization
-- Database query efficiency (N+1 problems)
-- Unnecessary loops or iterations
-- Memory leaks
-- Caching opportunities
-- Lazy loading vs eager loading
-- Asynchronous operations usage
-
-### 4️⃣ Error Handling & Edge Cases
-- Try-catch blocks placement
-- Null/undefined checks
-- Empty array/object handling
-- Error message clarity
-- Graceful degradation
-- Timeout handling
-- Race condition prevention
-
-### 5️⃣ Code Quality & Readability
-- Naming conventions (camelCase, PascalCase, etc.)
-- Function length (ideally < 50 lines)
-- Cyclomatic complexity
-- Magic numbers/strings
-- Code duplication
-- Commented-out code removal
-- Consistent formatting
-
-### 6️⃣ Testing & Validation
-- Unit test coverage
-- Integration test presence
-- Edge case testing
-- Mock/stub usage
-- Test naming conventions
-- Assertion quality
-
-## 📐 OUTPUT FORMAT STRUCTURE
-
-**For each review, structure your response as follows:**
-
-### 🔴 Critical Issues (Must Fix)
-List issues that could break functionality or create security vulnerabilities
-
-### 🟡 Warnings (Should Fix)
-List issues that impact performance, maintainability, or best practices
-
-### 🟢 Suggestions (Nice to Have)
-List optional improvements for better code quality
-
-### ✅ What's Done Well
-Highlight positive aspects to encourage good practices
-
-### 📝 Refactored Code
-Provide the complete improved version
-
-### 💡 Key Takeaways
-Summary of main improvements
-
----
-
-## 🎓 DETAILED EXAMPLES
-
-### Example 1: Async/Await & Error Handling
-
-❌ **Bad Code:**
-\`\`\`javascript
-function fetchData() {
-    let data = fetch('/api/data').then(response => response.json());
-    return data;
-}
-\`\`\`
-
-🔍 **Issues:**
-- ❌ **Critical:** Returns Promise, not actual data
-- ❌ **Critical:** No error handling for network failures
-- ❌ **Warning:** No HTTP status validation
-- ❌ **Warning:** No timeout mechanism
-
-✅ **Refactored Code:**
-\`\`\`javascript
-/**
- * Fetches data from the API with proper error handling
- * @param {string} endpoint - API endpoint to fetch from
- * @param {number} timeout - Request timeout in milliseconds (default: 5000)
- * @returns {Promise<Object|null>} Parsed JSON data or null on error
- */
-async function fetchData(endpoint = '/api/data', timeout = 5000) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-    
-    try {
-        const response = await fetch(endpoint, { 
-            signal: controller.signal,
-            headers: { 'Content-Type': 'application/json' }
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            throw new Error(\`HTTP error! Status: \${response.status} - \${response.statusText}\`);
-        }
-        
-        return await response.json();
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            console.error('Request timeout after', timeout, 'ms');
-        } else {
-            console.error('Failed to fetch data:', error.message);
-        }
-        return null;
+const { getProvider } = require("./providers");
+const cache = require("./cache.service");
+const { formatForPrompt } = require("./analysis.service");
+const { createRedactor } = require("./redaction.service");
+const { buildSystemInstruction } = require("../prompts/system.prompt");
+const { REVIEW_JSON_SCHEMA, parseReviewText, repairReview, validateReview } = require("../schemas/review.schema");
+const { toMarkdown } = require("../utils/reviewMarkdown");
+const { TimeoutError, UpstreamError, ValidationError } = require("../utils/errors");
+const { TIMEOUT_MS, MAX_RETRIES, backoffDelay, sleep, timeoutSignal, isRetryable, withRetry } = require("../utils/retry");
+
+// generateContent prints every review it returns, for following along in the
+// server log. LOG_AI_RESPONSES=false turns that off.
+const LOG_RESPONSES = process.env.LOG_AI_RESPONSES !== 'false';
+
+// How many times a structured review is requested before giving up on the model
+// producing JSON that matches the schema.
+const STRUCTURED_MAX_ATTEMPTS = 3;
+
+// Appended to the system instruction for structured reviews: same reviewer, but the
+// answer is a JSON document instead of Markdown.
+const STRUCTURED_INSTRUCTION = `
+## 🧾 STRUCTURED OUTPUT MODE
+Ignore the Markdown output format above. Answer with a single JSON object and nothing else, matching:
+
+${REVIEW_JSON_SCHEMA}
+
+- Line numbers refer to the numbered lines of the submitted code.
+- Put every issue in "findings"; use "strengths" for what is done well.
+- "refactoredCode.code" holds the complete improved version without Markdown fences.
+`;
+
+// Appended to the system instruction for follow-up questions on a review: the
+// review is already in the conversation, so only the question gets answered.
+const CHAT_INSTRUCTION = `
+## 💬 FOLLOW-UP MODE
+You have already reviewed the code at the start of this conversation, and the developer is now asking about that review. Ignore the output format above: answer the latest message directly, in Markdown, without repeating the whole review. Put code in fenced blocks with a language tag, and when asked for another version of the code, show it in full.
+`;
+
+// Appended to the system instruction when something was redacted from the prompt.
+const REDACTION_INSTRUCTION = `
+## 🔒 REDACTED VALUES
+Secrets and personal data in the code were replaced with placeholders such as REDACTED_AWS_ACCESS_KEY_1 or REDACTED_EMAIL_1 before it was sent to you. Review the code as if the original values were there (a hard-coded credential is still an issue) and keep the placeholders unchanged wherever you quote or rewrite that code.
+`;
+
+// Hands the provider's token usage to `options.onUsage` (quota accounting), if set.
+async function reportUsage(options, usage) {
+    if (options.onUsage && usage) {
+        await options.onUsage(usage);
     }
 }
-\`\`\`
-
-💡 **Improvements:**
-- ✔ Proper async/await usage
-- ✔ Comprehensive error handling
-- ✔ HTTP status validation
-- ✔ Timeout mechanism with AbortController
-- ✔ Configurable parameters
-- ✔ JSDoc documentation
-- ✔ Detailed error logging
-
----
-
-### Example 2: Security Vulnerabilities
-
-❌ **Bad Code:**
-\`\`\`javascript
-app.post('/login', (req, res) => {
-    const { username, password } = req.body;
-    const query = \`SELECT * FROM users WHERE username='\${username}' AND password='\${password}'\`;
-    db.query(query, (err, result) => {
-        if (result.length > 0) {
-            res.json({ success: true });
-        }
+
+// Cache key of a review: `kind` separates Markdown, structured and diff answers,
+// and `extra` carries whatever else went into the prompt.
+function reviewCacheKey(kind, code, provider, systemInstruction, options, extra) {
+    return cache.cacheKey({
+        kind,
+        code,
+        // Diff hunks are annotated line by line, so they are hashed as they are.
+        normalize: kind !== 'diff',
+        language: options.language,
+        provider: provider.name,
+        model: options.model || provider.defaultModel,
+        systemInstruction,
+        options,
+        extra
     });
-});
-\`\`\`
-
-🔍 **Issues:**
-- 🚨 **Critical:** SQL Injection vulnerability
-- 🚨 **Critical:** Plain text password storage
-- ❌ **Critical:** No input validation
-- ❌ **Critical:** Missing rate limiting
-- ❌ **Warning:** No session management
-- ❌ **Warning:** Exposing database errors to client
-
-✅ **Refactored Code:**
-\`\`\`javascript
-const bcrypt = require('bcrypt');
-const rateLimit = require('express-rate-limit');
-const validator = require('validator');
-
-// Rate limiting middleware
-const loginLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // 5 attempts
-    message: 'Too many login attempts, please try again later'
-});
-
-app.post('/login', loginLimiter, async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        // Input validation
-        if (!username || !password) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Username and password are required' 
-            });
-        }
-        
-        if (!validator.isAlphanumeric(username)) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Invalid username format' 
-            });
-        }
-        
-        // Parameterized query to prevent SQL injection
-        const query = 'SELECT id, username, password_hash FROM users WHERE username = ?';
-        const [users] = await db.query(query, [username]);
-        
-        if (users.length === 0) {
-            // Generic error message to prevent user enumeration
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Invalid credentials' 
-            });
-        }
-        
-        const user = users[0];
-        const passwordMatch = await bcrypt.compare(password, user.password_hash);
-        
-        if (!passwordMatch) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Invalid credentials' 
-            });
-        }
-        
-        // Create secure session
-        req.session.userId = user.id;
-        req.session.username = user.username;
-        
-        res.json({ 
-            success: true, 
-            message: 'Login successful',
-            user: { id: user.id, username: user.username }
-        });
-        
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'An error occurred during login' 
-        });
+}
+
+// Swaps secrets and personal data in what goes to the provider (`prompt` or the
+// `messages` of a conversation) for placeholders, see redaction.service, and
+// reports what was swapped to `options.onRedact`. Returns the request to send and
+// the `redactor` that puts the values back into the answer. Cached answers keep
+// their placeholders, so the cache never holds the values, and every request,
+// cache hit or not, restores its own.
+// `options.redacted` marks code that redactCode has already been through.
+function redactRequest({ systemInstruction, prompt, messages }, options) {
+    const redactor = createRedactor();
+    const request = messages
+        ? { messages: messages.map((m) => ({ ...m, content: redactor.redact(m.content) })) }
+        : { prompt: redactor.redact(prompt) };
+
+    reportRedactions(redactor, options);
+    if (!redactor.redactions.length && !options.redacted) {
+        return { systemInstruction, ...request, redactor };
     }
-});
-\`\`\`
-
-💡 **Improvements:**
-- ✔ Parameterized queries prevent SQL injection
-- ✔ Password hashing with bcrypt
-- ✔ Input validation with validator library
-- ✔ Rate limiting to prevent brute force
-- ✔ Secure session management
-- ✔ Generic error messages prevent user enumeration
-- ✔ Comprehensive error handling
-- ✔ Proper HTTP status codes
-
----
-
-### Example 3: Performance Optimization
-
-❌ **Bad Code:**
-\`\`\`javascript
-function processUsers(users) {
-    const results = [];
-    for (let i = 0; i < users.length; i++) {
-        const user = users[i];
-        const posts = db.query(\`SELECT * FROM posts WHERE user_id = \${user.id}\`);
-        const comments = db.query(\`SELECT * FROM comments WHERE user_id = \${user.id}\`);
-        results.push({ ...user, posts, comments });
+    return { systemInstruction: systemInstruction + REDACTION_INSTRUCTION, ...request, redactor };
+}
+
+function reportRedactions(redactor, options) {
+    if (redactor.redactions.length && options.onRedact) {
+        options.onRedact(redactor.redactions.map(({ label, ...r }) => (options.path ? { ...r, path: options.path } : r)));
     }
-    return results;
 }
-\`\`\`
-
-🔍 **Issues:**
-- 🚨 **Critical:** N+1 query problem
-- 🚨 **Critical:** SQL injection vulnerability
-- ❌ **Warning:** Synchronous operations block execution
-- ❌ **Warning:** No database connection pooling
-- ⚠️ **Suggestion:** Could use more efficient data structures
-
-✅ **Refactored Code:**
-\`\`\`javascript
-/**
- * Efficiently processes users with their posts and comments
- * @param {Array<Object>} users - Array of user objects
- * @returns {Promise<Array<Object>>} Users with their posts and comments
- */
-async function processUsers(users) {
-    if (!users || users.length === 0) return [];
-    
-    const userIds = users.map(user => user.id);
-    
-    // Single query for all posts
-    const postsQuery = \`
-        SELECT * FROM posts 
-        WHERE user_id IN (?)
-        ORDER BY user_id, created_at DESC
-    \`;
-    
-    // Single query for all comments
-    const commentsQuery = \`
-        SELECT * FROM comments 
-        WHERE user_id IN (?)
-        ORDER BY user_id, created_at DESC
-    \`;
-    
-    // Execute queries in parallel
-    const [posts, comments] = await Promise.all([
-        db.query(postsQuery, [userIds]),
-        db.query(commentsQuery, [userIds])
-    ]);
-    
-    // Create lookup maps for O(1) access
-    const postsByUser = new Map();
-    const commentsByUser = new Map();
-    
-    posts.forEach(post => {
-        if (!postsByUser.has(post.user_id)) {
-            postsByUser.set(post.user_id, []);
-        }
-        postsByUser.get(post.user_id).push(post);
-    });
-    
-    comments.forEach(comment => {
-        if (!commentsByUser.has(comment.user_id)) {
-            commentsByUser.set(comment.user_id, []);
-        }
-        commentsByUser.get(comment.user_id).push(comment);
-    });
-    
-    // Map users with their data
-    return users.map(user => ({
-        ...user,
-        posts: postsByUser.get(user.id) || [],
-        comments: commentsByUser.get(user.id) || []
-    }));
+
+// Redacts `code` once for several model calls on it (consensus reviews) and
+// reports that to `options.onRedact`. The calls get the redacted code with
+// `redacted: true` and no `onRedact`; the returned redactor restores their answers.
+function redactCode(code, options = {}) {
+    const redactor = createRedactor();
+    const redacted = redactor.redact(code);
+    reportRedactions(redactor, options);
+    return { code: redacted, redactor };
 }
-\`\`\`
-
-💡 **Improvements:**
-- ✔ Solved N+1 problem: 2 queries instead of 2N queries
-- ✔ Parameterized queries prevent SQL injection
-- ✔ Parallel execution with Promise.all
-- ✔ O(1) lookup time with Map data structure
-- ✔ Input validation for empty arrays
-- ✔ Proper JSDoc documentation
-- ✔ Performance improvement: O(N) instead of O(N²)
-
----
-
-### Example 4: React Component Best Practices
-
-❌ **Bad Code:**
-\`\`\`javascript
-function UserList() {
-    const [users, setUsers] = useState([]);
-    
-    fetch('/api/users')
-        .then(res => res.json())
-        .then(data => setUsers(data));
-    
-    return (
-        <div>
-            {users.map((user, index) => (
-                <div key={index}>
-                    <h3>{user.name}</h3>
-                    <button onClick={() => deleteUser(user.id)}>Delete</button>
-                </div>
-            ))}
-        </div>
-    );
+
+// Numbers the lines of a Markdown review prompt, so issues can point at them,
+// and appends the static analysis (`options.analysis`, from analysis.service)
+// as grounding.
+function withAnalysis(code, options) {
+    const analysis = formatForPrompt(options.analysis);
+    const prompt = `Lines are numbered for reference; leave the numbers out of the refactored code.\n\n${numberLines(code)}`;
+    return { prompt: analysis ? `${prompt}\n\n${analysis}` : prompt, analysis };
 }
-\`\`\`
-
-🔍 **Issues:**
-- 🚨 **Critical:** Infinite render loop (fetch on every render)
-- ❌ **Warning:** Using array index as key
-- ❌ **Warning:** No loading or error states
-- ❌ **Warning:** Inline function creation on every render
-- ⚠️ **Suggestion:** No accessibility attributes
-
-✅ **Refactored Code:**
-\`\`\`javascript
-import { useState, useEffect, useCallback } from 'react';
-
-function UserList() {
-    const [users, setUsers] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    
-    useEffect(() => {
-        let isMounted = true;
-        
-        const fetchUsers = async () => {
-            try {
-                setLoading(true);
-                const response = await fetch('/api/users');
-                
-                if (!response.ok) {
-                    throw new Error(\`HTTP error! status: \${response.status}\`);
-                }
-                
-                const data = await response.json();
-                
-                if (isMounted) {
-                    setUsers(data);
-                    setError(null);
-                }
-            } catch (err) {
-                if (isMounted) {
-                    setError(err.message);
-                    console.error('Failed to fetch users:', err);
-                }
-            } finally {
-                if (isMounted) {
-                    setLoading(false);
-                }
-            }
-        };
-        
-        fetchUsers();
-        
-        // Cleanup function to prevent state updates on unmounted component
-        return () => {
-            isMounted = false;
-        };
-    }, []); // Empty dependency array - runs once on mount
-    
-    const handleDeleteUser = useCallback(async (userId) => {
-        if (!window.confirm('Are you sure you want to delete this user?')) {
-            return;
-        }
-        
-        try {
-            const response = await fetch(\`/api/users/\${userId}\`, {
-                method: 'DELETE'
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to delete user');
-            }
-            
-            setUsers(prevUsers => prevUsers.filter(user => user.id !== userId));
-        } catch (err) {
-            alert('Failed to delete user: ' + err.message);
-        }
-    }, []);
-    
-    if (loading) {
-        return (
-            <div role="status" aria-live="polite">
-                Loading users...
-            </div>
-        );
-    }
-    
-    if (error) {
-        return (
-            <div role="alert" aria-live="assertive">
-                Error: {error}
-            </div>
-        );
-    }
-    
-    if (users.length === 0) {
-        return <div>No users found.</div>;
+
+// `options` selects the provider/model and the `language` profile of the system
+// prompt (see ../prompts/languages); without a language the prompt stays generic.
+// Answers are cached (see cache.service): `options.cacheControl` can bypass the
+// cache and `options.onCacheStatus` learns whether it was a hit. Like every
+// model call here, secrets and personal data are redacted first (redactRequest),
+// cache hits included.
+async function generateContent(code, options = {}) {
+    // Validate input
+    if (!code || typeof code !== 'string') {
+        throw new ValidationError('generateContent requires a non-empty string prompt');
     }
-    
-    return (
-        <div role="list" aria-label="User list">
-            {users.map((user) => (
-                <div key={user.id} role="listitem">
-                    <h3>{user.name}</h3>
-                    <button 
-                        onClick={() => handleDeleteUser(user.id)}
-                        aria-label={\`Delete user \${user.name}\`}
-                    >
-                        Delete
-                    </button>
-                </div>
-            ))}
-        </div>
-    );
+
+    const provider = getProvider(options.provider);
+    const systemInstruction = buildSystemInstruction(options);
+    const { prompt, analysis } = withAnalysis(code, options);
+    const key = reviewCacheKey('markdown', code, provider, systemInstruction, options, { analysis });
+
+    const { redactor, ...request } = redactRequest({ systemInstruction, prompt }, options);
+    const cached = await cache.remember(key, options, async () => {
+        const { text, usage } = await withRetry((signal) => provider.generate({
+            model: options.model,
+            ...request,
+            signal
+        }), { signal: options.signal, label: `${provider.name} review` });
+        await reportUsage(options, usage);
+        return { text };
+    });
+
+    const text = redactor.restore(cached.text);
+    if (LOG_RESPONSES) console.log(text);
+    return text;
 }
 
-export default UserList;
-\`\`\`
-
-💡 **Improvements:**
-- ✔ useEffect prevents infinite loops
-- ✔ Proper cleanup to prevent memory leaks
-- ✔ Loading and error states
-- ✔ useCallback for optimized function memoization
-- ✔ Unique ID as key instead of index
-- ✔ Accessibility attributes (ARIA)
-- ✔ User confirmation before deletion
-- ✔ Optimistic UI update after deletion
-- ✔ Empty state handling
-
----
-
-## 🎯 RESPONSE GUIDELINES
-
-1. **Always start with a severity assessment** (Critical/Warning/Suggestion)
-2. **Explain the WHY** - Don't just point out issues, explain their impact
-3. **Provide complete refactored code** - Show the full solution, not just snippets
-4. **Include comments** in refactored code to explain key changes
-5. **Mention alternatives** when multiple solutions exist
-6. **Quantify improvements** (e.g., "reduces queries from N to 1", "O(N) instead of O(N²)")
-7. **Be encouraging** - Highlight what's done well
-8. **Use emojis strategically** for visual clarity and engagement
-9. **Keep explanations concise** but comprehensive
-10. **Provide learning resources** when introducing advanced concepts
-
-## 🚀 FINAL MISSION
-
-Your goal is to transform good developers into exceptional ones by providing reviews that are:
-- **Actionable** - Clear steps to improve
-- **Educational** - Teach principles, not just fixes
-- **Practical** - Real-world applicable solutions
-- **Balanced** - Strict but encouraging
-- **Comprehensive** - Cover all aspects of code quality
-
-Remember: Every review is an opportunity to elevate code quality and developer skills. Make each review count! 🎯
-    `
-});
-
-async function generateContent(prompt) {
-    // Validate input
-    if (!prompt || typeof prompt !== 'string') {
-        throw new Error('generateContent requires a non-empty string prompt');
+// Same review as generateContent, but yields the Markdown in chunks as the
+// provider produces it. Pass an AbortSignal to cancel the upstream request.
+// Shares cache entries with generateContent; a hit is yielded as one chunk.
+async function* streamContent(code, options = {}) {
+    if (!code || typeof code !== 'string') {
+        throw new ValidationError('streamContent requires a non-empty string prompt');
     }
 
-    // The SDK accepts a plain string (or array) as the request body for generateContent.
-    // Passing an object like { prompt } caused "request is not iterable" because the SDK
-    // tries to iterate over the provided value.
-    const result = await model.generateContent(prompt);
-
-    // result.response.candidates[0].content.parts is the typical place text lives.
-    const candidate = result?.response?.candidates?.[0];
-    const content = candidate?.content;
-    let extracted = null;
-    if (content?.parts && Array.isArray(content.parts)) {
-        // Join all text parts (ignore other part types)
-        const texts = content.parts.map((p) => (p && typeof p.text === 'string' ? p.text : '')).filter(Boolean);
-        if (texts.length > 0) extracted = texts.join('');
+    const provider = getProvider(options.provider);
+    const systemInstruction = buildSystemInstruction(options);
+    const { prompt, analysis } = withAnalysis(code, options);
+    const key = reviewCacheKey('markdown', code, provider, systemInstruction, options, { analysis });
+
+    const { redactor, ...request } = redactRequest({ systemInstruction, prompt }, options);
+    const cached = await cache.lookup(key, options);
+    if (cached) {
+        yield redactor.restore(cached.text);
+        return;
     }
 
-    // Some responses may be simple strings (unlikely here) or have other shapes.
-    if (!extracted && typeof result?.response === 'string') extracted = result.response;
+    // The cache gets the text as the model wrote it, placeholders and all.
+    let text = '';
+    async function* recorded(chunks) {
+        for await (const chunk of chunks) {
+            text += chunk;
+            yield chunk;
+        }
+    }
+    yield* redactor.restoreStream(recorded(streamFromProvider(provider, request, options)));
+    // A cancelled stream is incomplete, so it isn't cached.
+    if (!options.signal?.aborted) await cache.store(key, { text }, options);
+}
 
-    // Last resort: try to stringify a useful portion of the response
-    if (!extracted) {
-        // Last resort: try to stringify a useful portion of the response
+// The timeout applies to the wait for each chunk. Failures are retried only
+// before the first chunk, since text already sent to the client can't be taken back.
+async function* streamFromProvider(provider, { systemInstruction, prompt }, options) {
+    for (let attempt = 0; ; attempt++) {
+        const timeout = timeoutSignal(TIMEOUT_MS, options.signal);
+        let started = false;
         try {
-            extracted = JSON.stringify(candidate ?? result.response ?? result);
-        }
-        catch (e) {
-            extracted = String(result);
+            for await (const text of provider.stream({
+                model: options.model,
+                systemInstruction,
+                prompt,
+                signal: timeout.signal,
+                onUsage: options.onUsage
+            })) {
+                started = true;
+                timeout.reset();
+                yield text;
+            }
+            if (timeout.timedOut) throw new TimeoutError(TIMEOUT_MS);
+            return;
+        } catch (err) {
+            if (options.signal?.aborted) throw err;
+            const error = timeout.timedOut ? new TimeoutError(TIMEOUT_MS) : err;
+            if (started || !isRetryable(error) || attempt >= MAX_RETRIES) throw error;
+
+            const delay = backoffDelay(attempt + 1);
+            console.warn(`${provider.name} stream failed (${error.message}); retrying in ${Math.round(delay)}ms`);
+            await sleep(delay, options.signal);
+        } finally {
+            timeout.clear();
         }
     }
-
-    console.log(extracted);
-    return extracted;
 }
 
-module.exports = generateContent;
-
-
-/*
-
-Previous Instruction
---------------------
-
-
-
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_KEY);
-const model = genAI.getGenerativeModel({
-    model: "gemini-2.0-flash",
-    systemInstruction: `
-                Here’s a solid system instruction for your AI code reviewer:
-
-                AI System Instruction: Senior Code Reviewer (7+ Years of Experience)
-
-                Role & Responsibilities:
-
-                You are an expert code reviewer with 7+ years of development experience. Your role is to analyze, review, and improve code written by developers. You focus on:
-                	•	Code Quality :- Ensuring clean, maintainable, and well-structured code.
-                	•	Best Practices :- Suggesting industry-standard coding practices.
-                	•	Efficiency & Performance :- Identifying areas to optimize execution time and resource usage.
-                	•	Error Detection :- Spotting potential bugs, security risks, and logical flaws.
-                	•	Scalability :- Advising on how to make code adaptable for future growth.
-                	•	Readability & Maintainability :- Ensuring that the code is easy to understand and modify.
-
-                Guidelines for Review:
-                	1.	Provide Constructive Feedback :- Be detailed yet concise, explaining why changes are needed.
-                	2.	Suggest Code Improvements :- Offer refactored versions or alternative approaches when possible.
-                	3.	Detect & Fix Performance Bottlenecks :- Identify redundant operations or costly computations.
-                	4.	Ensure Security Compliance :- Look for common vulnerabilities (e.g., SQL injection, XSS, CSRF).
-                	5.	Promote Consistency :- Ensure uniform formatting, naming conventions, and style guide adherence.
-                	6.	Follow DRY (Don’t Repeat Yourself) & SOLID Principles :- Reduce code duplication and maintain modular design.
-                	7.	Identify Unnecessary Complexity :- Recommend simplifications when needed.
-                	8.	Verify Test Coverage :- Check if proper unit/integration tests exist and suggest improvements.
-                	9.	Ensure Proper Documentation :- Advise on adding meaningful comments and docstrings.
-                	10.	Encourage Modern Practices :- Suggest the latest frameworks, libraries, or patterns when beneficial.
-
-                Tone & Approach:
-                	•	Be precise, to the point, and avoid unnecessary fluff.
-                	•	Provide real-world examples when explaining concepts.
-                	•	Assume that the developer is competent but always offer room for improvement.
-                	•	Balance strictness with encouragement :- highlight strengths while pointing out weaknesses.
-
-                Output Example:
-
-                ❌ Bad Code:
-                \`\`\`javascript
-                                function fetchData() {
-                    let data = fetch('/api/data').then(response => response.json());
-                    return data;
-                }
-
-                    \`\`\`
+// Prefix every line with its number so the model can report accurate line ranges.
+// `firstLine` lets a chunk of a larger file keep the file's own numbering.
+function numberLines(code, firstLine = 1) {
+    return code.split('\n').map((line, i) => `${i + firstLine}: ${line}`).join('\n');
+}
 
-                🔍 Issues:
-                	•	❌ fetch() is asynchronous, but the function doesn’t handle promises correctly.
-                	•	❌ Missing error handling for failed API calls.
+// `analysis` is the prompt text of the static analysis, if any.
+function buildReviewPrompt(code, options, analysis) {
+    const header = options.path
+        ? `Review the file \`${options.path}\`. Lines are numbered for reference.`
+        : 'Review the following code. Lines are numbered for reference.';
+    const context = options.context
+        ? `\n\nRelated files, for context only (do not review them):\n\n${options.context}`
+        : '';
+    return `${header}\n\n${numberLines(code, options.firstLine)}${context}${analysis ? `\n\n${analysis}` : ''}`;
+}
 
-                ✅ Recommended Fix:
+// Sends a review prompt in structured mode, validates the answer against the
+// schema and retries with the validation errors as feedback when it doesn't match.
+// `cacheInput` ({ kind, code, extra }) identifies the request in the cache.
+async function requestStructuredReview(basePrompt, options, cacheInput) {
+    const provider = getProvider(options.provider);
+    const systemInstruction = buildSystemInstruction(options) + STRUCTURED_INSTRUCTION;
+    const key = reviewCacheKey(cacheInput.kind, cacheInput.code, provider, systemInstruction, options, cacheInput.extra);
+
+    const { redactor, ...request } = redactRequest({ systemInstruction, prompt: basePrompt }, options);
+    const cached = await cache.remember(key, options, async () => {
+        let prompt = request.prompt;
+        let errors = [];
+
+        for (let attempt = 1; attempt <= STRUCTURED_MAX_ATTEMPTS; attempt++) {
+            const { text, usage } = await withRetry((signal) => provider.generate({
+                model: options.model,
+                systemInstruction: request.systemInstruction,
+                prompt,
+                json: true,
+                signal
+            }), { signal: options.signal, label: `${provider.name} structured review` });
+            await reportUsage(options, usage);
+            const review = repairReview(parseReviewText(text));
+            errors = validateReview(review);
+
+            if (errors.length === 0) {
+                return { review };
+            }
 
-                        \`\`\`javascript
-                async function fetchData() {
-                    try {
-                        const response = await fetch('/api/data');
-                        if (!response.ok) throw new Error("HTTP error! Status: $\{response.status}");
-                        return await response.json();
-                    } catch (error) {
-                        console.error("Failed to fetch data:", error);
-                        return null;
-                    }
-                }
-                   \`\`\`
+            console.warn(`Structured review attempt ${attempt} did not match the schema:`, errors);
+            prompt = `${request.prompt}\n\nYour previous answer was not valid. Fix these problems and answer with JSON only:\n- ${errors.join('\n- ')}`;
+        }
 
-                💡 Improvements:
-                	•	✔ Handles async correctly using async/await.
-                	•	✔ Error handling added to manage failed requests.
-                	•	✔ Returns null instead of breaking execution.
+        throw new UpstreamError(`Model did not return a valid structured review after ${STRUCTURED_MAX_ATTEMPTS} attempts: ${errors.join('; ')}`);
+    });
 
-                Final Note:
+    // Restored after validation, so the values can't break the JSON.
+    const review = redactor.restoreDeep(cached.review);
+    return { review, markdown: toMarkdown(review) };
+}
 
-                Your mission is to ensure every piece of code follows high standards. Your reviews should empower developers to write better, more efficient, and scalable code while keeping performance, security, and maintainability in mind.
+// Structured review of a piece of code. Besides provider/model, options may carry
+// `path`, `firstLine` (for chunks of a larger file), `context` (related files
+// the model may read but not review) and `analysis` (the static analysis of
+// the whole file; a chunk only gets the part that falls inside it).
+async function generateStructuredReview(code, options = {}) {
+    if (!code || typeof code !== 'string') {
+        throw new ValidationError('generateStructuredReview requires a non-empty string of code');
+    }
+    const firstLine = options.firstLine ?? 1;
+    const analysis = formatForPrompt(options.analysis, { firstLine, lastLine: firstLine + code.split('\n').length - 1 });
+    return requestStructuredReview(buildReviewPrompt(code, options, analysis), options, {
+        kind: 'structured',
+        code,
+        extra: { path: options.path, firstLine: options.firstLine, context: options.context, analysis }
+    });
+}
 
-                Would you like any adjustments based on your specific needs? 🚀 
-    `
-});
+// Structured review of a change. `annotatedDiff` is the output of
+// diff.service's formatFileDiff: hunks with new-file line numbers.
+async function generateStructuredDiffReview(annotatedDiff, options = {}) {
+    if (!annotatedDiff || typeof annotatedDiff !== 'string') {
+        throw new ValidationError('generateStructuredDiffReview requires a non-empty diff');
+    }
+    const prompt = `Review this change${options.path ? ` to \`${options.path}\`` : ''}. Only comment on lines marked "+" (added or modified); unchanged context lines are there to help you understand the change.
+Report line numbers as the new-file line numbers shown before each line. "refactoredCode" should contain the improved version of the changed hunks only.
 
+${annotatedDiff}`;
+    return requestStructuredReview(prompt, options, { kind: 'diff', code: annotatedDiff, extra: { path: options.path } });
+}
 
-async function generateContent(prompt) {
-    const result = await model.generateContent(prompt);
+// Answers the last user turn of a conversation about a review. `messages` are
+// { role: 'user' | 'assistant', content } turns starting with the code and the
+// review (see chat.service). Replies are not cached: each depends on the thread.
+async function generateChatReply(messages, options = {}) {
+    if (!Array.isArray(messages) || messages.at(-1)?.role !== 'user') {
+        throw new ValidationError('generateChatReply requires a conversation ending with a user message');
+    }
 
-    console.log(result.response.text())
+    const provider = getProvider(options.provider);
+    const { redactor, ...request } = redactRequest({ systemInstruction: buildSystemInstruction(options) + CHAT_INSTRUCTION, messages }, options);
 
-    return result.response.text();
+    const { text, usage } = await withRetry((signal) => provider.generate({
+        model: options.model,
+        ...request,
+        signal
+    }), { signal: options.signal, label: `${provider.name} chat reply` });
+    await reportUsage(options, usage);
 
+    return redactor.restore(text);
 }
 
-module.exports = generateContent   ;
-
-*/
\ No newline at end of file
+module.exports = { generateContent, streamContent, generateStructuredReview, generateStructuredDiffReview, generateChatReply, redactCode };
@@ -0,0 +1,74 @@
+const eslint = require('./analyzers/eslint.analyzer');
+const metrics = require('./analyzers/metrics.analyzer');
+const secrets = require('./analyzers/secrets.analyzer');
+
+// Caps on what goes into the prompt; the response always carries everything.
+const PROMPT_MAX_FINDINGS = 40;
+const PROMPT_MAX_FUNCTIONS = 40;
+
+// Runs the deterministic analyzers over the code before it goes to the model:
+// ESLint (JavaScript / TypeScript), function length and complexity, and the
+// secrets detector. Findings use the structured review's shape plus `tool` and
+// `ruleId`. An analyzer that fails (e.g. code that doesn't parse) is reported in
+// `tools` and skipped; analysis never fails a review.
+function analyzeCode(code, { language, path } = {}) {
+    const findings = [];
+    const tools = [];
+
+    const run = (analyzer, context) => {
+        try {
+            const result = analyzer.analyze(code, context);
+            findings.push(...result.findings);
+            tools.push({ name: analyzer.name, status: 'ok' });
+            return result;
+        } catch (err) {
+            tools.push({ name: analyzer.name, status: 'failed', error: err.message });
+            return null;
+        }
+    };
+
+    let functions = null;
+    if (eslint.supports(language)) {
+        functions = run(eslint, { language, path })?.functions ?? null;
+    }
+    if (metrics.supports(language)) {
+        functions = run(metrics, { language, functions })?.functions ?? null;
+    }
+    run(secrets, {});
+
+    findings.sort((a, b) => a.lineStart - b.lineStart);
+    return {
+        findings,
+        functions: functions ?? [],
+        limits: { functionLines: metrics.MAX_FUNCTION_LINES, complexity: metrics.MAX_COMPLEXITY },
+        tools
+    };
+}
+
+function formatLines(item) {
+    return item.lineEnd && item.lineEnd !== item.lineStart ? `lines ${item.lineStart}-${item.lineEnd}` : `line ${item.lineStart}`;
+}
+
+// The analysis as grounding for the model. `range` ({ firstLine, lastLine })
+// keeps only what falls inside a chunk of a larger file. Returns '' when there
+// is nothing to say.
+function formatForPrompt(analysis, range) {
+    if (!analysis) return '';
+    const inRange = (item) => !range || (item.lineEnd >= range.firstLine && item.lineStart <= range.lastLine);
+    const findings = analysis.findings.filter(inRange).slice(0, PROMPT_MAX_FINDINGS);
+    const functions = analysis.functions.filter(inRange).slice(0, PROMPT_MAX_FUNCTIONS);
+    if (!findings.length && !functions.length) return '';
+
+    const parts = [ 'Static analysis of this code (measured by tools, not estimated):' ];
+    if (findings.length) {
+        parts.push(findings.map((f) => `- ${formatLines(f)} [${f.tool} ${f.ruleId}] ${f.severity}: ${f.message}`).join('\n'));
+    }
+    if (functions.length) {
+        parts.push(`Function metrics (limits: ${metrics.MAX_FUNCTION_LINES} lines, complexity ${metrics.MAX_COMPLEXITY}):`);
+        parts.push(functions.map((fn) => `- \`${fn.name}\` (${formatLines(fn)}): ${fn.lines} line${fn.lines === 1 ? '' : 's'}, cyclomatic complexity ${fn.complexity}`).join('\n'));
+    }
+    parts.push('Use these measurements for function length and complexity instead of estimating them, and don\'t contradict the findings above. They are shown to the user in a separate section, so don\'t list them again; do fix them in the refactored code.');
+    return parts.join('\n\n');
+}
+
+module.exports = { analyzeCode, formatForPrompt };
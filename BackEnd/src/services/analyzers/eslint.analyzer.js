@@ -0,0 +1,99 @@
+const path = require('path');
+const { Linter } = require('eslint');
+const security = require('eslint-plugin-security');
+const tsParser = require('@typescript-eslint/parser');
+const { createMetricsRule } = require('./metrics.analyzer');
+
+// ESLint with the security plugin, plus the core rules that catch real bugs
+// without knowing the project's environment (no `no-undef`: a snippet's globals
+// are unknown). Errors become critical findings, warnings become warnings.
+const RULES = {
+    ...security.configs.recommended.rules,
+    // Flags every `obj[key]`; far too noisy to pass off as a reliable finding.
+    'security/detect-object-injection': 'off',
+    // Same report as `no-eval`.
+    'security/detect-eval-with-expression': 'off',
+    'no-eval': 'error',
+    'no-implied-eval': 'error',
+    'no-new-func': 'error',
+    'no-script-url': 'error',
+    'no-unsafe-finally': 'error',
+    'no-unsafe-negation': 'error',
+    'no-unreachable': 'warn',
+    'no-dupe-keys': 'error',
+    'no-dupe-else-if': 'error',
+    'no-duplicate-case': 'error',
+    'no-self-compare': 'warn',
+    'no-self-assign': 'warn',
+    'no-cond-assign': 'warn',
+    'no-constant-binary-expression': 'warn',
+    'no-unsafe-optional-chaining': 'error',
+    'no-async-promise-executor': 'warn',
+    'no-prototype-builtins': 'warn',
+    'use-isnan': 'error',
+    'valid-typeof': 'error'
+};
+
+const SEVERITY = { 1: 'warning', 2: 'critical' };
+
+// Core rules that are about security rather than plain bugs.
+const CORE_SECURITY_RULES = [ 'no-eval', 'no-implied-eval', 'no-new-func', 'no-script-url' ];
+
+function categoryOf(ruleId) {
+    return ruleId.startsWith('security/') || CORE_SECURITY_RULES.includes(ruleId) ? 'security' : 'correctness';
+}
+
+const linter = new Linter({ configType: 'flat' });
+
+// File names flat config will lint; anything else is linted under a stand-in name.
+const LINTED_FILES = '**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}';
+const LINTED_EXTENSION = /\.[cm]?[jt]sx?$/;
+
+function supports(language) {
+    return language === 'javascript' || language === 'typescript';
+}
+
+// Snippets have no file name; JSX is allowed in JavaScript, and in TypeScript
+// only for .tsx files since it clashes with `<Type>value` casts.
+function languageOptions(language, filePath) {
+    const jsx = language === 'javascript' || path.extname(filePath ?? '') === '.tsx';
+    return {
+        ecmaVersion: 'latest',
+        sourceType: 'module',
+        parser: language === 'typescript' ? tsParser : undefined,
+        parserOptions: { ecmaFeatures: { jsx } }
+    };
+}
+
+// Lints the code and measures its functions in the same pass (the metrics rule
+// walks the same syntax tree). Throws when the code doesn't parse.
+function analyze(code, { language, path: filePath }) {
+    const functions = [];
+    const messages = linter.verify(code, {
+        files: [ LINTED_FILES ],
+        languageOptions: languageOptions(language, filePath),
+        plugins: { security, metrics: { rules: { functions: createMetricsRule(functions) } } },
+        rules: { ...RULES, 'metrics/functions': 'error' }
+    }, { filename: LINTED_EXTENSION.test(filePath ?? '') ? filePath : `snippet.${language === 'typescript' ? 'ts' : 'js'}` });
+
+    const fatal = messages.find((m) => m.fatal);
+    if (fatal) {
+        throw new Error(`line ${fatal.line}: ${fatal.message}`);
+    }
+
+    const findings = messages.filter((m) => m.ruleId).map((m) => ({
+        tool: 'eslint',
+        ruleId: m.ruleId,
+        severity: SEVERITY[m.severity],
+        category: categoryOf(m.ruleId),
+        title: m.ruleId,
+        lineStart: m.line,
+        lineEnd: m.endLine ?? m.line,
+        message: m.message,
+        suggestedFix: ''
+    }));
+
+    return { findings, functions };
+}
+
+module.exports = { name: 'eslint', supports, analyze };
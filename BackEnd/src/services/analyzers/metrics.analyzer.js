@@ -0,0 +1,239 @@
+const { maskCode } = require('../../utils/normalizeCode');
+
+// Function length and cyclomatic complexity. JavaScript and TypeScript are
+// measured on the syntax tree while ESLint runs (see createMetricsRule); other
+// languages, and JS that doesn't parse, are measured from keywords on the code
+// with comments and strings blanked out. Nested functions count separately
+// from the function that contains them.
+const MAX_FUNCTION_LINES = Number(process.env.ANALYSIS_MAX_FUNCTION_LINES || 50);
+const MAX_COMPLEXITY = Number(process.env.ANALYSIS_MAX_COMPLEXITY || 10);
+
+// Syntax-tree nodes that add a path through a function.
+const BRANCH_NODES = [
+    'IfStatement',
+    'ConditionalExpression',
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement',
+    'CatchClause'
+];
+
+const FUNCTION_NODES = [ 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression' ];
+
+// Keyword heuristics per language: where functions start, and what counts as a
+// branch. `indent` languages end a function at the first line indented no
+// deeper than its header; the others at the brace matching its first `{`.
+const JS_HEURISTICS = {
+    headers: [
+        /\bfunction\s*\*?\s*(\w*)\s*\(/g,
+        /\b(\w+)\s*[=:]\s*(?:async\s*)?(?:\([^()]*\)|\w+)\s*=>\s*\{/g,
+        /^[ \t]*(?:(?:async|static|get|set|public|private|protected)\s+)*(\w+)\s*\([^()]*\)\s*(?::\s*[^{]+)?\{/gm
+    ],
+    branches: /\b(?:if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?![.?:])/g
+};
+
+const HEURISTICS = {
+    javascript: JS_HEURISTICS,
+    typescript: JS_HEURISTICS,
+    java: {
+        headers: [ /(\w+)\s*\([^;{}()]*\)\s*(?:throws\s+[\w.,\s]+)?\{/g ],
+        branches: /\b(?:if|for|while|case|catch)\b|&&|\|\||\?(?![.?:])/g
+    },
+    go: {
+        headers: [ /\bfunc\s+(?:\([^)]*\)\s*)?(\w+)\s*\(/g ],
+        branches: /\b(?:if|for|case)\b|&&|\|\|/g
+    },
+    rust: {
+        headers: [ /\bfn\s+(\w+)/g ],
+        // Each match arm is a path; `?` is error propagation, not a branch.
+        branches: /\b(?:if|for|while|loop)\b|&&|\|\||=>/g
+    },
+    python: {
+        headers: [ /^([ \t]*)(?:async\s+)?def\s+(\w+)/gm ],
+        branches: /\b(?:if|elif|for|while|except|and|or|case)\b/g,
+        indent: true
+    }
+};
+
+// Words that look like a function header in C-like code but aren't one.
+const NOT_FUNCTIONS = new Set([ 'if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'new', 'else', 'do', 'try', 'synchronized', 'function' ]);
+
+function supports(language) {
+    return Boolean(HEURISTICS[language]);
+}
+
+function functionName(node) {
+    if (node.id?.name) return node.id.name;
+    const parent = node.parent;
+    if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+    if ((parent?.type === 'Property' || parent?.type === 'MethodDefinition' || parent?.type === 'PropertyDefinition') && parent.key) {
+        return parent.key.name ?? String(parent.key.value ?? '(computed)');
+    }
+    if (parent?.type === 'AssignmentExpression' && parent.left.type === 'MemberExpression' && !parent.left.computed) {
+        return parent.left.property.name;
+    }
+    return '(anonymous)';
+}
+
+// An ESLint rule that reports nothing and records every function it sees into
+// `functions`. Complexity follows ESLint's own `complexity` rule: one, plus one
+// per branch, loop, catch, `case`, and `&&` / `||` / `??` operator.
+function createMetricsRule(functions) {
+    return {
+        meta: { type: 'suggestion', schema: [] },
+        create() {
+            const stack = [];
+            const branch = () => {
+                if (stack.length) stack[stack.length - 1].complexity++;
+            };
+            const enter = (node) => stack.push({ node, complexity: 1 });
+            const exit = () => {
+                const { node, complexity } = stack.pop();
+                functions.push(toMetrics(functionName(node), node.loc.start.line, node.loc.end.line, complexity));
+            };
+
+            const visitors = {
+                LogicalExpression: branch,
+                'SwitchCase[test]': branch,
+                'AssignmentExpression[operator=/^(&&|\\|\\||\\?\\?)=$/]': branch
+            };
+            for (const type of BRANCH_NODES) visitors[type] = branch;
+            for (const type of FUNCTION_NODES) {
+                visitors[type] = enter;
+                visitors[`${type}:exit`] = exit;
+            }
+            return visitors;
+        }
+    };
+}
+
+function toMetrics(name, lineStart, lineEnd, complexity) {
+    return { name, lineStart, lineEnd, lines: lineEnd - lineStart + 1, complexity };
+}
+
+function lineAt(lineStarts, index) {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) line++;
+    return line + 1;
+}
+
+// Index of the brace closing the one at `open`, or the end of the code.
+function matchingBrace(code, open) {
+    let depth = 0;
+    for (let i = open; i < code.length; i++) {
+        if (code[i] === '{') depth++;
+        if (code[i] === '}' && --depth === 0) return i;
+    }
+    return code.length - 1;
+}
+
+// [{ name, start, end }] as character ranges of each function in masked code.
+function findBraceFunctions(masked, headers) {
+    const found = new Map();
+    for (const header of headers) {
+        for (const match of masked.matchAll(header)) {
+            const name = match[1] || '(anonymous)';
+            if (NOT_FUNCTIONS.has(name)) continue;
+            // The body starts at the next `{`, unless a `;` ends a declaration first.
+            const rest = masked.slice(match.index + match[0].length - 1);
+            const brace = rest.search(/[{;]/);
+            if (brace === -1 || rest[brace] === ';') continue;
+            const start = match.index + match[0].length - 1 + brace;
+            if (!found.has(start)) found.set(start, { name, start: match.index, end: matchingBrace(masked, start) });
+        }
+    }
+    return [ ...found.values() ];
+}
+
+function findIndentedFunctions(masked, headers) {
+    const lines = masked.split('\n');
+    const lineStarts = lineOffsets(masked);
+    const found = [];
+    for (const header of headers) {
+        for (const match of masked.matchAll(header)) {
+            const indent = match[1].length;
+            const first = lineAt(lineStarts, match.index) - 1;
+            let last = first;
+            for (let i = first + 1; i < lines.length; i++) {
+                if (!lines[i].trim()) continue;
+                if (lines[i].search(/\S/) <= indent) break;
+                last = i;
+            }
+            found.push({ name: match[2], start: lineStarts[first], end: lineStarts[last] + lines[last].length });
+        }
+    }
+    return found;
+}
+
+function lineOffsets(code) {
+    const starts = [ 0 ];
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+function measureHeuristically(code, language) {
+    const { headers, branches, indent } = HEURISTICS[language];
+    const masked = maskCode(code, language);
+    const lineStarts = lineOffsets(masked);
+    const ranges = indent ? findIndentedFunctions(masked, headers) : findBraceFunctions(masked, headers);
+
+    return ranges.map((range) => {
+        // Leave out the bodies of functions nested inside this one.
+        let body = masked.slice(range.start, range.end + 1);
+        for (const inner of ranges) {
+            if (inner !== range && inner.start > range.start && inner.end <= range.end) {
+                const from = inner.start - range.start;
+                const to = inner.end - range.start + 1;
+                body = body.slice(0, from) + ' '.repeat(to - from) + body.slice(to);
+            }
+        }
+        const complexity = 1 + (body.match(branches)?.length ?? 0);
+        return toMetrics(range.name, lineAt(lineStarts, range.start), lineAt(lineStarts, range.end), complexity);
+    });
+}
+
+function thresholdFindings(functions) {
+    const findings = [];
+    for (const fn of functions) {
+        if (fn.lines > MAX_FUNCTION_LINES) {
+            findings.push({
+                tool: 'metrics',
+                ruleId: 'function-length',
+                severity: 'warning',
+                category: 'readability',
+                title: 'Function too long',
+                lineStart: fn.lineStart,
+                lineEnd: fn.lineEnd,
+                message: `\`${fn.name}\` is ${fn.lines} lines long (limit ${MAX_FUNCTION_LINES}).`,
+                suggestedFix: 'Extract self-contained steps into smaller, well-named functions.'
+            });
+        }
+        if (fn.complexity > MAX_COMPLEXITY) {
+            findings.push({
+                tool: 'metrics',
+                ruleId: 'complexity',
+                severity: 'warning',
+                category: 'readability',
+                title: 'High cyclomatic complexity',
+                lineStart: fn.lineStart,
+                lineEnd: fn.lineEnd,
+                message: `\`${fn.name}\` has a cyclomatic complexity of ${fn.complexity} (limit ${MAX_COMPLEXITY}).`,
+                suggestedFix: 'Use early returns, lookup tables or helper functions to reduce branching.'
+            });
+        }
+    }
+    return findings;
+}
+
+// `functions` are the measurements taken by createMetricsRule during linting,
+// when ESLint ran; otherwise the code is measured here.
+function analyze(code, { language, functions }) {
+    const measured = (functions ?? measureHeuristically(code, language)).sort((a, b) => a.lineStart - b.lineStart);
+    return { findings: thresholdFindings(measured), functions: measured };
+}
+
+module.exports = { name: 'metrics', supports, analyze, createMetricsRule, MAX_FUNCTION_LINES, MAX_COMPLEXITY };
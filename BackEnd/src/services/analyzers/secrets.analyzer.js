@@ -0,0 +1,80 @@
+// Credentials committed in code. Known token formats are matched exactly;
+// anything else assigned to a secret-sounding name must look random enough
+// (Shannon entropy) to be reported, so `password = "changeme"` placeholders
+// and `token = getToken()` calls don't count. Comments are scanned too: a key
+// pasted into a comment leaks just the same. Findings go into the model's
+// prompt, so they never quote the secret, not even in part.
+
+const PATTERNS = [
+    { ruleId: 'aws-access-key', title: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { ruleId: 'github-token', title: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,})\b/g },
+    { ruleId: 'gitlab-token', title: 'GitLab token', pattern: /\bglpat-[\w-]{20,}\b/g },
+    { ruleId: 'google-api-key', title: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { ruleId: 'slack-token', title: 'Slack token', pattern: /\bxox[abposr]-[0-9A-Za-z-]{10,}\b/g },
+    { ruleId: 'stripe-key', title: 'Stripe secret key', pattern: /\b[sr]k_live_[0-9A-Za-z]{20,}\b/g },
+    { ruleId: 'openai-key', title: 'OpenAI API key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}\b/g },
+    { ruleId: 'private-key', title: 'Private key', pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----/g },
+    { ruleId: 'jwt', title: 'JSON Web Token', pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/g },
+    { ruleId: 'url-credentials', title: 'Credentials in URL', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:([^\s:/@'"]{3,})@/gi }
+];
+
+// `name = "value"` / `name: 'value'` where the name mentions a secret.
+const ASSIGNMENT = /\b[\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key|apikey|access[_-]?key|private[_-]?key|client[_-]?secret|auth)[\w.-]*["']?\s*(?:=|:|:=|=>)\s*["'`]([^"'`\s]{8,})["'`]/gi;
+
+// Bits per character above which an assigned value is treated as a real key.
+const MIN_ENTROPY = 3.5;
+
+function entropy(value) {
+    const counts = new Map();
+    for (const char of value) counts.set(char, (counts.get(char) ?? 0) + 1);
+    let bits = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        bits -= p * Math.log2(p);
+    }
+    return bits;
+}
+
+function supports() {
+    return true;
+}
+
+function analyze(code) {
+    const findings = [];
+    const seen = new Set();
+    const lines = code.split('\n');
+
+    const report = (lineIndex, ruleId, title, secret, description) => {
+        const key = `${lineIndex}:${secret}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        findings.push({
+            tool: 'secrets',
+            ruleId,
+            severity: 'critical',
+            category: 'security',
+            title,
+            lineStart: lineIndex + 1,
+            lineEnd: lineIndex + 1,
+            message: `Looks like a real credential (${description}); anyone who can read the code can use it.`,
+            suggestedFix: 'Revoke this credential, then load it from an environment variable or a secrets manager.'
+        });
+    };
+
+    lines.forEach((line, i) => {
+        for (const { ruleId, title, pattern } of PATTERNS) {
+            for (const match of line.matchAll(pattern)) {
+                report(i, ruleId, title, match[1] ?? match[0], title);
+            }
+        }
+        for (const match of line.matchAll(ASSIGNMENT)) {
+            if (entropy(match[1]) >= MIN_ENTROPY) {
+                report(i, 'generic-secret', 'Hard-coded secret', match[1], 'a random-looking value assigned to a secret-sounding name');
+            }
+        }
+    });
+
+    return { findings };
+}
+
+module.exports = { name: 'secrets', supports, analyze, PATTERNS, ASSIGNMENT, entropy };
@@ -0,0 +1,139 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { promisify } = require('util');
+const AdmZip = require('adm-zip');
+const tar = require('tar-stream');
+
+// Limits for uploaded projects so one archive can't exhaust memory or the model
+// budget. They are checked against each entry's declared size before anything
+// is decompressed, and the decompressed bytes are capped as well, so a small
+// archive that expands to gigabytes is refused early.
+const MAX_FILES = Number(process.env.PROJECT_MAX_FILES || 200);
+const MAX_FILE_BYTES = Number(process.env.PROJECT_MAX_FILE_BYTES || 200 * 1024);
+const MAX_TOTAL_BYTES = Number(process.env.PROJECT_MAX_TOTAL_BYTES || 20 * 1024 * 1024);
+
+// Directories that never contain code worth reviewing.
+const IGNORED_SEGMENTS = new Set([ 'node_modules', '.git', 'dist', 'build', 'coverage', '__pycache__', '.venv', 'vendor' ]);
+
+const TOO_LARGE = `The archive expands to more than ${MAX_TOTAL_BYTES} bytes`;
+
+function normalizePath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+}
+
+// Entries worth decompressing, judged by their path and declared size.
+function isWanted(filePath, size) {
+    const segments = filePath.split('/');
+    if (segments.some((s) => IGNORED_SEGMENTS.has(s) || s === '..')) return false;
+    return size > 0 && size <= MAX_FILE_BYTES;
+}
+
+function isText(buffer) {
+    // A NUL byte in the first few KB is a reliable sign of a binary file.
+    return buffer.length > 0 && !buffer.subarray(0, 8000).includes(0);
+}
+
+// Gathers an archive's files as [{ path, content }], up to MAX_FILES. Readers
+// call `onEntry(path, declaredSize)` before decompressing an entry: it returns
+// null for entries to skip, else a function to hand the entry's bytes to, and
+// throws once the declared sizes add up to more than MAX_TOTAL_BYTES.
+function collector() {
+    const files = [];
+    let total = 0;
+
+    function onEntry(rawPath, size) {
+        const filePath = normalizePath(rawPath);
+        if (files.length >= MAX_FILES || !isWanted(filePath, size)) return null;
+        total += size;
+        if (total > MAX_TOTAL_BYTES) throw new Error(TOO_LARGE);
+        return (buffer) => {
+            if (buffer.length <= MAX_FILE_BYTES && isText(buffer)) files.push({ path: filePath, content: buffer.toString('utf8') });
+        };
+    }
+
+    return { files, onEntry, full: () => files.length >= MAX_FILES };
+}
+
+function readZip(buffer) {
+    const { files, onEntry, full } = collector();
+    for (const entry of new AdmZip(buffer).getEntries()) {
+        if (full()) break;
+        if (entry.isDirectory) continue;
+        // adm-zip never inflates past the declared size, so checking it first is enough.
+        const take = onEntry(entry.entryName, entry.header.size);
+        if (take) take(entry.getData());
+    }
+    return files;
+}
+
+async function readTar(buffer) {
+    // gzip magic number: 1f 8b
+    const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    let data = buffer;
+    if (isGzip) {
+        try {
+            data = await promisify(zlib.gunzip)(buffer, { maxOutputLength: MAX_TOTAL_BYTES });
+        } catch (err) {
+            throw err.code === 'ERR_BUFFER_TOO_LARGE' ? new Error(TOO_LARGE) : err;
+        }
+    }
+
+    const { files, onEntry, full } = collector();
+    return new Promise((resolve, reject) => {
+        const extract = tar.extract();
+
+        extract.on('entry', (header, stream, next) => {
+            let take = null;
+            try {
+                take = header.type === 'file' && !full() ? onEntry(header.name, header.size) : null;
+            } catch (err) {
+                extract.destroy(err);
+                return;
+            }
+            // Skipped entries are drained without keeping their bytes.
+            const chunks = [];
+            let size = 0;
+            stream.on('data', (chunk) => {
+                if (!take) return;
+                size += chunk.length;
+                if (size > MAX_FILE_BYTES) {
+                    // Larger than declared: drop it.
+                    take = null;
+                    chunks.length = 0;
+                } else {
+                    chunks.push(chunk);
+                }
+            });
+            stream.on('end', () => {
+                if (take) take(Buffer.concat(chunks));
+                if (full()) {
+                    extract.destroy();
+                    resolve(files);
+                    return;
+                }
+                next();
+            });
+            stream.resume();
+        });
+        extract.on('finish', () => resolve(files));
+        extract.on('error', reject);
+
+        Readable.from([ data ]).pipe(extract);
+    });
+}
+
+// Turns an uploaded .zip, .tar or .tar.gz into [{ path, content }], skipping
+// binaries, vendored directories and oversized files.
+async function extractFiles(buffer, filename = '') {
+    // zip magic number: PK\x03\x04
+    const isZip = buffer[0] === 0x50 && buffer[1] === 0x4b;
+    if (isZip || /\.zip$/i.test(filename)) {
+        return readZip(buffer);
+    }
+    if (/\.(tar|tgz|tar\.gz)$/i.test(filename) || (buffer[0] === 0x1f && buffer[1] === 0x8b)) {
+        return readTar(buffer);
+    }
+    throw new Error('Unsupported archive type; upload a .zip, .tar or .tar.gz file');
+}
+
+module.exports = { extractFiles, normalizePath, MAX_FILES };
@@ -0,0 +1,34 @@
+const Redaction = require('../models/redaction.model');
+const { getProvider } = require('./providers');
+const { isConnected } = require('../db/mongo');
+
+const MAX_LIST = 200;
+
+// Saves what was redacted from a request. Like metrics, auditing never fails
+// the request: without MongoDB, or when the write fails, the record is logged
+// (types and placeholders only) instead.
+async function recordRedactions(entry) {
+    if (!entry.redactions.length) return;
+    const summary = entry.redactions.map((r) => `${r.placeholder}×${r.occurrences}`).join(', ');
+    if (!isConnected()) {
+        console.warn(`Redacted from ${entry.endpoint} request of ${entry.email ?? entry.source ?? 'unknown'}: ${summary}`);
+        return;
+    }
+    try {
+        const provider = getProvider(entry.provider);
+        await Redaction.create({ ...entry, provider: provider.name, model: entry.model || provider.defaultModel });
+    } catch (err) {
+        console.error(`Failed to save redaction audit (${summary}):`, err);
+    }
+}
+
+// The latest audit records between `from` (inclusive) and `to` (exclusive), newest first.
+async function listRedactions({ from, to }, { limit = 50 } = {}) {
+    const docs = await Redaction.find({ createdAt: { $gte: from, $lt: to } })
+        .sort({ createdAt: -1 })
+        .limit(Math.min(limit, MAX_LIST))
+        .lean();
+    return docs.map(({ _id, __v, ...doc }) => ({ id: String(_id), ...doc }));
+}
+
+module.exports = { recordRedactions, listRedactions };
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { createJsonStore } = require('../stores/json.store');
+const { AuthError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const users = createJsonStore('users');
+
+const BCRYPT_ROUNDS = 12;
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+// Without configured secrets every restart logs everyone out, which is fine for
+// local development but not for a deployment.
+function secret(name) {
+    if (!process.env[name]) {
+        console.warn(`${name} is not set; using a random secret for this process.`);
+        process.env[name] = crypto.randomBytes(32).toString('hex');
+    }
+    return process.env[name];
+}
+const ACCESS_SECRET = secret('JWT_SECRET');
+const REFRESH_SECRET = secret('JWT_REFRESH_SECRET');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Refresh tokens kept per user: signing in once more drops the oldest session.
+const MAX_SESSIONS = 10;
+
+// Accounts listed in ADMIN_EMAILS get the `admin` role when they sign in.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map((e) => e.trim().toLowerCase()).filter(Boolean);
+
+function publicUser(user) {
+    const role = ADMIN_EMAILS.includes(user.email) ? 'admin' : user.role;
+    return { id: user.id, email: user.email, team: user.team, role };
+}
+
+// Refresh tokens carry a random id (jti) that is stored hashed on the user, so a
+// token can be rotated on use and revoked on logout.
+function hashTokenId(jti) {
+    return crypto.createHash('sha256').update(jti).digest('hex');
+}
+
+// Issues a token pair for the user with id `userId`. With `replacing` (the hash
+// of the refresh token being used), that token must still be stored and is
+// swapped for the new one. Both happen in one store write, so a refresh token
+// can't be used twice and concurrent sign-ins can't drop each other's token.
+async function issueTokens(userId, replacing = null) {
+    const jti = crypto.randomUUID();
+    const user = await users.update(userId, (current) => {
+        const ids = current.refreshTokenIds ?? [];
+        if (replacing && !ids.includes(replacing)) throw new AuthError('Invalid or expired refresh token');
+        return { refreshTokenIds: [ ...ids.filter((id) => id !== replacing), hashTokenId(jti) ].slice(-MAX_SESSIONS) };
+    });
+    if (!user) throw new AuthError('Invalid or expired refresh token');
+
+    const accessToken = jwt.sign({ ...publicUser(user), sub: user.id }, ACCESS_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    const refreshToken = jwt.sign({ sub: user.id, jti }, REFRESH_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+
+    return { accessToken, refreshToken, user: publicUser(user) };
+}
+
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// New accounts join the `default` team; only an admin can move them (setTeam).
+async function signup({ email, password }) {
+    const normalized = normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(normalized)) throw new ValidationError('A valid email is required');
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    // Checked and inserted in one store write, so two signups for one address can't both succeed.
+    const user = await users.upsert((u) => u.email === normalized, (existing) => {
+        if (existing) throw new ConflictError('An account with this email already exists');
+        return { email: normalized, passwordHash, team: 'default', role: 'user', refreshTokenIds: [] };
+    });
+    return issueTokens(user.id);
+}
+
+async function login({ email, password }) {
+    const [ user ] = await users.find((u) => u.email === normalizeEmail(email));
+
+    // Same message for unknown users and wrong passwords to avoid account enumeration.
+    if (!user || typeof password !== 'string' || !(await bcrypt.compare(password, user.passwordHash))) {
+        throw new AuthError('Invalid email or password');
+    }
+    return issueTokens(user.id);
+}
+
+function verifyRefreshToken(refreshToken) {
+    try {
+        return jwt.verify(refreshToken, REFRESH_SECRET);
+    } catch (err) {
+        throw new AuthError('Invalid or expired refresh token');
+    }
+}
+
+// Exchanges a refresh token for a new token pair; the old refresh token stops working.
+async function refresh(refreshToken) {
+    const payload = verifyRefreshToken(refreshToken);
+    return issueTokens(payload.sub, hashTokenId(payload.jti));
+}
+
+async function logout(refreshToken) {
+    const payload = verifyRefreshToken(refreshToken);
+    const tokenId = hashTokenId(payload.jti);
+    await users.update(payload.sub, (user) => ({ refreshTokenIds: (user.refreshTokenIds ?? []).filter((id) => id !== tokenId) }));
+}
+
+// Moves the account with `email` to `team`. Its tokens carry the old team until
+// they are refreshed or it signs in again.
+async function setTeam(email, team) {
+    if (typeof team !== 'string' || !team.trim()) throw new ValidationError('team must be a non-empty string');
+    const [ user ] = await users.find((u) => u.email === normalizeEmail(email));
+    if (!user) throw new NotFoundError('No account with this email');
+    return publicUser(await users.update(user.id, { team: team.trim() }));
+}
+
+// Returns the user claims of a valid access token.
+function verifyAccessToken(accessToken) {
+    try {
+        const payload = jwt.verify(accessToken, ACCESS_SECRET);
+        return { id: payload.sub, email: payload.email, team: payload.team, role: payload.role };
+    } catch (err) {
+        throw new AuthError('Invalid or expired access token');
+    }
+}
+
+module.exports = { signup, login, refresh, logout, setTeam, verifyAccessToken };
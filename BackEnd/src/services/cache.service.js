@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { createMemoryStore, createRedisStore } = require('../stores/cache.store');
+const { normalizeCode } = require('../utils/normalizeCode');
+
+// Review cache. Identical reviews (same normalized code, provider, model, system
+// prompt and options) are answered from the cache instead of calling the model.
+// CACHE_STORE picks `memory` (default), `redis` (needs REDIS_URL) or `off`.
+const STORE = process.env.CACHE_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+const TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS || 24 * 60 * 60);
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 500);
+
+let backend = null;
+
+function getStore() {
+    if (STORE === 'off') return null;
+    backend ??= STORE === 'redis'
+        ? createRedisStore({ url: process.env.REDIS_URL })
+        : createMemoryStore({ maxEntries: MAX_ENTRIES });
+    return backend;
+}
+
+// Counters since the process started.
+const stats = { hits: 0, misses: 0, bypasses: 0, errors: 0 };
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Builds the cache key. `systemInstruction` is hashed in, so any change to the
+// prompt (a new version, different focus areas, ...) lands on fresh entries and
+// old ones simply expire. `extra` holds anything else that shapes the answer.
+function cacheKey({ kind, code, normalize = true, language, provider, model, systemInstruction, options = {}, extra }) {
+    return sha256(JSON.stringify({
+        kind,
+        code: normalize ? normalizeCode(code, language) : code,
+        provider,
+        model,
+        prompt: sha256(systemInstruction),
+        language: language ?? null,
+        focus: options.focus ? [ ...options.focus ].sort() : null,
+        strictness: options.strictness ?? null,
+        extra: extra ?? null
+    }));
+}
+
+// How a request wants the cache used, from a Cache-Control style directive:
+// `no-cache` skips the lookup but stores the fresh answer, `no-store` skips both.
+function readCacheControl(value) {
+    const directives = String(value ?? '').toLowerCase().split(',').map((d) => d.trim());
+    if (directives.includes('no-store')) return 'no-store';
+    if (directives.includes('no-cache')) return 'no-cache';
+    return 'default';
+}
+
+// Looks `key` up. Returns the cached value or null and reports `hit`, `miss` or
+// `bypass` to `options.onCacheStatus`. Cache failures count as misses.
+async function lookup(key, options = {}) {
+    const cache = getStore();
+    const mode = options.cacheControl ?? 'default';
+
+    if (!cache || mode !== 'default') {
+        stats.bypasses++;
+        options.onCacheStatus?.('bypass');
+        return null;
+    }
+
+    let value = null;
+    try {
+        value = await cache.get(key);
+    } catch (err) {
+        stats.errors++;
+        console.error('Cache lookup failed:', err.message);
+    }
+
+    if (value) stats.hits++;
+    else stats.misses++;
+    options.onCacheStatus?.(value ? 'hit' : 'miss');
+    return value;
+}
+
+async function store(key, value, options = {}) {
+    const cache = getStore();
+    if (!cache || options.cacheControl === 'no-store') return;
+    try {
+        await cache.set(key, value, TTL_SECONDS);
+    } catch (err) {
+        stats.errors++;
+        console.error('Cache write failed:', err.message);
+    }
+}
+
+// Returns the cached value for `key`, or runs `compute` and caches its result.
+async function remember(key, options, compute) {
+    const cached = await lookup(key, options);
+    if (cached) return cached;
+
+    const value = await compute();
+    await store(key, value, options);
+    return value;
+}
+
+async function getStats() {
+    const cache = getStore();
+    let size = null;
+    try {
+        size = cache ? await cache.size() : 0;
+    } catch (err) {
+        console.error('Cache size lookup failed:', err.message);
+    }
+
+    const lookups = stats.hits + stats.misses;
+    return {
+        store: cache ? cache.name : 'off',
+        ttlSeconds: TTL_SECONDS,
+        size,
+        ...stats,
+        hitRate: lookups ? stats.hits / lookups : 0
+    };
+}
+
+async function clear() {
+    await getStore()?.clear();
+}
+
+async function close() {
+    await backend?.close();
+    backend = null;
+}
+
+module.exports = { cacheKey, readCacheControl, lookup, store, remember, getStats, clear, close };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const Thread = require('../models/thread.model');
+const aiService = require('./ai.service');
+const { getProvider } = require('./providers');
+const { estimateTokens } = require('../utils/tokens');
+
+// Token budget for one conversation sent to the model. When a thread outgrows
+// it, the oldest follow-ups are left out; the code and review always stay.
+const CONTEXT_TOKENS = Number(process.env.CHAT_CONTEXT_TOKENS || 24000);
+const MAX_MESSAGE_LENGTH = Number(process.env.CHAT_MAX_MESSAGE_LENGTH || 4000);
+
+// The conversation opens as if the user asked for the review and the model gave it.
+function openingTurns(thread) {
+    return [
+        { role: 'user', content: `Review this code:\n\n\`\`\`${thread.language ?? ''}\n${thread.code}\n\`\`\`` },
+        { role: 'assistant', content: thread.review }
+    ];
+}
+
+function countTokens(messages) {
+    return messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+}
+
+// Opening turns, as many of the latest earlier exchanges as fit the budget, then
+// the new question. Exchanges are kept whole so user and assistant turns alternate.
+function buildConversation(thread, message) {
+    const opening = openingTurns(thread);
+    const question = { role: 'user', content: message };
+    let budget = CONTEXT_TOKENS - countTokens([ ...opening, question ]);
+
+    const earlier = [];
+    for (let i = thread.messages.length - 2; i >= 0; i -= 2) {
+        const exchange = thread.messages.slice(i, i + 2).map(({ role, content }) => ({ role, content }));
+        budget -= countTokens(exchange);
+        if (budget < 0) break;
+        earlier.unshift(...exchange);
+    }
+
+    return [ ...opening, ...earlier, question ];
+}
+
+// Asks the thread's provider and model; `options` carries `onUsage` for quotas
+// and `onRedact` for the redaction audit.
+async function ask(thread, message, options) {
+    const content = await aiService.generateChatReply(buildConversation(thread, message), {
+        provider: thread.provider,
+        model: thread.model,
+        language: thread.language ?? undefined,
+        focus: thread.focus?.length ? thread.focus : undefined,
+        strictness: thread.strictness,
+        ruleSets: thread.ruleSets,
+        onUsage: options.onUsage,
+        onRedact: options.onRedact,
+        signal: options.signal
+    });
+    const now = new Date();
+    return [
+        { role: 'user', content: message, createdAt: now },
+        { role: 'assistant', content, createdAt: now }
+    ];
+}
+
+// Starts a thread about `code` and its Markdown `review` with a first question.
+// Nothing is stored unless the model answers. Resolves to { sessionId, reply }.
+async function startThread(userId, { code, review, historyId, message }, options = {}) {
+    const provider = getProvider(options.provider);
+    const thread = {
+        sessionId: crypto.randomUUID(),
+        userId,
+        historyId: historyId ?? null,
+        code,
+        review,
+        language: options.language ?? null,
+        provider: provider.name,
+        model: options.model || provider.defaultModel,
+        focus: options.focus,
+        strictness: options.strictness,
+        ruleSets: options.ruleSets ?? [],
+        messages: []
+    };
+
+    const exchange = await ask(thread, message, options);
+    await Thread.create({ ...thread, messages: exchange });
+
+    return { sessionId: thread.sessionId, reply: exchange[1] };
+}
+
+// Adds a question to one of the user's threads. Resolves to { sessionId, reply }
+// plus the thread's `provider`, `model` and `language`, or null when the thread
+// doesn't exist (or belongs to someone else).
+async function sendMessage(userId, sessionId, message, options = {}) {
+    const thread = await Thread.findOne({ sessionId, userId }).lean();
+    if (!thread) return null;
+
+    const exchange = await ask(thread, message, options);
+    await Thread.updateOne({ _id: thread._id }, { $push: { messages: { $each: exchange } } });
+
+    return { sessionId, reply: exchange[1], provider: thread.provider, model: thread.model, language: thread.language };
+}
+
+function toThread(doc) {
+    return {
+        sessionId: doc.sessionId,
+        historyId: doc.historyId,
+        code: doc.code,
+        review: doc.review,
+        language: doc.language,
+        provider: doc.provider,
+        model: doc.model,
+        messages: doc.messages.map(({ role, content, createdAt }) => ({ role, content, createdAt })),
+        createdAt: doc.createdAt,
+        updatedAt: doc.updatedAt
+    };
+}
+
+async function getThread(userId, sessionId) {
+    const doc = await Thread.findOne({ sessionId, userId }).lean();
+    return doc ? toThread(doc) : null;
+}
+
+// Most recently active first; `historyId` finds the threads about one saved review.
+async function listThreads(userId, { historyId } = {}) {
+    const filter = { userId };
+    if (historyId) filter.historyId = historyId;
+    const docs = await Thread.find(filter).sort({ updatedAt: -1 }).limit(50).select('-code -review').lean();
+    return docs.map((doc) => ({
+        sessionId: doc.sessionId,
+        historyId: doc.historyId,
+        language: doc.language,
+        messages: doc.messages.length,
+        updatedAt: doc.updatedAt
+    }));
+}
+
+async function deleteThread(userId, sessionId) {
+    const { deletedCount } = await Thread.deleteOne({ sessionId, userId });
+    return deletedCount > 0;
+}
+
+module.exports = { startThread, sendMessage, getThread, listThreads, deleteThread, buildConversation, MAX_MESSAGE_LENGTH };
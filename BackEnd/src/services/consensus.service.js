@@ -0,0 +1,260 @@
+const aiService = require('./ai.service');
+const analysisService = require('./analysis.service');
+const historyService = require('./history.service');
+const { getProvider, listProviders } = require('./providers');
+const { SEVERITIES } = require('../schemas/review.schema');
+const { toMarkdown } = require('../utils/reviewMarkdown');
+const { AppError, ServiceUnavailableError, ValidationError, errorCode } = require('../utils/errors');
+
+// Consensus reviews: the same code goes to several models at once, as a
+// structured review each, and their findings are merged into one review. Each
+// merged finding lists the models that raised it and a `confidence`, the share
+// of the models that answered which agreed on it.
+
+// The models to ask, as comma-separated `provider:model` pairs; a provider alone
+// uses its default model. A local model goes through the `openai` provider and
+// OPENAI_BASE_URL. E.g. `gemini:gemini-2.0-flash,gemini:gemini-1.5-pro,openai:llama3.1`.
+const MODELS = parseModels(process.env.CONSENSUS_MODELS || '');
+
+// Two findings are the same issue when their line ranges are at most this many
+// lines apart and they mean the same thing (see sameIssue).
+const LINE_TOLERANCE = 2;
+// How much of their wording two findings must share, and how much sharing a
+// category counts for, to mean the same thing.
+const MIN_SIMILARITY = 0.3;
+const CATEGORY_WEIGHT = 0.2;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'with', 'this', 'that', 'these', 'those', 'from', 'into', 'when',
+    'which', 'will', 'can', 'could', 'should', 'would', 'may', 'might', 'its', 'it\'s', 'than', 'then', 'there',
+    'here', 'also', 'use', 'used', 'using', 'code', 'line', 'lines', 'function', 'value', 'instead', 'without'
+]);
+
+function parseModels(value) {
+    const models = [];
+    for (const id of value.split(',').map((s) => s.trim()).filter(Boolean)) {
+        // Model names may contain colons themselves (e.g. Ollama's `llama3.1:8b`).
+        const [ provider, ...rest ] = id.split(':');
+        if (!listProviders().includes(provider)) {
+            console.warn(`CONSENSUS_MODELS: unknown provider "${provider}" in "${id}", skipped. Available: ${listProviders().join(', ')}`);
+            continue;
+        }
+        if (models.some((m) => m.id === id)) continue;
+        models.push({ id, provider, model: rest.join(':') || getProvider(provider).defaultModel });
+    }
+    return models;
+}
+
+function listModels() {
+    return MODELS;
+}
+
+// The configured models named in `ids`, all of them by default. Throws a
+// ValidationError for unknown ids or fewer than two models.
+function pickModels(ids) {
+    if (MODELS.length < 2) {
+        throw new ServiceUnavailableError('Consensus reviews need at least two models in CONSENSUS_MODELS');
+    }
+    if (ids === undefined) return MODELS;
+    if (!Array.isArray(ids) || ids.some((id) => !MODELS.some((m) => m.id === id))) {
+        throw new ValidationError(`models must be a list of ${MODELS.map((m) => m.id).join(', ')}`);
+    }
+    const picked = MODELS.filter((m) => ids.includes(m.id));
+    if (picked.length < 2) {
+        throw new ValidationError('A consensus review needs at least two models');
+    }
+    return picked;
+}
+
+// The words of a finding that carry its meaning, roughly stemmed.
+function termsOf(finding) {
+    const words = `${finding.title ?? ''} ${finding.message ?? ''}`.toLowerCase().match(/[a-z][a-z0-9']{2,}/g) ?? [];
+    return new Set(words.filter((w) => !STOP_WORDS.has(w)).map((w) => (w.length > 4 ? w.replace(/(?:es|s)$/, '') : w)));
+}
+
+function similarity(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    for (const term of a) if (b.has(term)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+function rangesMeet(a, b) {
+    if (!a.lineStart || !b.lineStart) return !a.lineStart && !b.lineStart;
+    const aEnd = a.lineEnd ?? a.lineStart;
+    const bEnd = b.lineEnd ?? b.lineStart;
+    return a.lineStart - LINE_TOLERANCE <= bEnd && b.lineStart - LINE_TOLERANCE <= aEnd;
+}
+
+// How surely two findings (with their `terms`) are the same issue, 0 when they
+// aren't: nearby lines, and the same team rule or similar wording.
+function sameIssue(a, b) {
+    if (!rangesMeet(a.finding, b.finding)) return 0;
+    if (a.finding.ruleId && a.finding.ruleId === b.finding.ruleId) return 1;
+    const score = similarity(a.terms, b.terms) + (a.finding.category === b.finding.category ? CATEGORY_WEIGHT : 0);
+    return score >= MIN_SIMILARITY ? score : 0;
+}
+
+const severityRank = (severity) => SEVERITIES.indexOf(severity);
+
+// Merges the findings of several structured reviews, `answers` being
+// [{ id, review }]. A model's finding joins the group of the issue it matches
+// best among those its model hasn't already raised; the first finding of a
+// group (in model order) speaks for it, with the most severe severity given.
+// Sorted by confidence, then severity, then line.
+function mergeFindings(answers) {
+    const groups = [];
+    for (const { id, review } of answers) {
+        for (const finding of review.findings) {
+            const member = { finding, terms: termsOf(finding) };
+            let best = null;
+            let bestScore = 0;
+            for (const group of groups) {
+                if (group.models.includes(id)) continue;
+                const score = Math.max(...group.members.map((other) => sameIssue(member, other)));
+                if (score > bestScore) {
+                    best = group;
+                    bestScore = score;
+                }
+            }
+            if (best) {
+                best.members.push(member);
+                best.models.push(id);
+            } else {
+                groups.push({ members: [ member ], models: [ id ] });
+            }
+        }
+    }
+
+    return groups
+        .map(({ members, models }) => ({
+            ...members[0].finding,
+            severity: members.map((m) => m.finding.severity).sort((a, b) => severityRank(a) - severityRank(b))[0],
+            models,
+            confidence: Number((models.length / answers.length).toFixed(2))
+        }))
+        .sort((a, b) => b.confidence - a.confidence || severityRank(a.severity) - severityRank(b.severity) || (a.lineStart ?? 0) - (b.lineStart ?? 0));
+}
+
+// Strengths and takeaways of every answer, each said once.
+function mergeNotes(lists) {
+    const seen = new Set();
+    return lists.flat().filter((note) => {
+        const key = note.toLowerCase().replace(/\W+/g, ' ').trim();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// One review out of the models' answers: their merged findings, the first
+// answer's summary and refactored code, and everyone's strengths and takeaways.
+function mergeReviews(answers) {
+    const [ first ] = answers;
+    return {
+        summary: first.review.summary,
+        findings: mergeFindings(answers),
+        strengths: mergeNotes(answers.map((a) => a.review.strengths)),
+        refactoredCode: first.review.refactoredCode,
+        takeaways: mergeNotes(answers.map((a) => a.review.takeaways))
+    };
+}
+
+// Asks one model for a structured review of the redacted code and restores its
+// answer with `redactor`. The call is reported to `options.onModelCall` with
+// its own tokens, latency, status and cache status, so its metrics are priced
+// at its model's rate (see metrics.middleware). Resolves to the model's entry
+// of the result, failed or not.
+async function askModel(entry, code, redactor, options) {
+    const startedAt = Date.now();
+    const tokens = { prompt: 0, response: 0 };
+    let cache = null;
+    let error = null;
+    let review = null;
+
+    try {
+        const answer = await aiService.generateStructuredReview(code, {
+            ...options,
+            provider: entry.provider,
+            model: entry.model,
+            onUsage: async (usage) => {
+                tokens.prompt += usage.promptTokens ?? 0;
+                tokens.response += usage.responseTokens ?? 0;
+                if (options.onUsage) await options.onUsage(usage);
+            },
+            onCacheStatus: (status) => { cache = status; }
+        });
+        review = redactor.restoreDeep(answer.review);
+    } catch (err) {
+        error = err;
+        if (!(err instanceof AppError)) console.error(`Consensus review by ${entry.id} failed:`, err);
+    }
+
+    const latencyMs = Date.now() - startedAt;
+    options.onModelCall?.({
+        provider: entry.provider,
+        model: entry.model,
+        tokens,
+        latencyMs,
+        status: error ? (error.status ?? 500) : 200,
+        cache,
+        errorCode: error && errorCode(error),
+        errorMessage: error?.message ?? null
+    });
+
+    const base = { id: entry.id, provider: entry.provider, model: entry.model, latencyMs, cache };
+    if (error) {
+        const envelope = error instanceof AppError ? error.toJSON() : { error: 'Review failed', code: 'internal_error' };
+        return { ...base, status: 'failed', error: envelope, cause: error };
+    }
+    return { ...base, status: 'succeeded', review, response: toMarkdown(review) };
+}
+
+// Reviews `code` with several models (`models`: ids of configured models, all
+// by default) and merges their answers. The code is redacted once, and reported
+// once to `options.onRedact`, for all of them. Models that fail are reported as
+// such; the review fails only when all of them do. Resolves to the snippet
+// endpoint's JSON response, plus `cache` and `consensus.models`: each model's
+// own review, for comparing.
+async function reviewWithConsensus(user, code, options, { path, models: ids } = {}) {
+    const models = pickModels(ids);
+    const analysis = analysisService.analyzeCode(code, { language: options.language, path });
+    // History keeps one entry for the whole consensus, under the first provider.
+    const recording = historyService.startRecording(user.id, 'snippet', code, {
+        ...options,
+        analysis,
+        provider: models[0].provider,
+        model: models.map((m) => m.id).join(', ')
+    });
+
+    const { code: redacted, redactor } = aiService.redactCode(code, { ...options, path });
+    const modelOptions = { ...recording.options, path, onRedact: undefined, redacted: redactor.redactions.length > 0 };
+    const results = await Promise.all(models.map((entry) => askModel(entry, redacted, redactor, modelOptions)));
+    const answers = results.filter((r) => r.status === 'succeeded');
+    if (answers.length === 0) throw results[0].cause;
+
+    // The cache only answered if it answered for every model.
+    const statuses = answers.map((a) => a.cache).filter(Boolean);
+    const cache = statuses.length ? (statuses.find((s) => s !== 'hit') ?? 'hit') : null;
+    if (cache && options.onCacheStatus) options.onCacheStatus(cache);
+
+    const consensus = { models: results.map(({ cause, ...result }) => result) };
+    const review = mergeReviews(answers);
+    const response = toMarkdown(review);
+    const historyId = await recording.save({ response, review: { ...review, consensus }, analysis });
+    const refactoredCode = review.refactoredCode.code ? review.refactoredCode : null;
+
+    return {
+        response,
+        review,
+        findings: review.findings,
+        analysis,
+        refactoredCode,
+        language: options.language ?? null,
+        historyId,
+        consensus,
+        cache
+    };
+}
+
+module.exports = { listModels, pickModels, mergeFindings, reviewWithConsensus };
@@ -0,0 +1,136 @@
+const { parsePatch, createTwoFilesPatch } = require('diff');
+const aiService = require('./ai.service');
+const { toMarkdown } = require('../utils/reviewMarkdown');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { detectLanguage } = require('./language.service');
+const { errorCode } = require('../utils/errors');
+
+const CONCURRENCY = Number(process.env.PROJECT_CONCURRENCY || 3);
+
+// git diffs prefix paths with a/ and b/; deleted or created files use /dev/null.
+function cleanPath(fileName) {
+    if (!fileName || fileName === '/dev/null') return null;
+    return fileName.replace(/^[ab]\//, '').split('\t')[0];
+}
+
+// Annotates every hunk line with its old/new line numbers.
+function annotateHunk(hunk) {
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+    const lines = [];
+
+    for (const raw of hunk.lines) {
+        const marker = raw[0];
+        const content = raw.slice(1);
+        if (marker === '+') {
+            lines.push({ type: 'add', content, newLine: newLine++ });
+        } else if (marker === '-') {
+            lines.push({ type: 'del', content, oldLine: oldLine++ });
+        } else if (marker === ' ') {
+            lines.push({ type: 'context', content, oldLine: oldLine++, newLine: newLine++ });
+        }
+        // "\ No newline at end of file" markers carry no line.
+    }
+
+    return {
+        oldStart: hunk.oldStart,
+        oldLines: hunk.oldLines,
+        newStart: hunk.newStart,
+        newLines: hunk.newLines,
+        lines
+    };
+}
+
+// Parses a unified diff (git or plain) into
+// [{ oldPath, newPath, path, hunks: [{ oldStart, newStart, ..., lines }] }].
+function parseUnifiedDiff(text) {
+    return parsePatch(text)
+        .map((file) => {
+            const oldPath = cleanPath(file.oldFileName);
+            const newPath = cleanPath(file.newFileName);
+            return { oldPath, newPath, path: newPath ?? oldPath, hunks: file.hunks.map(annotateHunk) };
+        })
+        .filter((file) => file.path && file.hunks.length);
+}
+
+// Unified diff text for a before/after pair.
+function pairToPatch(before, after, path = 'file') {
+    return createTwoFilesPatch(`a/${path}`, `b/${path}`, before, after);
+}
+
+// Builds the same structure from a before/after pair.
+function diffFromPair(before, after, path = 'file') {
+    return parseUnifiedDiff(pairToPatch(before, after, path));
+}
+
+// Renders a file's hunks for the prompt: "+ 12 | code" for added lines,
+// "  13 | code" for context, "-    | code" for removed lines (no new-file number).
+function formatFileDiff(file) {
+    return file.hunks.map((hunk) => {
+        const header = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+        const body = hunk.lines.map((line) => {
+            if (line.type === 'add') return `+ ${String(line.newLine).padStart(4)} | ${line.content}`;
+            if (line.type === 'del') return `-      | ${line.content}`;
+            return `  ${String(line.newLine).padStart(4)} | ${line.content}`;
+        });
+        return [ header, ...body ].join('\n');
+    }).join('\n\n');
+}
+
+// The new-file side of a file's hunks (added and context lines), e.g. for language detection.
+function newCode(file) {
+    return file.hunks.flatMap((h) => h.lines.filter((l) => l.type !== 'del').map((l) => l.content)).join('\n');
+}
+
+function addedLines(file) {
+    return new Set(file.hunks.flatMap((h) => h.lines.filter((l) => l.type === 'add').map((l) => l.newLine)));
+}
+
+// Drops findings that don't touch an added line and clamps the rest to the
+// changed range, so every comment is anchored to something in the diff.
+function anchorFindings(findings, file) {
+    const added = addedLines(file);
+    return findings.flatMap((finding) => {
+        if (!finding.lineStart) return [];
+        const end = finding.lineEnd ?? finding.lineStart;
+        const touched = [];
+        for (let line = finding.lineStart; line <= end; line++) {
+            if (added.has(line)) touched.push(line);
+        }
+        if (!touched.length) return [];
+        return [ { ...finding, lineStart: touched[0], lineEnd: touched[touched.length - 1] } ];
+    });
+}
+
+// Reviews only what changed: each file's hunks go to the model, and findings are
+// kept only when they land on added/modified lines (new-file numbering).
+async function reviewDiff(files, options = {}) {
+    const reviewable = files.filter((file) => file.newPath && addedLines(file).size);
+    const failures = [];
+
+    const fileReports = await mapWithConcurrency(reviewable, CONCURRENCY, async (file) => {
+        const language = options.language ?? detectLanguage(newCode(file), file.path);
+        const base = { path: file.path, oldPath: file.oldPath, language, hunks: file.hunks };
+        try {
+            const { review } = await aiService.generateStructuredDiffReview(formatFileDiff(file), { ...options, path: file.path, language });
+            const anchored = { ...review, findings: anchorFindings(review.findings, file) };
+            return { ...base, review: anchored, markdown: toMarkdown(anchored) };
+        } catch (err) {
+            console.error(`Review of ${file.path} failed:`, err);
+            failures.push(err);
+            return { ...base, error: err.message, errorCode: errorCode(err) };
+        }
+    });
+
+    // Nothing could be reviewed: fail with the cause itself (quota, timeout, ...).
+    if (fileReports.length && failures.length === fileReports.length) throw failures[0];
+
+    const markdown = fileReports.map((file) => {
+        const body = file.error ? `⚠️ Review failed: ${file.error}` : file.markdown.replace(/^### /gm, '#### ');
+        return `## 📄 \`${file.path}\`\n\n${body}`;
+    }).join('\n\n');
+
+    return { files: fileReports, markdown: markdown || '_No added or modified lines to review._' };
+}
+
+module.exports = { parseUnifiedDiff, pairToPatch, diffFromPair, formatFileDiff, newCode, anchorFindings, reviewDiff };
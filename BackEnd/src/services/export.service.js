@@ -0,0 +1,75 @@
+const sarif = require('./exporters/sarif.exporter');
+const junit = require('./exporters/junit.exporter');
+const markdown = require('./exporters/markdown.exporter');
+const html = require('./exporters/html.exporter');
+const { detectLanguage } = require('./language.service');
+const { getLanguageProfile } = require('../prompts/languages');
+const { parseFindings } = require('../utils/reviewMarkdown');
+
+// Every exporter exposes `name`, `extension`, `contentType` and
+// render(report, options) -> string.
+const EXPORTERS = { sarif, junit, markdown, html };
+
+function listFormats() {
+    return Object.keys(EXPORTERS);
+}
+
+// Snippets have no file name; dashboards still need a path to attach findings to.
+function snippetPath(language) {
+    const extension = language ? getLanguageProfile(language)?.extensions[0] : null;
+    return `snippet${extension ?? '.txt'}`;
+}
+
+function countBySeverity(findings) {
+    const counts = { critical: 0, warning: 0, suggestion: 0 };
+    for (const finding of findings) counts[finding.severity]++;
+    return counts;
+}
+
+// Puts a review into the one shape every exporter renders. `source` is a saved
+// review (see history.service) or the same fields from the client:
+// { kind: 'snippet' | 'diff' | 'project', code, response, review, analysis,
+//   language, path, provider, model, createdAt }. Snippet findings come from the
+// structured review, or are read from the Markdown when there is none, followed
+// by the static analysis; diff and project findings come from each file's
+// review (and a project file's static analysis).
+function buildReport(source) {
+    const kind = source.kind ?? 'snippet';
+    const createdAt = source.createdAt ?? new Date();
+    const base = { kind, code: source.code, markdown: source.response, provider: source.provider ?? null, model: source.model ?? null, createdAt };
+
+    if (kind === 'diff' || kind === 'project') {
+        const files = source.review?.files ?? [];
+        const findings = files.flatMap((file) => [
+            ...(file.review?.findings ?? []).map((f) => ({ ...f, tool: 'ai', path: file.path })),
+            ...(file.analysis?.findings ?? []).map((f) => ({ ...f, path: file.path }))
+        ]);
+        const paths = files.map((file) => file.path);
+        const title = paths.length === 1 ? paths[0] : `${paths.length} ${kind === 'diff' ? 'changed files' : 'files'}`;
+        return { ...base, title, files: paths, language: null, analysis: null, findings, counts: countBySeverity(findings) };
+    }
+
+    const language = source.language ?? detectLanguage(source.code, source.path);
+    const path = source.path || snippetPath(language);
+    const reviewFindings = source.review?.findings ?? parseFindings(source.response);
+    const findings = [
+        ...reviewFindings.map((f) => ({ ...f, tool: 'ai', path })),
+        ...(source.analysis?.findings ?? []).map((f) => ({ ...f, path }))
+    ];
+    return { ...base, title: path, files: [ path ], language, analysis: source.analysis ?? null, findings, counts: countBySeverity(findings) };
+}
+
+// Renders a review (see buildReport) as `format`. Resolves to the file:
+// { body, contentType, filename }.
+function exportReview(format, source, options = {}) {
+    const exporter = EXPORTERS[format];
+    const report = buildReport(source);
+    const name = report.title.split('/').pop().replace(/[^\w.-]+/g, '-');
+    return {
+        body: exporter.render(report, options),
+        contentType: exporter.contentType,
+        filename: `ai-review-${name}.${exporter.extension}`
+    };
+}
+
+module.exports = { listFormats, buildReport, exportReview };
@@ -0,0 +1,113 @@
+// A self-contained HTML report styled for printing, so the browser's "Save as
+// PDF" turns it into a PDF. It holds the review, the static analysis and the
+// reviewed code with line numbers; lines with findings are marked.
+
+const { Marked } = require('marked');
+const { analysisToMarkdown } = require('../../utils/reviewMarkdown');
+
+const SEVERITY_RANK = { critical: 3, warning: 2, suggestion: 1 };
+const SEVERITY_EMOJI = { critical: '🔴', warning: '🟡', suggestion: '🟢' };
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// The review comes from a model, so raw HTML is shown as text and only
+// http(s) and mailto links survive.
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+const marked = new Marked({
+    renderer: {
+        html: ({ text }) => escapeHtml(text),
+        link({ href, tokens }) {
+            const text = this.parser.parseInline(tokens);
+            return SAFE_URL.test(href) ? `<a href="${escapeHtml(href)}">${text}</a>` : text;
+        },
+        image: ({ text }) => escapeHtml(text)
+    }
+});
+
+const STYLE = `
+body { font: 14px/1.5 system-ui, sans-serif; color: #1f2328; max-width: 960px; margin: 2rem auto; padding: 0 1.5rem; }
+h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 0.2rem; margin-top: 2rem; }
+.meta { color: #59636e; margin: 0; }
+.counts span { margin-right: 1rem; }
+code, pre { font-family: "Fira Code", ui-monospace, monospace; font-size: 12px; }
+pre { background: #f6f8fa; padding: 0.8rem; border-radius: 6px; overflow-x: auto; }
+:not(pre) > code { background: #eff1f3; padding: 0.1rem 0.3rem; border-radius: 4px; }
+table.code { border-collapse: collapse; width: 100%; font-family: "Fira Code", ui-monospace, monospace; font-size: 12px; }
+table.code td { padding: 0 0.5rem; vertical-align: top; }
+table.code td.ln { color: #8c959f; text-align: right; user-select: none; width: 1%; white-space: nowrap; border-right: 1px solid #d0d7de; }
+table.code td.src { white-space: pre-wrap; word-break: break-all; }
+table.code td.mark { width: 1%; }
+tr.critical { background: #ffebe9; }
+tr.warning { background: #fff8c5; }
+tr.suggestion { background: #dafbe1; }
+.print { float: right; padding: 0.4rem 1rem; cursor: pointer; }
+@page { margin: 15mm; }
+@media print {
+    body { margin: 0; max-width: none; }
+    .print { display: none; }
+    h2 { break-after: avoid; }
+    tr, li, pre { break-inside: avoid; }
+    tr.critical, tr.warning, tr.suggestion { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}`;
+
+// The most severe finding on each line of the code, by line number.
+function lineMarks(report) {
+    const marks = new Map();
+    if (report.kind !== 'snippet') return marks;
+    for (const finding of report.findings) {
+        if (!finding.lineStart) continue;
+        for (let line = finding.lineStart; line <= (finding.lineEnd || finding.lineStart); line++) {
+            const current = marks.get(line);
+            if (!current || SEVERITY_RANK[finding.severity] > SEVERITY_RANK[current]) marks.set(line, finding.severity);
+        }
+    }
+    return marks;
+}
+
+function renderCode(report) {
+    const marks = lineMarks(report);
+    const rows = report.code.replace(/\n$/, '').split('\n').map((line, i) => {
+        const severity = marks.get(i + 1);
+        return `<tr id="L${i + 1}"${severity ? ` class="${severity}"` : ''}><td class="ln">${i + 1}</td>`
+            + `<td class="src">${escapeHtml(line) || ' '}</td><td class="mark">${severity ? SEVERITY_EMOJI[severity] : ''}</td></tr>`;
+    });
+    return `<table class="code">\n${rows.join('\n')}\n</table>`;
+}
+
+// `print` opens the print dialog as soon as the page loads.
+function render(report, { print = false } = {}) {
+    const { counts } = report;
+    const meta = [
+        new Date(report.createdAt).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }) + ' UTC',
+        report.language,
+        report.model && `${report.model}${report.provider ? ` (${report.provider})` : ''}`
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+    const analysis = report.analysis ? analysisToMarkdown(report.analysis) : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>AI Code Review: ${escapeHtml(report.title)}</title>
+<style>${STYLE}
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print / Save as PDF</button>
+<h1>AI Code Review: <code>${escapeHtml(report.title)}</code></h1>
+<p class="meta">${meta}</p>
+<p class="counts"><span>🔴 ${counts.critical} critical</span><span>🟡 ${counts.warning} warning</span><span>🟢 ${counts.suggestion} suggestion</span></p>
+<h2>Review</h2>
+${marked.parse(report.markdown)}
+${analysis ? marked.parse(analysis) : ''}
+<h2>${report.kind === 'diff' ? 'Reviewed change' : 'Reviewed code'}</h2>
+${renderCode(report)}
+${print ? '<script>window.addEventListener(\'load\', () => window.print());</script>\n' : ''}</body>
+</html>
+`;
+}
+
+module.exports = { name: 'html', extension: 'html', contentType: 'text/html; charset=utf-8', render };
@@ -0,0 +1,64 @@
+// JUnit XML, for CI test-report views. Each reviewed file is a test suite and
+// each finding a test case: critical issues and warnings fail, suggestions
+// pass with the suggestion as output. A file without findings has one passing case.
+
+const LABELS = { critical: 'Critical', warning: 'Warning', suggestion: 'Suggestion' };
+
+function escapeXml(text) {
+    return String(text ?? '')
+        // Control characters aren't allowed in XML 1.0, not even escaped.
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function formatLines(finding) {
+    if (!finding.lineStart) return '';
+    return finding.lineEnd && finding.lineEnd !== finding.lineStart ? ` (lines ${finding.lineStart}-${finding.lineEnd})` : ` (line ${finding.lineStart})`;
+}
+
+function toTestCase(path, finding) {
+    const title = finding.title || finding.message.slice(0, 80);
+    const name = `${LABELS[finding.severity]}: ${title}${formatLines(finding)}`;
+    const details = [ finding.message, finding.suggestedFix && `Fix: ${finding.suggestedFix}`, `Category: ${finding.category}`, finding.ruleId && `Rule: ${finding.tool}/${finding.ruleId}` ]
+        .filter(Boolean).join('\n');
+    const open = `    <testcase classname="${escapeXml(path)}" name="${escapeXml(name)}">`;
+    if (finding.severity === 'suggestion') {
+        return `${open}\n      <system-out>${escapeXml(details)}</system-out>\n    </testcase>`;
+    }
+    return `${open}\n      <failure type="${finding.severity}" message="${escapeXml(title)}">${escapeXml(details)}</failure>\n    </testcase>`;
+}
+
+function render(report) {
+    const timestamp = new Date(report.createdAt).toISOString().replace(/\.\d+Z$/, '');
+    let tests = 0;
+    let failures = 0;
+
+    const suites = report.files.map((path) => {
+        const findings = report.findings.filter((f) => f.path === path);
+        const failed = findings.filter((f) => f.severity !== 'suggestion').length;
+        const cases = findings.length
+            ? findings.map((f) => toTestCase(path, f))
+            : [ `    <testcase classname="${escapeXml(path)}" name="No issues found"/>` ];
+        tests += cases.length;
+        failures += failed;
+        return [
+            `  <testsuite name="${escapeXml(path)}" tests="${cases.length}" failures="${failed}" errors="0" skipped="0" timestamp="${timestamp}">`,
+            ...cases,
+            '  </testsuite>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="AI Code Review" tests="${tests}" failures="${failures}">`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { name: 'junit', extension: 'xml', contentType: 'application/xml; charset=utf-8', render };
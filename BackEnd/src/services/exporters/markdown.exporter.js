@@ -0,0 +1,32 @@
+// A standalone Markdown file: a header with what was reviewed, the review as it
+// was shown, the static analysis, and the reviewed code.
+
+const { analysisToMarkdown } = require('../../utils/reviewMarkdown');
+
+// A fence longer than any backtick run in the code, so the code can't close it.
+function fenceFor(code) {
+    const longest = Math.max(2, ...(code.match(/`+/g) ?? []).map((run) => run.length));
+    return '`'.repeat(longest + 1);
+}
+
+function render(report) {
+    const { counts } = report;
+    const meta = [
+        `- **Reviewed:** ${new Date(report.createdAt).toISOString()}`,
+        report.language && `- **Language:** ${report.language}`,
+        report.model && `- **Model:** ${report.model}${report.provider ? ` (${report.provider})` : ''}`,
+        `- **Findings:** 🔴 ${counts.critical} critical · 🟡 ${counts.warning} warning · 🟢 ${counts.suggestion} suggestion`
+    ].filter(Boolean);
+
+    const parts = [ `# AI Code Review: \`${report.title}\``, meta.join('\n'), report.markdown ];
+    const analysis = report.analysis ? analysisToMarkdown(report.analysis) : '';
+    if (analysis) parts.push(analysis);
+
+    const fence = fenceFor(report.code);
+    parts.push(`## ${report.kind === 'diff' ? 'Reviewed change' : 'Reviewed code'}`);
+    parts.push(`${fence}${report.kind === 'diff' ? 'diff' : report.language ?? ''}\n${report.code.replace(/\n$/, '')}\n${fence}`);
+
+    return `${parts.join('\n\n')}\n`;
+}
+
+module.exports = { name: 'markdown', extension: 'md', contentType: 'text/markdown; charset=utf-8', render };
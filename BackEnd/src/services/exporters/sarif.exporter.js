@@ -0,0 +1,72 @@
+// SARIF 2.1.0, the format code-scanning dashboards (e.g. GitHub's Security tab)
+// import. Every finding is a result; its rule is the analyzer's own rule
+// (`eslint/no-eval`) or, for the model's findings, the review category
+// (`ai-review/security`).
+
+const { version } = require('../../../package.json');
+
+const LEVELS = { critical: 'error', warning: 'warning', suggestion: 'note' };
+// GitHub ranks security alerts by `security-severity` (0-10) on the rule.
+const SECURITY_SEVERITY = { critical: 9.0, warning: 6.0, suggestion: 3.0 };
+
+function ruleIdOf(finding) {
+    return finding.ruleId ? `${finding.tool}/${finding.ruleId}` : `ai-review/${finding.category}`;
+}
+
+function toRule(id, finding) {
+    return {
+        id,
+        name: id,
+        shortDescription: { text: finding.ruleId ? finding.title || finding.ruleId : `${finding.category} issue found by the AI review` },
+        properties: { tags: [ finding.category ] }
+    };
+}
+
+function render(report) {
+    const rules = [];
+    const ruleIndex = new Map();
+
+    const results = report.findings.map((finding) => {
+        const id = ruleIdOf(finding);
+        if (!ruleIndex.has(id)) {
+            ruleIndex.set(id, rules.length);
+            rules.push(toRule(id, finding));
+        }
+        const rule = rules[ruleIndex.get(id)];
+        if (finding.category === 'security') {
+            rule.properties['security-severity'] = String(Math.max(Number(rule.properties['security-severity'] ?? 0), SECURITY_SEVERITY[finding.severity]).toFixed(1));
+        }
+
+        const startLine = finding.lineStart || 1;
+        return {
+            ruleId: id,
+            ruleIndex: ruleIndex.get(id),
+            level: LEVELS[finding.severity],
+            message: { text: finding.title ? `${finding.title}: ${finding.message}` : finding.message },
+            locations: [ {
+                physicalLocation: {
+                    artifactLocation: { uri: encodeURI(finding.path) },
+                    region: { startLine, endLine: Math.max(finding.lineEnd || startLine, startLine) }
+                }
+            } ],
+            properties: {
+                severity: finding.severity,
+                category: finding.category,
+                ...(finding.suggestedFix ? { suggestedFix: finding.suggestedFix } : {})
+            }
+        };
+    });
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [ {
+            tool: { driver: { name: 'AI Code Reviewer', version, rules } },
+            results,
+            properties: { provider: report.provider, model: report.model, reviewedAt: report.createdAt }
+        } ]
+    };
+    return JSON.stringify(sarif, null, 2);
+}
+
+module.exports = { name: 'sarif', extension: 'sarif', contentType: 'application/sarif+json', render };
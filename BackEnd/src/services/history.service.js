@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Review = require('../models/review.model');
+const { getProvider } = require('./providers');
+const { isConnected } = require('../db/mongo');
+const { extractRefactoredCode, parseFindings } = require('../utils/reviewMarkdown');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PREVIEW_LENGTH = 80;
+
+// First non-empty line of the code, for the history list.
+function preview(code) {
+    const line = code.split('\n').map((l) => l.trim()).find(Boolean) ?? '';
+    return line.length > PREVIEW_LENGTH ? `${line.slice(0, PREVIEW_LENGTH - 1)}…` : line;
+}
+
+// Starts timing a review and totals the tokens of every model call it makes.
+// Pass the returned `options` to the AI service (the caller's own `onUsage`
+// still runs), then call `save({ response, review, analysis })` with the result.
+// `save` resolves to the history id, or null when the review couldn't be stored;
+// history problems never fail the review itself.
+function startRecording(userId, kind, code, options = {}) {
+    const startedAt = Date.now();
+    const tokens = { prompt: 0, response: 0 };
+    const provider = getProvider(options.provider);
+
+    const tracked = {
+        ...options,
+        onUsage: async (usage) => {
+            tokens.prompt += usage.promptTokens ?? 0;
+            tokens.response += usage.responseTokens ?? 0;
+            if (options.onUsage) await options.onUsage(usage);
+        }
+    };
+
+    async function save({ response, review, analysis }) {
+        if (!isConnected()) return null;
+        try {
+            const doc = await Review.create({
+                userId,
+                kind,
+                code,
+                preview: preview(code),
+                language: options.language ?? null,
+                provider: provider.name,
+                model: options.model || provider.defaultModel,
+                focus: options.focus,
+                strictness: options.strictness,
+                latencyMs: Date.now() - startedAt,
+                tokens,
+                response,
+                review,
+                analysis
+            });
+            return doc.id;
+        } catch (err) {
+            console.error('Failed to save review history:', err);
+            return null;
+        }
+    }
+
+    return { options: tracked, save };
+}
+
+function toSummary(doc) {
+    return {
+        id: String(doc._id),
+        kind: doc.kind,
+        preview: doc.preview,
+        language: doc.language,
+        provider: doc.provider,
+        model: doc.model,
+        latencyMs: doc.latencyMs,
+        tokens: doc.tokens,
+        createdAt: doc.createdAt
+    };
+}
+
+// Newest first. `q` searches code and review text; `before` (an ISO date, the
+// `createdAt` of the last item seen) pages further back.
+async function listReviews(userId, { q, kind, language, before, limit } = {}) {
+    const filter = { userId };
+    if (q) filter.$text = { $search: q };
+    if (kind) filter.kind = kind;
+    if (language) filter.language = language;
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    const pageSize = Math.min(Number(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const docs = await Review.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .select('-code -response -review -analysis')
+        .lean();
+
+    return docs.map(toSummary);
+}
+
+async function getReview(userId, id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const doc = await Review.findOne({ _id: id, userId }).lean();
+    if (!doc) return null;
+    // Diff reviews only refactor hunks, which can't be applied to a whole buffer.
+    // Their findings point at lines of the changed files, not of the stored patch.
+    let refactoredCode = null;
+    let findings = null;
+    if (doc.kind === 'snippet') {
+        refactoredCode = doc.review?.refactoredCode?.code ? doc.review.refactoredCode : extractRefactoredCode(doc.response);
+        findings = doc.review?.findings ?? parseFindings(doc.response);
+    }
+    return {
+        ...toSummary(doc),
+        code: doc.code,
+        response: doc.response,
+        review: doc.review,
+        analysis: doc.analysis,
+        refactoredCode,
+        findings,
+        focus: doc.focus,
+        strictness: doc.strictness
+    };
+}
+
+async function deleteReview(userId, id) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    const { deletedCount } = await Review.deleteOne({ _id: id, userId });
+    return deletedCount > 0;
+}
+
+module.exports = { startRecording, listReviews, getReview, deleteReview };
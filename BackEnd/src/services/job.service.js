@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const reviewService = require('./review.service');
+const quotaService = require('./quota.service');
+const metricsService = require('./metrics.service');
+const auditService = require('./audit.service');
+const { createMemoryJobStore, createMongoJobStore } = require('../stores/job.store');
+const { isConnected } = require('../db/mongo');
+const { AppError, ConflictError, ForbiddenError, QueueFullError, ServiceUnavailableError, ValidationError, errorCode } = require('../utils/errors');
+
+// Review jobs: a review is queued, answered with a job id straight away and run
+// in the background by a pool of workers; clients poll for the result. Jobs run
+// highest priority first, then oldest first. JOB_STORE picks `memory` (default,
+// jobs are lost on restart) or `mongo` (jobs survive restarts and are shared by
+// every server process using the database).
+const STORE = process.env.JOB_STORE || 'memory';
+// How many jobs this process runs at once.
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+// How many jobs may start per minute across the pool, to stay under the
+// provider's rate limits. 0 turns the limit off.
+const RATE_PER_MINUTE = Number(process.env.JOB_RATE_PER_MINUTE || 30);
+// Queued and running jobs one user may have.
+const MAX_UNFINISHED_PER_USER = Number(process.env.JOB_MAX_QUEUED_PER_USER || 10);
+// How long finished jobs and their results are kept.
+const RESULT_TTL_SECONDS = Number(process.env.JOB_RESULT_TTL_SECONDS || 60 * 60);
+// With the Mongo store, other processes may queue jobs, so the pool also looks
+// for work on this interval.
+const POLL_MS = Number(process.env.JOB_POLL_MS || 2000);
+// Running jobs are touched this often; one untouched for three intervals lost
+// its process and is run again by another.
+const HEARTBEAT_MS = Number(process.env.JOB_HEARTBEAT_MS || 10000);
+
+const KINDS = [ 'snippet', 'diff', 'project' ];
+const PRIORITIES = { low: 0, normal: 1, high: 2 };
+const FINISHED = [ 'succeeded', 'failed', 'cancelled' ];
+
+// This process, as the owner of the jobs it runs.
+const OWNER = crypto.randomUUID();
+
+let backend = null;
+// Job id -> AbortController of the jobs this process is running.
+const running = new Map();
+// When the jobs of the last minute started, for the rate limit.
+const starts = [];
+let pumping = false;
+let pumpAgain = false;
+let wakeTimer = null;
+let pollTimer = null;
+let heartbeatTimer = null;
+let closed = false;
+
+function getStore() {
+    if (STORE === 'mongo' && !isConnected()) {
+        throw new ServiceUnavailableError('The job queue needs the database, which is not connected');
+    }
+    if (!backend) {
+        backend = STORE === 'mongo' ? createMongoJobStore() : createMemoryJobStore();
+        heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS).unref();
+        if (backend.name === 'mongo') pollTimer = setInterval(pump, POLL_MS).unref();
+    }
+    return backend;
+}
+
+const priorityName = (value) => Object.keys(PRIORITIES).find((name) => PRIORITIES[name] === value) ?? 'normal';
+
+// What clients see of a job. `position` is how many queued jobs run before it.
+function toPublic(job, position) {
+    return {
+        id: job.id,
+        kind: job.kind,
+        status: job.status,
+        priority: priorityName(job.priority),
+        position,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt ?? null,
+        finishedAt: job.finishedAt ?? null,
+        result: job.result ?? null,
+        error: job.error ?? null
+    };
+}
+
+// The review options as stored with a job: plain data only, since the request's
+// callbacks don't outlive it (run() makes the job's own).
+function storableOptions({ provider, model, language, focus, strictness, ruleSets, cacheControl }) {
+    return { provider, model, language, focus, strictness, ruleSets, cacheControl };
+}
+
+// Checks a job's `input` the way the matching endpoint would, so a bad request
+// fails now rather than in the queue.
+function readInput(kind, body) {
+    switch (kind) {
+        case 'snippet':
+            if (!body.code) throw new ValidationError('Prompt is required');
+            reviewService.checkFormat(body.format ?? 'markdown');
+            return { code: body.code, format: body.format ?? 'markdown', path: body.path };
+        case 'diff':
+            reviewService.readChange(body);
+            return { diff: body.diff, before: body.before, after: body.after, path: body.path };
+        case 'project':
+            return { files: reviewService.readProjectFiles(body.files) };
+        default:
+            throw new ValidationError(`kind must be one of ${KINDS.join(', ')}`);
+    }
+}
+
+// Queues a review for `user`. `body` is what the matching endpoint takes, plus
+// `kind` and `priority` (`high` is for admins). `options` are readOptions'.
+async function enqueue(user, body, options) {
+    const kind = body.kind ?? 'snippet';
+    const priority = body.priority ?? 'normal';
+
+    if (typeof priority !== 'string' || !Object.hasOwn(PRIORITIES, priority)) {
+        throw new ValidationError(`priority must be one of ${Object.keys(PRIORITIES).join(', ')}`);
+    }
+    if (priority === 'high' && user.role !== 'admin') {
+        throw new ForbiddenError('Only admins can queue high priority jobs');
+    }
+
+    const input = readInput(kind, body);
+    const store = getStore();
+
+    if (await store.countUnfinished(user.id) >= MAX_UNFINISHED_PER_USER) {
+        throw new QueueFullError(MAX_UNFINISHED_PER_USER);
+    }
+
+    const job = await store.insert({
+        userId: user.id,
+        email: user.email,
+        kind,
+        priority: PRIORITIES[priority],
+        status: 'queued',
+        input,
+        options: storableOptions(options)
+    });
+
+    pump();
+    return toPublic(job, await store.position(job));
+}
+
+// The user's job, or null when there is none with this id (or it's someone else's).
+async function getJob(userId, id) {
+    const store = getStore();
+    const job = await store.get(id);
+    if (!job || job.userId !== userId) return null;
+    return toPublic(job, job.status === 'queued' ? await store.position(job) : undefined);
+}
+
+// Cancels a queued or running job; a running one has its model calls aborted.
+// Resolves to null for unknown jobs and throws a ConflictError for finished ones.
+async function cancel(userId, id) {
+    const store = getStore();
+    const job = await store.get(id);
+    if (!job || job.userId !== userId) return null;
+    if (FINISHED.includes(job.status)) {
+        throw new ConflictError(`The job has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}`);
+    }
+
+    const cancelled = await store.update(id, finish({ status: 'cancelled' }), { status: [ 'queued', 'running' ] });
+    // Jobs running in another process are aborted at its next heartbeat.
+    running.get(id)?.abort();
+    // Null when the job finished in the meantime; then the result stands.
+    return toPublic(cancelled ?? await store.get(id));
+}
+
+function finish(changes) {
+    const now = Date.now();
+    return { ...changes, finishedAt: new Date(now), expiresAt: new Date(now + RESULT_TTL_SECONDS * 1000) };
+}
+
+// How long until the rate limit lets another job start (0: right away).
+function rateLimitWait() {
+    if (!RATE_PER_MINUTE) return 0;
+    const minuteAgo = Date.now() - 60000;
+    while (starts.length && starts[0] <= minuteAgo) starts.shift();
+    return starts.length < RATE_PER_MINUTE ? 0 : starts[0] - minuteAgo;
+}
+
+// Starts queued jobs while workers are free and the rate limit allows. Called
+// whenever a job is queued or finishes; calls made while it runs make it go again.
+async function pump() {
+    if (closed || !backend) return;
+    if (pumping) {
+        pumpAgain = true;
+        return;
+    }
+    pumping = true;
+    try {
+        do {
+            pumpAgain = false;
+            while (running.size < CONCURRENCY) {
+                const wait = rateLimitWait();
+                if (wait > 0) {
+                    wakeTimer ??= setTimeout(() => { wakeTimer = null; pump(); }, wait);
+                    break;
+                }
+                if (backend.name === 'mongo' && !isConnected()) break;
+                const job = await backend.claimNext(OWNER, new Date(Date.now() - 3 * HEARTBEAT_MS));
+                if (!job) break;
+                starts.push(Date.now());
+                run(job);
+            }
+        } while (pumpAgain && !closed);
+    } catch (err) {
+        console.error('Job queue failed to start jobs:', err);
+    } finally {
+        pumping = false;
+    }
+}
+
+// Runs the review a job asked for and resolves to its result.
+async function execute(job, options) {
+    const { input } = job;
+    switch (job.kind) {
+        case 'snippet':
+            return reviewService.reviewSnippet(job.userId, input.code, options, { format: input.format, path: input.path });
+        case 'diff':
+            return reviewService.reviewChange(job.userId, reviewService.readChange(input), options);
+        case 'project':
+            return reviewService.reviewProject(job.userId, input.files, options);
+        default:
+            throw new ValidationError(`Unknown job kind "${job.kind}"`);
+    }
+}
+
+// Runs one claimed job and saves its outcome, unless it was cancelled meanwhile.
+// Usage counts against the user's quota and, like redactions, is recorded the
+// way the synchronous endpoints record it, under the `job` endpoint.
+async function run(job) {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+
+    const startedAt = Date.now();
+    const tokens = { prompt: 0, response: 0 };
+    const redactions = [];
+    let cache = null;
+
+    const options = {
+        ...job.options,
+        signal: controller.signal,
+        onUsage: (usage) => {
+            if (!usage) return;
+            tokens.prompt += usage.promptTokens ?? 0;
+            tokens.response += usage.responseTokens ?? 0;
+            quotaService.recordTokens(job.userId, usage).catch((err) => console.error('Failed to record token usage:', err));
+        },
+        onRedact: (found) => redactions.push(...found),
+        onCacheStatus: (status) => { cache = status; }
+    };
+
+    let error = null;
+    try {
+        const result = await execute(job, options);
+        if (!controller.signal.aborted) {
+            await backend.update(job.id, finish({ status: 'succeeded', result: { ...result, cache, redactions } }), { status: 'running', owner: OWNER });
+        }
+    } catch (err) {
+        if (!controller.signal.aborted) {
+            error = err;
+            if (!(err instanceof AppError)) console.error('Review job failed:', err);
+            const envelope = err instanceof AppError ? err.toJSON() : { error: 'Review failed', code: 'internal_error' };
+            await backend.update(job.id, finish({ status: 'failed', error: envelope }), { status: 'running', owner: OWNER })
+                .catch((saveErr) => console.error('Failed to save job outcome:', saveErr));
+        }
+    } finally {
+        running.delete(job.id);
+    }
+
+    const { provider, model, language } = job.options;
+    const aborted = controller.signal.aborted;
+    metricsService.record({
+        endpoint: 'job',
+        userId: job.userId,
+        email: job.email,
+        provider,
+        model,
+        language: language ?? null,
+        tokens,
+        latencyMs: Date.now() - startedAt,
+        status: error ? (error.status ?? 500) : 200,
+        cache,
+        errorCode: aborted ? 'cancelled' : error && errorCode(error),
+        errorMessage: error?.message ?? null
+    });
+    auditService.recordRedactions({ userId: job.userId, email: job.email, endpoint: 'job', provider, model, redactions });
+
+    pump();
+}
+
+// Tells the store this process still runs its jobs, and aborts those that were
+// cancelled (or taken over) elsewhere.
+async function heartbeat() {
+    if (backend.name === 'mongo' && !isConnected()) return;
+    for (const [ id, controller ] of running) {
+        try {
+            if (!(await backend.touch(id, OWNER))) controller.abort();
+        } catch (err) {
+            console.error('Job heartbeat failed:', err.message);
+        }
+    }
+}
+
+// Stops taking jobs. Running ones are aborted; with the Mongo store they go back
+// to the queue for the next process, in memory they are lost anyway.
+async function close() {
+    closed = true;
+    clearTimeout(wakeTimer);
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    if (!backend) return;
+    await Promise.allSettled([ ...running ].map(async ([ id, controller ]) => {
+        controller.abort();
+        if (backend.name === 'mongo') {
+            await backend.update(id, { status: 'queued', owner: null, startedAt: null }, { status: 'running', owner: OWNER });
+        }
+    }));
+}
+
+module.exports = { KINDS, PRIORITIES, enqueue, getJob, cancel, close };
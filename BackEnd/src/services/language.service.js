@@ -0,0 +1,108 @@
+const path = require('path');
+const { listLanguages, getLanguageProfile } = require('../prompts/languages');
+
+// Weighted signals per language. Detection sums the weights of the patterns that
+// match and picks the highest score; ties and weak evidence fall back to null.
+const SIGNALS = {
+    javascript: [
+        [ /\b(const|let|var)\s+\w+\s*=/, 2 ],
+        [ /=>\s*[{(]?/, 1 ],
+        [ /\bfunction\s*\w*\s*\(/, 4 ],
+        [ /\brequire\(['"]/, 3 ],
+        [ /\bmodule\.exports\b|\bexport\s+default\b/, 3 ],
+        [ /\bconsole\.\w+\(/, 2 ],
+        [ /\b(useState|useEffect)\(/, 3 ]
+    ],
+    typescript: [
+        [ /\binterface\s+\w+\s*\{/, 4 ],
+        [ /\btype\s+\w+\s*=\s*/, 3 ],
+        [ /:\s*(string|number|boolean|void|any|unknown|never)\b/, 4 ],
+        [ /\w+<[\w\s,[\]|]+>\s*\(/, 1 ],
+        [ /\bas\s+(const|\w+)\b/, 1 ],
+        [ /\b(public|private|readonly)\s+\w+\s*[:(]/, 2 ]
+    ],
+    python: [
+        [ /^\s*def\s+\w+\s*\(.*\)\s*(->\s*[\w[\], .]+)?:\s*$/m, 5 ],
+        [ /^\s*(from\s+[\w.]+\s+)?import\s+[\w., ]+$/m, 2 ],
+        [ /^\s*class\s+\w+(\(.*\))?:\s*$/m, 4 ],
+        [ /\bself\b/, 2 ],
+        [ /^\s*(elif|except|with)\b.*:\s*$/m, 3 ],
+        [ /\b(None|True|False)\b/, 1 ],
+        [ /\bprint\(/, 1 ]
+    ],
+    java: [
+        [ /\bpublic\s+(static\s+)?(final\s+)?class\s+\w+/, 5 ],
+        [ /\b(public|private|protected)\s+(static\s+)?[\w<>[\]]+\s+\w+\s*\(/, 4 ],
+        [ /\bSystem\.out\.print/, 4 ],
+        [ /^\s*import\s+java\./m, 5 ],
+        [ /@Override\b|@Autowired\b/, 3 ],
+        [ /\bnew\s+\w+<.*>\(/, 2 ]
+    ],
+    go: [
+        [ /^\s*package\s+\w+\s*$/m, 5 ],
+        [ /\bfunc\s+(\(\w+\s+\*?\w+\)\s+)?\w+\(/, 5 ],
+        [ /:=/, 2 ],
+        [ /\bif\s+err\s*!=\s*nil\b/, 5 ],
+        [ /\bfmt\.\w+\(/, 3 ],
+        [ /\bchan\s+\w+|\bgo\s+func\b/, 3 ]
+    ],
+    sql: [
+        [ /\bSELECT\b[\s\S]+\bFROM\b/i, 5 ],
+        [ /\b(INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM)\b/i, 5 ],
+        [ /\bCREATE\s+(TABLE|INDEX|VIEW)\b/i, 5 ],
+        [ /\b(INNER|LEFT|RIGHT)?\s*JOIN\b[\s\S]+\bON\b/i, 2 ],
+        [ /\bWHERE\b|\bGROUP\s+BY\b|\bORDER\s+BY\b/i, 1 ]
+    ],
+    rust: [
+        [ /\bfn\s+\w+\s*(<.*>)?\s*\(/, 4 ],
+        [ /\blet\s+mut\b/, 5 ],
+        [ /\bimpl\b(\s*<.*>)?\s+\w+/, 4 ],
+        [ /\buse\s+\w+(::\w+)+/, 4 ],
+        [ /->\s*(Result|Option)</, 4 ],
+        [ /\b\w+!\(/, 2 ],
+        [ /&(mut\s+)?\w+/, 1 ]
+    ]
+};
+
+// Minimum score before we trust the heuristics.
+const MIN_SCORE = 4;
+
+function detectFromPath(filePath) {
+    if (!filePath) return null;
+    const ext = path.extname(filePath).toLowerCase();
+    return listLanguages().find((id) => getLanguageProfile(id).extensions.includes(ext)) ?? null;
+}
+
+function detectFromContent(code) {
+    // Blank out string literals so e.g. SQL inside a JavaScript string doesn't count as SQL.
+    const source = code.replace(/(["'`])(?:\\.|(?!\1)[^\\\n])*\1/g, '""');
+    const scores = Object.entries(SIGNALS).map(([ id, signals ]) => [
+        id,
+        signals.reduce((sum, [ pattern, weight ]) => sum + (pattern.test(source) ? weight : 0), 0)
+    ]);
+    // TypeScript is a superset of JavaScript: its evidence also counts toward it.
+    const byId = Object.fromEntries(scores);
+    byId.typescript += byId.typescript > 0 ? byId.javascript : 0;
+    // SQL keywords show up in other languages too, so SQL only wins when nothing else scores.
+    if (Object.entries(byId).some(([ id, score ]) => id !== 'sql' && score >= MIN_SCORE)) byId.sql = 0;
+
+    const [ best, score ] = Object.entries(byId).sort((a, b) => b[1] - a[1])[0];
+    return score >= MIN_SCORE ? best : null;
+}
+
+// Returns a language id from ../prompts/languages, or null when unsure.
+// The file extension wins when there is one.
+function detectLanguage(code, filePath) {
+    return detectFromPath(filePath) ?? detectFromContent(code || '');
+}
+
+// Resolves the `language` a client sent: a known id is used as-is, "auto" or
+// nothing triggers detection. Unknown ids are reported to the caller as invalid.
+function resolveLanguage(requested, code, filePath) {
+    if (requested && requested !== 'auto') {
+        return listLanguages().includes(requested) ? requested : undefined;
+    }
+    return detectLanguage(code, filePath);
+}
+
+module.exports = { detectLanguage, resolveLanguage, listLanguages };
@@ -0,0 +1,187 @@
+const Metric = require('../models/metric.model');
+const { getProvider } = require('./providers');
+const { isConnected } = require('../db/mongo');
+const { createJsonStore } = require('../stores/json.store');
+
+// Prices are US dollars per million tokens, per model: `MODEL_PRICES` holds the
+// defaults, e.g. {"gemini-2.0-flash":{"prompt":0.1,"response":0.4}}, and admins
+// can override them at runtime (stored in DATA_DIR/prices.json).
+const prices = createJsonStore('prices');
+
+function defaultPrices() {
+    try {
+        return JSON.parse(process.env.MODEL_PRICES || '{}');
+    } catch (err) {
+        console.warn('MODEL_PRICES is not valid JSON; no default prices are set.');
+        return {};
+    }
+}
+
+// Whatever a dashboard groups by. Days are UTC calendar days.
+const DIMENSIONS = {
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+    user: '$userId',
+    language: '$language',
+    model: '$model',
+    endpoint: '$endpoint',
+    error: '$errorCode'
+};
+
+const MAX_ERROR_MESSAGE_LENGTH = 300;
+
+// Saves one request's metrics. Like history, metrics never fail the request:
+// without MongoDB, or when the write fails, they are dropped.
+async function record(metric) {
+    if (!isConnected()) return;
+    try {
+        const provider = getProvider(metric.provider);
+        await Metric.create({
+            ...metric,
+            provider: provider.name,
+            model: metric.model || provider.defaultModel,
+            errorMessage: metric.errorMessage?.slice(0, MAX_ERROR_MESSAGE_LENGTH) ?? null
+        });
+    } catch (err) {
+        console.error('Failed to record request metrics:', err);
+    }
+}
+
+// { model: { prompt, response, source: 'default' | 'custom' } }
+async function listPrices() {
+    const result = {};
+    for (const [ model, price ] of Object.entries(defaultPrices())) {
+        result[model] = { prompt: Number(price.prompt) || 0, response: Number(price.response) || 0, source: 'default' };
+    }
+    for (const price of await prices.find()) {
+        result[price.model] = { prompt: price.prompt, response: price.response, source: 'custom' };
+    }
+    return result;
+}
+
+function validatePrice({ prompt, response } = {}) {
+    const valid = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (!valid(prompt) || !valid(response)) return 'prompt and response must be prices per million tokens (numbers, 0 or more)';
+    return null;
+}
+
+async function setPrice(model, { prompt, response }) {
+    await prices.upsert((p) => p.model === model, () => ({ model, prompt, response }));
+    return listPrices();
+}
+
+// Drops a custom price; the model goes back to its MODEL_PRICES default, if any.
+async function removePrice(model) {
+    const [ price ] = await prices.find((p) => p.model === model);
+    if (price) await prices.remove(price.id);
+    return listPrices();
+}
+
+function estimateCost(model, promptTokens, responseTokens, priceList) {
+    const price = priceList[model];
+    if (!price) return null;
+    return (promptTokens * price.prompt + responseTokens * price.response) / 1e6;
+}
+
+// Totals per `groupBy` value between `from` (inclusive) and `to` (exclusive):
+// requests, errors, cache hits, tokens, average latency and estimated cost.
+// Rows are first grouped per model so each is priced at its own rate; `cost`
+// leaves out tokens of models without a price, which are listed in `unpriced`.
+async function aggregate(groupBy, { from, to, errorsOnly = false }) {
+    const match = { createdAt: { $gte: from, $lt: to } };
+    if (errorsOnly) match.errorCode = { $ne: null };
+
+    const [ rows, priceList ] = await Promise.all([
+        Metric.aggregate([
+            { $match: match },
+            { $sort: { createdAt: 1 } },
+            {
+                $group: {
+                    _id: { key: groupBy ? DIMENSIONS[groupBy] : null, model: '$model' },
+                    email: { $last: '$email' },
+                    lastError: { $last: '$errorMessage' },
+                    requests: { $sum: 1 },
+                    errors: { $sum: { $cond: [ { $ne: [ '$errorCode', null ] }, 1, 0 ] } },
+                    cacheHits: { $sum: { $cond: [ { $eq: [ '$cache', 'hit' ] }, 1, 0 ] } },
+                    promptTokens: { $sum: '$tokens.prompt' },
+                    responseTokens: { $sum: '$tokens.response' },
+                    latencyMs: { $sum: '$latencyMs' }
+                }
+            }
+        ]),
+        listPrices()
+    ]);
+
+    const groups = new Map();
+    for (const row of rows) {
+        const key = row._id.key ?? null;
+        const group = groups.get(key) ?? {
+            key, requests: 0, errors: 0, cacheHits: 0, promptTokens: 0, responseTokens: 0, latencyMs: 0, cost: 0, unpriced: []
+        };
+        group.requests += row.requests;
+        group.errors += row.errors;
+        group.cacheHits += row.cacheHits;
+        group.promptTokens += row.promptTokens;
+        group.responseTokens += row.responseTokens;
+        group.latencyMs += row.latencyMs ?? 0;
+        if (groupBy === 'user') group.email = row.email;
+        if (groupBy === 'error') group.message = row.lastError;
+
+        const cost = estimateCost(row._id.model, row.promptTokens, row.responseTokens, priceList);
+        if (cost === null) {
+            if (row.promptTokens + row.responseTokens && !group.unpriced.includes(row._id.model)) group.unpriced.push(row._id.model);
+        } else {
+            group.cost += cost;
+        }
+        groups.set(key, group);
+    }
+
+    return [ ...groups.values() ].map(({ latencyMs, ...group }) => ({
+        ...group,
+        avgLatencyMs: group.requests ? Math.round(latencyMs / group.requests) : 0
+    }));
+}
+
+// Every UTC day from `from` up to `to`, so charts show the quiet days too.
+function eachDay(from, to) {
+    const days = [];
+    for (let day = new Date(from); day < to; day.setUTCDate(day.getUTCDate() + 1)) {
+        days.push(day.toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+function emptyGroup(key) {
+    return { key, requests: 0, errors: 0, cacheHits: 0, promptTokens: 0, responseTokens: 0, cost: 0, unpriced: [], avgLatencyMs: 0 };
+}
+
+// The whole range as one row (see aggregate).
+async function getSummary(range) {
+    const [ total ] = await aggregate(null, range);
+    const { key, ...summary } = total ?? emptyGroup(null);
+    return summary;
+}
+
+// One row per `groupBy` value (see DIMENSIONS). Days come in order with
+// empty days filled in; errors are grouped by code and carry the latest
+// message; everything else is sorted by request count, at most `limit` rows.
+async function getBreakdown(groupBy, range, { limit } = {}) {
+    if (groupBy === 'day') {
+        const rows = new Map((await aggregate('day', range)).map((row) => [ row.key, row ]));
+        return eachDay(range.from, range.to).map((day) => rows.get(day) ?? emptyGroup(day));
+    }
+
+    const rows = await aggregate(groupBy, { ...range, errorsOnly: groupBy === 'error' });
+    rows.sort((a, b) => b.requests - a.requests);
+    return limit ? rows.slice(0, limit) : rows;
+}
+
+module.exports = {
+    DIMENSIONS,
+    record,
+    listPrices,
+    validatePrice,
+    setPrice,
+    removePrice,
+    getSummary,
+    getBreakdown
+};
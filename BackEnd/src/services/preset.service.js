@@ -0,0 +1,31 @@
+const { createJsonStore } = require('../stores/json.store');
+const { FOCUS_IDS, STRICTNESS_LEVELS } = require('../prompts/system.prompt');
+
+// Saved review settings (focus areas + strictness), shared by everyone in a team.
+const presets = createJsonStore('presets');
+
+function validatePreset({ name, focus, strictness }) {
+    if (!name || typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (!Array.isArray(focus) || focus.some((id) => !FOCUS_IDS.includes(id))) {
+        return `focus must be an array of ${FOCUS_IDS.join(', ')}`;
+    }
+    if (!STRICTNESS_LEVELS.includes(strictness)) return `strictness must be one of ${STRICTNESS_LEVELS.join(', ')}`;
+    return null;
+}
+
+async function listPresets(team) {
+    return presets.find((preset) => preset.team === team);
+}
+
+async function createPreset(team, { name, focus, strictness }) {
+    return presets.insert({ team, name: name.trim(), focus, strictness });
+}
+
+// Only deletes presets that belong to `team`; returns false otherwise.
+async function deletePreset(team, id) {
+    const preset = await presets.findById(id);
+    if (!preset || preset.team !== team) return false;
+    return presets.remove(id);
+}
+
+module.exports = { validatePreset, listPresets, createPreset, deletePreset };
@@ -0,0 +1,194 @@
+const path = require('path');
+const aiService = require('./ai.service');
+const { estimateTokens } = require('../utils/tokens');
+const { toMarkdown, analysisToMarkdown } = require('../utils/reviewMarkdown');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { detectLanguage } = require('./language.service');
+const { analyzeCode } = require('./analysis.service');
+const { errorCode } = require('../utils/errors');
+
+// Token budget for one model call: the file (or chunk) under review plus the
+// files it imports. Roughly 60% goes to the code, the rest to context.
+const CONTEXT_TOKENS = Number(process.env.PROJECT_CONTEXT_TOKENS || 24000);
+const CODE_SHARE = 0.6;
+// How many files are reviewed in parallel.
+const CONCURRENCY = Number(process.env.PROJECT_CONCURRENCY || 3);
+
+const IMPORT_PATTERNS = [
+    /\bimport\s+(?:[^'"]*?\s+from\s+)?['"]([^'"]+)['"]/g,
+    /\bexport\s+[^'"]*?\s+from\s+['"]([^'"]+)['"]/g,
+    /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+const PYTHON_IMPORT = /^\s*from\s+(\.+)([\w.]*)\s+import\b/gm;
+const RESOLVE_SUFFIXES = [ '', '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.json', '/index.js', '/index.jsx', '/index.ts', '/index.tsx' ];
+
+function resolveSpecifier(fromPath, specifier, paths) {
+    if (!specifier.startsWith('.')) return null;
+    const base = path.posix.join(path.posix.dirname(fromPath), specifier);
+    return RESOLVE_SUFFIXES.map((suffix) => base + suffix).find((candidate) => paths.has(candidate)) ?? null;
+}
+
+function resolvePythonImport(fromPath, dots, modulePath, paths) {
+    let dir = path.posix.dirname(fromPath);
+    for (let i = 1; i < dots.length; i++) dir = path.posix.dirname(dir);
+    const base = path.posix.join(dir, ...modulePath.split('.').filter(Boolean));
+    return [ `${base}.py`, `${base}/__init__.py` ].find((candidate) => paths.has(candidate)) ?? null;
+}
+
+// Maps every file path to the project files it imports (local imports only).
+function buildImportGraph(files) {
+    const paths = new Set(files.map((f) => f.path));
+    const graph = new Map();
+
+    for (const file of files) {
+        const imports = new Set();
+        for (const pattern of IMPORT_PATTERNS) {
+            for (const match of file.content.matchAll(pattern)) {
+                const resolved = resolveSpecifier(file.path, match[1], paths);
+                if (resolved && resolved !== file.path) imports.add(resolved);
+            }
+        }
+        if (file.path.endsWith('.py')) {
+            for (const match of file.content.matchAll(PYTHON_IMPORT)) {
+                const resolved = resolvePythonImport(file.path, match[1], match[2], paths);
+                if (resolved && resolved !== file.path) imports.add(resolved);
+            }
+        }
+        graph.set(file.path, [ ...imports ]);
+    }
+    return graph;
+}
+
+// Splits a file into line-aligned chunks that each fit the token budget.
+function chunkFile(content, maxTokens) {
+    const lines = content.split('\n');
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    let firstLine = 1;
+
+    lines.forEach((line, i) => {
+        const lineTokens = estimateTokens(line) + 1;
+        if (current.length && currentTokens + lineTokens > maxTokens) {
+            chunks.push({ code: current.join('\n'), firstLine });
+            current = [];
+            currentTokens = 0;
+            firstLine = i + 1;
+        }
+        current.push(line);
+        currentTokens += lineTokens;
+    });
+    chunks.push({ code: current.join('\n'), firstLine });
+    return chunks;
+}
+
+// Concatenates imported files until the context budget runs out; the last one is truncated.
+function buildContext(importPaths, filesByPath, maxTokens) {
+    const parts = [];
+    let remaining = maxTokens;
+
+    for (const importPath of importPaths) {
+        if (remaining <= 0) break;
+        let content = filesByPath.get(importPath).content;
+        if (estimateTokens(content) > remaining) {
+            content = `${content.slice(0, remaining * 4)}\n// ... truncated`;
+        }
+        parts.push(`--- ${importPath} ---\n${content}`);
+        remaining -= estimateTokens(content);
+    }
+    return parts.join('\n\n');
+}
+
+function unique(items) {
+    return [ ...new Set(items) ];
+}
+
+// Combines the structured reviews of several chunks of the same file.
+function mergeChunkReviews(reviews, language) {
+    if (reviews.length === 1) return reviews[0];
+    return {
+        summary: reviews.map((r) => r.summary).filter(Boolean).join(' '),
+        findings: reviews.flatMap((r) => r.findings),
+        strengths: unique(reviews.flatMap((r) => r.strengths)),
+        refactoredCode: { language, code: reviews.map((r) => r.refactoredCode.code).join('\n') },
+        takeaways: unique(reviews.flatMap((r) => r.takeaways))
+    };
+}
+
+async function reviewFile(file, imports, filesByPath, options) {
+    const codeBudget = Math.floor(CONTEXT_TOKENS * CODE_SHARE);
+    const context = buildContext(imports, filesByPath, CONTEXT_TOKENS - codeBudget);
+    const chunks = chunkFile(file.content, codeBudget);
+
+    const reviews = [];
+    for (const chunk of chunks) {
+        const { review } = await aiService.generateStructuredReview(chunk.code, {
+            ...options,
+            path: file.path,
+            firstLine: chunk.firstLine,
+            context
+        });
+        reviews.push(review);
+    }
+    return mergeChunkReviews(reviews, reviews[0].refactoredCode.language);
+}
+
+function countBySeverity(fileReports) {
+    const counts = { critical: 0, warning: 0, suggestion: 0 };
+    for (const report of fileReports) {
+        for (const finding of report.review?.findings ?? []) counts[finding.severity]++;
+    }
+    return counts;
+}
+
+function toProjectMarkdown(report) {
+    const { counts } = report.summary;
+    const parts = [
+        '# 📁 Project Review',
+        `${report.files.length} file(s) reviewed — 🔴 ${counts.critical} critical, 🟡 ${counts.warning} warnings, 🟢 ${counts.suggestion} suggestions.`
+    ];
+    for (const file of report.files) {
+        parts.push(`## 📄 \`${file.path}\``);
+        if (file.imports.length) parts.push(`_Imports:_ ${file.imports.map((p) => `\`${p}\``).join(', ')}`);
+        const analysis = analysisToMarkdown(file.analysis);
+        if (analysis) parts.push(analysis.replace(/^### /gm, '#### '));
+        parts.push(file.error ? `⚠️ Review failed: ${file.error}` : file.markdown.replace(/^### /gm, '#### '));
+    }
+    return parts.join('\n\n');
+}
+
+// Reviews every file with its imported files as context and merges the results
+// into one report grouped by file. A file whose review fails is reported with
+// its error instead of failing the whole project; only when every file fails
+// does the request fail, with the first file's error.
+async function reviewProject(files, options = {}) {
+    const filesByPath = new Map(files.map((f) => [ f.path, f ]));
+    const graph = buildImportGraph(files);
+    const failures = [];
+
+    const fileReports = await mapWithConcurrency(files, CONCURRENCY, async (file) => {
+        const imports = graph.get(file.path);
+        const language = options.language ?? detectLanguage(file.content, file.path);
+        // Whole-file analysis; each chunk's prompt gets the part inside it.
+        const analysis = analyzeCode(file.content, { language, path: file.path });
+        try {
+            const review = await reviewFile(file, imports, filesByPath, { ...options, language, analysis });
+            return { path: file.path, language, imports, analysis, review, markdown: toMarkdown(review) };
+        } catch (err) {
+            console.error(`Review of ${file.path} failed:`, err);
+            failures.push(err);
+            return { path: file.path, language, imports, analysis, error: err.message, errorCode: errorCode(err) };
+        }
+    });
+
+    if (failures.length === fileReports.length) throw failures[0];
+
+    const report = {
+        summary: { files: fileReports.length, counts: countBySeverity(fileReports) },
+        files: fileReports
+    };
+    return { report, markdown: toProjectMarkdown(report) };
+}
+
+module.exports = { reviewProject, buildImportGraph, chunkFile };
@@ -0,0 +1,156 @@
+const {
+    GoogleGenerativeAI,
+    GoogleGenerativeAIError,
+    GoogleGenerativeAIFetchError,
+    GoogleGenerativeAIRequestInputError,
+    GoogleGenerativeAIResponseError,
+    GoogleGenerativeAIAbortError
+} = require("@google/generative-ai");
+const { AppError, SafetyBlockError, UpstreamError, ValidationError, fromUpstreamStatus } = require("../../utils/errors");
+
+const DEFAULT_MODEL = process.env.GEMINI_MODEL || "gemini-2.0-flash";
+
+// Created on first use so the app can boot (and other providers can run) without a Gemini key.
+let genAI = null;
+
+function getClient() {
+    if (!genAI) {
+        if (!process.env.GOOGLE_GEMINI_KEY) {
+            throw new AppError('GOOGLE_GEMINI_KEY is not set', { status: 503, code: 'provider_unavailable' });
+        }
+        // The client gets the API key from the environment variable `GOOGLE_GEMINI_KEY`.
+        genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_KEY);
+    }
+    return genAI;
+}
+
+// Pulls the text out of an SDK result, whatever shape it came back in.
+function extractText(result) {
+    // result.response.candidates[0].content.parts is the typical place text lives.
+    const candidate = result?.response?.candidates?.[0];
+    const content = candidate?.content;
+    let extracted = null;
+    if (content?.parts && Array.isArray(content.parts)) {
+        // Join all text parts (ignore other part types)
+        const texts = content.parts.map((p) => (p && typeof p.text === 'string' ? p.text : '')).filter(Boolean);
+        if (texts.length > 0) extracted = texts.join('');
+    }
+
+    // Some responses may be simple strings (unlikely here) or have other shapes.
+    if (!extracted && typeof result?.response === 'string') extracted = result.response;
+
+    if (!extracted) {
+        // Last resort: try to stringify a useful portion of the response
+        try {
+            extracted = JSON.stringify(candidate ?? result.response ?? result);
+        }
+        catch (e) {
+            extracted = String(result);
+        }
+    }
+
+    return extracted;
+}
+
+// Finish reasons that mean the answer was withheld rather than completed.
+const BLOCKED_FINISH_REASONS = [ 'SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII' ];
+
+// Throws a SafetyBlockError when the prompt or the answer was blocked.
+function assertNotBlocked(response) {
+    const blockReason = response?.promptFeedback?.blockReason;
+    if (blockReason) throw new SafetyBlockError(blockReason);
+
+    const finishReason = response?.candidates?.[0]?.finishReason;
+    if (BLOCKED_FINISH_REASONS.includes(finishReason)) throw new SafetyBlockError(finishReason);
+}
+
+// Seconds from a google.rpc.RetryInfo detail such as { retryDelay: "37s" }.
+function retryDelay(errorDetails) {
+    const info = errorDetails?.find?.((detail) => detail?.['@type']?.endsWith('RetryInfo'));
+    const seconds = parseInt(info?.retryDelay, 10);
+    return Number.isFinite(seconds) ? seconds : undefined;
+}
+
+// Maps SDK errors onto the app's error types. Aborts pass through untouched so
+// the caller can tell a cancel or timeout from a failure.
+function toAppError(err) {
+    if (err instanceof AppError || err instanceof GoogleGenerativeAIAbortError) return err;
+    if (err instanceof GoogleGenerativeAIFetchError) {
+        return fromUpstreamStatus(err.status, `Gemini returned ${err.status}: ${err.message}`, { retryAfter: retryDelay(err.errorDetails), cause: err });
+    }
+    if (err instanceof GoogleGenerativeAIRequestInputError) return new ValidationError(err.message);
+    if (err instanceof GoogleGenerativeAIResponseError) {
+        // Raised by chunk.text() when a streamed candidate is blocked.
+        return new SafetyBlockError(err.response?.candidates?.[0]?.finishReason ?? 'blocked', { cause: err });
+    }
+    if (err instanceof GoogleGenerativeAIError) {
+        // Network failures ("Error fetching from ...") are worth another try.
+        return new UpstreamError(err.message, { retryable: true, cause: err });
+    }
+    return err;
+}
+
+function extractUsage(result) {
+    const usage = result?.response?.usageMetadata;
+    if (!usage) return null;
+    return {
+        promptTokens: usage.promptTokenCount ?? 0,
+        responseTokens: usage.candidatesTokenCount ?? 0
+    };
+}
+
+function getModel({ model, systemInstruction, json }) {
+    return getClient().getGenerativeModel({
+        model,
+        systemInstruction,
+        generationConfig: json ? { responseMimeType: "application/json" } : undefined
+    });
+}
+
+// A plain prompt goes as is; a conversation becomes Gemini `contents`, where
+// the assistant's role is called "model".
+function toRequest(prompt, messages) {
+    if (!messages) return prompt;
+    return {
+        contents: messages.map((m) => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [ { text: m.content } ] }))
+    };
+}
+
+async function generate({ model = DEFAULT_MODEL, systemInstruction, prompt, messages, json = false, signal }) {
+    const generativeModel = getModel({ model, systemInstruction, json });
+
+    try {
+        // The SDK accepts a plain string (or array) as the request body for generateContent.
+        // Passing an object like { prompt } caused "request is not iterable" because the SDK
+        // tries to iterate over the provided value.
+        const result = await generativeModel.generateContent(toRequest(prompt, messages), { signal });
+        assertNotBlocked(result.response);
+
+        return { text: extractText(result), usage: extractUsage(result), model };
+    } catch (err) {
+        throw toAppError(err);
+    }
+}
+
+// Yields text chunks as Gemini produces them. Aborting `signal` cancels the upstream request.
+// `onUsage` receives the token counts once the stream has finished.
+async function* stream({ model = DEFAULT_MODEL, systemInstruction, prompt, messages, signal, onUsage }) {
+    const generativeModel = getModel({ model, systemInstruction });
+
+    try {
+        const result = await generativeModel.generateContentStream(toRequest(prompt, messages), { signal });
+
+        for await (const chunk of result.stream) {
+            assertNotBlocked(chunk);
+            const text = chunk.text();
+            if (text) yield text;
+        }
+
+        const usage = extractUsage({ response: await result.response });
+        if (onUsage && usage) await onUsage(usage);
+    } catch (err) {
+        throw toAppError(err);
+    }
+}
+
+module.exports = { name: 'gemini', defaultModel: DEFAULT_MODEL, generate, stream };
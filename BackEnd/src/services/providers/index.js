@@ -0,0 +1,29 @@
+const gemini = require('./gemini.provider');
+const openai = require('./openai.provider');
+const mock = require('./mock.provider');
+const recorded = require('./recorded.provider');
+
+// Every provider exposes the same interface:
+//   generate({ model, systemInstruction, prompt, messages, json }) -> { text, usage, model }
+//   stream({ model, systemInstruction, prompt, messages, signal, onUsage }) -> async iterable of text chunks
+// The input is either a single `prompt` string or `messages`, a conversation of
+// { role: 'user' | 'assistant', content } turns ending with the user's.
+// `usage` is { promptTokens, responseTokens } when the backend reports it, else null;
+// streams hand it to `onUsage` once they finish.
+const PROVIDERS = { gemini, openai, mock, recorded };
+
+function listProviders() {
+    return Object.keys(PROVIDERS);
+}
+
+// Picks the provider named in the request, falling back to AI_PROVIDER, then Gemini.
+function getProvider(name) {
+    const providerName = name || process.env.AI_PROVIDER || 'gemini';
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+        throw new Error(`Unknown AI provider "${providerName}". Available: ${listProviders().join(', ')}`);
+    }
+    return provider;
+}
+
+module.exports = { getProvider, listProviders };
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens } = require('../../utils/tokens');
+const { ProviderQuotaError, SafetyBlockError, fromUpstreamStatus } = require('../../utils/errors');
+
+// Offline provider for local development and CI. It never touches the network and
+// always answers with the same fixture, so responses are deterministic.
+// MOCK_FIXTURES_DIR can point at a directory holding your own review.md / review.json / chat.md.
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+const DEFAULT_MODEL = 'mock';
+// Pause between streamed chunks so the UI can be seen rendering progressively.
+const STREAM_DELAY_MS = Number(process.env.MOCK_STREAM_DELAY_MS ?? 20);
+
+// MOCK_ERROR makes every call fail the given way, to try out error handling
+// offline: `quota`, `safety`, `upstream` (a retryable 503) or `timeout` (never
+// answers, so the caller's timeout fires). Read per call so it can be flipped at runtime.
+async function simulateError(signal) {
+    switch (process.env.MOCK_ERROR) {
+        case 'quota':
+            throw new ProviderQuotaError('Mock provider quota exhausted', { retryAfter: 60 });
+        case 'safety':
+            throw new SafetyBlockError('SAFETY');
+        case 'upstream':
+            throw fromUpstreamStatus(503, 'Mock provider is unavailable');
+        case 'timeout':
+            await new Promise((resolve, reject) => signal?.addEventListener('abort', () => reject(signal.reason), { once: true }));
+    }
+}
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Conversations (follow-up questions on a review) get the chat fixture.
+function fixtureFor({ messages, json }) {
+    if (messages) return 'chat.md';
+    return json ? 'review.json' : 'review.md';
+}
+
+function promptTokens(systemInstruction, prompt, messages) {
+    const input = messages ? messages.map((m) => m.content).join('\n') : prompt;
+    return estimateTokens(systemInstruction) + estimateTokens(input);
+}
+
+async function generate({ model = DEFAULT_MODEL, systemInstruction = '', prompt, messages, json = false, signal }) {
+    await simulateError(signal);
+    const text = readFixture(fixtureFor({ messages, json }));
+
+    return {
+        text,
+        usage: {
+            promptTokens: promptTokens(systemInstruction, prompt, messages),
+            responseTokens: estimateTokens(text)
+        },
+        model
+    };
+}
+
+// Streams the Markdown fixture line by line, then reports estimated usage.
+async function* stream({ systemInstruction = '', prompt, messages, signal, onUsage }) {
+    await simulateError(signal);
+    const text = readFixture(fixtureFor({ messages }));
+    const lines = text.split(/(?<=\n)/);
+
+    for (const line of lines) {
+        if (signal?.aborted) return;
+        if (STREAM_DELAY_MS > 0) await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+        yield line;
+    }
+
+    if (onUsage) {
+        await onUsage({
+            promptTokens: promptTokens(systemInstruction, prompt, messages),
+            responseTokens: estimateTokens(text)
+        });
+    }
+}
+
+module.exports = { name: 'mock', defaultModel: DEFAULT_MODEL, generate, stream };
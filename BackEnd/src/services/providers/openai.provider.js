@@ -0,0 +1,106 @@
+// Talks to any endpoint that implements the OpenAI chat completions API: OpenAI
+// itself, or a local Ollama / llama.cpp server via OPENAI_BASE_URL
+// (e.g. http://localhost:11434/v1).
+
+const { SafetyBlockError, UpstreamError, fromUpstreamStatus } = require('../../utils/errors');
+
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+async function postCompletion(body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually don't need a key, so only send one when configured.
+    if (process.env.OPENAI_API_KEY) {
+        headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${BASE_URL}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (err) {
+        // Aborts (cancel or timeout) are the caller's business; anything else is the network.
+        if (signal?.aborted) throw err;
+        throw new UpstreamError(`Could not reach ${BASE_URL}: ${err.message}`, { retryable: true, cause: err });
+    }
+
+    if (!response.ok) {
+        const text = await response.text();
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        throw fromUpstreamStatus(response.status, `OpenAI-compatible endpoint returned ${response.status}: ${text.slice(0, 500)}`, {
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined
+        });
+    }
+    return response;
+}
+
+// `messages` (a conversation) already uses the chat roles; a prompt is one user turn.
+function buildMessages(systemInstruction, prompt, messages) {
+    const result = [];
+    if (systemInstruction) result.push({ role: 'system', content: systemInstruction });
+    result.push(...(messages ?? [ { role: 'user', content: prompt } ]).map(({ role, content }) => ({ role, content })));
+    return result;
+}
+
+function toUsage(usage) {
+    return usage
+        ? { promptTokens: usage.prompt_tokens ?? 0, responseTokens: usage.completion_tokens ?? 0 }
+        : null;
+}
+
+async function generate({ model = DEFAULT_MODEL, systemInstruction, prompt, messages, json = false, signal }) {
+    const response = await postCompletion({
+        model,
+        messages: buildMessages(systemInstruction, prompt, messages),
+        response_format: json ? { type: 'json_object' } : undefined
+    }, signal);
+
+    const data = await response.json();
+    const choice = data?.choices?.[0];
+    if (choice?.finish_reason === 'content_filter') throw new SafetyBlockError('content_filter');
+    const text = choice?.message?.content ?? '';
+
+    return { text, usage: toUsage(data?.usage), model };
+}
+
+// Yields text chunks from the `stream: true` SSE response. Aborting `signal`
+// closes the upstream connection. `onUsage` receives the token counts from the
+// final chunk, for servers that honour `stream_options.include_usage`.
+async function* stream({ model = DEFAULT_MODEL, systemInstruction, prompt, messages, signal, onUsage }) {
+    const response = await postCompletion({
+        model,
+        messages: buildMessages(systemInstruction, prompt, messages),
+        stream: true,
+        stream_options: { include_usage: true }
+    }, signal);
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const data = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !data) continue;
+            if (data === '[DONE]') return;
+
+            const payload = JSON.parse(data);
+            const usage = toUsage(payload?.usage);
+            if (onUsage && usage) await onUsage(usage);
+
+            const choice = payload?.choices?.[0];
+            if (choice?.finish_reason === 'content_filter') throw new SafetyBlockError('content_filter');
+            const text = choice?.delta?.content;
+            if (text) yield text;
+        }
+    }
+}
+
+module.exports = { name: 'openai', defaultModel: DEFAULT_MODEL, generate, stream };
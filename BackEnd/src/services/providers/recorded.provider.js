@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { UpstreamError } = require('../../utils/errors');
+
+// Replays answers recorded from a real provider, so prompt evaluations (see
+// eval/) and CI get realistic reviews without the network. Each request's answer
+// is a JSON file in RECORDINGS_DIR named after a hash of everything sent (model,
+// system instruction, prompt or messages, JSON mode), so a changed prompt has no
+// recording yet. With RECORD_WITH=<provider>, misses go to that provider and its
+// answers are saved.
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '..', '..', '..', 'eval', 'recordings');
+const DEFAULT_MODEL = 'recorded';
+
+function recordingKey({ model, systemInstruction, prompt, messages, json }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ model: model ?? null, systemInstruction, prompt: prompt ?? null, messages: messages ?? null, json: Boolean(json) }))
+        .digest('hex')
+        .slice(0, 32);
+}
+
+async function record(file, request) {
+    // Required here: the provider registry requires this module.
+    const provider = require('./index').getProvider(process.env.RECORD_WITH);
+    const { text, usage, model } = await provider.generate(request);
+    await fs.promises.mkdir(RECORDINGS_DIR, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({
+        provider: provider.name,
+        model: model ?? request.model ?? provider.defaultModel,
+        recordedAt: new Date().toISOString(),
+        text,
+        usage
+    }, null, 2));
+    return { text, usage, model };
+}
+
+async function generate(request) {
+    const file = path.join(RECORDINGS_DIR, `${recordingKey(request)}.json`);
+
+    let recording;
+    try {
+        recording = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        if (process.env.RECORD_WITH) return record(file, request);
+        throw new UpstreamError(`No recorded answer for this request in ${RECORDINGS_DIR}; run with RECORD_WITH=<provider> to record it`);
+    }
+    return { text: recording.text, usage: recording.usage ?? null, model: recording.model };
+}
+
+// Recordings are whole answers, so a stream is one chunk.
+async function* stream({ onUsage, ...request }) {
+    const { text, usage } = await generate(request);
+    yield text;
+    if (onUsage && usage) await onUsage(usage);
+}
+
+module.exports = { name: 'recorded', defaultModel: DEFAULT_MODEL, generate, stream };
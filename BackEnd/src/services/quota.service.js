@@ -0,0 +1,67 @@
+const { createJsonStore } = require('../stores/json.store');
+
+// Per-user daily limits. Days are UTC calendar days.
+const DAILY_REQUEST_QUOTA = Number(process.env.DAILY_REQUEST_QUOTA || 100);
+const DAILY_TOKEN_QUOTA = Number(process.env.DAILY_TOKEN_QUOTA || 200000);
+
+const usage = createJsonStore('usage');
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Seconds until the quota resets at the next UTC midnight.
+function secondsUntilReset() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+async function getUsage(userId) {
+    const [ record ] = await usage.find((u) => u.userId === userId && u.day === today());
+    return record ?? null;
+}
+
+function summarize(record) {
+    return {
+        day: today(),
+        requests: { used: record?.requests ?? 0, limit: DAILY_REQUEST_QUOTA },
+        tokens: { used: record?.tokens ?? 0, limit: DAILY_TOKEN_QUOTA },
+        resetsIn: secondsUntilReset()
+    };
+}
+
+// Counts `count` requests (one per model call) against today's quota. Returns
+// { allowed, quota }; nothing is counted when fewer than `count` requests are
+// left or the token limit is reached. The check and the count happen in one
+// store write, so concurrent requests can't both take the last one.
+async function consumeRequest(userId, count = 1) {
+    const day = today();
+    let allowed = false;
+    const record = await usage.upsert(
+        (u) => u.userId === userId && u.day === day,
+        (u) => {
+            const requests = u?.requests ?? 0;
+            const tokens = u?.tokens ?? 0;
+            allowed = requests + count <= DAILY_REQUEST_QUOTA && tokens < DAILY_TOKEN_QUOTA;
+            return { userId, day, requests: allowed ? requests + count : requests, tokens };
+        }
+    );
+    return { allowed, quota: summarize(record) };
+}
+
+// Adds the tokens a model call used (as reported by the provider) to today's total.
+async function recordTokens(userId, { promptTokens = 0, responseTokens = 0 } = {}) {
+    const tokens = promptTokens + responseTokens;
+    if (!tokens) return;
+    await usage.upsert(
+        (u) => u.userId === userId && u.day === today(),
+        (u) => ({ userId, day: today(), requests: u?.requests ?? 0, tokens: (u?.tokens ?? 0) + tokens })
+    );
+}
+
+async function getQuota(userId) {
+    return summarize(await getUsage(userId));
+}
+
+module.exports = { consumeRequest, recordTokens, getQuota };
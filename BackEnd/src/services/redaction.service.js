@@ -0,0 +1,198 @@
+const { PATTERNS, ASSIGNMENT, entropy } = require('./analyzers/secrets.analyzer');
+
+// Secrets and personal data are swapped for placeholders such as
+// REDACTED_AWS_ACCESS_KEY_1 before anything goes to the model provider, and the
+// placeholders are put back in what the model answers. The same value always
+// gets the same placeholder within a request, so the model can still tell that
+// two lines use the same key. `REDACTION` is `all` (default), `secrets` (leave
+// personal data alone) or `off`.
+const MODE = process.env.REDACTION || 'all';
+
+// Known token formats come from the secrets analyzer; its private-key pattern
+// only matches the header line, so the key's body is handled separately below.
+const KNOWN_FORMATS = PATTERNS.filter((p) => p.ruleId !== 'private-key').map(({ ruleId, title, pattern }) => ({
+    type: ruleId.toUpperCase().replace(/-/g, '_'),
+    kind: 'secret',
+    label: title,
+    pattern
+}));
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----/;
+const PRIVATE_KEY_END = /-----END (?:[A-Z]+ )*PRIVATE KEY-----/;
+const PRIVATE_KEY_BODY = { type: 'PRIVATE_KEY', kind: 'secret', label: 'Private key', pattern: /[A-Za-z0-9+/]{16,}={0,2}/g };
+
+// Hex digests and UUIDs stay below this; random keys of 24+ characters don't.
+const MIN_TOKEN_ENTROPY = 4;
+
+const isLuhnValid = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+const digitCount = (value) => value.replace(/\D/g, '').length;
+
+const SECRET_DETECTORS = [
+    ...KNOWN_FORMATS,
+    { type: 'TOKEN', kind: 'secret', label: 'Bearer token', pattern: /\bBearer\s+([\w~+/.-]{16,}=*)/g },
+    // The secrets analyzer only reports random-looking values; anything assigned
+    // to a secret-sounding name is redacted, weak passwords included.
+    { type: 'SECRET', kind: 'secret', label: 'Value of a secret-sounding name', pattern: ASSIGNMENT },
+    // `.env` style: DB_PASSWORD=hunter2, without quotes or spaces around `=`.
+    {
+        type: 'SECRET',
+        kind: 'secret',
+        label: 'Value of a secret-sounding variable',
+        pattern: /(?<![\w.])(?:export\s+)?[A-Z][A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|PWD|PASS|CREDENTIALS?)[A-Z0-9_]*=([^\s'"`#$(){}]{4,})/g
+    },
+    {
+        type: 'SECRET',
+        kind: 'secret',
+        label: 'High-entropy string',
+        pattern: /(?<![\w+/=-])[A-Za-z0-9+/_-]{24,}={0,2}(?![\w+/=-])/g,
+        test: (value) => /\d/.test(value) && /[A-Za-z]/.test(value) && entropy(value) >= MIN_TOKEN_ENTROPY
+    }
+];
+
+const PII_DETECTORS = [
+    { type: 'EMAIL', kind: 'pii', label: 'Email address', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+    {
+        type: 'PHONE',
+        kind: 'pii',
+        label: 'Phone number',
+        pattern: /(?<![\w+])\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?!\w)/g,
+        test: (value) => digitCount(value) >= 8 && digitCount(value) <= 15
+    },
+    {
+        type: 'CARD_NUMBER',
+        kind: 'pii',
+        label: 'Payment card number',
+        pattern: /\b\d(?:[ -]?\d){14,15}\b/g,
+        test: (value) => isLuhnValid(value.replace(/\D/g, ''))
+    },
+    { type: 'SSN', kind: 'pii', label: 'US Social Security number', pattern: /\b\d{3}-\d{2}-\d{4}\b/g }
+];
+
+// In order of precedence: where two matches overlap, the earlier detector wins.
+function detectors() {
+    if (MODE === 'off') return [];
+    return MODE === 'secrets' ? SECRET_DETECTORS : [ ...SECRET_DETECTORS, ...PII_DETECTORS ];
+}
+
+// `match[1]` is the sensitive part when a pattern has a group (the value of an
+// assignment, the password in a URL), else the whole match.
+function matchesIn(line, insidePrivateKey) {
+    const found = [];
+    const overlaps = (start, end) => found.some((m) => start < m.end && end > m.start);
+    const list = insidePrivateKey ? [ PRIVATE_KEY_BODY, ...detectors() ] : detectors();
+
+    for (const detector of list) {
+        for (const match of line.matchAll(detector.pattern)) {
+            const value = match[1] ?? match[0];
+            const start = match.index + (match[1] === undefined ? 0 : match[0].indexOf(match[1]));
+            const end = start + value.length;
+            if (detector.test && !detector.test(value)) continue;
+            if (overlaps(start, end)) continue;
+            found.push({ start, end, value, detector });
+        }
+    }
+    return found.sort((a, b) => a.start - b.start);
+}
+
+// Calls `onMatch(match, lineIndex)` for each sensitive value in `text`, line by line.
+function scanLines(text, onMatch) {
+    let insidePrivateKey = false;
+    text.split('\n').forEach((line, i) => {
+        if (PRIVATE_KEY_END.test(line)) insidePrivateKey = false;
+        for (const match of matchesIn(line, insidePrivateKey)) onMatch(match, i);
+        if (PRIVATE_KEY_BEGIN.test(line)) insidePrivateKey = true;
+    });
+}
+
+const PLACEHOLDER = /\bREDACTED_[A-Z_]+_\d+\b/g;
+
+// A request's placeholders. `redact` may be called on several texts (e.g. the
+// turns of a conversation) and they share placeholders; `redactions` lists
+// what was swapped, without the values: [{ type, kind, label, placeholder, occurrences }].
+function createRedactor() {
+    const placeholders = new Map();
+    const values = new Map();
+    const counters = new Map();
+    const redactions = [];
+
+    function placeholderFor(value, detector) {
+        if (!placeholders.has(value)) {
+            const n = (counters.get(detector.type) ?? 0) + 1;
+            counters.set(detector.type, n);
+            const placeholder = `REDACTED_${detector.type}_${n}`;
+            placeholders.set(value, placeholder);
+            values.set(placeholder, value);
+            redactions.push({ type: detector.type, kind: detector.kind, label: detector.label, placeholder, occurrences: 0 });
+        }
+        const placeholder = placeholders.get(value);
+        redactions.find((r) => r.placeholder === placeholder).occurrences++;
+        return placeholder;
+    }
+
+    function redact(text) {
+        if (!text) return text;
+        const lines = text.split('\n');
+        const matches = [];
+        scanLines(text, (match, i) => matches.push({ ...match, line: i, placeholder: placeholderFor(match.value, match.detector) }));
+        // Right to left, so earlier offsets on the line stay valid.
+        for (const { line, start, end, placeholder } of matches.reverse()) {
+            lines[line] = lines[line].slice(0, start) + placeholder + lines[line].slice(end);
+        }
+        return lines.join('\n');
+    }
+
+    function restore(text) {
+        if (typeof text !== 'string' || !values.size) return text;
+        return text.replace(PLACEHOLDER, (placeholder) => values.get(placeholder) ?? placeholder);
+    }
+
+    // Every string inside `value` (e.g. a parsed structured review), restored.
+    function restoreDeep(value) {
+        if (typeof value === 'string') return restore(value);
+        if (Array.isArray(value)) return value.map(restoreDeep);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([ key, v ]) => [ key, restoreDeep(v) ]));
+        }
+        return value;
+    }
+
+    // Restores a stream of text chunks. A placeholder can be split across two
+    // chunks, so a trailing word that could still become one is held back.
+    async function* restoreStream(chunks) {
+        let pending = '';
+        for await (const chunk of chunks) {
+            const text = pending + chunk;
+            const tail = text.match(/\w*$/)[0];
+            const held = 'REDACTED_'.startsWith(tail) || tail.startsWith('REDACTED_') ? tail.length : 0;
+            pending = text.slice(text.length - held);
+            const ready = text.slice(0, text.length - held);
+            if (ready) yield restore(ready);
+        }
+        if (pending) yield restore(pending);
+    }
+
+    return { placeholderFor, redact, restore, restoreDeep, restoreStream, redactions };
+}
+
+// What would be redacted from `text`, one entry per occurrence with its line
+// (1-based) and placeholder. Nothing is changed; clients use it to warn first.
+function scan(text) {
+    const redactor = createRedactor();
+    const found = [];
+    scanLines(text, ({ value, detector }, i) => {
+        const placeholder = redactor.placeholderFor(value, detector);
+        found.push({ type: detector.type, kind: detector.kind, label: detector.label, line: i + 1, placeholder });
+    });
+    return found;
+}
+
+module.exports = { MODE, createRedactor, scan };
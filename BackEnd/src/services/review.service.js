@@ -0,0 +1,118 @@
+const aiService = require('./ai.service');
+const diffService = require('./diff.service');
+const projectService = require('./project.service');
+const historyService = require('./history.service');
+const analysisService = require('./analysis.service');
+const { normalizePath, MAX_FILES } = require('./archive.service');
+const { ValidationError } = require('../utils/errors');
+const { extractRefactoredCode, parseFindings } = require('../utils/reviewMarkdown');
+
+// The review endpoints' work, shared by the HTTP controllers and the job queue
+// (see job.service): each function reviews, saves to history and resolves to
+// the response body. `options` are readOptions' review options.
+
+const FORMATS = [ 'markdown', 'json' ];
+
+function checkFormat(format) {
+    if (!FORMATS.includes(format)) {
+        throw new ValidationError('format must be "markdown" or "json"');
+    }
+}
+
+// One piece of code, as Markdown (`format: 'markdown'`) or as a structured review.
+async function reviewSnippet(userId, code, options, { format = 'markdown', path } = {}) {
+    const language = options.language ?? null;
+
+    // Deterministic findings go to the model as grounding and back to the client
+    // as their own section.
+    const analysis = analysisService.analyzeCode(code, { language: options.language, path });
+    const recording = historyService.startRecording(userId, 'snippet', code, { ...options, analysis });
+
+    if (format === 'json') {
+        // Structured mode: findings as data, plus the same review rendered as
+        // Markdown so the existing panel can still display it.
+        const { review, markdown } = await aiService.generateStructuredReview(code, recording.options);
+        const historyId = await recording.save({ response: markdown, review, analysis });
+        const refactoredCode = review.refactoredCode.code ? review.refactoredCode : null;
+        return { response: markdown, review, findings: review.findings, analysis, refactoredCode, language, historyId };
+    }
+
+    const response = await aiService.generateContent(code, recording.options);
+    const historyId = await recording.save({ response, analysis });
+
+    // The "Refactored Code" section as data, so the client can diff and apply it,
+    // and the issues with their line ranges, so it can mark them in the editor.
+    return { response, findings: parseFindings(response), analysis, refactoredCode: extractRefactoredCode(response), language, historyId };
+}
+
+// A change: a unified diff in `diff`, or a `before`/`after` pair with an
+// optional `path`. Returns the parsed files and the change as unified diff
+// text; throws a ValidationError for anything else.
+function readChange({ diff, before, after, path }) {
+    let files;
+
+    if (typeof diff === 'string' && diff.trim()) {
+        try {
+            files = diffService.parseUnifiedDiff(diff);
+        } catch (err) {
+            throw new ValidationError(`Could not parse diff: ${err.message}`);
+        }
+    } else if (typeof before === 'string' && typeof after === 'string') {
+        files = diffService.diffFromPair(before, after, path || 'file');
+    } else {
+        throw new ValidationError('Diff mode requires a unified `diff` or `before` and `after` strings');
+    }
+
+    if (files.length === 0) {
+        throw new ValidationError('The diff contains no changes');
+    }
+
+    // History keeps the change as unified diff text either way.
+    const patch = typeof diff === 'string' && diff.trim() ? diff : diffService.pairToPatch(before, after, path || 'file');
+    return { files, patch };
+}
+
+// Reviews only the changed hunks of a change read by readChange.
+async function reviewChange(userId, { files, patch }, options) {
+    const recording = historyService.startRecording(userId, 'diff', patch, options);
+
+    const result = await diffService.reviewDiff(files, recording.options);
+    const historyId = await recording.save({ response: result.markdown, review: { files: result.files } });
+
+    return { response: result.markdown, diff: { files: result.files }, historyId };
+}
+
+// Several files at once (see project.service). History keeps them as one text,
+// each file under a `// File: <path>` line.
+async function reviewProject(userId, files, options) {
+    const code = files.map((f) => `// File: ${f.path}\n${f.content}`).join('\n\n');
+    const recording = historyService.startRecording(userId, 'project', code, options);
+
+    const { report, markdown } = await projectService.reviewProject(files, recording.options);
+    const historyId = await recording.save({ response: markdown, review: report });
+
+    return { response: markdown, project: report, historyId };
+}
+
+// Files submitted as JSON, `[{ path, content }]`, with normalized paths and
+// empty files left out. Throws a ValidationError when there is nothing to review.
+function readProjectFiles(files) {
+    const valid = Array.isArray(files) && files.every((f) => typeof f?.path === 'string' && f.path && typeof f.content === 'string');
+    if (!valid) {
+        throw new ValidationError('files must be an array of { path, content } strings, or upload an archive');
+    }
+    return checkProjectFiles(files.map((f) => ({ path: normalizePath(f.path), content: f.content })).filter((f) => f.content.trim()));
+}
+
+function checkProjectFiles(files) {
+    if (files.length === 0) {
+        throw new ValidationError('No reviewable files were submitted');
+    }
+
+    if (files.length > MAX_FILES) {
+        throw new ValidationError(`At most ${MAX_FILES} files can be reviewed at once`);
+    }
+    return files;
+}
+
+module.exports = { checkFormat, reviewSnippet, readChange, reviewChange, reviewProject, readProjectFiles, checkProjectFiles };
@@ -0,0 +1,116 @@
+const { createJsonStore } = require('../stores/json.store');
+const { SEVERITIES } = require('../schemas/review.schema');
+const { ValidationError } = require('../utils/errors');
+
+// Team-defined review rules, e.g. "no default exports" or "use our logger
+// instead of console.log", grouped in named rule sets shared by everyone in a
+// team. A rule set is { name, description, rules: [{ id, title, description,
+// severity, good, bad }] }; `good` / `bad` are optional code examples. Selected
+// sets are added to the system prompt (see prompts/system.prompt.js) and
+// findings that break a rule carry its `ruleId`.
+const ruleSets = createJsonStore('rule-sets');
+
+const MAX_RULES = 50;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_EXAMPLE_LENGTH = 4000;
+// How many rule sets one review may use; each one makes the prompt longer.
+const MAX_RULE_SETS_PER_REVIEW = Number(process.env.MAX_RULE_SETS_PER_REVIEW || 5);
+
+// Rule ids are slugs of their titles unless given, e.g. "no-default-exports".
+function toRuleId(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+const isText = (value, max) => typeof value === 'string' && value.length <= max;
+const isOptionalText = (value, max) => value === undefined || value === null || isText(value, max);
+
+// Returns an error message, or null when `body` is a valid rule set.
+function validateRuleSet({ name, description, rules } = {}) {
+    if (!isText(name, 100) || !name.trim()) return 'name is required (at most 100 characters)';
+    if (!isOptionalText(description, MAX_TEXT_LENGTH)) return `description must be text of at most ${MAX_TEXT_LENGTH} characters`;
+    if (!Array.isArray(rules) || !rules.length || rules.length > MAX_RULES) return `rules must be a list of 1 to ${MAX_RULES} rules`;
+
+    const ids = new Set();
+    for (const [ i, rule ] of rules.entries()) {
+        const at = `rules[${i}]`;
+        if (!rule || typeof rule !== 'object') return `${at} must be an object`;
+        if (!isText(rule.title, 200) || !rule.title.trim()) return `${at}.title is required (at most 200 characters)`;
+        if (!isText(rule.description, MAX_TEXT_LENGTH) || !rule.description.trim()) {
+            return `${at}.description is required (at most ${MAX_TEXT_LENGTH} characters)`;
+        }
+        if (!SEVERITIES.includes(rule.severity)) return `${at}.severity must be one of ${SEVERITIES.join(', ')}`;
+        if (!isOptionalText(rule.good, MAX_EXAMPLE_LENGTH) || !isOptionalText(rule.bad, MAX_EXAMPLE_LENGTH)) {
+            return `${at}.good and ${at}.bad must be code of at most ${MAX_EXAMPLE_LENGTH} characters`;
+        }
+        if (rule.id !== undefined && typeof rule.id !== 'string') return `${at}.id must be a string`;
+
+        const id = toRuleId(rule.id || rule.title);
+        if (!id) return `${at} needs an id made of letters or digits`;
+        if (ids.has(id)) return `rule id "${id}" is used twice`;
+        ids.add(id);
+    }
+    return null;
+}
+
+function toRuleSet({ name, description, rules }) {
+    return {
+        name: name.trim(),
+        description: description?.trim() ?? '',
+        rules: rules.map((rule) => ({
+            id: toRuleId(rule.id || rule.title),
+            title: rule.title.trim(),
+            description: rule.description.trim(),
+            severity: rule.severity,
+            good: rule.good?.trim() || '',
+            bad: rule.bad?.trim() || ''
+        }))
+    };
+}
+
+async function listRuleSets(team) {
+    return ruleSets.find((set) => set.team === team);
+}
+
+async function getRuleSet(team, id) {
+    const set = await ruleSets.findById(id);
+    return set?.team === team ? set : null;
+}
+
+async function createRuleSet(team, body) {
+    return ruleSets.insert({ team, ...toRuleSet(body) });
+}
+
+// Only touches rule sets that belong to `team`; resolves to null otherwise.
+async function updateRuleSet(team, id, body) {
+    if (!(await getRuleSet(team, id))) return null;
+    return ruleSets.update(id, toRuleSet(body));
+}
+
+async function deleteRuleSet(team, id) {
+    if (!(await getRuleSet(team, id))) return false;
+    return ruleSets.remove(id);
+}
+
+// The rule sets a review asked for by id, in the order given. Throws a
+// ValidationError for ids the team doesn't have.
+async function loadRuleSets(team, ids) {
+    if (ids.length > MAX_RULE_SETS_PER_REVIEW) {
+        throw new ValidationError(`A review can use at most ${MAX_RULE_SETS_PER_REVIEW} rule sets`);
+    }
+    const owned = await listRuleSets(team);
+    return [ ...new Set(ids) ].map((id) => {
+        const set = owned.find((s) => s.id === id);
+        if (!set) throw new ValidationError(`Unknown rule set "${id}"`);
+        return { id: set.id, name: set.name, description: set.description, rules: set.rules };
+    });
+}
+
+module.exports = {
+    validateRuleSet,
+    listRuleSets,
+    getRuleSet,
+    createRuleSet,
+    updateRuleSet,
+    deleteRuleSet,
+    loadRuleSets
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('../stores/json.store');
+const { validateFinding } = require('../schemas/review.schema');
+const { validateAnalysis } = require('../schemas/analysis.schema');
+const { ValidationError } = require('../utils/errors');
+
+// Shared reviews: a read-only snapshot of the code and its review, served to
+// anyone holding the link. The id is the link's secret, so it is random rather
+// than a UUID; revoking a share deletes it.
+const shares = createJsonStore('shares');
+
+// Where the frontend serves shared reviews; links are `${SHARE_BASE_URL}/s/<id>`.
+// Defaults to the first CORS origin.
+const BASE_URL = (process.env.SHARE_BASE_URL || (process.env.CORS_ORIGINS || 'http://localhost:5173').split(',')[0].trim()).replace(/\/+$/, '');
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KINDS = [ 'snippet', 'diff', 'project' ];
+
+const isExpired = (share, now = Date.now()) => share.expiresAt !== null && Date.parse(share.expiresAt) <= now;
+
+// What the owner sees of a share: everything but the snapshot.
+function toSummary(share) {
+    return {
+        id: share.id,
+        url: `${BASE_URL}/s/${share.id}`,
+        kind: share.snapshot.kind,
+        language: share.snapshot.language,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt
+    };
+}
+
+// The snapshot's analysis, findings and refactored code are rendered for
+// anyone with the link, so they're held to the shapes the API produces.
+function checkSnapshot({ analysis, findings, refactoredCode }) {
+    const errors = [];
+    if (analysis != null) errors.push(...validateAnalysis(analysis));
+    if (findings != null) {
+        if (!Array.isArray(findings)) throw new ValidationError('findings must be an array');
+        findings.forEach((finding, i) => errors.push(...validateFinding(finding, `findings[${i}]`)));
+    }
+    if (refactoredCode != null) {
+        if (typeof refactoredCode !== 'object' || typeof refactoredCode.code !== 'string') {
+            errors.push('refactoredCode.code must be a string');
+        } else if (refactoredCode.language != null && typeof refactoredCode.language !== 'string') {
+            errors.push('refactoredCode.language must be a string');
+        }
+    }
+    if (errors.length) {
+        throw new ValidationError(`Invalid snapshot: ${errors[0]}`, { errors });
+    }
+}
+
+// Checks a share request and returns the snapshot to store: `code` and
+// `response` (the review's Markdown) are required; `kind`, `language`,
+// `analysis`, `findings` and `refactoredCode` are kept when given.
+function readSnapshot({ kind = 'snippet', code, language, response, analysis, findings, refactoredCode }) {
+    if (typeof code !== 'string' || !code.trim()) throw new ValidationError('code is required');
+    if (typeof response !== 'string' || !response.trim()) throw new ValidationError('response is required');
+    if (!KINDS.includes(kind)) throw new ValidationError(`kind must be one of ${KINDS.join(', ')}`);
+    if (language != null && typeof language !== 'string') throw new ValidationError('language must be a string');
+    checkSnapshot({ analysis, findings, refactoredCode });
+
+    return {
+        kind,
+        code,
+        language: language ?? null,
+        response,
+        analysis: analysis ?? null,
+        findings: findings ?? null,
+        refactoredCode: refactoredCode ?? null
+    };
+}
+
+// `expiresInDays` is a whole number of days up to a year, or null for a link
+// that lasts until it is revoked.
+function readExpiry(expiresInDays) {
+    if (expiresInDays == null) return null;
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+        throw new ValidationError(`expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}, or null`);
+    }
+    return new Date(Date.now() + expiresInDays * DAY_MS).toISOString();
+}
+
+// Expired shares are only dropped when someone next creates one.
+async function sweepExpired() {
+    const now = Date.now();
+    for (const share of await shares.find((s) => isExpired(s, now))) await shares.remove(share.id);
+}
+
+async function createShare(userId, body) {
+    const snapshot = readSnapshot(body);
+    const expiresAt = readExpiry(body.expiresInDays);
+    await sweepExpired();
+    const share = await shares.insert({ id: crypto.randomBytes(24).toString('base64url'), userId, expiresAt, snapshot });
+    return toSummary(share);
+}
+
+// The user's live shares, newest first.
+async function listShares(userId) {
+    const now = Date.now();
+    const own = await shares.find((share) => share.userId === userId && !isExpired(share, now));
+    return own.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(toSummary);
+}
+
+// The snapshot behind a link, or null when it was revoked, has expired or never existed.
+async function getSharedReview(id) {
+    const share = await shares.findById(id);
+    if (!share || isExpired(share)) return null;
+    return { ...share.snapshot, createdAt: share.createdAt, expiresAt: share.expiresAt };
+}
+
+// Only the owner can revoke a share; returns false otherwise.
+async function revokeShare(userId, id) {
+    const share = await shares.findById(id);
+    if (!share || share.userId !== userId) return false;
+    return shares.remove(id);
+}
+
+module.exports = { createShare, listShares, getSharedReview, revokeShare };
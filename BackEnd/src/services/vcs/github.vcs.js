@@ -0,0 +1,86 @@
+// GitHub (or GitHub Enterprise via GITHUB_API_URL) pull requests. The webhook
+// is set up with content type `application/json` and the `Pull requests` event.
+
+const crypto = require('crypto');
+const { createRequester } = require('./request');
+
+const BASE_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
+
+// Pull request actions that bring code to review.
+const ACTIONS = [ 'opened', 'reopened', 'synchronize', 'ready_for_review' ];
+
+function isConfigured() {
+    return Boolean(WEBHOOK_SECRET);
+}
+
+// GitHub signs the raw body: `X-Hub-Signature-256: sha256=<HMAC-SHA256 hex>`.
+function verifySignature(req) {
+    const signature = Buffer.from(req.get('X-Hub-Signature-256') || '');
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(req.rawBody ?? '').digest('hex')}`);
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+}
+
+// The pull request a delivery asks us to review, or null for anything else
+// (pings, closed or draft pull requests, label changes, ...).
+function parseEvent(req) {
+    const pullRequest = req.body?.pull_request;
+    if (req.get('X-GitHub-Event') !== 'pull_request' || !ACTIONS.includes(req.body.action) || !pullRequest || pullRequest.draft) {
+        return null;
+    }
+    return {
+        repo: req.body.repository.full_name,
+        number: pullRequest.number,
+        title: pullRequest.title,
+        baseRef: pullRequest.base.ref,
+        headSha: pullRequest.head.sha
+    };
+}
+
+function createClient({ baseUrl = BASE_URL, token = process.env.GITHUB_TOKEN } = {}) {
+    const request = createRequester('GitHub', baseUrl, {
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+    });
+
+    return {
+        async getDiff(pr) {
+            const response = await request(`/repos/${pr.repo}/pulls/${pr.number}`, { accept: 'application/vnd.github.diff' });
+            return response.text();
+        },
+
+        // Read from the base branch, so a pull request can't change its own review settings.
+        async getFile(pr, path) {
+            const response = await request(`/repos/${pr.repo}/contents/${path}?ref=${encodeURIComponent(pr.baseRef)}`, {
+                accept: 'application/vnd.github.raw+json',
+                notFound: true
+            });
+            return response ? response.text() : null;
+        },
+
+        // Inline comments go out together as one review on the head commit; the
+        // summary is a conversation comment.
+        async postReview(pr, { comments, summary }) {
+            if (comments.length) {
+                await request(`/repos/${pr.repo}/pulls/${pr.number}/reviews`, {
+                    method: 'POST',
+                    body: {
+                        commit_id: pr.headSha,
+                        event: 'COMMENT',
+                        comments: comments.map((comment) => ({
+                            path: comment.path,
+                            side: 'RIGHT',
+                            line: comment.line,
+                            ...(comment.startLine ? { start_line: comment.startLine, start_side: 'RIGHT' } : {}),
+                            body: comment.body
+                        }))
+                    }
+                });
+            }
+            await request(`/repos/${pr.repo}/issues/${pr.number}/comments`, { method: 'POST', body: { body: summary } });
+        }
+    };
+}
+
+module.exports = { name: 'github', title: 'GitHub', isConfigured, verifySignature, parseEvent, createClient };
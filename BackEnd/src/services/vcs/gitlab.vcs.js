@@ -0,0 +1,101 @@
+// GitLab (gitlab.com or self-hosted via GITLAB_API_URL) merge requests. The
+// webhook is set up with the secret token and `Merge request events`.
+
+const crypto = require('crypto');
+const { createRequester } = require('./request');
+
+const BASE_URL = process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4';
+const WEBHOOK_SECRET = process.env.GITLAB_WEBHOOK_SECRET;
+
+function isConfigured() {
+    return Boolean(WEBHOOK_SECRET);
+}
+
+// GitLab sends the secret itself as `X-Gitlab-Token`.
+function verifySignature(req) {
+    const token = Buffer.from(req.get('X-Gitlab-Token') || '');
+    const expected = Buffer.from(WEBHOOK_SECRET);
+    return token.length === expected.length && crypto.timingSafeEqual(token, expected);
+}
+
+// The merge request to review: opened, reopened, or updated with new commits
+// (`oldrev` is only set then). Drafts and everything else give null.
+function parseEvent(req) {
+    const attributes = req.body?.object_attributes;
+    if (req.get('X-Gitlab-Event') !== 'Merge Request Hook' || !attributes || attributes.draft) return null;
+    const { action } = attributes;
+    if (action !== 'open' && action !== 'reopen' && !(action === 'update' && attributes.oldrev)) return null;
+    return {
+        repo: String(req.body.project.id),
+        number: attributes.iid,
+        title: attributes.title,
+        baseRef: attributes.target_branch,
+        headSha: attributes.last_commit?.id
+    };
+}
+
+// GitLab returns each file's hunks without headers; this puts them back
+// together as one unified diff.
+function toUnifiedDiff(changes) {
+    return changes
+        .filter((change) => change.diff)
+        .map((change) => {
+            const oldPath = change.new_file ? '/dev/null' : `a/${change.old_path}`;
+            const newPath = change.deleted_file ? '/dev/null' : `b/${change.new_path}`;
+            return `--- ${oldPath}\n+++ ${newPath}\n${change.diff.replace(/\n?$/, '\n')}`;
+        })
+        .join('');
+}
+
+function createClient({ baseUrl = BASE_URL, token = process.env.GITLAB_TOKEN } = {}) {
+    const request = createRequester('GitLab', baseUrl, token ? { 'PRIVATE-TOKEN': token } : {});
+    const mergeRequest = (pr) => `/projects/${encodeURIComponent(pr.repo)}/merge_requests/${pr.number}`;
+
+    return {
+        async getDiff(pr) {
+            const changes = [];
+            for (let page = 1; page; ) {
+                const response = await request(`${mergeRequest(pr)}/diffs?per_page=100&page=${page}`);
+                changes.push(...await response.json());
+                page = Number(response.headers.get('x-next-page')) || null;
+            }
+            return toUnifiedDiff(changes);
+        },
+
+        // Read from the target branch, so a merge request can't change its own review settings.
+        async getFile(pr, path) {
+            const response = await request(`/projects/${encodeURIComponent(pr.repo)}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(pr.baseRef)}`, {
+                notFound: true
+            });
+            return response ? response.text() : null;
+        },
+
+        // Each inline comment is its own discussion, positioned against the merge
+        // request's current diff; the summary is a note.
+        async postReview(pr, { comments, summary }) {
+            if (comments.length) {
+                const { diff_refs: refs } = await (await request(mergeRequest(pr))).json();
+                for (const comment of comments) {
+                    await request(`${mergeRequest(pr)}/discussions`, {
+                        method: 'POST',
+                        body: {
+                            body: comment.body,
+                            position: {
+                                position_type: 'text',
+                                base_sha: refs.base_sha,
+                                start_sha: refs.start_sha,
+                                head_sha: refs.head_sha,
+                                old_path: comment.oldPath ?? comment.path,
+                                new_path: comment.path,
+                                new_line: comment.line
+                            }
+                        }
+                    });
+                }
+            }
+            await request(`${mergeRequest(pr)}/notes`, { method: 'POST', body: { body: summary } });
+        }
+    };
+}
+
+module.exports = { name: 'gitlab', title: 'GitLab', isConfigured, verifySignature, parseEvent, createClient };
@@ -0,0 +1,31 @@
+const github = require('./github.vcs');
+const gitlab = require('./gitlab.vcs');
+
+// Every platform module exposes:
+//   isConfigured() -> whether its webhook secret is set
+//   verifySignature(req) -> whether a delivery really comes from the platform (needs `req.rawBody`)
+//   parseEvent(req) -> { repo, number, title, baseRef, headSha } to review, or null to ignore
+//   createClient({ baseUrl, token }) -> VCS client:
+//     getDiff(pr) -> unified diff of the pull request
+//     getFile(pr, path) -> file text on the base branch, or null when it doesn't exist
+//     postReview(pr, { comments: [{ path, oldPath, line, startLine, body }], summary })
+const PLATFORMS = { github, gitlab };
+
+const clients = {};
+
+function getPlatform(name) {
+    return PLATFORMS[name] ?? null;
+}
+
+// The client for a platform, created from its environment settings on first use.
+function getClient(name) {
+    clients[name] ??= PLATFORMS[name].createClient();
+    return clients[name];
+}
+
+// Replaces a platform's client, e.g. with one talking to a local fake server in tests.
+function setClient(name, client) {
+    clients[name] = client;
+}
+
+module.exports = { getPlatform, getClient, setClient };
@@ -0,0 +1,35 @@
+const { UpstreamError, fromUpstreamStatus } = require('../../utils/errors');
+
+// fetch for the VCS clients. Returns the response, or null for a 404 when
+// `notFound` is set; network failures and other error statuses become
+// UpstreamErrors (see utils/errors) naming the platform.
+function createRequester(platform, baseUrl, headers) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    return async function request(path, { method = 'GET', body, accept, notFound = false } = {}) {
+        const url = `${root}${path}`;
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: {
+                    ...headers,
+                    ...(accept ? { Accept: accept } : {}),
+                    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (err) {
+            throw new UpstreamError(`Could not reach ${platform} at ${root}: ${err.message}`, { retryable: true, cause: err });
+        }
+
+        if (response.status === 404 && notFound) return null;
+        if (!response.ok) {
+            const text = await response.text();
+            throw fromUpstreamStatus(response.status, `${platform} returned ${response.status} for ${method} ${path}: ${text.slice(0, 500)}`);
+        }
+        return response;
+    };
+}
+
+module.exports = { createRequester };
@@ -0,0 +1,109 @@
+const diffService = require('./diff.service');
+const { detectLanguage } = require('./language.service');
+const { CONFIG_PATH, parseRepoConfig, isIncluded } = require('../utils/repoConfig');
+const { ValidationError } = require('../utils/errors');
+
+const SEVERITY_EMOJI = { critical: '🔴', warning: '🟡', suggestion: '🟢' };
+const SEVERITY_RANK = { critical: 0, warning: 1, suggestion: 2 };
+
+// A range comment needs both ends in the same hunk; otherwise it goes on the last line alone.
+function sameHunk(file, start, end) {
+    return file.hunks.some((h) => start >= h.newStart && end < h.newStart + h.newLines);
+}
+
+function toComment(file, finding) {
+    const end = finding.lineEnd ?? finding.lineStart;
+    const parts = [ `${SEVERITY_EMOJI[finding.severity]} **${finding.title || finding.category}** \`${finding.category}\``, finding.message ];
+    if (finding.suggestedFix) {
+        parts.push(finding.suggestedFix.includes('\n')
+            ? `**Suggested fix:**\n\n\`\`\`${file.language ?? ''}\n${finding.suggestedFix}\n\`\`\``
+            : `**Suggested fix:** ${finding.suggestedFix}`);
+    }
+    return {
+        path: file.path,
+        oldPath: file.oldPath,
+        line: end,
+        startLine: end > finding.lineStart && sameHunk(file, finding.lineStart, end) ? finding.lineStart : undefined,
+        severity: finding.severity,
+        body: parts.join('\n\n')
+    };
+}
+
+function countBy(findings, severity) {
+    return findings.filter((f) => f.severity === severity).length;
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function summarize(result, { skipped, omitted }) {
+    const reviewed = result.files.filter((file) => file.review);
+    const findings = reviewed.flatMap((file) => file.review.findings);
+    const parts = [ '## 🤖 AI code review' ];
+
+    parts.push(`Reviewed ${plural(reviewed.length, 'file')}: 🔴 ${countBy(findings, 'critical')} critical · `
+        + `🟡 ${plural(countBy(findings, 'warning'), 'warning')} · 🟢 ${plural(countBy(findings, 'suggestion'), 'suggestion')}.`);
+
+    if (reviewed.length) {
+        parts.push([
+            '| File | 🔴 | 🟡 | 🟢 |',
+            '| --- | --- | --- | --- |',
+            ...reviewed.map((file) => `| \`${file.path}\` | ${countBy(file.review.findings, 'critical')} | ${countBy(file.review.findings, 'warning')} | ${countBy(file.review.findings, 'suggestion')} |`)
+        ].join('\n'));
+    }
+
+    for (const file of result.files) {
+        parts.push(`### \`${file.path}\`\n\n${file.error ? `⚠️ Review failed: ${file.error}` : file.review.summary}`);
+    }
+
+    const notes = [];
+    if (omitted) notes.push(`${plural(omitted, 'more finding')} not posted inline (\`maxComments\` in \`${CONFIG_PATH}\`).`);
+    if (skipped) notes.push(`${plural(skipped, 'changed file')} outside the paths and languages in \`${CONFIG_PATH}\`.`);
+    if (notes.length) parts.push(notes.map((note) => `_${note}_`).join('\n'));
+
+    return parts.join('\n\n');
+}
+
+// Reviews a pull request (GitHub) or merge request (GitLab) with `client` (see
+// vcs/index.js) and posts an inline comment per finding plus a summary comment.
+// `.ai-review.json` on the base branch picks the files, languages and review
+// options (see utils/repoConfig). Resolves to what happened:
+// { status: 'reviewed' | 'disabled' | 'nothing_to_review' | 'invalid_config' | 'failed', ... }.
+async function reviewPullRequest(client, pr, options = {}) {
+    let config;
+    try {
+        config = parseRepoConfig(await client.getFile(pr, CONFIG_PATH));
+    } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        await client.postReview(pr, { comments: [], summary: `## 🤖 AI code review\n\n⚠️ Skipped: \`${CONFIG_PATH}\` is invalid (${err.message}).` });
+        return { status: 'invalid_config', error: err.message };
+    }
+    if (!config.enabled) return { status: 'disabled' };
+
+    const files = diffService.parseUnifiedDiff(await client.getDiff(pr)).filter((file) => file.newPath);
+    const selected = files.filter((file) => isIncluded(config, file.path, detectLanguage(diffService.newCode(file), file.path)));
+    if (!selected.length) return { status: 'nothing_to_review', skipped: files.length };
+
+    let result;
+    try {
+        result = await diffService.reviewDiff(selected, { ...options, focus: config.focus, strictness: config.strictness });
+    } catch (err) {
+        // Every file failed: say so on the pull request instead of staying silent.
+        console.error(`Review of ${pr.repo}#${pr.number} failed:`, err);
+        await client.postReview(pr, { comments: [], summary: `## 🤖 AI code review\n\n⚠️ The review failed: ${err.message}` });
+        return { status: 'failed', error: err.message };
+    }
+
+    const comments = result.files
+        .filter((file) => file.review)
+        .flatMap((file) => file.review.findings.map((finding) => toComment(file, finding)))
+        .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+    const posted = comments.slice(0, config.maxComments);
+    const summary = summarize(result, { skipped: files.length - selected.length, omitted: comments.length - posted.length });
+
+    await client.postReview(pr, { comments: posted, summary });
+    return { status: 'reviewed', files: result.files.length, comments: posted.length };
+}
+
+module.exports = { reviewPullRequest };
@@ -0,0 +1,109 @@
+// Key/value stores for the review cache. Both expose the same async interface:
+// get(key) -> value | null, set(key, value, ttlSeconds), clear(), size() -> number | null
+// and close() to release connections on shutdown.
+// Values are JSON-serialisable objects.
+
+// In-process LRU: a Map keeps insertion order, so re-inserting on every read
+// keeps the least recently used entry first in line for eviction.
+function createMemoryStore({ maxEntries = 500 } = {}) {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) return null;
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        async clear() {
+            entries.clear();
+        },
+
+        async size() {
+            return entries.size;
+        },
+
+        async close() {}
+    };
+}
+
+// Any Redis-compatible server (Redis, Valkey, KeyDB, ...). Keys are prefixed so
+// the cache can share a database; expiry is left to the server.
+function createRedisStore({ url, prefix = 'ai-review:cache:' }) {
+    // Loaded here so the redis package is only needed when a Redis store is configured.
+    const { createClient } = require('redis');
+    // Commands fail right away while Redis is unreachable (instead of queueing
+    // until it's back), so an outage turns into cache misses, not hung reviews.
+    const client = createClient({
+        url,
+        disableOfflineQueue: true,
+        socket: { connectTimeout: 2000, reconnectStrategy: (retries) => Math.min(retries * 500, 5000) }
+    });
+    let healthy = true;
+    client.on('error', (err) => {
+        // Reconnect attempts fail repeatedly during an outage; log only the first.
+        if (healthy) console.error('Redis cache error:', err.message);
+        healthy = false;
+    });
+    client.on('ready', () => {
+        healthy = true;
+    });
+
+    // Connects on first use; the client then reconnects by itself in the background.
+    function connected() {
+        if (!client.isOpen) client.connect().catch(() => {});
+    }
+
+    async function keys() {
+        connected();
+        const found = [];
+        for await (const batch of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 500 })) {
+            found.push(...batch);
+        }
+        return found;
+    }
+
+    return {
+        name: 'redis',
+
+        async get(key) {
+            connected();
+            const raw = await client.get(prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        },
+
+        async set(key, value, ttlSeconds) {
+            connected();
+            await client.set(prefix + key, JSON.stringify(value), { EX: ttlSeconds });
+        },
+
+        async clear() {
+            const found = await keys();
+            if (found.length) await client.del(found);
+        },
+
+        async size() {
+            return (await keys()).length;
+        },
+
+        async close() {
+            // destroy() also stops a reconnect loop that is still in progress.
+            if (client.isOpen) client.destroy();
+        }
+    };
+}
+
+module.exports = { createMemoryStore, createRedisStore };
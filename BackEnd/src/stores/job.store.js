@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+// Stores for the review job queue (see job.service). Both expose the same async interface:
+//   insert(job) -> job, get(id) -> job | null,
+//   update(id, changes, { status, owner }) -> job | null (only while the job is
+//     in one of `status` and, when given, run by `owner`),
+//   claimNext(owner, staleBefore) -> job | null: marks the next job running,
+//   touch(id, owner) -> whether `owner` still runs the job,
+//   countUnfinished(userId) and position(job) -> number of queued jobs ahead of it.
+// Jobs have { id, userId, email, kind, priority, status, input, options, result,
+// error, owner, heartbeatAt, createdAt, startedAt, finishedAt, expiresAt }.
+// `claimNext` takes the highest priority first, then the oldest; a running job
+// whose heartbeat is older than `staleBefore` lost its process and is taken over.
+
+const UNFINISHED = [ 'queued', 'running' ];
+
+const matches = (job, { status, owner } = {}) => (
+    (!status || [].concat(status).includes(job.status)) && (owner === undefined || job.owner === owner)
+);
+
+const ahead = (a, b) => b.priority - a.priority || a.createdAt - b.createdAt || a.seq - b.seq;
+
+// In-process: jobs are lost on restart and only this process runs them.
+function createMemoryJobStore() {
+    const jobs = new Map();
+    let seq = 0;
+
+    // Finished jobs are dropped once they expire.
+    function sweep() {
+        const now = new Date();
+        for (const [ id, job ] of jobs) {
+            if (job.expiresAt && job.expiresAt <= now) jobs.delete(id);
+        }
+    }
+
+    const copy = (job) => (job ? { ...job } : null);
+
+    return {
+        name: 'memory',
+
+        async insert(job) {
+            const stored = { ...job, id: crypto.randomUUID(), seq: seq++, createdAt: new Date() };
+            jobs.set(stored.id, stored);
+            return copy(stored);
+        },
+
+        async get(id) {
+            sweep();
+            return copy(jobs.get(id));
+        },
+
+        async update(id, changes, condition) {
+            const job = jobs.get(id);
+            if (!job || !matches(job, condition)) return null;
+            Object.assign(job, changes);
+            return copy(job);
+        },
+
+        async claimNext(owner, staleBefore) {
+            sweep();
+            const next = [ ...jobs.values() ]
+                .filter((job) => job.status === 'queued' || (job.status === 'running' && job.heartbeatAt < staleBefore))
+                .sort(ahead)[0];
+            if (!next) return null;
+            const now = new Date();
+            Object.assign(next, { status: 'running', owner, heartbeatAt: now, startedAt: now });
+            return copy(next);
+        },
+
+        async touch(id, owner) {
+            const job = jobs.get(id);
+            if (!job || !matches(job, { status: 'running', owner })) return false;
+            job.heartbeatAt = new Date();
+            return true;
+        },
+
+        async countUnfinished(userId) {
+            return [ ...jobs.values() ].filter((job) => job.userId === userId && UNFINISHED.includes(job.status)).length;
+        },
+
+        async position(job) {
+            const stored = jobs.get(job.id);
+            return [ ...jobs.values() ].filter((other) => other.status === 'queued' && ahead(other, stored) < 0).length;
+        }
+    };
+}
+
+// MongoDB: jobs survive restarts and every server process sharing the database
+// takes jobs from the same queue.
+function createMongoJobStore() {
+    // Loaded here so the model is only registered when the Mongo store is used.
+    const Job = require('../models/job.model');
+
+    const toJob = (doc) => {
+        if (!doc) return null;
+        const { _id, __v, ...job } = doc;
+        return { id: String(_id), ...job };
+    };
+
+    const filterOf = (id, { status, owner } = {}) => {
+        const filter = { _id: id };
+        if (status) filter.status = { $in: [].concat(status) };
+        if (owner !== undefined) filter.owner = owner;
+        return filter;
+    };
+
+    // Ids that aren't ObjectIds can't name a job.
+    const isId = (id) => /^[0-9a-f]{24}$/i.test(id);
+
+    return {
+        name: 'mongo',
+
+        async insert(job) {
+            const doc = await Job.create(job);
+            return toJob(doc.toObject());
+        },
+
+        async get(id) {
+            return isId(id) ? toJob(await Job.findById(id).lean()) : null;
+        },
+
+        async update(id, changes, condition) {
+            if (!isId(id)) return null;
+            return toJob(await Job.findOneAndUpdate(filterOf(id, condition), { $set: changes }, { new: true }).lean());
+        },
+
+        async claimNext(owner, staleBefore) {
+            const now = new Date();
+            return toJob(await Job.findOneAndUpdate(
+                { $or: [ { status: 'queued' }, { status: 'running', heartbeatAt: { $lt: staleBefore } } ] },
+                { $set: { status: 'running', owner, heartbeatAt: now, startedAt: now } },
+                { sort: { priority: -1, createdAt: 1 }, new: true }
+            ).lean());
+        },
+
+        async touch(id, owner) {
+            const { matchedCount } = await Job.updateOne({ _id: id, status: 'running', owner }, { $set: { heartbeatAt: new Date() } });
+            return matchedCount > 0;
+        },
+
+        async countUnfinished(userId) {
+            return Job.countDocuments({ userId, status: { $in: UNFINISHED } });
+        },
+
+        async position(job) {
+            return Job.countDocuments({
+                status: 'queued',
+                $or: [
+                    { priority: { $gt: job.priority } },
+                    { priority: job.priority, createdAt: { $lt: job.createdAt } }
+                ]
+            });
+        }
+    };
+}
+
+module.exports = { createMemoryJobStore, createMongoJobStore };
@@ -0,0 +1,90 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Directory holding the JSON collections. Kept out of git (see .gitignore).
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+// A tiny file-backed collection for small, rarely written data such as saved
+// presets. Each collection is one JSON array in DATA_DIR/<name>.json; writes are
+// serialised so concurrent requests can't interleave.
+function createJsonStore(name) {
+    const file = path.join(DATA_DIR, `${name}.json`);
+    let writing = Promise.resolve();
+
+    async function readAll() {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    // Runs `mutate` on the current documents and persists its result.
+    function write(mutate) {
+        const run = writing.then(async () => {
+            const docs = await readAll();
+            const { docs: next, result } = mutate(docs);
+            await fs.mkdir(DATA_DIR, { recursive: true });
+            // Write then rename, so readers never see a half-written file.
+            await fs.writeFile(`${file}.tmp`, JSON.stringify(next, null, 2));
+            await fs.rename(`${file}.tmp`, file);
+            return result;
+        });
+        // Keep the chain alive even if this write fails.
+        writing = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        async find(predicate = () => true) {
+            return (await readAll()).filter(predicate);
+        },
+
+        async findById(id) {
+            return (await readAll()).find((doc) => doc.id === id) ?? null;
+        },
+
+        insert(doc) {
+            const created = { id: crypto.randomUUID(), ...doc, createdAt: new Date().toISOString() };
+            return write((docs) => ({ docs: [ ...docs, created ], result: created }));
+        },
+
+        // `patch` is the fields to change, or a function from the current document to
+        // them, run inside the write so it can check and change the document
+        // atomically. Throwing from it leaves the document as it was.
+        update(id, patch) {
+            return write((docs) => {
+                const index = docs.findIndex((doc) => doc.id === id);
+                if (index === -1) return { docs, result: null };
+                const fields = typeof patch === 'function' ? patch(docs[index]) : patch;
+                const updated = { ...docs[index], ...fields, id, updatedAt: new Date().toISOString() };
+                return { docs: docs.map((doc, i) => (i === index ? updated : doc)), result: updated };
+            });
+        },
+
+        // Atomically updates the first document matching `predicate` with the fields
+        // returned by `change(doc)`, or inserts `change(null)` when none matches.
+        upsert(predicate, change) {
+            return write((docs) => {
+                const index = docs.findIndex(predicate);
+                if (index === -1) {
+                    const created = { id: crypto.randomUUID(), ...change(null), createdAt: new Date().toISOString() };
+                    return { docs: [ ...docs, created ], result: created };
+                }
+                const updated = { ...docs[index], ...change(docs[index]), updatedAt: new Date().toISOString() };
+                return { docs: docs.map((doc, i) => (i === index ? updated : doc)), result: updated };
+            });
+        },
+
+        remove(id) {
+            return write((docs) => {
+                const next = docs.filter((doc) => doc.id !== id);
+                return { docs: next, result: next.length !== docs.length };
+            });
+        }
+    };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,135 @@
+// Typed errors shared by services and controllers. The error middleware turns any
+// AppError into the JSON envelope `{ error, code, ...details }` with its status;
+// `retryable` marks transient failures worth another attempt.
+
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'internal_error', details, retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.retryable = retryable;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code, ...this.details };
+    }
+}
+
+// The request itself is wrong; sending it again won't help.
+class ValidationError extends AppError {
+    constructor(message, details) {
+        super(message, { status: 400, code: 'invalid_input', details });
+    }
+}
+
+// Missing or invalid credentials or tokens.
+class AuthError extends AppError {
+    constructor(message) {
+        super(message, { status: 401, code: 'unauthorized' });
+    }
+}
+
+// Signed in, but not allowed to do this (e.g. admin-only endpoints).
+class ForbiddenError extends AppError {
+    constructor(message) {
+        super(message, { status: 403, code: 'forbidden' });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message) {
+        super(message, { status: 409, code: 'conflict' });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message) {
+        super(message, { status: 404, code: 'not_found' });
+    }
+}
+
+// The user's own daily quota (see quota.service), not the provider's.
+// `requests` is how many requests the rejected one counted as.
+class QuotaExceededError extends AppError {
+    constructor(quota, { requests = 1 } = {}) {
+        const message = requests > 1 ? `Daily quota exceeded: this request counts as ${requests}` : 'Daily quota exceeded';
+        super(message, { status: 429, code: 'quota_exceeded', details: { quota } });
+        this.retryAfter = quota.resetsIn;
+    }
+}
+
+// The user already has as many review jobs waiting as allowed (see job.service).
+class QueueFullError extends AppError {
+    constructor(limit) {
+        super(`At most ${limit} review jobs can wait at once`, { status: 429, code: 'queue_full', details: { limit } });
+    }
+}
+
+// The model provider rejected the call for rate or billing limits.
+class ProviderQuotaError extends AppError {
+    constructor(message, { retryAfter, cause } = {}) {
+        super(message, { status: 429, code: 'provider_quota', details: retryAfter ? { retryAfter } : undefined, cause });
+        this.retryAfter = retryAfter;
+    }
+}
+
+// The provider refused to answer because of its safety filters.
+class SafetyBlockError extends AppError {
+    constructor(reason, { cause } = {}) {
+        super(`The model refused to review this code (${reason})`, { status: 422, code: 'safety_block', details: { reason }, cause });
+    }
+}
+
+class TimeoutError extends AppError {
+    constructor(ms) {
+        const limit = ms < 1000 ? `${ms}ms` : `${Math.round(ms / 1000)}s`;
+        super(`The model did not answer within ${limit}`, { status: 504, code: 'timeout', retryable: true });
+    }
+}
+
+// The provider failed or answered with something unusable. 5xx and network
+// errors are retryable; `upstreamStatus` is the provider's own HTTP status.
+class UpstreamError extends AppError {
+    constructor(message, { upstreamStatus, retryable = false, cause } = {}) {
+        super(message, { status: 502, code: 'upstream_error', details: upstreamStatus ? { upstreamStatus } : undefined, retryable, cause });
+    }
+}
+
+// A dependency of ours (e.g. the database) is down.
+class ServiceUnavailableError extends AppError {
+    constructor(message) {
+        super(message, { status: 503, code: 'service_unavailable' });
+    }
+}
+
+// The `code` to report for any error, including ones that aren't AppErrors.
+function errorCode(err) {
+    return err instanceof AppError ? err.code : 'internal_error';
+}
+
+// Maps an HTTP status from a provider to the matching error.
+function fromUpstreamStatus(status, message, { retryAfter, cause } = {}) {
+    if (status === 429) return new ProviderQuotaError(message, { retryAfter, cause });
+    if (status === 408) return new UpstreamError(message, { upstreamStatus: status, retryable: true, cause });
+    return new UpstreamError(message, { upstreamStatus: status, retryable: status >= 500, cause });
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    AuthError,
+    ForbiddenError,
+    ConflictError,
+    NotFoundError,
+    QuotaExceededError,
+    QueueFullError,
+    ProviderQuotaError,
+    SafetyBlockError,
+    TimeoutError,
+    UpstreamError,
+    ServiceUnavailableError,
+    errorCode,
+    fromUpstreamStatus
+};
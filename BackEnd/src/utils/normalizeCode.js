@@ -0,0 +1,138 @@
+// Normalizes code for cache keys: spacing within lines is collapsed and trailing
+// whitespace dropped, so re-submitting the same code with different formatting
+// hits the same entry. Every line stays where it was, since findings point at
+// line numbers, and comments and string literals are kept verbatim, since the
+// review (and its refactored code) depends on them. So is indentation where it
+// carries meaning (Python, or when the language is unknown).
+// `maskCode` uses the same scanner to blank out comments and string contents
+// for the keyword-based analyzers.
+
+const C_LIKE = {
+    line: [ '//' ],
+    block: [ [ '/*', '*/' ] ],
+    quotes: [ { open: '"' }, { open: "'" } ]
+};
+
+// Quote lists put longer delimiters first so `"""` wins over `"`.
+const SYNTAX = {
+    javascript: { ...C_LIKE, quotes: [ ...C_LIKE.quotes, { open: '`', multiline: true } ] },
+    typescript: { ...C_LIKE, quotes: [ ...C_LIKE.quotes, { open: '`', multiline: true } ] },
+    java: { ...C_LIKE, quotes: [ { open: '"""', multiline: true }, ...C_LIKE.quotes ] },
+    go: { ...C_LIKE, quotes: [ ...C_LIKE.quotes, { open: '`', multiline: true } ] },
+    // No single quotes: `'a` is a lifetime, not the start of a string.
+    rust: { ...C_LIKE, quotes: [ { open: '"', multiline: true } ] },
+    python: {
+        line: [ '#' ],
+        block: [],
+        quotes: [ { open: '"""', multiline: true }, { open: "'''", multiline: true }, { open: '"' }, { open: "'" } ],
+        keepIndent: true
+    },
+    sql: { line: [ '--' ], block: C_LIKE.block, quotes: C_LIKE.quotes }
+};
+
+// Unknown language: no comment syntax to rely on, so only whitespace is touched.
+const PLAIN = { line: [], block: [], quotes: C_LIKE.quotes, keepIndent: true };
+
+// Index just past the string that starts at `start` (after its opening quote).
+// Single-line strings end at a newline even when unterminated.
+function stringEnd(code, start, quote) {
+    const close = quote.close ?? quote.open;
+    for (let i = start; i < code.length; i++) {
+        if (code[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (code.startsWith(close, i)) return i + close.length;
+        if (!quote.multiline && code[i] === '\n') return i;
+    }
+    return code.length;
+}
+
+function normalizeCode(code, language) {
+    const syntax = SYNTAX[language] ?? PLAIN;
+    const startsHere = (token) => code.startsWith(token, i);
+    let out = '';
+    let i = 0;
+
+    while (i < code.length) {
+        let end = -1;
+        const block = syntax.block.find(([ open ]) => startsHere(open));
+        const quote = syntax.quotes.find((q) => startsHere(q.open));
+
+        if (syntax.line.some(startsHere)) {
+            end = code.indexOf('\n', i);
+            end = end === -1 ? code.length : end;
+        } else if (block) {
+            end = code.indexOf(block[1], i + block[0].length);
+            end = end === -1 ? code.length : end + block[1].length;
+        } else if (quote) {
+            end = stringEnd(code, i + quote.open.length, quote);
+        }
+        if (end !== -1) {
+            out += code.slice(i, end);
+            i = end;
+            continue;
+        }
+
+        if (/\s/.test(code[i])) {
+            let j = i;
+            while (j < code.length && /\s/.test(code[j])) j++;
+            const lines = code.slice(i, j).split(/\r?\n/);
+            if (lines.length === 1) {
+                if (out && !/\s$/.test(out)) out += ' ';
+            } else {
+                // Line breaks, blank lines included, stay; trailing spaces go.
+                out = out.replace(/[ \t\f\v\r]+$/, '') + '\n'.repeat(lines.length - 1);
+                if (syntax.keepIndent) out += lines.at(-1);
+            }
+            i = j;
+            continue;
+        }
+
+        out += code[i++];
+    }
+
+    return out.trimEnd();
+}
+
+// Same scanner as normalizeCode, but comments and the contents of string
+// literals become spaces (newlines stay), so column numbers still match the
+// original too and keywords inside strings or comments aren't counted.
+function maskCode(code, language) {
+    const syntax = SYNTAX[language] ?? PLAIN;
+    const startsHere = (token) => code.startsWith(token, i);
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+    let out = '';
+    let i = 0;
+
+    while (i < code.length) {
+        let end = -1;
+        const block = syntax.block.find(([ open ]) => startsHere(open));
+        const quote = syntax.quotes.find((q) => startsHere(q.open));
+
+        if (syntax.line.some(startsHere)) {
+            end = code.indexOf('\n', i);
+            end = end === -1 ? code.length : end;
+            out += blank(code.slice(i, end));
+        } else if (block) {
+            end = code.indexOf(block[1], i + block[0].length);
+            end = end === -1 ? code.length : end + block[1].length;
+            out += blank(code.slice(i, end));
+        } else if (quote) {
+            const open = i + quote.open.length;
+            end = stringEnd(code, open, quote);
+            // Unterminated strings have no closing quote to keep.
+            const closing = quote.close ?? quote.open;
+            const close = end - open >= closing.length && code.startsWith(closing, end - closing.length) ? end - closing.length : end;
+            out += quote.open + blank(code.slice(open, close)) + code.slice(close, end);
+        } else {
+            out += code[i];
+            end = i + 1;
+        }
+        i = end;
+    }
+
+    return out;
+}
+
+module.exports = { normalizeCode, maskCode };
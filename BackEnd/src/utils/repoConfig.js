@@ -0,0 +1,83 @@
+const { minimatch } = require('minimatch');
+const { listLanguages } = require('../services/language.service');
+const { FOCUS_IDS, STRICTNESS_LEVELS } = require('../prompts/system.prompt');
+const { ValidationError } = require('./errors');
+
+// Per-repository settings for pull request reviews, read from `.ai-review.json`
+// at the root of the target branch:
+//   { "enabled": true, "paths": ["src/**"], "exclude": ["**/*.test.js"],
+//     "languages": ["javascript"], "focus": ["security"], "strictness": "strict",
+//     "maxComments": 25 }
+// Every field is optional; a repository without the file gets the defaults.
+const CONFIG_PATH = '.ai-review.json';
+
+const DEFAULTS = {
+    enabled: true,
+    paths: [ '**' ],
+    exclude: [],
+    languages: null,
+    focus: undefined,
+    strictness: undefined,
+    maxComments: Number(process.env.WEBHOOK_MAX_COMMENTS || 25)
+};
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+// Parses and validates the file's text. Throws a ValidationError naming the
+// first field it doesn't accept.
+function parseRepoConfig(text) {
+    if (text == null) return { ...DEFAULTS };
+
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        throw new ValidationError(`invalid JSON: ${err.message}`);
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new ValidationError('the file must contain a JSON object');
+    }
+
+    const { enabled, paths, exclude, languages, focus, strictness, maxComments } = raw;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new ValidationError('enabled must be true or false');
+    }
+    if (paths !== undefined && !isStringList(paths)) {
+        throw new ValidationError('paths must be a list of glob patterns');
+    }
+    if (exclude !== undefined && !isStringList(exclude)) {
+        throw new ValidationError('exclude must be a list of glob patterns');
+    }
+    if (languages !== undefined && (!isStringList(languages) || languages.some((id) => !listLanguages().includes(id)))) {
+        throw new ValidationError(`languages must be a list of ${listLanguages().join(', ')}`);
+    }
+    if (focus !== undefined && (!isStringList(focus) || focus.some((id) => !FOCUS_IDS.includes(id)))) {
+        throw new ValidationError(`focus must be a list of ${FOCUS_IDS.join(', ')}`);
+    }
+    if (strictness !== undefined && !STRICTNESS_LEVELS.includes(strictness)) {
+        throw new ValidationError(`strictness must be one of ${STRICTNESS_LEVELS.join(', ')}`);
+    }
+    if (maxComments !== undefined && !(Number.isInteger(maxComments) && maxComments >= 0)) {
+        throw new ValidationError('maxComments must be a whole number');
+    }
+
+    return {
+        enabled: enabled ?? DEFAULTS.enabled,
+        paths: paths ?? DEFAULTS.paths,
+        exclude: exclude ?? DEFAULTS.exclude,
+        languages: languages ?? DEFAULTS.languages,
+        focus,
+        strictness,
+        maxComments: maxComments ?? DEFAULTS.maxComments
+    };
+}
+
+// Whether a file is in scope: its path matches `paths` and none of `exclude`,
+// and its language (null when unknown) is one of `languages`, if those are set.
+function isIncluded(config, path, language) {
+    const matches = (pattern) => minimatch(path, pattern, { dot: true });
+    if (!config.paths.some(matches) || config.exclude.some(matches)) return false;
+    return !config.languages || config.languages.includes(language);
+}
+
+module.exports = { CONFIG_PATH, parseRepoConfig, isIncluded };
@@ -0,0 +1,77 @@
+const { AppError, TimeoutError } = require('./errors');
+
+// Per-attempt timeout and retry policy for model calls.
+const TIMEOUT_MS = Number(process.env.AI_TIMEOUT_MS || 60000);
+const MAX_RETRIES = Number(process.env.AI_MAX_RETRIES ?? 2);
+const RETRY_BASE_MS = Number(process.env.AI_RETRY_BASE_MS || 500);
+
+// Exponential backoff with jitter: ~base, ~2×base, ~4×base, ... for retry 1, 2, 3.
+function backoffDelay(retry) {
+    const delay = RETRY_BASE_MS * 2 ** (retry - 1);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+// A signal that aborts when `parent` does or after `ms`; `timedOut` tells the two
+// apart. `reset()` restarts the clock (for idle timeouts between streamed chunks)
+// and `clear()` must be called when done so the timer doesn't keep the process alive.
+function timeoutSignal(ms, parent) {
+    const controller = new AbortController();
+    const state = { signal: controller.signal, timedOut: false };
+
+    const expire = () => {
+        state.timedOut = true;
+        controller.abort(new TimeoutError(ms));
+    };
+    let timer = setTimeout(expire, ms);
+    const onAbort = () => controller.abort(parent.reason);
+    parent?.addEventListener('abort', onAbort, { once: true });
+
+    state.reset = () => {
+        clearTimeout(timer);
+        timer = setTimeout(expire, ms);
+    };
+    state.clear = () => {
+        clearTimeout(timer);
+        parent?.removeEventListener('abort', onAbort);
+    };
+    return state;
+}
+
+// Whether a failed attempt should be tried again.
+function isRetryable(err) {
+    return err instanceof AppError && err.retryable;
+}
+
+// Runs `fn(signal)` with a timeout per attempt and retries retryable failures
+// (timeouts, upstream 5xx, network errors) with exponential backoff. Aborting
+// `signal` stops both the current attempt and any further retries.
+async function withRetry(fn, { signal, timeoutMs = TIMEOUT_MS, retries = MAX_RETRIES, label = 'Model call' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        const timeout = timeoutSignal(timeoutMs, signal);
+        try {
+            return await fn(timeout.signal);
+        } catch (err) {
+            if (signal?.aborted) throw err;
+            const error = timeout.timedOut ? new TimeoutError(timeoutMs) : err;
+            if (!isRetryable(error) || attempt >= retries) throw error;
+
+            const delay = backoffDelay(attempt + 1);
+            console.warn(`${label} failed (${error.message}); retrying in ${Math.round(delay)}ms`);
+            await sleep(delay, signal);
+        } finally {
+            timeout.clear();
+        }
+    }
+}
+
+module.exports = { TIMEOUT_MS, MAX_RETRIES, backoffDelay, sleep, timeoutSignal, isRetryable, withRetry };
@@ -0,0 +1,181 @@
+const { normalizeCategory } = require('../schemas/review.schema');
+
+// Renders a structured review back into the emoji-headed Markdown layout the
+// system prompt asks for, so the frontend panel can show either kind of answer.
+
+const SECTIONS = [
+    { severity: 'critical', heading: '### 🔴 Critical Issues (Must Fix)' },
+    { severity: 'warning', heading: '### 🟡 Warnings (Should Fix)' },
+    { severity: 'suggestion', heading: '### 🟢 Suggestions (Nice to Have)' }
+];
+
+function formatLines(finding) {
+    if (!finding.lineStart) return '';
+    if (!finding.lineEnd || finding.lineEnd === finding.lineStart) return ` _(line ${finding.lineStart})_`;
+    return ` _(lines ${finding.lineStart}-${finding.lineEnd})_`;
+}
+
+function formatFinding(finding) {
+    const label = finding.title ? `**${finding.title}** \`${finding.category}\`` : `**${finding.category}**`;
+    const rule = finding.ruleId ? ` [rule: ${finding.ruleId}]` : '';
+    let text = `- ${label}${rule}${formatLines(finding)}: ${finding.message}`;
+    if (finding.suggestedFix) {
+        const fix = finding.suggestedFix.includes('\n')
+            ? `\n\n  \`\`\`\n${finding.suggestedFix.replace(/^/gm, '  ')}\n  \`\`\``
+            : ` — _Fix:_ ${finding.suggestedFix}`;
+        text += fix;
+    }
+    return text;
+}
+
+function toMarkdown(review) {
+    const parts = [];
+    if (review.summary) parts.push(review.summary);
+
+    for (const section of SECTIONS) {
+        const findings = review.findings.filter((f) => f.severity === section.severity);
+        parts.push(section.heading);
+        parts.push(findings.length ? findings.map(formatFinding).join('\n') : '_None._');
+    }
+
+    parts.push('### ✅ What\'s Done Well');
+    parts.push(review.strengths.length ? review.strengths.map((s) => `- ${s}`).join('\n') : '_Nothing noted._');
+
+    if (review.refactoredCode.code) {
+        parts.push('### 📝 Refactored Code');
+        parts.push(`\`\`\`${review.refactoredCode.language}\n${review.refactoredCode.code}\n\`\`\``);
+    }
+
+    if (review.takeaways.length) {
+        parts.push('### 💡 Key Takeaways');
+        parts.push(review.takeaways.map((t) => `- ${t}`).join('\n'));
+    }
+
+    return parts.join('\n\n');
+}
+
+const SEVERITY_EMOJI = { critical: '🔴', warning: '🟡', suggestion: '🟢' };
+
+// The static analysis of a file (see analysis.service) as its own section, or
+// '' when there is nothing to report.
+function analysisToMarkdown(analysis) {
+    const failed = analysis.tools.filter((t) => t.status === 'failed');
+    if (!analysis.findings.length && !failed.length) return '';
+
+    const parts = [ '### 🔍 Static Analysis' ];
+    if (analysis.findings.length) {
+        parts.push(analysis.findings.map((f) => `- ${SEVERITY_EMOJI[f.severity]} **${f.title}** \`${f.tool}/${f.ruleId}\`${formatLines(f)}: ${f.message}`).join('\n'));
+    }
+    if (failed.length) {
+        parts.push(failed.map((t) => `_${t.name} could not run: ${t.error}_`).join('\n'));
+    }
+    return parts.join('\n\n');
+}
+
+const REFACTORED_HEADING = /^(#{1,6})\s*(?:📝\s*)?Refactored Code\b/i;
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+
+// Pulls the code out of the "📝 Refactored Code" section of a Markdown review,
+// as `{ language, code }`, or null when there is none. When the section has
+// several code blocks the longest one wins, since the prompt asks for the
+// complete improved version and shorter blocks are usually excerpts.
+function extractRefactoredCode(markdown) {
+    const lines = String(markdown ?? '').split('\n');
+    const blocks = [];
+    let level = 0;
+    let fence = null;
+
+    for (const line of lines) {
+        if (fence) {
+            if (line.trim().startsWith(fence.marker) && line.trim().replace(/[`~]/g, '') === '') {
+                blocks.push({ language: fence.language, code: fence.lines.join('\n') });
+                fence = null;
+            } else {
+                fence.lines.push(line);
+            }
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s/);
+        if (!level) {
+            const match = line.match(REFACTORED_HEADING);
+            if (match) level = match[1].length;
+            continue;
+        }
+        // The section ends at the next heading of the same or a higher level.
+        if (heading && heading[1].length <= level) break;
+
+        const open = line.match(FENCE);
+        if (open) fence = { marker: open[1], language: open[2], lines: [] };
+    }
+
+    if (!blocks.length) return null;
+    return blocks.reduce((longest, block) => (block.code.length > longest.code.length ? block : longest));
+}
+
+const SEVERITY_HEADINGS = [
+    { severity: 'critical', pattern: /🔴|critical/i },
+    { severity: 'warning', pattern: /🟡|warning/i },
+    { severity: 'suggestion', pattern: /🟢|suggestion/i }
+];
+
+function stripInline(text) {
+    return text.replace(/\*\*([^*]+)\*\*/g, '$1').replace(/`([^`]+)`/g, '$1').replace(/(^|\s)_([^_]+)_(?=\s|$|[.,:;])/g, '$1$2').trim();
+}
+
+// Best-effort findings from a Markdown review, for answers that have no
+// structured form: every top-level bullet under a Critical / Warning /
+// Suggestion heading. `**Title**` and a following `category` are picked up
+// when present, "line 12" / "lines 12-14" give the lines (0 when missing) and
+// "[rule: id]" the team rule the issue breaks (see prompts/system.prompt.js).
+function parseFindings(markdown) {
+    const findings = [];
+    let severity = null;
+    let fence = null;
+
+    for (const line of String(markdown ?? '').split('\n')) {
+        const open = line.match(FENCE);
+        if (fence) {
+            if (open && open[1][0] === fence[0] && !open[2]) fence = null;
+            continue;
+        }
+        if (open) {
+            fence = open[1];
+            continue;
+        }
+
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+            severity = SEVERITY_HEADINGS.find((h) => h.pattern.test(heading[1]))?.severity ?? null;
+            continue;
+        }
+        if (!severity) continue;
+
+        const bullet = line.match(/^(?:[-*+]|\d+\.)\s+(.*)$/);
+        if (!bullet) {
+            // Indented lines continue the previous finding.
+            if (/^\s+\S/.test(line) && findings.length) findings.at(-1).message += ` ${stripInline(line)}`;
+            continue;
+        }
+
+        const rule = bullet[1].match(/\s*\[rule:\s*([\w./-]+)\]/i);
+        const text = rule ? bullet[1].replace(rule[0], '') : bullet[1];
+        const label = text.match(/^\*\*([^*]+)\*\*\s*(?:`([\w-]+)`)?/);
+        const lines = text.match(/\blines?\s+(\d+)(?:\s*[-–]\s*(\d+))?/i);
+        const message = stripInline(label ? text.slice(label[0].length).replace(/^[\s:—-]*(?:_?\(lines?[^)]*\)_?)?[\s:—-]*/i, '') : text);
+        findings.push({
+            severity,
+            category: normalizeCategory(label?.[2]),
+            title: label ? label[1].trim() : '',
+            lineStart: lines ? Number(lines[1]) : 0,
+            lineEnd: lines ? Number(lines[2] ?? lines[1]) : 0,
+            message: message || (label ? label[1].trim() : ''),
+            suggestedFix: '',
+            ruleId: rule?.[1] ?? null
+        });
+    }
+
+    return findings;
+}
+
+module.exports = { toMarkdown, analysisToMarkdown, extractRefactoredCode, parseFindings };
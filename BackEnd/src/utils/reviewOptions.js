@@ -0,0 +1,60 @@
+const cacheService = require('../services/cache.service');
+const { listProviders } = require('../services/providers');
+const { resolveLanguage, listLanguages } = require('../services/language.service');
+const { FOCUS_IDS, STRICTNESS_LEVELS } = require('../prompts/system.prompt');
+const { ValidationError } = require('./errors');
+
+// Reads the per-request review options shared by every endpoint. Provider and
+// model override the server config; `language` is a profile id or "auto". When
+// `code` is given, "auto" is resolved by detection here, using the extension of
+// `path` (the file name) when there is one; otherwise it is left for the
+// service to detect per file. `focus` is a list of focus areas (an array,
+// or comma-separated in a query string) and `strictness` a level name. Team
+// rule sets come from `req.ruleSets` (see ruleSets.middleware).
+// Throws a ValidationError for anything it doesn't accept.
+function readOptions(req, params = {}, code) {
+    const { provider, model, language, strictness } = params;
+    const focus = typeof params.focus === 'string' ? params.focus.split(',').filter(Boolean) : params.focus;
+
+    if (params.path !== undefined && typeof params.path !== 'string') {
+        throw new ValidationError('path must be a string');
+    }
+
+    if (provider && !listProviders().includes(provider)) {
+        throw new ValidationError(`provider must be one of ${listProviders().join(', ')}`);
+    }
+
+    if (focus !== undefined && (!Array.isArray(focus) || focus.some((id) => !FOCUS_IDS.includes(id)))) {
+        throw new ValidationError(`focus must be a list of ${FOCUS_IDS.join(', ')}`);
+    }
+
+    if (strictness !== undefined && !STRICTNESS_LEVELS.includes(strictness)) {
+        throw new ValidationError(`strictness must be one of ${STRICTNESS_LEVELS.join(', ')}`);
+    }
+
+    const explicit = language && language !== 'auto';
+    const resolved = explicit || code !== undefined ? resolveLanguage(language, code, params.path) : null;
+    if (explicit && !resolved) {
+        throw new ValidationError(`language must be "auto" or one of ${listLanguages().join(', ')}`);
+    }
+
+    // What the request's metrics are grouped by (see metrics.middleware).
+    if (req.metrics) Object.assign(req.metrics, { provider, model, language: resolved ?? null });
+
+    // Token usage reported by the provider counts against the user's quota, and
+    // whatever was redacted from the prompts goes into the audit log.
+    const onUsage = req.recordUsage;
+    const onRedact = req.recordRedactions;
+
+    // `Cache-Control: no-cache` / `no-store` bypass the review cache. EventSource
+    // clients can't set headers, so `cacheControl` is accepted as a parameter too.
+    const cacheControl = cacheService.readCacheControl(params.cacheControl ?? req.get('Cache-Control'));
+    const onCacheStatus = (status) => {
+        req.cacheStatus = status;
+        if (!req.res.headersSent) req.res.set('X-Cache', status.toUpperCase());
+    };
+
+    return { provider, model, language: resolved ?? undefined, focus, strictness, ruleSets: req.ruleSets, onUsage, onRedact, cacheControl, onCacheStatus };
+}
+
+module.exports = { readOptions };
@@ -0,0 +1,7 @@
+// Rough token count (~4 characters per token). Good enough for budgeting prompts
+// without pulling in a tokenizer for every provider.
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+module.exports = { estimateTokens };
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const tar = require('tar-stream');
+const { extractFiles, MAX_FILES } = require('../src/services/archive.service');
+
+async function tarball(entries) {
+    const pack = tar.pack();
+    for (const [ name, content ] of entries) pack.entry({ name }, content);
+    pack.finalize();
+    const chunks = [];
+    for await (const chunk of pack) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+describe('extractFiles', () => {
+    it('keeps text files and skips vendored, binary and oversized ones', async () => {
+        const zip = new AdmZip();
+        zip.addFile('src/a.js', Buffer.from('let a = 1'));
+        zip.addFile('node_modules/lib/index.js', Buffer.from('module.exports = 1'));
+        zip.addFile('logo.png', Buffer.from([ 0x89, 0x00, 0x50 ]));
+        zip.addFile('huge.js', Buffer.alloc(300 * 1024, 'a'));
+
+        assert.deepEqual(await extractFiles(zip.toBuffer(), 'project.zip'), [ { path: 'src/a.js', content: 'let a = 1' } ]);
+    });
+
+    it('reads .tar.gz archives', async () => {
+        const archive = zlib.gzipSync(await tarball([ [ 'a.py', 'x = 1' ], [ 'dist/b.js', 'b' ] ]));
+        assert.deepEqual(await extractFiles(archive, 'project.tar.gz'), [ { path: 'a.py', content: 'x = 1' } ]);
+    });
+
+    it('refuses a zip whose files unpack to more than the total limit', async () => {
+        const zip = new AdmZip();
+        for (let i = 0; i < 150; i++) zip.addFile(`f${i}.js`, Buffer.alloc(190 * 1024, 'a'));
+        await assert.rejects(extractFiles(zip.toBuffer(), 'bomb.zip'), /expands to more than/);
+    });
+
+    it('refuses a gzip stream that unpacks to more than the total limit', async () => {
+        const bomb = zlib.gzipSync(Buffer.alloc(50 * 1024 * 1024));
+        await assert.rejects(extractFiles(bomb, 'bomb.tar.gz'), /expands to more than/);
+    });
+
+    it('stops after the file limit', async () => {
+        const entries = Array.from({ length: MAX_FILES + 20 }, (_, i) => [ `f${i}.js`, 'x' ]);
+        assert.equal((await extractFiles(await tarball(entries), 'many.tar')).length, MAX_FILES);
+    });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ADMIN_EMAILS = 'admin@example.com';
+const { startServer, request, signup } = require('./helpers');
+
+const PASSWORD = 'correct-horse-battery';
+
+let counter = 0;
+const newEmail = () => `auth-${Date.now()}-${counter++}@example.com`;
+
+describe('/auth', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.close());
+
+    const post = (route, body) => request(server.url, 'POST', `/auth${route}`, { body });
+    const me = (token) => request(server.url, 'GET', '/auth/me', { token });
+
+    it('signs up into the default team, whatever team is asked for', async () => {
+        const email = newEmail();
+        const { status, body } = await post('/signup', { email: email.toUpperCase(), password: PASSWORD, team: 'payments' });
+        assert.equal(status, 201);
+        assert.ok(body.accessToken && body.refreshToken);
+        assert.deepEqual(body.user, { id: body.user.id, email, team: 'default', role: 'user' });
+        assert.equal((await me(body.accessToken)).body.user.team, 'default');
+    });
+
+    it('rejects invalid signups', async () => {
+        assert.equal((await post('/signup', { email: 'not-an-email', password: PASSWORD })).status, 400);
+        assert.equal((await post('/signup', { email: newEmail(), password: 'short' })).status, 400);
+    });
+
+    it('creates one account when the same address signs up twice at once', async () => {
+        const email = newEmail();
+        const results = await Promise.all([ post('/signup', { email, password: PASSWORD }), post('/signup', { email, password: PASSWORD }) ]);
+        assert.deepEqual(results.map((r) => r.status).sort(), [ 201, 409 ]);
+        assert.equal(results.find((r) => r.status === 409).body.code, 'conflict');
+    });
+
+    it('logs in with the right password only', async () => {
+        const email = newEmail();
+        await post('/signup', { email, password: PASSWORD });
+
+        const wrong = await post('/login', { email, password: 'not the password' });
+        const unknown = await post('/login', { email: newEmail(), password: PASSWORD });
+        assert.deepEqual([ wrong.status, unknown.status ], [ 401, 401 ]);
+        assert.equal(wrong.body.error, unknown.body.error);
+
+        const { status, body } = await post('/login', { email, password: PASSWORD });
+        assert.equal(status, 200);
+        assert.equal((await me(body.accessToken)).body.user.email, email);
+    });
+
+    it('rotates refresh tokens, each working once', async () => {
+        const { body: session } = await post('/signup', { email: newEmail(), password: PASSWORD });
+
+        const first = await post('/refresh', { refreshToken: session.refreshToken });
+        assert.equal(first.status, 200);
+        assert.notEqual(first.body.refreshToken, session.refreshToken);
+        assert.equal((await post('/refresh', { refreshToken: session.refreshToken })).status, 401);
+        assert.equal((await post('/refresh', { refreshToken: first.body.refreshToken })).status, 200);
+        assert.equal((await post('/refresh', { refreshToken: 'garbage' })).status, 401);
+        assert.equal((await post('/refresh', {})).status, 400);
+    });
+
+    it('lets only one of several concurrent refreshes with the same token through', async () => {
+        const { body: session } = await post('/signup', { email: newEmail(), password: PASSWORD });
+        const results = await Promise.all(Array.from({ length: 3 }, () => post('/refresh', { refreshToken: session.refreshToken })));
+        assert.deepEqual(results.map((r) => r.status).sort(), [ 200, 401, 401 ]);
+    });
+
+    it('keeps the sessions of concurrent logins', async () => {
+        const email = newEmail();
+        await post('/signup', { email, password: PASSWORD });
+        const sessions = await Promise.all(Array.from({ length: 3 }, () => post('/login', { email, password: PASSWORD })));
+
+        for (const { body } of sessions) {
+            assert.equal((await post('/refresh', { refreshToken: body.refreshToken })).status, 200);
+        }
+    });
+
+    it('keeps a bounded number of sessions, dropping the oldest', async () => {
+        const email = newEmail();
+        const { body: oldest } = await post('/signup', { email, password: PASSWORD });
+        for (let i = 0; i < 10; i++) await post('/login', { email, password: PASSWORD });
+
+        assert.equal((await post('/refresh', { refreshToken: oldest.refreshToken })).status, 401);
+    });
+
+    it('revokes the refresh token on logout', async () => {
+        const { body: session } = await post('/signup', { email: newEmail(), password: PASSWORD });
+        assert.equal((await post('/logout', { refreshToken: session.refreshToken })).status, 204);
+        assert.equal((await post('/refresh', { refreshToken: session.refreshToken })).status, 401);
+    });
+
+    it('lets only admins move users to another team', async () => {
+        const email = newEmail();
+        const { body: session } = await post('/signup', { email, password: PASSWORD });
+        const admin = await signup(server.url, 'admin@example.com');
+        const move = (token, team) => request(server.url, 'PUT', `/admin/users/${encodeURIComponent(email)}/team`, { body: { team }, token });
+
+        assert.equal((await move(session.accessToken, 'payments')).status, 403);
+        assert.equal((await move(admin, '  ')).status, 400);
+        assert.equal((await request(server.url, 'PUT', '/admin/users/nobody%40example.com/team', { body: { team: 'payments' }, token: admin })).status, 404);
+
+        const { status, body } = await move(admin, 'payments');
+        assert.equal(status, 200);
+        assert.equal(body.user.team, 'payments');
+        // The new team is in the tokens from the next refresh on.
+        const { body: refreshed } = await post('/refresh', { refreshToken: session.refreshToken });
+        assert.equal((await me(refreshed.accessToken)).body.user.team, 'payments');
+    });
+});
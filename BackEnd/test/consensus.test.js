@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CONSENSUS_MODELS = 'mock,mock:second-opinion';
+const { startServer, request, signup } = require('./helpers');
+const auditService = require('../src/services/audit.service');
+const metricsService = require('../src/services/metrics.service');
+const quotaService = require('../src/services/quota.service');
+
+const EMAIL = 'alice@example.com';
+
+describe('/ai/get-consensus-review', () => {
+    let server;
+    let token;
+    // What the audit and metrics middlewares write once responses are over.
+    const audits = [];
+    const metrics = [];
+
+    before(async () => {
+        auditService.recordRedactions = async (entry) => { audits.push(entry); };
+        metricsService.record = async (metric) => { metrics.push(metric); };
+        server = await startServer();
+        token = await signup(server.url);
+    });
+
+    beforeEach(() => {
+        audits.length = 0;
+        metrics.length = 0;
+    });
+
+    after(() => server.close());
+
+    // Both are written on `close`, just after the response has been read.
+    const settled = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+    it('redacts and audits the code once for all models', async () => {
+        const { status, body } = await request(server.url, 'POST', '/ai/get-consensus-review', { body: { code: `const owner = '${EMAIL}'` }, token });
+        await settled();
+
+        assert.equal(status, 200);
+        assert.equal(body.consensus.models.length, 2);
+        assert.deepEqual(body.redactions.map((r) => r.placeholder), [ 'REDACTED_EMAIL_1' ]);
+        assert.equal(audits.length, 1);
+        assert.equal(audits[0].endpoint, 'consensus');
+        assert.equal(audits[0].redactions.length, 1);
+    });
+
+    it('records one metric per model', async () => {
+        await request(server.url, 'POST', '/ai/get-consensus-review', { body: { code: 'const total = 1 + 1' }, token });
+        await settled();
+
+        assert.deepEqual(metrics.map((m) => m.model).sort(), [ 'mock', 'second-opinion' ]);
+        for (const metric of metrics) {
+            assert.equal(metric.endpoint, 'consensus');
+            assert.equal(metric.status, 200);
+            assert.ok(metric.tokens.prompt > 0);
+        }
+    });
+
+    it('records rejected requests too', async () => {
+        const { status } = await request(server.url, 'POST', '/ai/get-consensus-review', { body: {}, token });
+        await settled();
+
+        assert.equal(status, 400);
+        assert.equal(metrics.length, 1);
+        assert.equal(metrics[0].errorCode, 'invalid_input');
+    });
+
+    it('counts one request per model against the quota', async () => {
+        const user = await signup(server.url);
+        const { body: me } = await request(server.url, 'GET', '/auth/me', { token: user });
+        const remaining = (response) => Number(response.headers.get('x-quota-requests-remaining'));
+
+        const first = await request(server.url, 'POST', '/ai/get-consensus-review', { body: { code: 'const a = 1' }, token: user });
+        assert.equal(first.status, 200);
+        assert.equal(remaining(first), me.quota.requests.limit - 2);
+
+        // Leave one request: too few for two models, enough for a plain review.
+        await quotaService.consumeRequest(me.user.id, me.quota.requests.limit - 3);
+        const rejected = await request(server.url, 'POST', '/ai/get-consensus-review', { body: { code: 'const b = 1' }, token: user });
+        assert.equal(rejected.status, 429);
+        assert.equal(rejected.body.code, 'quota_exceeded');
+        assert.equal(remaining(rejected), 1);
+        assert.equal((await request(server.url, 'POST', '/ai/get-review', { body: { code: 'const c = 1' }, token: user })).status, 200);
+    });
+});
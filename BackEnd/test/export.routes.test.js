@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+
+const FINDING = { severity: 'warning', category: 'correctness', title: 'Off by one', lineStart: 2, lineEnd: 2, message: 'The loop skips the last item.', suggestedFix: 'Use <=.', ruleId: null };
+const SNIPPET = { code: 'for (let i = 0; i < n - 1; i++) {\n  total += items[i]\n}', response: '## Review\n\nOne issue.' };
+
+describe('/ai/export', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        token = await signup(server.url);
+    });
+
+    after(() => server.close());
+
+    const exportAs = (format, body) => request(server.url, 'POST', '/ai/export', { body: { format, ...body }, token });
+
+    it('exports a structured snippet review as JUnit', async () => {
+        const { status, headers, text } = await exportAs('junit', { ...SNIPPET, language: 'javascript', review: { findings: [ FINDING ] } });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /application\/xml/);
+        assert.match(text, /<failure type="warning" message="Off by one">/);
+    });
+
+    it('exports every file of a project review', async () => {
+        const files = [
+            { path: 'src/a.js', review: { findings: [ FINDING ] }, analysis: { findings: [] } },
+            { path: 'src/b.js', error: 'The model timed out' }
+        ];
+        const { status, body } = await exportAs('sarif', { ...SNIPPET, kind: 'project', review: { files } });
+        assert.equal(status, 200);
+        const [ result ] = body.runs[0].results;
+        assert.equal(result.locations[0].physicalLocation.artifactLocation.uri, 'src/a.js');
+    });
+
+    it('rejects findings that are not a list', async () => {
+        const { status, body } = await exportAs('markdown', { ...SNIPPET, review: { findings: 'x' } });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'invalid_input');
+        assert.match(body.error, /review\.findings must be an array/);
+    });
+
+    it('rejects malformed findings instead of failing to render them', async () => {
+        const empty = await exportAs('junit', { ...SNIPPET, analysis: { findings: [ {} ] } });
+        assert.equal(empty.status, 400);
+        assert.match(empty.body.error, /analysis\.findings\[0\]\.severity/);
+        assert.ok(empty.body.errors.includes('analysis.findings[0].message is required'));
+
+        const badLine = await exportAs('sarif', { ...SNIPPET, review: { findings: [ { ...FINDING, lineStart: 'two' } ] } });
+        assert.equal(badLine.status, 400);
+        assert.match(badLine.body.error, /review\.findings\[0\]\.lineStart must be an integer/);
+    });
+
+    it('checks the files of diff reviews', async () => {
+        const noFiles = await exportAs('junit', { ...SNIPPET, kind: 'diff', review: { files: 'a.js' } });
+        assert.equal(noFiles.status, 400);
+
+        const badFinding = await exportAs('junit', { ...SNIPPET, kind: 'diff', review: { files: [ { path: 'a.js', review: { findings: [ { ...FINDING, severity: 'huge' } ] } } ] } });
+        assert.equal(badFinding.status, 400);
+        assert.match(badFinding.body.error, /review\.files\[0\]\.review\.findings\[0\]\.severity/);
+    });
+});
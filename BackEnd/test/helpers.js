@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file runs in its own process with the offline mock provider and a
+// throwaway data directory, so tests never touch the network or real data.
+// Required before the app, since services read their settings on load.
+process.env.AI_PROVIDER = 'mock';
+process.env.MOCK_STREAM_DELAY_MS = '0';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-test-'));
+process.env.JWT_SECRET ??= 'test-access-secret';
+process.env.JWT_REFRESH_SECRET ??= 'test-refresh-secret';
+process.env.CACHE_STORE ??= 'memory';
+process.env.LOG_AI_RESPONSES = 'false';
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const app = require('../src/app');
+
+// Starts the app on a free port. Resolves to { url, close }.
+function startServer() {
+    return new Promise((resolve) => {
+        const server = app.listen(0, () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise((done) => server.close(done))
+            });
+        });
+    });
+}
+
+// Calls the API and resolves to { status, headers, body, text }; `body` is the
+// parsed JSON, when the response is JSON.
+async function request(baseUrl, method, route, { body, token, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        // Not JSON (e.g. an event stream).
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+}
+
+// Signs a new user up and resolves to their access token.
+async function signup(baseUrl, email = `user-${Date.now()}-${Math.random().toString(36).slice(2)}@example.com`) {
+    const { status, body } = await request(baseUrl, 'POST', '/auth/signup', { body: { email, password: 'correct-horse-battery' } });
+    if (status !== 201) throw new Error(`Signup failed with ${status}: ${JSON.stringify(body)}`);
+    return body.accessToken;
+}
+
+module.exports = { startServer, request, signup };
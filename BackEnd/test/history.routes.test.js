@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+const { connect, disconnect } = require('../src/db/mongo');
+const Review = require('../src/models/review.model');
+
+// History needs MongoDB; these tests run against an in-memory server. Its
+// mongod binary is downloaded on first use, so without network access (or on a
+// platform it has no build for) they are skipped rather than failed.
+let MongoMemoryServer = null;
+try {
+    ({ MongoMemoryServer } = require('mongodb-memory-server'));
+} catch {
+    // Not installed (production install).
+}
+
+describe('/ai/history with an in-memory MongoDB', () => {
+    let mongod = null;
+    let unavailable = 'mongodb-memory-server is not installed';
+    let server;
+    let token;
+
+    before(async () => {
+        if (MongoMemoryServer) {
+            try {
+                mongod = await MongoMemoryServer.create();
+            } catch (err) {
+                unavailable = `no in-memory MongoDB: ${err.message.split('\n')[0]}`;
+            }
+        }
+        if (mongod) {
+            await connect(mongod.getUri());
+            // The text index backs search; wait for it rather than racing it.
+            await Review.init();
+        }
+        server = await startServer();
+        token = await signup(server.url);
+    });
+
+    after(async () => {
+        await server.close();
+        if (mongod) {
+            await disconnect();
+            await mongod.stop();
+        }
+    });
+
+    const review = (code) => request(server.url, 'POST', '/ai/get-review', { body: { code, language: 'javascript' }, token });
+
+    it('saves reviews and lists them newest first', async (t) => {
+        if (!mongod) return t.skip(unavailable);
+        const first = await review('const listedFirst = 1');
+        const second = await review('const listedSecond = 2');
+        assert.ok(first.body.historyId);
+        assert.ok(second.body.historyId);
+
+        const { status, body } = await request(server.url, 'GET', '/ai/history', { token });
+        assert.equal(status, 200);
+        const ids = body.reviews.map((r) => r.id);
+        assert.ok(ids.indexOf(second.body.historyId) < ids.indexOf(first.body.historyId));
+        const listed = body.reviews.find((r) => r.id === first.body.historyId);
+        assert.equal(listed.kind, 'snippet');
+        assert.equal(listed.preview, 'const listedFirst = 1');
+        assert.equal(listed.code, undefined);
+    });
+
+    it('searches code and review text', async (t) => {
+        if (!mongod) return t.skip(unavailable);
+        const { body: saved } = await review('const needleInHistory = 42');
+
+        const { status, body } = await request(server.url, 'GET', '/ai/history?q=needleInHistory', { token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.reviews.map((r) => r.id), [ saved.historyId ]);
+    });
+
+    it('fetches a saved review with its findings', async (t) => {
+        if (!mongod) return t.skip(unavailable);
+        const { body: saved } = await review('function fetched() {\n  return 1 + 1\n}');
+
+        const { status, body } = await request(server.url, 'GET', `/ai/history/${saved.historyId}`, { token });
+        assert.equal(status, 200);
+        assert.equal(body.review.code, 'function fetched() {\n  return 1 + 1\n}');
+        assert.equal(body.review.response, saved.response);
+        assert.deepEqual(body.review.findings, saved.findings);
+        assert.ok(body.review.analysis);
+    });
+
+    it('saves project reviews', async (t) => {
+        if (!mongod) return t.skip(unavailable);
+        const files = [ { path: 'src/a.js', content: 'export const a = 1' }, { path: 'src/b.js', content: 'export const b = 2' } ];
+        const { status, body: saved } = await request(server.url, 'POST', '/ai/get-project-review', { body: { files }, token });
+        assert.equal(status, 200);
+        assert.ok(saved.historyId);
+
+        const { body: list } = await request(server.url, 'GET', '/ai/history?kind=project', { token });
+        assert.deepEqual(list.reviews.map((r) => r.id), [ saved.historyId ]);
+
+        const { body } = await request(server.url, 'GET', `/ai/history/${saved.historyId}`, { token });
+        assert.equal(body.review.kind, 'project');
+        assert.match(body.review.code, /\/\/ File: src\/a\.js\nexport const a = 1/);
+        assert.deepEqual(body.review.review.files.map((f) => f.path), [ 'src/a.js', 'src/b.js' ]);
+    });
+
+    it('deletes a review, only for its owner', async (t) => {
+        if (!mongod) return t.skip(unavailable);
+        const { body: saved } = await review('const deletedLater = true');
+        const other = await signup(server.url);
+
+        assert.equal((await request(server.url, 'GET', `/ai/history/${saved.historyId}`, { token: other })).status, 404);
+        assert.equal((await request(server.url, 'DELETE', `/ai/history/${saved.historyId}`, { token: other })).status, 404);
+
+        assert.equal((await request(server.url, 'DELETE', `/ai/history/${saved.historyId}`, { token })).status, 204);
+        assert.equal((await request(server.url, 'GET', `/ai/history/${saved.historyId}`, { token })).status, 404);
+        assert.equal((await request(server.url, 'DELETE', `/ai/history/${saved.historyId}`, { token })).status, 404);
+    });
+});
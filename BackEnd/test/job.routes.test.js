@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JOB_STORE = 'memory';
+process.env.JOB_CONCURRENCY = '2';
+process.env.JOB_RATE_PER_MINUTE = '0';
+process.env.JOB_HEARTBEAT_MS = '50';
+process.env.ADMIN_EMAILS = 'admin@example.com';
+const { startServer, request, signup } = require('./helpers');
+const reviewService = require('../src/services/review.service');
+const jobService = require('../src/services/job.service');
+const { createMemoryJobStore } = require('../src/stores/job.store');
+
+// Snippets starting with HOLD wait in `held` until released (or aborted);
+// the rest go to the mock provider. `started` lists every snippet reviewed, in order.
+const HOLD = '// hold\n';
+const held = new Map();
+const started = [];
+
+const { reviewSnippet } = reviewService;
+reviewService.reviewSnippet = (userId, code, options, extra) => {
+    started.push(code);
+    if (!code.startsWith(HOLD)) return reviewSnippet(userId, code, options, extra);
+    return new Promise((resolve, reject) => {
+        const entry = { signal: options.signal, release: () => resolve(reviewSnippet(userId, code, options, extra)) };
+        held.set(code, entry);
+        options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitUntil(check, what) {
+    for (let waited = 0; waited < 5000; waited += 20) {
+        if (check()) return;
+        await sleep(20);
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+describe('/ai/reviews with the memory job store', () => {
+    let server;
+    let token;
+    let admin;
+
+    before(async () => {
+        server = await startServer();
+        token = await signup(server.url);
+        admin = await signup(server.url, 'admin@example.com');
+    });
+
+    after(async () => {
+        for (const { release } of held.values()) release();
+        await jobService.close();
+        await server.close();
+    });
+
+    const queue = (body, as = token) => request(server.url, 'POST', '/ai/reviews', { body, token: as });
+    const getJob = (id, as = token) => request(server.url, 'GET', `/ai/reviews/${id}`, { token: as });
+    const cancel = (id, as = token) => request(server.url, 'DELETE', `/ai/reviews/${id}`, { token: as });
+
+    async function waitForStatus(id, status) {
+        for (let waited = 0; waited < 5000; waited += 20) {
+            const { body } = await getJob(id);
+            if (body.job.status === status) return body.job;
+            await sleep(20);
+        }
+        throw new Error(`Job ${id} never became ${status}`);
+    }
+
+    it('runs a queued review and keeps its result', async () => {
+        const { status, headers, body } = await queue({ code: 'const queued = 1', format: 'json' });
+        assert.equal(status, 202);
+        assert.equal(headers.get('location'), `/ai/reviews/${body.job.id}`);
+        assert.equal(body.job.priority, 'normal');
+
+        const job = await waitForStatus(body.job.id, 'succeeded');
+        assert.ok(job.result.review.findings.length > 0);
+        assert.ok(job.finishedAt);
+    });
+
+    it('rejects unknown priorities, inherited keys included', async () => {
+        for (const priority of [ 'urgent', 'toString', 'constructor', '__proto__', [ 'high' ] ]) {
+            const { status, body } = await queue({ code: 'const p = 1', priority });
+            assert.equal(status, 400, String(priority));
+            assert.match(body.error, /priority must be one of/);
+        }
+    });
+
+    it('keeps high priority for admins', async () => {
+        const { status, body } = await queue({ code: 'const urgent = 1', priority: 'high' });
+        assert.equal(status, 403);
+        assert.equal(body.code, 'forbidden');
+
+        const allowed = await queue({ code: 'const urgent = 2', priority: 'high' }, admin);
+        assert.equal(allowed.status, 202);
+        assert.equal(allowed.body.job.priority, 'high');
+    });
+
+    it('starts the highest priority first, then the oldest', async () => {
+        started.length = 0;
+        // Both workers busy, so the rest waits in the queue.
+        const blockers = [ `${HOLD}const first = 1`, `${HOLD}const second = 2` ];
+        for (const code of blockers) await queue({ code });
+        await waitUntil(() => blockers.every((code) => held.has(code)), 'both workers to start');
+
+        const low = await queue({ code: 'const low = 1', priority: 'low' });
+        const normal = await queue({ code: 'const normal = 1' });
+        const high = await queue({ code: 'const high = 1', priority: 'high' }, admin);
+        const normalLater = await queue({ code: 'const normalLater = 1' });
+        // Positions as queued: each only counts jobs that were already ahead of it.
+        assert.deepEqual([ low, normal, high, normalLater ].map((r) => r.body.job.position), [ 0, 0, 0, 2 ]);
+
+        held.get(blockers[0]).release();
+        await waitForStatus(low.body.job.id, 'succeeded');
+        assert.deepEqual(started.slice(2), [ 'const high = 1', 'const normal = 1', 'const normalLater = 1', 'const low = 1' ]);
+
+        held.get(blockers[1]).release();
+    });
+
+    it('cancels queued and running jobs, and only the owner can', async () => {
+        const running = `${HOLD}const cancelled = 1`;
+        const { body } = await queue({ code: running });
+        await waitUntil(() => held.has(running), 'the job to start');
+
+        const other = await signup(server.url);
+        assert.equal((await getJob(body.job.id, other)).status, 404);
+        assert.equal((await cancel(body.job.id, other)).status, 404);
+
+        const cancelled = await cancel(body.job.id);
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.job.status, 'cancelled');
+        assert.ok(held.get(running).signal.aborted);
+        // The aborted review doesn't overwrite the cancellation.
+        await sleep(50);
+        assert.equal((await getJob(body.job.id)).body.job.status, 'cancelled');
+
+        const again = await cancel(body.job.id);
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'conflict');
+    });
+
+    it('keeps running jobs alive with heartbeats instead of running them twice', async () => {
+        started.length = 0;
+        const slow = `${HOLD}const slow = 1`;
+        const { body } = await queue({ code: slow });
+        await waitUntil(() => held.has(slow), 'the job to start');
+
+        // Well past three heartbeat intervals, then make the pool look for work.
+        await sleep(300);
+        const quick = await queue({ code: 'const quick = 1' });
+        await waitForStatus(quick.body.job.id, 'succeeded');
+
+        assert.deepEqual(started, [ slow, 'const quick = 1' ]);
+        assert.equal((await getJob(body.job.id)).body.job.status, 'running');
+        held.get(slow).release();
+        await waitForStatus(body.job.id, 'succeeded');
+    });
+});
+
+describe('memory job store', () => {
+    const job = (fields = {}) => ({ userId: 'u1', kind: 'snippet', priority: 1, status: 'queued', input: {}, options: {}, ...fields });
+
+    it('hands a running job whose heartbeat stopped to another owner', async () => {
+        const store = createMemoryJobStore();
+        const { id } = await store.insert(job());
+
+        const claimed = await store.claimNext('process-a', new Date(Date.now() - 1000));
+        assert.equal(claimed.owner, 'process-a');
+        // Recently touched: not stale, nothing to take.
+        assert.equal(await store.claimNext('process-b', new Date(Date.now() - 1000)), null);
+        assert.equal(await store.touch(id, 'process-a'), true);
+
+        await sleep(5);
+        const recovered = await store.claimNext('process-b', new Date());
+        assert.equal(recovered.id, id);
+        assert.equal(recovered.owner, 'process-b');
+        // The old owner finds out at its next heartbeat and can't save a result.
+        assert.equal(await store.touch(id, 'process-a'), false);
+        assert.equal(await store.update(id, { status: 'succeeded' }, { status: 'running', owner: 'process-a' }), null);
+    });
+
+    it('counts the queued jobs ahead of a job', async () => {
+        const store = createMemoryJobStore();
+        const low = await store.insert(job({ priority: 0 }));
+        const normal = await store.insert(job());
+        const high = await store.insert(job({ priority: 2 }));
+
+        assert.deepEqual([ await store.position(high), await store.position(normal), await store.position(low) ], [ 0, 1, 2 ]);
+        assert.equal(await store.countUnfinished('u1'), 3);
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DAILY_REQUEST_QUOTA = '3';
+const { startServer, request, signup } = require('./helpers');
+const quotaService = require('../src/services/quota.service');
+
+describe('daily request quota', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.close());
+
+    it('lets exactly the quota through when requests arrive together', async () => {
+        const results = await Promise.all(Array.from({ length: 10 }, () => quotaService.consumeRequest('concurrent-user')));
+        assert.equal(results.filter((r) => r.allowed).length, 3);
+        assert.equal((await quotaService.getQuota('concurrent-user')).requests.used, 3);
+    });
+
+    it('answers 429 once the quota is used up', async () => {
+        const token = await signup(server.url);
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            const { status } = await request(server.url, 'POST', '/ai/get-review', { body: { code: `const n = ${i};` }, token });
+            statuses.push(status);
+        }
+        assert.deepEqual(statuses, [ 200, 200, 200, 429 ]);
+    });
+});
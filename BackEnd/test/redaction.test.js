@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Fixtures that quote the placeholder back, as a model does when it cites the code.
+const FIXTURES = path.join(__dirname, '../src/services/providers/fixtures');
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-fixtures-'));
+process.on('exit', () => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+const structured = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'review.json'), 'utf8'));
+fs.writeFileSync(path.join(fixturesDir, 'review.md'), '## Review\n\nMove REDACTED_EMAIL_1 into configuration.\n');
+fs.writeFileSync(path.join(fixturesDir, 'review.json'), JSON.stringify({ ...structured, summary: 'Move REDACTED_EMAIL_1 into configuration.' }));
+fs.copyFileSync(path.join(FIXTURES, 'chat.md'), path.join(fixturesDir, 'chat.md'));
+process.env.MOCK_FIXTURES_DIR = fixturesDir;
+
+const { startServer, request, signup } = require('./helpers');
+const cache = require('../src/services/cache.service');
+
+const EMAIL = 'alice@example.com';
+
+describe('redaction and the review cache', () => {
+    let server;
+    let token;
+    // Everything written to the cache.
+    const stored = [];
+
+    before(async () => {
+        const { remember, store } = cache;
+        cache.remember = (key, options, compute) => remember(key, options, async () => {
+            const value = await compute();
+            stored.push(value);
+            return value;
+        });
+        cache.store = (key, value, options) => {
+            stored.push(value);
+            return store(key, value, options);
+        };
+        server = await startServer();
+        token = await signup(server.url);
+    });
+
+    beforeEach(() => {
+        stored.length = 0;
+    });
+
+    after(() => server.close());
+
+    const review = (code, body = {}) => request(server.url, 'POST', '/ai/get-review', { body: { code, ...body }, token });
+
+    it('caches Markdown answers with placeholders and restores them on every hit', async () => {
+        const code = `const owner = '${EMAIL}'`;
+        const first = await review(code);
+        const second = await review(code);
+
+        assert.deepEqual([ first.headers.get('x-cache'), second.headers.get('x-cache') ], [ 'MISS', 'HIT' ]);
+        for (const { body } of [ first, second ]) {
+            assert.match(body.response, /Move alice@example\.com into configuration/);
+            assert.deepEqual(body.redactions.map((r) => r.placeholder), [ 'REDACTED_EMAIL_1' ]);
+        }
+        assert.equal(stored.length, 1);
+        assert.ok(!JSON.stringify(stored).includes(EMAIL));
+        assert.match(stored[0].text, /REDACTED_EMAIL_1/);
+    });
+
+    it('does the same for structured reviews', async () => {
+        const code = `const maintainer = '${EMAIL}'`;
+        const first = await review(code, { format: 'json' });
+        const second = await review(code, { format: 'json' });
+
+        assert.equal(second.headers.get('x-cache'), 'HIT');
+        for (const { body } of [ first, second ]) {
+            assert.equal(body.review.summary, `Move ${EMAIL} into configuration.`);
+            assert.equal(body.redactions.length, 1);
+        }
+        assert.ok(!JSON.stringify(stored).includes(EMAIL));
+    });
+
+    it('does the same for streams', async () => {
+        const code = `const reviewer = '${EMAIL}'`;
+        const stream = () => request(server.url, 'POST', '/ai/get-review/stream', { body: { code }, token });
+        const first = await stream();
+        const second = await stream();
+
+        assert.match(second.text, /"cache":"hit"/);
+        for (const { text } of [ first, second ]) {
+            assert.match(text, /alice@example\.com/);
+            assert.doesNotMatch(text, /data: "[^"]*REDACTED_EMAIL_1/);
+        }
+        assert.equal(stored.length, 1);
+        assert.ok(!JSON.stringify(stored).includes(EMAIL));
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+
+const CODE = 'function sum() {\n  return 1 + 1\n}';
+
+describe('/ai/get-review with the mock provider', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        token = await signup(server.url);
+    });
+
+    after(() => server.close());
+
+    it('needs a signed-in user', async () => {
+        const { status, body } = await request(server.url, 'POST', '/ai/get-review', { body: { code: CODE } });
+        assert.equal(status, 401);
+        assert.equal(body.code, 'unauthorized');
+    });
+
+    it('rejects a request without code', async () => {
+        const { status, body } = await request(server.url, 'POST', '/ai/get-review', { body: {}, token });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'invalid_input');
+    });
+
+    it('reviews a snippet as Markdown', async () => {
+        const { status, body } = await request(server.url, 'POST', '/ai/get-review', { body: { code: CODE, language: 'javascript' }, token });
+        assert.equal(status, 200);
+        assert.match(body.response, /Critical Issues/);
+        assert.equal(body.language, 'javascript');
+        assert.ok(Array.isArray(body.findings));
+        assert.ok(body.analysis);
+    });
+
+    it('reviews a snippet as structured JSON', async () => {
+        const { status, body } = await request(server.url, 'POST', '/ai/get-review', { body: { code: CODE, format: 'json' }, token });
+        assert.equal(status, 200);
+        assert.equal(body.review.findings[0].title, 'Hard-coded operands');
+        assert.equal(body.findings.length, body.review.findings.length);
+        assert.match(body.response, /Hard-coded operands/);
+    });
+
+    it('serves a repeated review from the cache', async () => {
+        const code = 'const twice = (n) => n * 2';
+        const first = await request(server.url, 'POST', '/ai/get-review', { body: { code }, token });
+        const second = await request(server.url, 'POST', '/ai/get-review', { body: { code }, token });
+        assert.equal(first.headers.get('x-cache'), 'MISS');
+        assert.equal(second.headers.get('x-cache'), 'HIT');
+        assert.equal(second.body.response, first.body.response);
+    });
+
+    it('shares cache entries across spacing, not across comments or line breaks', async () => {
+        const code = 'function triple(n) {\n    return n * 3;\n}';
+        const review = (variant) => request(server.url, 'POST', '/ai/get-review', { body: { code: variant, language: 'javascript' }, token });
+        assert.equal((await review(code)).headers.get('x-cache'), 'MISS');
+        assert.equal((await review('function triple(n) {\n  return   n * 3;  \n}\n')).headers.get('x-cache'), 'HIT');
+        // Comments can change the review, blank lines its line numbers.
+        assert.equal((await review('function triple(n) {\n    // n is never negative\n    return n * 3;\n}')).headers.get('x-cache'), 'MISS');
+        assert.equal((await review('function triple(n) {\n\n    return n * 3;\n}')).headers.get('x-cache'), 'MISS');
+    });
+
+    it('rejects an unknown provider', async () => {
+        const { status, body } = await request(server.url, 'POST', '/ai/get-review', { body: { code: CODE, provider: 'nope' }, token });
+        assert.equal(status, 400);
+        assert.match(body.error, /provider must be one of/);
+    });
+
+    it('streams a review as Server-Sent Events', async () => {
+        const { status, text } = await request(server.url, 'POST', '/ai/get-review/stream', { body: { code: 'const half = (n) => n / 2' }, token });
+        assert.equal(status, 200);
+        assert.match(text, /^event: meta/m);
+        assert.match(text, /^event: chunk/m);
+        assert.match(text, /^event: done/m);
+    });
+});
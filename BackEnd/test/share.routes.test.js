@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+const { createJsonStore } = require('../src/stores/json.store');
+
+const CODE = 'function sum() {\n  return 1 + 1\n}';
+
+describe('/shares', () => {
+    let server;
+    let token;
+    // A real review, as the frontend shares it.
+    let snapshot;
+
+    before(async () => {
+        server = await startServer();
+        token = await signup(server.url);
+        const { body } = await request(server.url, 'POST', '/ai/get-review', { body: { code: CODE, format: 'json' }, token });
+        snapshot = { code: CODE, language: body.language, response: body.response, analysis: body.analysis, findings: body.findings, refactoredCode: body.refactoredCode };
+    });
+
+    after(() => server.close());
+
+    const share = (body, as = token) => request(server.url, 'POST', '/shares', { body, token: as });
+    const read = (id) => request(server.url, 'GET', `/shares/${id}`);
+
+    it('shares a snapshot that anyone with the link can read, but nobody caches or indexes', async () => {
+        const { status, body } = await share({ ...snapshot, expiresInDays: 7 });
+        assert.equal(status, 201);
+        assert.ok(body.share.id.length >= 32);
+        assert.match(body.share.url, new RegExp(`/s/${body.share.id}$`));
+        assert.ok(Date.parse(body.share.expiresAt) > Date.now() + 6 * 24 * 60 * 60 * 1000);
+
+        const shared = await read(body.share.id);
+        assert.equal(shared.status, 200);
+        assert.equal(shared.headers.get('cache-control'), 'no-store');
+        assert.equal(shared.headers.get('x-robots-tag'), 'noindex');
+        assert.equal(shared.body.review.code, CODE);
+        assert.deepEqual(shared.body.review.analysis, snapshot.analysis);
+        assert.deepEqual(shared.body.review.findings, snapshot.findings);
+    });
+
+    it('shares Markdown reviews, whose findings are parsed from the text', async () => {
+        const { body: review } = await request(server.url, 'POST', '/ai/get-review', { body: { code: `${CODE}\n// markdown`, language: 'javascript' }, token });
+        assert.ok(review.findings.length > 0);
+        const { status } = await share({ code: CODE, response: review.response, analysis: review.analysis, findings: review.findings });
+        assert.equal(status, 201);
+    });
+
+    it('needs a user to create and list shares', async () => {
+        assert.equal((await request(server.url, 'POST', '/shares', { body: snapshot })).status, 401);
+        assert.equal((await request(server.url, 'GET', '/shares')).status, 401);
+    });
+
+    it('rejects expiries outside a year', async () => {
+        for (const expiresInDays of [ 0, 366, 1.5, '7' ]) {
+            const { status, body } = await share({ ...snapshot, expiresInDays });
+            assert.equal(status, 400, String(expiresInDays));
+            assert.match(body.error, /expiresInDays/);
+        }
+    });
+
+    it('rejects snapshots the shared page could not render', async () => {
+        const badFinding = await share({ ...snapshot, findings: [ { ...snapshot.findings[0], severity: 'huge' } ] });
+        assert.equal(badFinding.status, 400);
+        assert.equal(badFinding.body.code, 'invalid_input');
+        assert.match(badFinding.body.error, /^Invalid snapshot: findings\[0\]\.severity/);
+
+        const noTools = await share({ ...snapshot, analysis: { findings: [] } });
+        assert.equal(noTools.status, 400);
+        assert.ok(noTools.body.errors.includes('analysis.functions must be an array'));
+        assert.ok(noTools.body.errors.includes('analysis.tools must be an array'));
+
+        const badAnalysisFinding = await share({ ...snapshot, analysis: { ...snapshot.analysis, findings: [ { message: '<img src=x>' } ] } });
+        assert.equal(badAnalysisFinding.status, 400);
+        assert.match(badAnalysisFinding.body.error, /analysis\.findings\[0\]\.severity/);
+
+        const badRefactor = await share({ ...snapshot, refactoredCode: 'rewrite it' });
+        assert.equal(badRefactor.status, 400);
+        assert.match(badRefactor.body.error, /refactoredCode\.code/);
+
+        assert.equal((await share({ ...snapshot, findings: 'none' })).status, 400);
+        assert.equal((await share({ ...snapshot, code: '' })).status, 400);
+    });
+
+    it('stops serving a share once it has expired', async () => {
+        const { body } = await share({ ...snapshot, expiresInDays: 1 });
+        await createJsonStore('shares').update(body.share.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+        const expired = await read(body.share.id);
+        assert.equal(expired.status, 404);
+        assert.equal(expired.body.code, 'not_found');
+        const { body: list } = await request(server.url, 'GET', '/shares', { token });
+        assert.ok(!list.shares.some((s) => s.id === body.share.id));
+    });
+
+    it('lets only the owner list and revoke a share', async () => {
+        const { body } = await share(snapshot);
+        assert.equal(body.share.expiresAt, null);
+        const other = await signup(server.url);
+
+        const { body: theirs } = await request(server.url, 'GET', '/shares', { token: other });
+        assert.deepEqual(theirs.shares, []);
+        assert.equal((await request(server.url, 'DELETE', `/shares/${body.share.id}`, { token: other })).status, 404);
+        assert.equal((await read(body.share.id)).status, 200);
+
+        assert.equal((await request(server.url, 'DELETE', `/shares/${body.share.id}`, { token })).status, 204);
+        assert.equal((await read(body.share.id)).status, 404);
+        assert.equal((await request(server.url, 'DELETE', `/shares/${body.share.id}`, { token })).status, 404);
+    });
+});
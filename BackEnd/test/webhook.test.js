@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GITHUB_WEBHOOK_SECRET = 'github-test-secret';
+process.env.GITLAB_WEBHOOK_SECRET = 'gitlab-test-secret';
+const { startServer, request } = require('./helpers');
+const vcs = require('../src/services/vcs');
+
+// A new three-line file, so the mock review's findings (lines 1 and 2) land on added lines.
+const HUNK = '@@ -0,0 +1,3 @@\n+function sum() {\n+  return 1 + 1\n+}\n';
+const DIFF = `diff --git a/src/sum.js b/src/sum.js\nnew file mode 100644\n--- /dev/null\n+++ b/src/sum.js\n${HUNK}`;
+
+// Stands in for the GitHub and GitLab APIs: answers from `routes`
+// ({ 'METHOD /path': (req, body) => ({ status, headers, body }) }, 404 for the
+// rest) and keeps every request it gets in `requests`.
+function startFakeVcs(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : undefined;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const route = routes[`${req.method} ${req.url.split('?')[0]}`];
+            const answer = route ? route(req, body) : { status: 404, body: { message: 'Not Found' } };
+            const text = typeof answer.body === 'string' ? answer.body : JSON.stringify(answer.body ?? {});
+            res.writeHead(answer.status ?? 200, answer.headers ?? {});
+            res.end(text);
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            requests,
+            close: () => new Promise((done) => server.close(done))
+        }));
+    });
+}
+
+// Reviews run after the webhook has answered; waits for the fake VCS to get `path`.
+async function waitForRequest(fake, method, path) {
+    for (let waited = 0; waited < 5000; waited += 20) {
+        const found = fake.requests.find((r) => r.method === method && r.url.split('?')[0] === path);
+        if (found) return found;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`The fake VCS never got ${method} ${path}`);
+}
+
+const githubSignature = (body, secret = process.env.GITHUB_WEBHOOK_SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+function pullRequestEvent(action = 'opened') {
+    return {
+        action,
+        repository: { full_name: 'octo/app' },
+        pull_request: { number: 7, title: 'Add sum', draft: false, base: { ref: 'main' }, head: { sha: 'abc123' } }
+    };
+}
+
+// Sends a delivery the way GitHub does: the exact bytes that were signed.
+function deliverGithub(url, event, { body = JSON.stringify(event), signature = githubSignature(body), type = 'pull_request' } = {}) {
+    return fetch(`${url}/webhooks/github`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-GitHub-Event': type, ...(signature ? { 'X-Hub-Signature-256': signature } : {}) },
+        body
+    });
+}
+
+describe('GitHub webhook', () => {
+    let server;
+    let fake;
+    let config;
+
+    before(async () => {
+        server = await startServer();
+        fake = await startFakeVcs({
+            'GET /repos/octo/app/pulls/7': () => ({ headers: { 'Content-Type': 'text/plain' }, body: DIFF }),
+            'GET /repos/octo/app/contents/.ai-review.json': () => (config ? { body: config } : { status: 404 }),
+            'POST /repos/octo/app/pulls/7/reviews': () => ({ body: { id: 1 } }),
+            'POST /repos/octo/app/issues/7/comments': () => ({ status: 201, body: { id: 2 } })
+        });
+        vcs.setClient('github', vcs.getPlatform('github').createClient({ baseUrl: fake.url, token: 'gh-token' }));
+    });
+
+    beforeEach(() => {
+        fake.requests.length = 0;
+        config = null;
+    });
+
+    after(async () => {
+        await server.close();
+        await fake.close();
+    });
+
+    it('rejects deliveries without a valid signature', async () => {
+        const event = pullRequestEvent();
+        const unsigned = await deliverGithub(server.url, event, { signature: null });
+        const forged = await deliverGithub(server.url, event, { signature: githubSignature(JSON.stringify(event), 'wrong-secret') });
+        // Signed, but not the bytes that arrive.
+        const tampered = await deliverGithub(server.url, event, { body: JSON.stringify({ ...event, action: 'reopened' }), signature: githubSignature(JSON.stringify(event)) });
+
+        assert.deepEqual([ unsigned.status, forged.status, tampered.status ], [ 401, 401, 401 ]);
+        assert.equal(fake.requests.length, 0);
+    });
+
+    it('ignores events that bring nothing to review', async () => {
+        const ping = await deliverGithub(server.url, { zen: 'Keep it simple' }, { type: 'ping' });
+        const closed = await deliverGithub(server.url, pullRequestEvent('closed'));
+
+        assert.deepEqual(await ping.json(), { status: 'ignored' });
+        assert.deepEqual(await closed.json(), { status: 'ignored' });
+        assert.equal(fake.requests.length, 0);
+    });
+
+    it('fetches the diff and posts inline comments and a summary', async () => {
+        const response = await deliverGithub(server.url, pullRequestEvent());
+        assert.equal(response.status, 202);
+
+        const summary = await waitForRequest(fake, 'POST', '/repos/octo/app/issues/7/comments');
+        const diff = fake.requests.find((r) => r.url === '/repos/octo/app/pulls/7');
+        assert.equal(diff.headers.accept, 'application/vnd.github.diff');
+        assert.equal(diff.headers.authorization, 'Bearer gh-token');
+        // Review settings come from the base branch.
+        assert.ok(fake.requests.some((r) => r.url === '/repos/octo/app/contents/.ai-review.json?ref=main'));
+
+        const review = fake.requests.find((r) => r.url === '/repos/octo/app/pulls/7/reviews');
+        assert.equal(review.body.commit_id, 'abc123');
+        assert.equal(review.body.event, 'COMMENT');
+        assert.ok(review.body.comments.length > 0);
+        for (const comment of review.body.comments) {
+            assert.equal(comment.path, 'src/sum.js');
+            assert.equal(comment.side, 'RIGHT');
+            assert.ok(comment.line >= 1 && comment.line <= 3);
+        }
+        assert.match(summary.body.body, /AI code review/);
+        assert.match(summary.body.body, /src\/sum\.js/);
+    });
+
+    it('posts nothing when the repository turns reviews off', async () => {
+        config = { enabled: false };
+        await deliverGithub(server.url, pullRequestEvent());
+
+        await waitForRequest(fake, 'GET', '/repos/octo/app/contents/.ai-review.json');
+        // Give a review that shouldn't happen time to show up.
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        assert.ok(fake.requests.every((r) => r.method === 'GET'));
+        assert.ok(!fake.requests.some((r) => r.url === '/repos/octo/app/pulls/7'));
+    });
+});
+
+describe('GitLab webhook', () => {
+    let server;
+    let fake;
+
+    const event = {
+        project: { id: 42 },
+        object_attributes: { iid: 3, title: 'Add sum', action: 'open', draft: false, target_branch: 'main', last_commit: { id: 'def456' } }
+    };
+
+    const deliver = (token) => request(server.url, 'POST', '/webhooks/gitlab', {
+        body: event,
+        headers: { 'X-Gitlab-Event': 'Merge Request Hook', ...(token ? { 'X-Gitlab-Token': token } : {}) }
+    });
+
+    before(async () => {
+        server = await startServer();
+        fake = await startFakeVcs({
+            // Two pages, to check they are put back together.
+            'GET /projects/42/merge_requests/3/diffs': (req) => (new URL(req.url, 'http://x').searchParams.get('page') === '1'
+                ? { headers: { 'x-next-page': '2' }, body: [ { old_path: 'src/sum.js', new_path: 'src/sum.js', new_file: true, diff: HUNK } ] }
+                : { body: [ { old_path: 'README.md', new_path: 'README.md', diff: '@@ -1 +1 @@\n-old\n+new\n' } ] }),
+            'GET /projects/42/merge_requests/3': () => ({ body: { diff_refs: { base_sha: 'b1', start_sha: 's1', head_sha: 'def456' } } }),
+            'POST /projects/42/merge_requests/3/discussions': () => ({ status: 201, body: {} }),
+            'POST /projects/42/merge_requests/3/notes': () => ({ status: 201, body: {} })
+        });
+        vcs.setClient('gitlab', vcs.getPlatform('gitlab').createClient({ baseUrl: fake.url, token: 'gl-token' }));
+    });
+
+    after(async () => {
+        await server.close();
+        await fake.close();
+    });
+
+    it('checks the secret token', async () => {
+        assert.equal((await deliver()).status, 401);
+        assert.equal((await deliver('not-the-secret')).status, 401);
+        assert.equal(fake.requests.length, 0);
+    });
+
+    it('fetches every page of the diff and posts a discussion per comment', async () => {
+        assert.equal((await deliver(process.env.GITLAB_WEBHOOK_SECRET)).status, 202);
+
+        const note = await waitForRequest(fake, 'POST', '/projects/42/merge_requests/3/notes');
+        const pages = fake.requests.filter((r) => r.url.startsWith('/projects/42/merge_requests/3/diffs'));
+        assert.deepEqual(pages.map((r) => new URL(r.url, 'http://x').searchParams.get('page')), [ '1', '2' ]);
+        assert.ok(pages.every((r) => r.headers['private-token'] === 'gl-token'));
+
+        const discussions = fake.requests.filter((r) => r.url === '/projects/42/merge_requests/3/discussions');
+        // Files from both pages are reviewed.
+        assert.deepEqual([ ...new Set(discussions.map((r) => r.body.position.new_path)) ].sort(), [ 'README.md', 'src/sum.js' ]);
+        for (const { body } of discussions) {
+            assert.equal(body.position.head_sha, 'def456');
+            assert.equal(body.position.base_sha, 'b1');
+        }
+        assert.match(note.body.body, /AI code review/);
+    });
+});
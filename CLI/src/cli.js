@@ -0,0 +1,205 @@
+const fs = require('fs');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { parseArgs } = require('util');
+const { readDiff } = require('./git');
+const { DEFAULT_SERVER, createClient, login, logout } = require('./client');
+const { createLocalClient } = require('./local');
+const { CONFIG_PATH, clearConfig } = require('./config');
+const { createStyler, renderMarkdown, renderAnalysis, renderTitle } = require('./render');
+const { CliError } = require('./errors');
+
+const USAGE = `Usage:
+  ai-review <files...>                Review files
+  ai-review --staged [files...]       Review the staged changes (e.g. in a pre-commit hook)
+  ai-review --diff <ref> [files...]   Review the changes against a git ref: main, or main...HEAD for the branch's commits
+  ai-review login [--server <url>] [--email <email>]
+  ai-review logout
+
+Options:
+  --json                 Print the reviews as JSON
+  --local                Review in this process with the backend's service modules instead of the server
+  --server <url>         Backend URL (default: AI_REVIEW_SERVER, the saved login's, or ${DEFAULT_SERVER})
+  --token <token>        Access token (default: AI_REVIEW_TOKEN, else the saved login)
+  --language <id>        Language profile or "auto" (default)
+  --focus <ids>          Comma-separated focus areas, e.g. security,performance
+  --strictness <level>   strict, balanced or beginner-friendly
+  --provider <name>      Model provider (gemini, openai, mock, recorded)
+  --model <name>         Model name
+  --no-color             Plain output (also when NO_COLOR is set or the output isn't a terminal, unless FORCE_COLOR is)
+  -h, --help             Show this help
+
+Exit codes: 0 no critical issues, 1 critical issues found, 2 a review failed or bad usage.`;
+
+const OPTIONS = {
+    staged: { type: 'boolean' },
+    diff: { type: 'string' },
+    json: { type: 'boolean' },
+    local: { type: 'boolean' },
+    server: { type: 'string' },
+    token: { type: 'string' },
+    email: { type: 'string' },
+    language: { type: 'string' },
+    focus: { type: 'string' },
+    strictness: { type: 'string' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    'no-color': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function readArgs(argv) {
+    try {
+        return parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new CliError(err.message, { cause: err });
+    }
+}
+
+// Asks on the terminal; `hidden` input (passwords) isn't echoed.
+function ask(question, { hidden = false } = {}) {
+    const output = hidden ? new Writable({ write: (chunk, encoding, callback) => callback() }) : process.stdout;
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+    if (hidden) process.stdout.write(question);
+    return new Promise((resolve) => {
+        rl.question(hidden ? '' : question, (answer) => {
+            rl.close();
+            if (hidden) process.stdout.write('\n');
+            resolve(answer.trim());
+        });
+    });
+}
+
+async function runLogin(values) {
+    const server = values.server || process.env.AI_REVIEW_SERVER || DEFAULT_SERVER;
+    const email = values.email || await ask('Email: ');
+    const password = await ask('Password: ', { hidden: true });
+    const user = await login(server, email, password);
+    console.log(`Logged in to ${server} as ${user.email}. The session is saved in ${CONFIG_PATH}.`);
+    return 0;
+}
+
+async function runLogout() {
+    await logout().catch((err) => console.error(`Could not revoke the session: ${err.message}`));
+    clearConfig();
+    console.log('Logged out.');
+    return 0;
+}
+
+// Review options sent with every request, as the backend names them.
+function reviewOptions(values) {
+    return {
+        language: values.language,
+        focus: values.focus?.split(',').map((id) => id.trim()).filter(Boolean),
+        strictness: values.strictness,
+        provider: values.provider,
+        model: values.model
+    };
+}
+
+// The findings of one review: the model's and the static analysis' for a file,
+// the model's for each file of a diff.
+function findingsOf(result) {
+    if (result.diff) return result.diff.files.flatMap((file) => file.review?.findings ?? []);
+    return [ ...(result.review?.findings ?? []), ...(result.analysis?.findings ?? []) ];
+}
+
+// The files of a diff whose review failed while others succeeded.
+function failedFiles(result) {
+    return result.diff ? result.diff.files.filter((file) => file.error) : [];
+}
+
+// One review per file, or one for the whole diff. A file that can't be read
+// or reviewed is reported and the others still go ahead.
+async function collectReviews(client, values, positionals) {
+    const options = reviewOptions(values);
+
+    if (values.staged || values.diff) {
+        const diff = readDiff({ staged: values.staged, ref: values.diff, paths: positionals });
+        if (!diff.trim()) return [];
+        const target = values.staged ? 'staged changes' : `changes against ${values.diff}`;
+        try {
+            return [ { target, ...await client.reviewDiff(diff, options) } ];
+        } catch (err) {
+            return [ { target, error: err.message } ];
+        }
+    }
+
+    const reviews = [];
+    for (const path of positionals) {
+        try {
+            const code = fs.readFileSync(path, 'utf8');
+            if (!code.trim()) continue;
+            reviews.push({ target: path, ...await client.reviewFile(path, code, options) });
+        } catch (err) {
+            reviews.push({ target: path, error: err.message });
+        }
+    }
+    return reviews;
+}
+
+function printReviews(reviews, { color }) {
+    const style = createStyler(color);
+    for (const review of reviews) {
+        const language = review.language ? ` (${review.language})` : '';
+        console.log(renderTitle(`${review.target}${language}`, { color }));
+        if (review.error) {
+            console.log(style('red', `⚠️ Review failed: ${review.error}`));
+        } else {
+            console.log(renderMarkdown(review.response, { color }));
+            const analysis = renderAnalysis(review.analysis, { color });
+            if (analysis) console.log(`\n${analysis}`);
+        }
+        console.log('');
+    }
+}
+
+async function runReview(values, positionals) {
+    if (!values.staged && !values.diff && !positionals.length) {
+        console.error(USAGE);
+        return 2;
+    }
+    if (values.staged && values.diff) {
+        throw new CliError('Use either --staged or --diff, not both');
+    }
+
+    const client = values.local ? createLocalClient() : createClient({ server: values.server, token: values.token });
+    const reviews = await collectReviews(client, values, positionals);
+
+    const critical = reviews.flatMap(findingsOf).filter((finding) => finding.severity === 'critical').length;
+    const failed = reviews.filter((review) => review.error || failedFiles(review).length).length;
+
+    if (values.json) {
+        console.log(JSON.stringify({ reviews, critical, failed }, null, 2));
+    } else {
+        const color = !values['no-color'] && (Boolean(process.env.FORCE_COLOR) || (!process.env.NO_COLOR && process.stdout.isTTY));
+        const style = createStyler(color);
+        printReviews(reviews, { color });
+        if (!reviews.length) console.log('Nothing to review.');
+        else if (critical) console.log(style('red', `🔴 ${critical} critical issue${critical === 1 ? '' : 's'} found.`));
+        else if (failed) console.log(style('yellow', `⚠️ ${failed} review${failed === 1 ? '' : 's'} failed.`));
+        else console.log(style('green', '✅ No critical issues.'));
+    }
+
+    if (critical) return 1;
+    return failed ? 2 : 0;
+}
+
+// Runs the command line; resolves to the exit code.
+async function main(argv) {
+    try {
+        const { values, positionals } = readArgs(argv);
+        if (values.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (positionals[0] === 'login') return await runLogin(values);
+        if (positionals[0] === 'logout') return await runLogout();
+        return await runReview(values, positionals);
+    } catch (err) {
+        console.error(err instanceof CliError ? `ai-review: ${err.message}` : err);
+        return 2;
+    }
+}
+
+module.exports = { main, findingsOf, failedFiles };
@@ -0,0 +1,82 @@
+const { readConfig, writeConfig } = require('./config');
+const { CliError } = require('./errors');
+
+const DEFAULT_SERVER = 'http://localhost:3000';
+
+// The backend's error envelope `{ error, code }` as a CliError.
+async function request(server, path, { method = 'GET', token, body } = {}) {
+    const url = `${server.replace(/\/+$/, '')}${path}`;
+    let response;
+    try {
+        response = await fetch(url, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+    } catch (err) {
+        throw new CliError(`Could not reach ${server}: ${err.cause?.message ?? err.message}`, { cause: err });
+    }
+
+    if (response.status === 204) return null;
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        const code = data?.code ? ` (${data.code})` : '';
+        throw new CliError(`${data?.error ?? `${method} ${path} answered ${response.status}`}${code}`);
+    }
+    return data;
+}
+
+async function login(server, email, password) {
+    const session = await request(server, '/auth/login', { method: 'POST', body: { email, password } });
+    writeConfig({ server, email: session.user.email, refreshToken: session.refreshToken });
+    return session.user;
+}
+
+async function logout() {
+    const config = readConfig();
+    if (config.refreshToken) {
+        await request(config.server, '/auth/logout', { method: 'POST', body: { refreshToken: config.refreshToken } });
+    }
+}
+
+// Talks to `/ai/get-review` as the user. `token` (an access token, e.g. from
+// AI_REVIEW_TOKEN in CI) is used as-is; otherwise the refresh token saved by
+// `ai-review login` buys one. Refresh tokens work once, so the new one is saved.
+function createClient({ server, token } = {}) {
+    const config = readConfig();
+    const baseUrl = server || process.env.AI_REVIEW_SERVER || config.server || DEFAULT_SERVER;
+    let accessToken = token || process.env.AI_REVIEW_TOKEN || null;
+
+    async function authenticate() {
+        if (accessToken) return accessToken;
+        if (!config.refreshToken) {
+            throw new CliError('Not logged in. Run `ai-review login`, set AI_REVIEW_TOKEN, or use --local.');
+        }
+        const session = await request(config.server ?? baseUrl, '/auth/refresh', { method: 'POST', body: { refreshToken: config.refreshToken } })
+            .catch((err) => {
+                throw new CliError(`${err.message}. Run \`ai-review login\` again.`, { cause: err });
+            });
+        writeConfig({ ...config, refreshToken: session.refreshToken });
+        accessToken = session.accessToken;
+        return accessToken;
+    }
+
+    const review = async (body) => request(baseUrl, '/ai/get-review', { method: 'POST', token: await authenticate(), body });
+
+    return {
+        server: baseUrl,
+
+        reviewFile(path, code, options) {
+            return review({ ...options, code, path, format: 'json' });
+        },
+
+        reviewDiff(diff, options) {
+            return review({ ...options, mode: 'diff', diff, format: 'json' });
+        }
+    };
+}
+
+module.exports = { DEFAULT_SERVER, createClient, login, logout };
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Saved login: { server, email, refreshToken }. Only readable by the user,
+// since the refresh token signs them in.
+const CONFIG_PATH = process.env.AI_REVIEW_CONFIG || path.join(os.homedir(), '.ai-review.json');
+
+function readConfig() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+    }
+}
+
+function writeConfig(config) {
+    fs.writeFileSync(CONFIG_PATH, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+}
+
+function clearConfig() {
+    fs.rmSync(CONFIG_PATH, { force: true });
+}
+
+module.exports = { CONFIG_PATH, readConfig, writeConfig, clearConfig };
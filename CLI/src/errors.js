@@ -0,0 +1,9 @@
+// A failure to report to the user as a one-line message, without a stack trace.
+class CliError extends Error {
+    constructor(message, { cause } = {}) {
+        super(message, { cause });
+        this.name = 'CliError';
+    }
+}
+
+module.exports = { CliError };
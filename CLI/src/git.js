@@ -0,0 +1,23 @@
+const { execFileSync } = require('child_process');
+const { CliError } = require('./errors');
+
+function git(args) {
+    try {
+        return execFileSync('git', args, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: [ 'ignore', 'pipe', 'pipe' ] });
+    } catch (err) {
+        const detail = err.stderr?.trim() || err.message;
+        throw new CliError(`git ${args[0]} failed: ${detail}`, { cause: err });
+    }
+}
+
+// Unified diff of the staged changes (`--staged`) or of the working tree
+// against `ref` (`--diff main`, or `--diff main...HEAD` for just the branch's
+// commits). `paths` narrows it to some files.
+function readDiff({ staged, ref, paths = [] }) {
+    const args = [ 'diff', '--no-color', '--no-ext-diff' ];
+    if (staged) args.push('--cached');
+    if (ref) args.push(ref);
+    return git([ ...args, '--', ...paths ]);
+}
+
+module.exports = { readDiff };
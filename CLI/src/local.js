@@ -0,0 +1,67 @@
+const path = require('path');
+const { createRequire } = require('module');
+const { CliError } = require('./errors');
+
+// `--local` runs the review in this process with the backend's own service
+// modules instead of calling the server: no login, history or quotas, but the
+// backend's dependencies must be installed and its `.env` holds the API keys.
+const BACKEND_DIR = process.env.AI_REVIEW_BACKEND_DIR || path.join(__dirname, '../../BackEnd');
+
+let backend = null;
+
+function loadBackend() {
+    if (backend) return backend;
+    const backendRequire = createRequire(path.join(BACKEND_DIR, 'package.json'));
+    try {
+        backendRequire('dotenv').config({ path: path.join(BACKEND_DIR, '.env'), quiet: true });
+        backend = {
+            aiService: backendRequire('./src/services/ai.service'),
+            analysisService: backendRequire('./src/services/analysis.service'),
+            diffService: backendRequire('./src/services/diff.service'),
+            languageService: backendRequire('./src/services/language.service'),
+            prompt: backendRequire('./src/prompts/system.prompt')
+        };
+    } catch (err) {
+        throw new CliError(`Could not load the backend from ${BACKEND_DIR} (run \`npm install\` there, or set AI_REVIEW_BACKEND_DIR): ${err.message}`, { cause: err });
+    }
+    return backend;
+}
+
+// The checks the server's readOptions makes, for options that skip it here.
+function checkOptions({ focus, strictness }, { FOCUS_IDS, STRICTNESS_LEVELS }) {
+    if (focus?.some((id) => !FOCUS_IDS.includes(id))) {
+        throw new CliError(`--focus must be a list of ${FOCUS_IDS.join(', ')}`);
+    }
+    if (strictness && !STRICTNESS_LEVELS.includes(strictness)) {
+        throw new CliError(`--strictness must be one of ${STRICTNESS_LEVELS.join(', ')}`);
+    }
+}
+
+// Same interface and result shapes as the HTTP client in client.js.
+function createLocalClient() {
+    const { aiService, analysisService, diffService, languageService, prompt } = loadBackend();
+
+    return {
+        server: null,
+
+        async reviewFile(filePath, code, options) {
+            checkOptions(options, prompt);
+            const language = languageService.resolveLanguage(options.language, code, filePath);
+            if (language === undefined) {
+                throw new CliError(`--language must be "auto" or one of ${languageService.listLanguages().join(', ')}`);
+            }
+            const analysis = analysisService.analyzeCode(code, { language, path: filePath });
+            const { review, markdown } = await aiService.generateStructuredReview(code, { ...options, language: language ?? undefined, analysis, path: filePath });
+            return { response: markdown, review, analysis, language };
+        },
+
+        async reviewDiff(diff, options) {
+            checkOptions(options, prompt);
+            const language = options.language && options.language !== 'auto' ? options.language : undefined;
+            const result = await diffService.reviewDiff(diffService.parseUnifiedDiff(diff), { ...options, language });
+            return { response: result.markdown, diff: { files: result.files } };
+        }
+    };
+}
+
+module.exports = { createLocalClient };
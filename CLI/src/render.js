@@ -0,0 +1,71 @@
+const { styleText } = require('util');
+
+const SEVERITY_EMOJI = { critical: '🔴', warning: '🟡', suggestion: '🟢' };
+
+function createStyler(color) {
+    return (format, text) => (color ? styleText(format, text) : text);
+}
+
+function headingColor(text) {
+    if (text.includes('🔴')) return 'red';
+    if (text.includes('🟡')) return 'yellow';
+    if (text.includes('🟢') || text.includes('✅')) return 'green';
+    return 'cyan';
+}
+
+// **bold**, `code` and _emphasis_ (only as whole words, so snake_case survives).
+function renderInline(line, style) {
+    return line
+        .replace(/\*\*([^*]+)\*\*/g, (_, text) => style('bold', text))
+        .replace(/`([^`]+)`/g, (_, text) => style('cyan', text))
+        .replace(/(^|\s)_([^_]+)_(?=\s|$|[.,:;)])/g, (_, before, text) => before + style('dim', text));
+}
+
+// Renders the review's Markdown for a terminal: coloured headings, bullets and
+// inline styles, and indented code blocks. Everything else passes through.
+function renderMarkdown(markdown, { color }) {
+    const style = createStyler(color);
+    const lines = [];
+    let fence = null;
+
+    for (const line of markdown.split('\n')) {
+        const marker = line.match(/^\s*(`{3,}|~{3,})/);
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+            else lines.push(style('green', `    ${line}`));
+            continue;
+        }
+        if (marker) {
+            fence = marker[1];
+            continue;
+        }
+
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+            lines.push(style('bold', style(headingColor(heading[1]), heading[1])));
+            continue;
+        }
+        const bullet = line.match(/^(\s*)[-*]\s+(.*)$/);
+        lines.push(bullet ? `${bullet[1]}  • ${renderInline(bullet[2], style)}` : renderInline(line, style));
+    }
+
+    return lines.join('\n');
+}
+
+// The static-analysis findings, which the review's Markdown leaves out.
+function renderAnalysis(analysis, { color }) {
+    const style = createStyler(color);
+    if (!analysis?.findings.length) return '';
+    const findings = analysis.findings.map((f) => {
+        const lines = f.lineEnd && f.lineEnd !== f.lineStart ? `lines ${f.lineStart}-${f.lineEnd}` : `line ${f.lineStart}`;
+        return `  • ${SEVERITY_EMOJI[f.severity]} ${style('dim', `${lines} [${f.tool} ${f.ruleId}]`)} ${f.message}`;
+    });
+    return [ style('bold', style('cyan', '🔍 Static Analysis')), ...findings ].join('\n');
+}
+
+function renderTitle(title, { color }) {
+    const style = createStyler(color);
+    return style('bold', `━━ ${title} ━━`);
+}
+
+module.exports = { createStyler, renderMarkdown, renderAnalysis, renderTitle };
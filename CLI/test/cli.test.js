@@ -0,0 +1,251 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Reviews run with --local against the backend's offline mock provider, whose
+// structured answer (review.json) each test can rewrite.
+const BACKEND_FIXTURES = path.join(__dirname, '../../BackEnd/src/services/providers/fixtures');
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-cli-'));
+const fixturesDir = path.join(scratch, 'fixtures');
+fs.cpSync(BACKEND_FIXTURES, fixturesDir, { recursive: true });
+const defaultReview = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'review.json'), 'utf8'));
+process.on('exit', () => fs.rmSync(scratch, { recursive: true, force: true }));
+
+process.env.AI_PROVIDER = 'mock';
+process.env.MOCK_FIXTURES_DIR = fixturesDir;
+process.env.CACHE_STORE = 'memory';
+process.env.LOG_AI_RESPONSES = 'false';
+process.env.DATA_DIR = path.join(scratch, 'data');
+process.env.NO_COLOR = '1';
+const { main, findingsOf, failedFiles } = require('../src/cli');
+
+// Looks like a real token to the secrets analyzer, which makes it a critical finding.
+const SECRET = `const token = 'ghp_${'aB3dE5fG7h'.repeat(3)}k9Lm2N';\n`;
+
+function setReview(review) {
+    fs.writeFileSync(path.join(fixturesDir, 'review.json'), JSON.stringify(review));
+}
+
+function withCritical(review) {
+    const [ first, ...rest ] = review.findings;
+    return { ...review, findings: [ { ...first, severity: 'critical' }, ...rest ] };
+}
+
+// Runs the CLI in this process; resolves to { code, stdout, stderr }.
+async function run(args) {
+    const stdout = [];
+    const stderr = [];
+    const { log, error } = console;
+    console.log = (...parts) => stdout.push(parts.join(' '));
+    console.error = (...parts) => stderr.push(parts.join(' '));
+    try {
+        const code = await main(args);
+        return { code, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+async function runJson(args) {
+    const result = await run([ ...args, '--json', '--local' ]);
+    return { ...result, json: JSON.parse(result.stdout) };
+}
+
+let counter = 0;
+// A file with distinct code each time, so no review comes from the cache.
+function writeFile(dir, name, body = '') {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, `${body}const unique${counter++} = ${counter};\n`);
+    return file;
+}
+
+afterEach(() => {
+    setReview(defaultReview);
+    delete process.env.MOCK_ERROR;
+});
+
+describe('ai-review arguments', () => {
+    it('prints the usage for --help and exits 0', async () => {
+        const { code, stdout } = await run([ '--help' ]);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Usage:/);
+    });
+
+    it('exits 2 without anything to review', async () => {
+        const { code, stderr } = await run([]);
+        assert.equal(code, 2);
+        assert.match(stderr, /^Usage:/);
+    });
+
+    it('exits 2 for unknown options', async () => {
+        const { code, stderr } = await run([ '--verbose', 'a.js' ]);
+        assert.equal(code, 2);
+        assert.match(stderr, /^ai-review: Unknown option '--verbose'/);
+    });
+
+    it('exits 2 for --staged with --diff', async () => {
+        const { code, stderr } = await run([ '--staged', '--diff', 'main' ]);
+        assert.equal(code, 2);
+        assert.match(stderr, /Use either --staged or --diff, not both/);
+    });
+
+    it('exits 2 for invalid review options', async () => {
+        const file = writeFile(scratch, 'options.js');
+        const { code, json } = await runJson([ '--strictness', 'harsh', file ]);
+        assert.equal(code, 2);
+        assert.match(json.reviews[0].error, /--strictness must be one of/);
+    });
+});
+
+describe('ai-review files', () => {
+    it('exits 0 when there are no critical issues', async () => {
+        const file = writeFile(scratch, 'clean.js');
+        const { code, json } = await runJson([ file ]);
+        assert.equal(code, 0);
+        assert.deepEqual({ critical: json.critical, failed: json.failed }, { critical: 0, failed: 0 });
+        assert.equal(json.reviews[0].target, file);
+        assert.equal(json.reviews[0].language, 'javascript');
+        assert.ok(json.reviews[0].review.findings.length > 0);
+    });
+
+    it('exits 1 for critical issues from the model', async () => {
+        setReview(withCritical(defaultReview));
+        const { code, json } = await runJson([ writeFile(scratch, 'model.js') ]);
+        assert.equal(code, 1);
+        assert.equal(json.critical, 1);
+    });
+
+    it('exits 1 for critical issues from the static analysis', async () => {
+        const { code, json } = await runJson([ writeFile(scratch, 'secret.js', SECRET) ]);
+        assert.equal(code, 1);
+        assert.ok(json.reviews[0].analysis.findings.some((f) => f.severity === 'critical'));
+        assert.equal(json.critical, json.reviews[0].analysis.findings.filter((f) => f.severity === 'critical').length);
+    });
+
+    it('exits 2 when a review fails, still reviewing the other files', async () => {
+        process.env.MOCK_ERROR = 'safety';
+        const { code, json } = await runJson([ writeFile(scratch, 'blocked.js'), path.join(scratch, 'missing.js') ]);
+        assert.equal(code, 2);
+        assert.equal(json.failed, 2);
+        assert.match(json.reviews[1].error, /ENOENT/);
+    });
+
+    it('puts critical issues before failures', async () => {
+        const { code } = await runJson([ writeFile(scratch, 'secret.js', SECRET), path.join(scratch, 'missing.js') ]);
+        assert.equal(code, 1);
+    });
+
+    it('prints the review and a verdict', async () => {
+        const { code, stdout } = await run([ '--local', writeFile(scratch, 'printed.js') ]);
+        assert.equal(code, 0);
+        assert.match(stdout, /printed\.js \(javascript\)/);
+        assert.match(stdout, /No critical issues\./);
+    });
+});
+
+describe('ai-review git changes', () => {
+    let repo;
+    let cwd;
+
+    const git = (...args) => execFileSync('git', [ '-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args ], { cwd: repo, stdio: 'pipe' });
+
+    before(() => {
+        repo = fs.mkdtempSync(path.join(scratch, 'repo-'));
+        git('init', '-q');
+        fs.writeFileSync(path.join(repo, 'a.js'), 'const a = 1;\n');
+        fs.writeFileSync(path.join(repo, 'b.js'), 'const b = 1;\n');
+        git('add', '.');
+        git('commit', '-q', '-m', 'Initial commit');
+        cwd = process.cwd();
+        process.chdir(repo);
+    });
+
+    after(() => process.chdir(cwd));
+
+    afterEach(() => {
+        git('reset', '-q', '--hard');
+    });
+
+    it('has nothing to review without staged changes', async () => {
+        const { code, stdout } = await run([ '--staged', '--local' ]);
+        assert.equal(code, 0);
+        assert.match(stdout, /Nothing to review\./);
+    });
+
+    it('reviews only the staged changes', async () => {
+        writeFile(repo, 'a.js');
+        writeFile(repo, 'b.js');
+        git('add', 'a.js');
+
+        const { code, json } = await runJson([ '--staged' ]);
+        assert.equal(code, 0);
+        assert.equal(json.reviews[0].target, 'staged changes');
+        assert.deepEqual(json.reviews[0].diff.files.map((f) => f.path), [ 'a.js' ]);
+    });
+
+    it('reviews the changes against a ref, narrowed to some files', async () => {
+        writeFile(repo, 'a.js');
+        writeFile(repo, 'b.js');
+
+        const all = await runJson([ '--diff', 'HEAD' ]);
+        assert.equal(all.json.reviews[0].target, 'changes against HEAD');
+        assert.deepEqual(all.json.reviews[0].diff.files.map((f) => f.path).sort(), [ 'a.js', 'b.js' ]);
+
+        const narrowed = await runJson([ '--diff', 'HEAD', 'b.js' ]);
+        assert.deepEqual(narrowed.json.reviews[0].diff.files.map((f) => f.path), [ 'b.js' ]);
+    });
+
+    it('exits 1 for critical issues in the diff', async () => {
+        setReview(withCritical(defaultReview));
+        // Two changed lines, so the critical finding (line 2) lands on the diff.
+        writeFile(repo, 'a.js', '// changed\n');
+
+        const { code, json } = await runJson([ '--diff', 'HEAD' ]);
+        assert.equal(code, 1);
+        assert.equal(json.critical, 1);
+    });
+
+    it('exits 2 when the diff review fails', async () => {
+        process.env.MOCK_ERROR = 'safety';
+        writeFile(repo, 'a.js');
+
+        const { code, json } = await runJson([ '--diff', 'HEAD' ]);
+        assert.equal(code, 2);
+        assert.equal(json.failed, 1);
+        assert.match(json.reviews[0].error, /refused/);
+    });
+
+    it('exits 2 for a ref git does not know', async () => {
+        const { code, stderr } = await run([ '--diff', 'no-such-ref', '--local' ]);
+        assert.equal(code, 2);
+        assert.match(stderr, /ai-review: git diff failed/);
+    });
+});
+
+describe('ai-review results', () => {
+    const finding = (severity) => ({ severity, message: severity });
+
+    it('counts the model and analysis findings of a file review', () => {
+        const result = { review: { findings: [ finding('critical') ] }, analysis: { findings: [ finding('warning') ] } };
+        assert.deepEqual(findingsOf(result).map((f) => f.severity), [ 'critical', 'warning' ]);
+        assert.deepEqual(findingsOf({ error: 'failed' }), []);
+        assert.deepEqual(failedFiles(result), []);
+    });
+
+    it('counts the findings of every reviewed file of a diff, and the files that failed', () => {
+        const result = {
+            diff: {
+                files: [
+                    { path: 'a.js', review: { findings: [ finding('critical'), finding('suggestion') ] } },
+                    { path: 'b.js', error: 'The model timed out' },
+                    { path: 'c.js', review: { findings: [ finding('critical') ] } }
+                ]
+            }
+        };
+        assert.deepEqual(findingsOf(result).map((f) => f.severity), [ 'critical', 'suggestion', 'critical' ]);
+        assert.deepEqual(failedFiles(result).map((f) => f.path), [ 'b.js' ]);
+    });
+});
@@ -1,80 +1,346 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo, useRef } from 'react'
 import "prismjs/themes/prism-tomorrow.css"
-import Editor from "react-simple-code-editor"
 import prism from "prismjs"
 import Markdown from "react-markdown"
 import rehypeHighlight from "rehype-highlight";
 import "highlight.js/styles/github-dark.css";
-import axios from 'axios'
+import { streamReview, queueReview, waitForReviewJob, reviewWithConsensus } from './api/review'
+import ProjectReview from './components/ProjectReview'
+import DiffReview from './components/DiffReview'
+import LanguageSelect from './components/LanguageSelect'
+import ReviewSettings from './components/ReviewSettings'
+import Login from './components/Login'
+import HistorySidebar from './components/HistorySidebar'
+import AnalysisPanel from './components/AnalysisPanel'
+import FixPanel from './components/FixPanel'
+import ChatBox from './components/ChatBox'
+import ExportMenu from './components/ExportMenu'
+import ShareMenu from './components/ShareMenu'
+import SharedReview from './components/SharedReview'
+import CodeEditor from './components/CodeEditor'
+import AdminDashboard from './components/AdminDashboard'
+import RuleSetManager from './components/RuleSetManager'
+import RedactionWarning from './components/RedactionWarning'
+import ConsensusSelect from './components/ConsensusSelect'
+import ConsensusPanel from './components/ConsensusPanel'
+import ModelComparison from './components/ModelComparison'
+import { getSession, onSessionChange } from './api/client'
+import { logout } from './api/auth'
+import { DEFAULT_SETTINGS } from './utils/reviewSettings'
+import { detectLanguage } from './utils/language'
+import { lineRange, ownText, locate } from './utils/findings'
+import { describeError } from './utils/errors'
+import { usePath, sharedReviewId } from './utils/router'
 import './App.css'
 
-function App() {
-  const [ count, setCount ] = useState(0)
+const NO_ANNOTATIONS = []
+// Longer code goes through the backend's job queue instead of a stream, so a
+// slow review doesn't hang on one open connection.
+const QUEUE_THRESHOLD = 20000
+
+// The reviewer itself, for signed-in users.
+function Workspace() {
+  const [ session, setSession ] = useState(getSession)
+  const [ mode, setMode ] = useState('snippet')
+  const [ settings, setSettings ] = useState(DEFAULT_SETTINGS)
   const [ code, setCode ] = useState(` function sum() {
   return 1 + 1
 }`)
 
+  const [ language, setLanguage ] = useState('auto')
   const [ review, setReview ] = useState(``)
+  // What the review on screen was made from, for exports: the code as it was
+  // reviewed (the editor may have changed since), its kind and structured form.
+  const [ reviewed, setReviewed ] = useState(null)
+  const [ analysis, setAnalysis ] = useState(null)
+  // The review's issues with their line ranges, drawn on the editor.
+  const [ findings, setFindings ] = useState(null)
+  // The review's refactored code ({ language, code }), and the right panel's tab.
+  const [ refactored, setRefactored ] = useState(null)
+  const [ panel, setPanel ] = useState('review')
+  // Models to review with at once (two or more for a consensus review), and the
+  // consensus review's per-model answers, for comparing.
+  const [ consensusModels, setConsensusModels ] = useState([])
+  const [ consensus, setConsensus ] = useState(null)
+  // Editor contents before each applied fix, for undo.
+  const [ undoStack, setUndoStack ] = useState([])
   const [loading, setLoading] = useState(false)
+  // Saved-history id of the review on screen, for the chat thread about it.
+  const [ historyId, setHistoryId ] = useState(null)
+  // Whether the last review was answered from the backend's cache.
+  const [ cached, setCached ] = useState(false)
+  const [ showHistory, setShowHistory ] = useState(true)
+  // Bumped after each saved review so the history sidebar reloads.
+  const [ historyVersion, setHistoryVersion ] = useState(0)
+  const abortRef = useRef(null)
+  const editorRef = useRef(null)
+
+  const detected = detectLanguage(code)
+  const editorLanguage = language === 'auto' ? (detected ?? 'javascript') : language
+
+  // Line numbers only hold while the editor still has the reviewed code.
+  const locating = reviewed?.kind === 'snippet' && reviewed.code === code
+  const annotations = useMemo(
+    () => (locating ? locate([ ...(findings ?? []), ...(analysis?.findings ?? []) ], code) : NO_ANNOTATIONS),
+    [ locating, findings, analysis, code ]
+  )
+
+  // Review bullets that mention "line 12" / "lines 12-14" select those lines.
+  const markdownComponents = useMemo(() => ({
+    li({ node, className, children, ...props }) {
+      const range = locating && lineRange(ownText(node))
+      if (!range) return <li className={className} {...props}>{children}</li>
+      function select(event) {
+        event.stopPropagation()
+        editorRef.current?.selectLines(range.lineStart, range.lineEnd)
+      }
+      return <li className={className ? `${className} located` : 'located'} onClick={select} {...props}>{children}</li>
+    }
+  }), [ locating ])
+
+  function selectLines(start, end) {
+    editorRef.current?.selectLines(start, end)
+  }
 
   useEffect(() => {
     prism.highlightAll()
   }, [])
 
-  async function reviewCode() {
+  // Follows logins, logouts and failed token refreshes.
+  useEffect(() => onSessionChange(setSession), [])
+
+  // `fresh` skips the backend cache and asks the model again.
+  async function reviewCode(fresh = false) {
+    if (loading) return
+    const controller = new AbortController()
+    abortRef.current = controller
+
     try {
       setLoading(true)
-      const response = await axios.post('http://localhost:3000/ai/get-review', { code })
-      // Backend sends { response: <string> } — extract the string safely.
-      const text = response?.data?.response ?? response?.data ?? ''
-      // Ensure we store a string to avoid passing objects to Markdown (which can crash the renderer).
-      setReview(typeof text === 'string' ? text : JSON.stringify(text, null, 2))
+      setReview('')
+      setReviewed({ kind: 'snippet', code })
+      setAnalysis(null)
+      setFindings(null)
+      setRefactored(null)
+      setConsensus(null)
+      setHistoryId(null)
+      setPanel('review')
+      setCached(false)
+      const body = { code, language, ...settings, cacheControl: fresh ? 'no-cache' : undefined }
+      // Short code is streamed, so the Markdown renders progressively as it arrives.
+      // Consensus reviews can't stream: their findings are merged once every model answered.
+      const result = consensusModels.length >= 2
+        ? await reviewConsensus(body, controller.signal)
+        : code.length > QUEUE_THRESHOLD
+        ? await reviewQueued(body, controller.signal)
+        : await streamReview(body, {
+          signal: controller.signal,
+          onChunk: text => setReview(prev => prev + text),
+          onAnalysis: setAnalysis
+        })
+      setCached(result?.cache === 'hit')
+      setRefactored(result?.refactoredCode ?? null)
+      setFindings(result?.findings ?? null)
+      setHistoryId(result?.historyId ?? null)
+      if (result?.historyId) setHistoryVersion(v => v + 1)
     } catch (err) {
-      console.error('Failed to fetch review:', err)
-      setReview('Error: Failed to fetch review. Check the console for details.')
+      if (controller.signal.aborted) {
+        setReview(prev => prev + '\n\n_Review cancelled._')
+      } else {
+        console.error('Failed to fetch review:', err)
+        // Keep whatever was streamed before the failure.
+        setReview(prev => `${prev}${prev ? '\n\n' : ''}**Error:** ${describeError(err)}`)
+      }
     } finally {
+      abortRef.current = null
       setLoading(false)
     }
   }
 
+  // Queues the review and polls until it is done, showing its place in the queue meanwhile.
+  async function reviewQueued(body, signal) {
+    const job = await queueReview(body)
+    const result = await waitForReviewJob(job.id, {
+      signal,
+      onUpdate: job => setReview(job.status === 'queued'
+        ? `_Queued for review: ${job.position} ${job.position === 1 ? 'review' : 'reviews'} ahead…_`
+        : '_Reviewing…_')
+    })
+    setReview(result.response)
+    setAnalysis(result.analysis)
+    return result
+  }
+
+  // Asks every picked model at once; nothing streams, the merged review arrives whole.
+  async function reviewConsensus(body, signal) {
+    setReview(`_Reviewing with ${consensusModels.length} models…_`)
+    const result = await reviewWithConsensus({ ...body, models: consensusModels }, signal)
+    setReview(result.response)
+    setAnalysis(result.analysis)
+    setConsensus(result.consensus)
+    return result
+  }
+
+  function cancelReview() {
+    abortRef.current?.abort()
+  }
+
+  function applyFix(next) {
+    setUndoStack(prev => [ ...prev, code ])
+    setCode(next)
+  }
+
+  function undoFix() {
+    if (!undoStack.length) return
+    setCode(undoStack.at(-1))
+    setUndoStack(undoStack.slice(0, -1))
+  }
+
+  // Loads a past review back into the editor and output panels.
+  function openFromHistory(entry) {
+    abortRef.current?.abort()
+    setMode('snippet')
+    setCode(entry.code)
+    setLanguage(entry.kind === 'snippet' && entry.language ? entry.language : 'auto')
+    setReview(entry.response)
+    setReviewed({ kind: entry.kind, code: entry.code, review: entry.review ?? undefined })
+    setAnalysis(entry.analysis ?? null)
+    setFindings(entry.findings ?? null)
+    setRefactored(entry.refactoredCode ?? null)
+    setConsensus(entry.review?.consensus ?? null)
+    setHistoryId(entry.id)
+    setPanel('review')
+    setUndoStack([])
+    setCached(false)
+  }
+
+  if (!session) return <Login />
+
   return (
     <>
-      <main>
-        <div className="left">
-          <div className="code">
-            <Editor
-              value={code}
-              onValueChange={code => setCode(code)}
-              highlight={code => prism.highlight(code, prism.languages.javascript, "javascript")}
-              padding={10}
-              style={{
-                fontFamily: '"Fira code", "Fira Mono", monospace',
-                fontSize: 16,
-                border: "1px solid #ddd",
-                borderRadius: "5px",
-                height: "100%",
-                width: "100%"
-              }}
-            />
+      <header className="toolbar">
+        <button className={mode === 'snippet' ? 'active' : ''} onClick={() => setMode('snippet')}>Snippet</button>
+        <button className={mode === 'project' ? 'active' : ''} onClick={() => setMode('project')}>Project</button>
+        <button className={mode === 'diff' ? 'active' : ''} onClick={() => setMode('diff')}>Diff</button>
+        <button className={mode === 'rules' ? 'active' : ''} onClick={() => setMode('rules')}>Rules</button>
+        <button className={showHistory ? 'active' : ''} onClick={() => setShowHistory(!showHistory)}>History</button>
+        {session.user.role === 'admin' && (
+          <button className={mode === 'admin' ? 'active' : ''} onClick={() => setMode('admin')}>Admin</button>
+        )}
+        <ReviewSettings settings={settings} onChange={setSettings} />
+        <span className="account">
+          {session.user.email}
+          <button onClick={logout}>Logout</button>
+        </span>
+      </header>
+      {mode === 'project' && <ProjectReview settings={settings} />}
+      {mode === 'diff' && <DiffReview settings={settings} />}
+      {mode === 'rules' && <RuleSetManager />}
+      {mode === 'admin' && <AdminDashboard />}
+      {mode === 'snippet' && (
+        <main>
+          {showHistory && <HistorySidebar version={historyVersion} onOpen={openFromHistory} />}
+          <div className="left">
+            <div className="code">
+              <CodeEditor
+                ref={editorRef}
+                value={code}
+                onValueChange={code => setCode(code)}
+                language={editorLanguage}
+                annotations={annotations} />
+            </div>
+            <RedactionWarning code={code} onSelect={selectLines} />
+            <div className="actions">
+              <LanguageSelect value={language} detected={detected} onChange={setLanguage} />
+              <ConsensusSelect value={consensusModels} onChange={setConsensusModels} />
+              {loading && (
+                <div
+                  onClick={cancelReview}
+                  className="cancel">Cancel</div>
+              )}
+              {cached && !loading && (
+                <div
+                  onClick={() => reviewCode(true)}
+                  className="refresh"
+                  title="This review came from the cache">Cached · Review again</div>
+              )}
+              <div
+                onClick={() => reviewCode()}
+                className="review">{loading ? 'Reviewing...' : 'Review'}</div>
+            </div>
           </div>
-          <div
-            onClick={reviewCode}
-            className="review">{loading ? 'Reviewing...' : 'Review'}</div>
-        </div>
 
         
-        <div className="right">
-          <Markdown
+          <div className="right">
+            {(refactored || consensus) && (
+              <nav className="tabs">
+                <button className={panel === 'review' ? 'active' : ''} onClick={() => setPanel('review')}>Review</button>
+                {refactored && <button className={panel === 'fix' ? 'active' : ''} onClick={() => setPanel('fix')}>Apply fix</button>}
+                {consensus && <button className={panel === 'compare' ? 'active' : ''} onClick={() => setPanel('compare')}>Compare models</button>}
+              </nav>
+            )}
+            {consensus && panel === 'compare' ? (
+              <ModelComparison models={consensus.models} />
+            ) : refactored && panel === 'fix' ? (
+              <FixPanel
+                key={refactored.code}
+                code={code}
+                refactored={refactored}
+                onApply={applyFix}
+                onUndo={undoFix}
+                canUndo={undoStack.length > 0}
+                onReviewAgain={() => reviewCode()}
+                reviewing={loading} />
+            ) : (
+              <>
+                {review && reviewed && !loading && (
+                  <>
+                    <ExportMenu source={{ ...reviewed, response: review, analysis, language }} />
+                    <ShareMenu
+                      key={historyId ?? review}
+                      snapshot={{
+                        kind: reviewed.kind,
+                        code: reviewed.code,
+                        language: language === 'auto' ? null : language,
+                        response: review,
+                        analysis,
+                        findings,
+                        refactoredCode: refactored
+                      }} />
+                  </>
+                )}
+                <AnalysisPanel analysis={analysis} onSelect={locating ? selectLines : undefined} />
+                {consensus && (
+                  <ConsensusPanel findings={findings} models={consensus.models} onSelect={locating ? selectLines : undefined} />
+                )}
+                <Markdown
 
-            rehypePlugins={[ rehypeHighlight ]}
+                  rehypePlugins={[ rehypeHighlight ]}
+                  components={markdownComponents}
 
-          >{review}</Markdown>
-        </div>
-      </main>
+                >{review}</Markdown>
+                {review && !loading && (
+                  <ChatBox
+                    key={historyId ?? review}
+                    code={reviewed.code}
+                    review={review}
+                    language={language}
+                    settings={settings}
+                    historyId={historyId} />
+                )}
+              </>
+            )}
+          </div>
+        </main>
+      )}
     </>
   )
 }
 
+// Shared review links (`/s/<id>`) open without signing in; every other path is the reviewer.
+function App() {
+  const sharedId = sharedReviewId(usePath())
+  return sharedId ? <SharedReview key={sharedId} id={sharedId} /> : <Workspace />
+}
 
-
-export default App
\ No newline at end of file
+export default App
@@ -0,0 +1,36 @@
+import { client } from './client'
+
+// Usage and cost analytics; admin accounts only. `range` is { from, to } as
+// YYYY-MM-DD days (both included); the backend defaults to the last 30 days.
+export async function getMetricsSummary(range) {
+  const response = await client.get('/admin/metrics', { params: range })
+  return response.data.summary
+}
+
+// Totals per `groupBy`: day, user, language, model, endpoint or error.
+export async function getMetricsBreakdown(groupBy, range, limit) {
+  const response = await client.get(`/admin/metrics/${groupBy}`, { params: { ...range, limit } })
+  return response.data.rows
+}
+
+// The latest redaction audit records, newest first.
+export async function listRedactions(range, limit) {
+  const response = await client.get('/admin/redactions', { params: { ...range, limit } })
+  return response.data.redactions
+}
+
+// { model: { prompt, response, source } }, in US dollars per million tokens.
+export async function listPrices() {
+  const response = await client.get('/admin/prices')
+  return response.data.prices
+}
+
+export async function setPrice(model, price) {
+  const response = await client.put(`/admin/prices/${encodeURIComponent(model)}`, price)
+  return response.data.prices
+}
+
+export async function removePrice(model) {
+  const response = await client.delete(`/admin/prices/${encodeURIComponent(model)}`)
+  return response.data.prices
+}
@@ -0,0 +1,23 @@
+import axios from 'axios'
+import { API_URL, getSession, setSession } from './client'
+
+export async function login(email, password) {
+  const response = await axios.post(`${API_URL}/auth/login`, { email, password })
+  setSession(response.data)
+  return response.data.user
+}
+
+export async function signup(email, password) {
+  const response = await axios.post(`${API_URL}/auth/signup`, { email, password })
+  setSession(response.data)
+  return response.data.user
+}
+
+// Revokes the refresh token on the server; the local session is cleared either way.
+export async function logout() {
+  const refreshToken = getSession()?.refreshToken
+  setSession(null)
+  if (refreshToken) {
+    await axios.post(`${API_URL}/auth/logout`, { refreshToken }).catch(() => {})
+  }
+}
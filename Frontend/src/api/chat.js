@@ -0,0 +1,26 @@
+import { client } from './client'
+
+// Starts a follow-up thread about a review. `body` carries `code`, `review`
+// (the Markdown), the first `message`, an optional `historyId` and the review
+// settings. Resolves to { sessionId, reply }.
+export async function startChat(body) {
+  const response = await client.post('/ai/chat', body)
+  return response.data
+}
+
+export async function sendChatMessage(sessionId, message) {
+  const response = await client.post(`/ai/chat/${sessionId}/messages`, { message })
+  return response.data
+}
+
+// Threads of the signed-in user, most recent first; `historyId` narrows them
+// to one saved review.
+export async function listChats(params = {}) {
+  const response = await client.get('/ai/chat', { params })
+  return response.data.threads
+}
+
+export async function getChat(sessionId) {
+  const response = await client.get(`/ai/chat/${sessionId}`)
+  return response.data.thread
+}
@@ -0,0 +1,86 @@
+import axios from 'axios'
+
+export const API_URL = import.meta.env.VITE_API_URL ?? 'http://localhost:3000'
+
+const SESSION_KEY = 'session'
+
+// An error response from the API: `data` is the backend's envelope
+// `{ error, code, ...details }`. axios errors carry the same envelope in
+// `err.response.data`; see utils/errors.js for turning either into a message.
+export class ApiError extends Error {
+  constructor(data, status) {
+    super(data?.error ?? `Request failed with status ${status}`)
+    this.name = 'ApiError'
+    this.data = data
+    this.status = status
+  }
+}
+
+// The session is { accessToken, refreshToken, user }, kept in localStorage so a
+// reload stays signed in.
+export function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY))
+  } catch {
+    return null
+  }
+}
+
+const listeners = new Set()
+
+export function setSession(session) {
+  if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+  else localStorage.removeItem(SESSION_KEY)
+  listeners.forEach(listener => listener(session))
+}
+
+// Lets the app react when the session changes, e.g. when a refresh fails.
+export function onSessionChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Concurrent 401s share a single refresh request.
+let refreshing = null
+
+// Swaps the refresh token for a new pair. Returns the new access token, or null
+// (and signs out) when the session can't be renewed.
+export function refreshSession() {
+  refreshing ??= (async () => {
+    const refreshToken = getSession()?.refreshToken
+    if (!refreshToken) return null
+    try {
+      const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      setSession(response.data)
+      return response.data.accessToken
+    } catch {
+      setSession(null)
+      return null
+    }
+  })().finally(() => { refreshing = null })
+  return refreshing
+}
+
+export function authHeaders(token = getSession()?.accessToken) {
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+// axios instance for the API: attaches the access token and retries once with a
+// refreshed token when the server answers 401.
+export const client = axios.create({ baseURL: API_URL })
+
+client.interceptors.request.use(config => {
+  Object.assign(config.headers, authHeaders())
+  return config
+})
+
+client.interceptors.response.use(undefined, async error => {
+  const { config, response } = error
+  if (response?.status !== 401 || config._retried) throw error
+
+  const token = await refreshSession()
+  if (!token) throw error
+  config._retried = true
+  Object.assign(config.headers, authHeaders(token))
+  return client(config)
+})
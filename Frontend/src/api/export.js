@@ -0,0 +1,23 @@
+import { client, ApiError } from './client'
+
+export const EXPORT_FORMATS = [
+  { id: 'sarif', label: 'SARIF', title: 'SARIF 2.1.0, for code-scanning dashboards' },
+  { id: 'junit', label: 'JUnit', title: 'JUnit XML, for CI test reports' },
+  { id: 'markdown', label: 'Markdown', title: 'A standalone Markdown file' }
+]
+
+// Renders a review on the server as a file. `source` has `code` and `response`
+// (the Markdown), plus `kind`, `review`, `analysis`, `language` and `path` when
+// they are known. Resolves to { blob, filename }.
+export async function exportReview(format, source, { print = false } = {}) {
+  try {
+    const response = await client.post('/ai/export', { ...source, format, print }, { responseType: 'blob' })
+    const filename = response.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1] ?? `ai-review.${format}`
+    return { blob: response.data, filename }
+  } catch (err) {
+    // Error bodies arrive as blobs too; read the envelope back out of them.
+    const data = err.response?.data
+    if (data instanceof Blob) throw new ApiError(await data.text().then(JSON.parse).catch(() => null), err.response.status)
+    throw err
+  }
+}
@@ -0,0 +1,17 @@
+import { client } from './client'
+
+// Past reviews of the signed-in user, newest first. `params` may carry `q` (search
+// text), `kind`, `language` and `before` (createdAt of the last item, for paging).
+export async function listHistory(params = {}) {
+  const response = await client.get('/ai/history', { params })
+  return response.data.reviews
+}
+
+export async function getHistoryReview(id) {
+  const response = await client.get(`/ai/history/${id}`)
+  return response.data.review
+}
+
+export async function deleteHistoryReview(id) {
+  await client.delete(`/ai/history/${id}`)
+}
@@ -0,0 +1,16 @@
+import { client } from './client'
+
+// Presets are shared per team; the backend scopes them to the signed-in user's team.
+export async function listPresets() {
+  const response = await client.get('/ai/presets')
+  return response.data.presets
+}
+
+export async function createPreset(preset) {
+  const response = await client.post('/ai/presets', preset)
+  return response.data.preset
+}
+
+export async function deletePreset(id) {
+  await client.delete(`/ai/presets/${id}`)
+}
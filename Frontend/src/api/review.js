@@ -0,0 +1,156 @@
+import { API_URL, ApiError, client, authHeaders, refreshSession } from './client'
+
+// POSTs the code to the streaming endpoint and calls onChunk with each piece of
+// Markdown as it arrives, and onAnalysis with the static analysis that precedes
+// it. Abort `signal` to cancel; the backend then aborts the upstream model
+// request too.
+export async function streamReview(body, { onChunk, onAnalysis, signal }) {
+  const post = token => fetch(`${API_URL}/ai/get-review/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
+    body: JSON.stringify(body),
+    signal
+  })
+
+  let response = await post()
+  // fetch doesn't go through the axios interceptors, so renew an expired token here.
+  if (response.status === 401) {
+    const token = await refreshSession()
+    if (token) response = await post(token)
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null)
+    throw new ApiError(data, response.status)
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) return
+
+    buffer += value
+    // SSE events are separated by a blank line.
+    const events = buffer.split('\n\n')
+    buffer = events.pop()
+
+    for (const raw of events) {
+      const event = raw.match(/^event: (.*)$/m)?.[1]
+      const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] ?? '{}')
+      if (event === 'chunk') onChunk(data.text)
+      if (event === 'analysis') onAnalysis?.(data)
+      // Errors after the stream started arrive as an event with the same envelope.
+      if (event === 'error') throw new ApiError(data, 200)
+      // The done event carries the id of the review saved to history and the
+      // findings with their line ranges.
+      if (event === 'done') return data
+    }
+  }
+}
+
+// Reviews several files at once; `files` is [{ path, content }]. `settings`
+// carries the review focus, strictness and rule sets.
+export async function reviewProject(files, settings) {
+  const response = await client.post('/ai/get-project-review', { files, ...settings })
+  return response.data
+}
+
+// The models a consensus review can ask: [{ id, provider, model }].
+export async function listConsensusModels() {
+  const response = await client.get('/ai/consensus/models')
+  return response.data.models
+}
+
+// Reviews `body.code` with several models at once; `body.models` are ids from
+// listConsensusModels. Resolves like a structured review, each finding carrying
+// the `models` that raised it and a `confidence`, plus `consensus.models`:
+// every model's own review (or error), for comparing.
+export async function reviewWithConsensus(body, signal) {
+  const response = await client.post('/ai/get-consensus-review', body, { signal })
+  return response.data
+}
+
+// Uploads a .zip / .tar / .tar.gz; the backend unpacks it and returns the files with the report.
+export async function reviewProjectArchive(archive, settings = {}) {
+  const form = new FormData()
+  form.append('archive', archive)
+  // Multipart fields are strings; the backend accepts focus comma-separated.
+  if (settings.focus) form.append('focus', settings.focus.join(','))
+  if (settings.strictness) form.append('strictness', settings.strictness)
+  if (settings.ruleSets?.length) form.append('ruleSets', settings.ruleSets.join(','))
+  const response = await client.post('/ai/get-project-review', form)
+  return response.data
+}
+
+// Diff mode: `body` is { diff } (unified diff) or { before, after, path }.
+export async function reviewDiff(body) {
+  const response = await client.post('/ai/get-review', { ...body, mode: 'diff' })
+  return response.data
+}
+
+// What the backend would redact from `code` before sending it to the model:
+// [{ type, kind, label, line, placeholder }], one entry per occurrence.
+export async function previewRedactions(code, signal) {
+  const response = await client.post('/ai/redactions/preview', { code }, { signal })
+  return response.data.redactions
+}
+
+// Queues a review instead of waiting for it (see waitForReviewJob). `body` is
+// what the matching endpoint takes plus `kind` ('snippet', 'diff' or 'project')
+// and optional `priority`. Resolves to the job: { id, status, position, ... }.
+export async function queueReview(body) {
+  const response = await client.post('/ai/reviews', body)
+  return response.data.job
+}
+
+export async function getReviewJob(id, signal) {
+  const response = await client.get(`/ai/reviews/${id}`, { signal })
+  return response.data.job
+}
+
+export async function cancelReviewJob(id) {
+  const response = await client.delete(`/ai/reviews/${id}`)
+  return response.data.job
+}
+
+const JOB_POLL_MS = 1500
+
+// Waits `ms`, or rejects as soon as `signal` aborts.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }, { once: true })
+  })
+}
+
+// Polls a queued review until it is done and resolves to its result (the
+// matching endpoint's response). A failed job throws its error envelope as an
+// ApiError. `onUpdate` gets the job after every poll, e.g. to show its place in
+// the queue. Aborting `signal` cancels the job on the backend too.
+export async function waitForReviewJob(id, { onUpdate, signal }) {
+  const cancel = () => cancelReviewJob(id).catch(() => {})
+  // Aborted while the job was being queued.
+  if (signal?.aborted) {
+    await cancel()
+    throw signal.reason
+  }
+  signal?.addEventListener('abort', cancel, { once: true })
+
+  try {
+    for (;;) {
+      const job = await getReviewJob(id, signal)
+      onUpdate?.(job)
+      if (job.status === 'succeeded') return job.result
+      if (job.status === 'failed') throw new ApiError(job.error, 200)
+      if (job.status === 'cancelled') throw new ApiError({ error: 'The review was cancelled', code: 'cancelled' }, 200)
+      await sleep(JOB_POLL_MS, signal)
+    }
+  } finally {
+    signal?.removeEventListener('abort', cancel)
+  }
+}
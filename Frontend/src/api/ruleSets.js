@@ -0,0 +1,23 @@
+import { client } from './client'
+
+// Team review rules, grouped in named sets. A set is { name, description,
+// rules: [{ id, title, description, severity, good, bad }] }; the backend scopes
+// them to the signed-in user's team.
+export async function listRuleSets() {
+  const response = await client.get('/ai/rule-sets')
+  return response.data.ruleSets
+}
+
+export async function createRuleSet(ruleSet) {
+  const response = await client.post('/ai/rule-sets', ruleSet)
+  return response.data.ruleSet
+}
+
+export async function updateRuleSet(id, ruleSet) {
+  const response = await client.put(`/ai/rule-sets/${id}`, ruleSet)
+  return response.data.ruleSet
+}
+
+export async function deleteRuleSet(id) {
+  await client.delete(`/ai/rule-sets/${id}`)
+}
@@ -0,0 +1,26 @@
+import { client } from './client'
+
+// Saves the review on screen as a read-only snapshot behind an unguessable link.
+// `snapshot` has `code` and `response`, plus `kind`, `language`, `analysis`,
+// `findings` and `refactoredCode` when they are known. `expiresInDays` is null
+// for a link that lasts until it is revoked. Resolves to { id, url, expiresAt, ... }.
+export async function createShare(snapshot, expiresInDays = null) {
+  const response = await client.post('/shares', { ...snapshot, expiresInDays })
+  return response.data.share
+}
+
+// The signed-in user's live links, newest first.
+export async function listShares() {
+  const response = await client.get('/shares')
+  return response.data.shares
+}
+
+// A shared snapshot; needs no session.
+export async function getSharedReview(id) {
+  const response = await client.get(`/shares/${id}`)
+  return response.data.review
+}
+
+export async function revokeShare(id) {
+  await client.delete(`/shares/${id}`)
+}
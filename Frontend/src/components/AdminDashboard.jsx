@@ -0,0 +1,246 @@
+import { useEffect, useState } from 'react'
+import BarChart from './BarChart'
+import { getMetricsSummary, getMetricsBreakdown, listRedactions, listPrices, setPrice, removePrice } from '../api/admin'
+import { languageLabel } from '../utils/language'
+import { describeError } from '../utils/errors'
+
+const RANGES = [ 7, 30, 90 ]
+const TOP_ROWS = 10
+
+const number = value => value.toLocaleString()
+const percent = (part, total) => (total ? `${Math.round((part / total) * 100)}%` : '–')
+const dollars = value => `$${value < 1 ? value.toFixed(4) : value.toFixed(2)}`
+
+// "2× EMAIL, 1× AWS_ACCESS_KEY" for one audit record.
+function describeRedactions(redactions) {
+  const counts = new Map()
+  for (const r of redactions) counts.set(r.type, (counts.get(r.type) ?? 0) + r.occurrences)
+  return [ ...counts ].map(([ type, count ]) => `${count}× ${type}`).join(', ')
+}
+
+// The last `days` UTC days, today included, as the backend's { from, to }.
+function lastDays(days) {
+  const to = new Date()
+  const from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000)
+  return { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) }
+}
+
+// One model's price, in dollars per million prompt and response tokens.
+function PriceRow({ model, price, onSave, onReset }) {
+  const [ prompt, setPrompt ] = useState(String(price?.prompt ?? ''))
+  const [ response, setResponse ] = useState(String(price?.response ?? ''))
+  const valid = prompt !== '' && response !== '' && Number(prompt) >= 0 && Number(response) >= 0
+
+  return (
+    <tr>
+      <td><code>{model}</code></td>
+      <td><input type="number" min="0" step="any" value={prompt} onChange={e => setPrompt(e.target.value)} /></td>
+      <td><input type="number" min="0" step="any" value={response} onChange={e => setResponse(e.target.value)} /></td>
+      <td>
+        <button disabled={!valid} onClick={() => onSave(model, { prompt: Number(prompt), response: Number(response) })}>Save</button>
+        {price?.source === 'custom' && <button onClick={() => onReset(model)} title="Back to the server default">Reset</button>}
+        {!price && <span className="note">no price</span>}
+      </td>
+    </tr>
+  )
+}
+
+// Usage and cost analytics for admins: totals, daily charts, usage per
+// language and user, the most common errors, the latest redaction audit
+// records and the per-model prices the spend is estimated with.
+function AdminDashboard() {
+  const [ days, setDays ] = useState(30)
+  const [ data, setData ] = useState(null)
+  const [ prices, setPrices ] = useState({})
+  const [ error, setError ] = useState('')
+  // Bumped after a price change, since it changes every estimate.
+  const [ version, setVersion ] = useState(0)
+
+  useEffect(() => {
+    let cancelled = false
+    const range = lastDays(days)
+    Promise.all([
+      getMetricsSummary(range),
+      getMetricsBreakdown('day', range),
+      getMetricsBreakdown('language', range),
+      getMetricsBreakdown('user', range, TOP_ROWS),
+      getMetricsBreakdown('model', range),
+      getMetricsBreakdown('error', range, TOP_ROWS),
+      listRedactions(range, TOP_ROWS),
+      listPrices()
+    ])
+      .then(([ summary, byDay, byLanguage, byUser, byModel, errors, redactions, prices ]) => {
+        if (cancelled) return
+        setData({ summary, byDay, byLanguage, byUser, byModel, errors, redactions })
+        setPrices(prices)
+        setError('')
+      })
+      .catch(err => !cancelled && setError(describeError(err)))
+    return () => { cancelled = true }
+  }, [ days, version ])
+
+  async function savePrice(model, price) {
+    try {
+      setPrices(await setPrice(model, price))
+      setVersion(v => v + 1)
+    } catch (err) {
+      setError(describeError(err))
+    }
+  }
+
+  async function resetPrice(model) {
+    try {
+      setPrices(await removePrice(model))
+      setVersion(v => v + 1)
+    } catch (err) {
+      setError(describeError(err))
+    }
+  }
+
+  const summary = data?.summary
+  const models = [ ...new Set([ ...(data?.byModel ?? []).map(row => row.key), ...Object.keys(prices) ]) ].filter(Boolean)
+  const busiestLanguage = Math.max(...(data?.byLanguage ?? []).map(row => row.requests), 1)
+
+  return (
+    <main className="admin">
+      <header>
+        <h2>Usage &amp; cost</h2>
+        <nav className="tabs">
+          {RANGES.map(n => (
+            <button key={n} className={days === n ? 'active' : ''} onClick={() => setDays(n)}>{n} days</button>
+          ))}
+        </nav>
+      </header>
+      {error && <p className="error">{error}</p>}
+      {!data && !error && <p className="note">Loading…</p>}
+      {data && (
+        <>
+          <section className="cards">
+            <div><span>Requests</span><strong>{number(summary.requests)}</strong></div>
+            <div><span>Error rate</span><strong>{percent(summary.errors, summary.requests)}</strong></div>
+            <div><span>Cache hits</span><strong>{percent(summary.cacheHits, summary.requests)}</strong></div>
+            <div>
+              <span>Tokens</span>
+              <strong>{number(summary.promptTokens + summary.responseTokens)}</strong>
+              <small>{number(summary.promptTokens)} in · {number(summary.responseTokens)} out</small>
+            </div>
+            <div><span>Estimated spend</span><strong>{dollars(summary.cost)}</strong></div>
+            <div><span>Avg latency</span><strong>{number(summary.avgLatencyMs)} ms</strong></div>
+          </section>
+          {summary.unpriced.length > 0 && (
+            <p className="note">The spend leaves out tokens of models without a price: {summary.unpriced.join(', ')}.</p>
+          )}
+
+          <section className="charts">
+            <div>
+              <h3>Requests per day <small className="legend"><i className="part" /> failed</small></h3>
+              <BarChart data={data.byDay.map(row => ({ label: row.key, value: row.requests, part: row.errors }))} format={number} partLabel="failed" />
+            </div>
+            <div>
+              <h3>Estimated spend per day</h3>
+              <BarChart data={data.byDay.map(row => ({ label: row.key, value: row.cost }))} format={dollars} />
+            </div>
+          </section>
+
+          <section className="breakdowns">
+            <div>
+              <h3>By language</h3>
+              {data.byLanguage.length === 0 && <p className="note">No requests.</p>}
+              <ul className="bars">
+                {data.byLanguage.map(row => (
+                  <li key={row.key ?? 'auto'}>
+                    <span>{row.key ? languageLabel(row.key) : 'Unknown'}</span>
+                    <span className="bar"><i style={{ width: `${(row.requests / busiestLanguage) * 100}%` }} /></span>
+                    <span>{number(row.requests)} · {dollars(row.cost)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div>
+              <h3>Top users</h3>
+              <table>
+                <thead>
+                  <tr><th>User</th><th>Requests</th><th>Tokens</th><th>Spend</th><th>Errors</th></tr>
+                </thead>
+                <tbody>
+                  {data.byUser.map(row => (
+                    <tr key={row.key}>
+                      <td>{row.email ?? row.key}</td>
+                      <td>{number(row.requests)}</td>
+                      <td>{number(row.promptTokens + row.responseTokens)}</td>
+                      <td>{dollars(row.cost)}</td>
+                      <td>{number(row.errors)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section>
+            <h3>Top error causes</h3>
+            {data.errors.length === 0 ? <p className="note">No errors.</p> : (
+              <table>
+                <thead>
+                  <tr><th>Code</th><th>Count</th><th>Share</th><th>Latest message</th></tr>
+                </thead>
+                <tbody>
+                  {data.errors.map(row => (
+                    <tr key={row.key}>
+                      <td><code>{row.key}</code></td>
+                      <td>{number(row.requests)}</td>
+                      <td>{percent(row.requests, summary.requests)}</td>
+                      <td>{row.message ?? ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <section>
+            <h3>Redacted before sending <small>(latest {TOP_ROWS})</small></h3>
+            {data.redactions.length === 0 ? <p className="note">Nothing was redacted.</p> : (
+              <table>
+                <thead>
+                  <tr><th>When</th><th>Who</th><th>Endpoint</th><th>Redacted</th></tr>
+                </thead>
+                <tbody>
+                  {data.redactions.map(row => (
+                    <tr key={row.id}>
+                      <td>{new Date(row.createdAt).toLocaleString()}</td>
+                      <td>{row.email ?? row.source ?? '–'}</td>
+                      <td>{row.endpoint}</td>
+                      <td>{describeRedactions(row.redactions)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <section>
+            <h3>Prices <small>(US dollars per million tokens)</small></h3>
+            <table className="prices">
+              <thead>
+                <tr><th>Model</th><th>Prompt</th><th>Response</th><th /></tr>
+              </thead>
+              <tbody>
+                {models.map(model => (
+                  <PriceRow
+                    key={`${model}:${prices[model]?.prompt}:${prices[model]?.response}`}
+                    model={model}
+                    price={prices[model]}
+                    onSave={savePrice}
+                    onReset={resetPrice} />
+                ))}
+              </tbody>
+            </table>
+          </section>
+        </>
+      )}
+    </main>
+  )
+}
+
+export default AdminDashboard
@@ -0,0 +1,53 @@
+// Findings of the backend's static analysis (ESLint, function metrics, secrets),
+// shown apart from the model's review since they are measured, not guessed.
+// `analysis` is { findings, functions, limits, tools }. With `onSelect`, clicking
+// a finding calls it with the finding's lines.
+function AnalysisPanel({ analysis, onSelect }) {
+  if (!analysis) return null
+  const failed = analysis.tools.filter(t => t.status === 'failed')
+  const { functionLines, complexity } = analysis.limits
+
+  return (
+    <section className="analysis">
+      <h3>🔍 Static analysis</h3>
+      {analysis.findings.length ? (
+        <ul>
+          {analysis.findings.map((f, i) => (
+            <li
+              key={i}
+              className={onSelect && f.lineStart ? 'located' : undefined}
+              onClick={onSelect && f.lineStart ? () => onSelect(f.lineStart, f.lineEnd) : undefined}>
+              <span className={`badge ${f.severity}`}>{f.severity}</span>
+              <strong>{f.title}</strong>
+              <span className="where">{f.tool}/{f.ruleId} · line {f.lineStart}</span>
+              <p>{f.message}</p>
+            </li>
+          ))}
+        </ul>
+      ) : <p className="note">No findings.</p>}
+      {analysis.functions.length > 0 && (
+        <details>
+          <summary>Function metrics ({analysis.functions.length})</summary>
+          <table>
+            <thead>
+              <tr><th>Function</th><th>Lines</th><th>Length</th><th>Complexity</th></tr>
+            </thead>
+            <tbody>
+              {analysis.functions.map(fn => (
+                <tr key={`${fn.name}:${fn.lineStart}`}>
+                  <td><code>{fn.name}</code></td>
+                  <td>{fn.lineStart}–{fn.lineEnd}</td>
+                  <td className={fn.lines > functionLines ? 'over' : ''}>{fn.lines}</td>
+                  <td className={fn.complexity > complexity ? 'over' : ''}>{fn.complexity}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+      {failed.map(t => <p key={t.name} className="note">{t.name} could not run: {t.error}</p>)}
+    </section>
+  )
+}
+
+export default AnalysisPanel
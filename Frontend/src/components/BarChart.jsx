@@ -0,0 +1,31 @@
+// A small SVG column chart for a daily series. `data` is [{ label, value, part }];
+// `part` (0 to value) is drawn over the bottom of its column in a second colour,
+// e.g. the failed share of the requests. Hovering a column shows its label and value.
+function BarChart({ data, format = String, partLabel }) {
+  const max = Math.max(...data.map(d => d.value), 0)
+  const height = 100
+  const scale = value => (max ? (value / max) * height : 0)
+
+  return (
+    <figure className="bar-chart">
+      <svg viewBox={`0 0 ${data.length * 10} ${height}`} preserveAspectRatio="none" role="img">
+        {data.map((d, i) => (
+          <g key={d.label}>
+            <title>{`${d.label}: ${format(d.value)}${partLabel && d.part ? ` (${d.part} ${partLabel})` : ''}`}</title>
+            {/* Full-height hit area, so empty days still show their tooltip. */}
+            <rect x={i * 10} y={0} width={10} height={height} className="hit" />
+            <rect x={i * 10 + 1} y={height - scale(d.value)} width={8} height={scale(d.value)} className="value" />
+            {d.part > 0 && <rect x={i * 10 + 1} y={height - scale(d.part)} width={8} height={scale(d.part)} className="part" />}
+          </g>
+        ))}
+      </svg>
+      <figcaption>
+        <span>{data[0]?.label}</span>
+        <span>max {format(max)}</span>
+        <span>{data.at(-1)?.label}</span>
+      </figcaption>
+    </figure>
+  )
+}
+
+export default BarChart
@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react'
+import Markdown from "react-markdown"
+import rehypeHighlight from "rehype-highlight";
+import { startChat, sendChatMessage, listChats, getChat } from '../api/chat'
+import { describeError } from '../utils/errors'
+
+// Follow-up questions about the review above it. The first question starts a
+// thread on the server; later ones continue it. For a review opened from
+// history (`historyId`), the latest thread about it is loaded back.
+// Mount it with a `key` that changes with the review, so a new review starts
+// a new conversation.
+function ChatBox({ code, review, language, settings, historyId }) {
+  const [ sessionId, setSessionId ] = useState(null)
+  const [ messages, setMessages ] = useState([])
+  const [ input, setInput ] = useState('')
+  const [ sending, setSending ] = useState(false)
+  const [ error, setError ] = useState('')
+
+  useEffect(() => {
+    if (!historyId) return
+    let cancelled = false
+    listChats({ historyId })
+      .then(threads => threads[0] && getChat(threads[0].sessionId))
+      .then(thread => {
+        if (cancelled || !thread) return
+        setSessionId(thread.sessionId)
+        setMessages(thread.messages)
+      })
+      .catch(err => console.error('Failed to load the conversation:', err))
+    return () => { cancelled = true }
+  }, [ historyId ])
+
+  async function send(event) {
+    event.preventDefault()
+    const message = input.trim()
+    if (!message || sending) return
+
+    setSending(true)
+    setError('')
+    setMessages(prev => [ ...prev, { role: 'user', content: message } ])
+    setInput('')
+    try {
+      const result = sessionId
+        ? await sendChatMessage(sessionId, message)
+        : await startChat({ code, review, message, historyId: historyId ?? undefined, language, ...settings })
+      setSessionId(result.sessionId)
+      setMessages(prev => [ ...prev, result.reply ])
+    } catch (err) {
+      console.error('Chat message failed:', err)
+      // Give the question back so it can be sent again.
+      setMessages(prev => prev.slice(0, -1))
+      setInput(message)
+      setError(describeError(err))
+    } finally {
+      setSending(false)
+    }
+  }
+
+  function onKeyDown(event) {
+    // Enter sends; Shift+Enter starts a new line.
+    if (event.key === 'Enter' && !event.shiftKey) send(event)
+  }
+
+  return (
+    <section className="chat">
+      <h3>💬 Ask about this review</h3>
+      {messages.map((message, i) => (
+        <div key={i} className={`message ${message.role}`}>
+          <Markdown rehypePlugins={[ rehypeHighlight ]}>{message.content}</Markdown>
+        </div>
+      ))}
+      {sending && <p className="note">Thinking...</p>}
+      {error && <p className="error">{error}</p>}
+      <form onSubmit={send}>
+        <textarea
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          onKeyDown={onKeyDown}
+          placeholder='e.g. "Why is this critical?" or "Show me the version without bcrypt"'
+          rows={2} />
+        <button type="submit" disabled={sending || !input.trim()}>Send</button>
+      </form>
+    </section>
+  )
+}
+
+export default ChatBox
@@ -0,0 +1,113 @@
+import { useState, useLayoutEffect, useImperativeHandle, useRef } from 'react'
+import Editor from "react-simple-code-editor"
+import { highlightLines } from '../utils/language'
+import { SEVERITY_RANK } from '../utils/findings'
+
+const editorStyle = {
+  fontFamily: '"Fira code", "Fira Mono", monospace',
+  fontSize: 16,
+  border: "1px solid #ddd",
+  borderRadius: "5px",
+  minHeight: "100%",
+  width: "100%"
+}
+
+// The snippet editor, with the review's findings drawn on it: a gutter marker
+// per annotated line, coloured by its most severe finding and listing them on
+// hover, and a band behind each finding's lines. `annotations` are findings with
+// `lineStart` / `lineEnd` (see utils/findings). The `ref` gets selectLines(start, end).
+// `readOnly` editors need no `onValueChange`.
+function CodeEditor({ value, onValueChange = () => {}, language, annotations, readOnly = false, ref }) {
+  const areaRef = useRef(null)
+  // Where each line is drawn, by line number: { top, bottom } in pixels.
+  const [ positions, setPositions ] = useState({})
+  const [ width, setWidth ] = useState(0)
+
+  // Lines move when the text wraps differently.
+  useLayoutEffect(() => {
+    const observer = new ResizeObserver(([ entry ]) => setWidth(entry.contentRect.width))
+    observer.observe(areaRef.current)
+    return () => observer.disconnect()
+  }, [])
+
+  useLayoutEffect(() => {
+    const area = areaRef.current
+    const origin = area.getBoundingClientRect().top
+    const next = {}
+    for (const f of annotations) {
+      for (const n of [ f.lineStart, f.lineEnd ]) {
+        if (next[n]) continue
+        const rects = area.querySelector(`pre [data-line="${n}"]`)?.getClientRects()
+        if (!rects?.length) continue
+        next[n] = { top: rects[0].top - origin, bottom: rects[rects.length - 1].bottom - origin }
+      }
+    }
+    setPositions(next)
+  }, [ value, annotations, width ])
+
+  // Selects the lines in the textarea and scrolls them into view.
+  function selectLines(start, end = start) {
+    const lines = value.split('\n')
+    const from = lines.slice(0, start - 1).reduce((sum, line) => sum + line.length + 1, 0)
+    const to = from + lines.slice(start - 1, end).join('\n').length
+    const textarea = areaRef.current.querySelector('textarea')
+    textarea.focus({ preventScroll: true })
+    textarea.setSelectionRange(from, to)
+    areaRef.current.querySelector(`pre [data-line="${start}"]`)?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }
+
+  useImperativeHandle(ref, () => ({ selectLines }))
+
+  // One marker per first line, most severe finding first.
+  const markers = new Map()
+  for (const f of annotations.toSorted((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity])) {
+    if (!positions[f.lineStart]) continue
+    markers.set(f.lineStart, [ ...(markers.get(f.lineStart) ?? []), f ])
+  }
+
+  return (
+    <div className="annotated">
+      <div className="gutter">
+        {[ ...markers.values() ].map(group => (
+          <button
+            key={group[0].lineStart}
+            className={`marker ${group[0].severity}`}
+            style={{ top: positions[group[0].lineStart].top }}
+            onClick={() => selectLines(group[0].lineStart, group[0].lineEnd)}
+            aria-label={`${group.length} finding${group.length === 1 ? '' : 's'} on line ${group[0].lineStart}`}>
+            <span className="tip" role="tooltip">
+              {group.map((f, i) => (
+                <span key={i} className="entry">
+                  <span className={`badge ${f.severity}`}>{f.severity}</span>
+                  <strong>{f.title || f.category}</strong>
+                  <span className="where">
+                    {f.tool ? `${f.tool}/${f.ruleId}` : f.ruleId ? `${f.category} · rule ${f.ruleId}` : f.category} · {f.lineEnd > f.lineStart ? `lines ${f.lineStart}–${f.lineEnd}` : `line ${f.lineStart}`}
+                  </span>
+                  {f.message}
+                </span>
+              ))}
+            </span>
+          </button>
+        ))}
+      </div>
+      <div className="area" ref={areaRef}>
+        {annotations.filter(f => positions[f.lineStart] && positions[f.lineEnd]).map((f, i) => (
+          <div
+            key={i}
+            className={`band ${f.severity}`}
+            style={{ top: positions[f.lineStart].top, height: positions[f.lineEnd].bottom - positions[f.lineStart].top }} />
+        ))}
+        <Editor
+          value={value}
+          onValueChange={onValueChange}
+          highlight={code => highlightLines(code, language)}
+          padding={10}
+          readOnly={readOnly}
+          style={editorStyle}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default CodeEditor
@@ -0,0 +1,51 @@
+// Which models raised each issue of a consensus review: one row per merged
+// finding, one column per model, and how many of the models agreed. `models`
+// is the review's `consensus.models`. With `onSelect`, clicking a finding calls
+// it with the finding's lines.
+function ConsensusPanel({ findings, models, onSelect }) {
+  const answered = models.filter(m => m.status === 'succeeded')
+  const failed = models.filter(m => m.status === 'failed')
+
+  return (
+    <section className="analysis consensus">
+      <h3>🤝 Model agreement</h3>
+      {failed.map(m => (
+        <p key={m.id} className="note">{m.model} did not answer: {m.error?.error ?? 'review failed'}</p>
+      ))}
+      {findings?.length ? (
+        <table>
+          <thead>
+            <tr>
+              <th>Issue</th>
+              {answered.map(m => <th key={m.id} title={m.id}>{m.model}</th>)}
+              <th>Agreement</th>
+            </tr>
+          </thead>
+          <tbody>
+            {findings.map((f, i) => (
+              <tr
+                key={i}
+                className={onSelect && f.lineStart ? 'located' : undefined}
+                onClick={onSelect && f.lineStart ? () => onSelect(f.lineStart, f.lineEnd) : undefined}>
+                <td>
+                  <span className={`badge ${f.severity}`}>{f.severity}</span>
+                  <strong>{f.title || f.category}</strong>
+                  {f.lineStart && <span className="where">{f.lineEnd > f.lineStart ? `lines ${f.lineStart}–${f.lineEnd}` : `line ${f.lineStart}`}</span>}
+                </td>
+                {answered.map(m => (
+                  <td key={m.id} className="vote">{f.models?.includes(m.id) ? '✓' : ''}</td>
+                ))}
+                <td className="confidence">
+                  <span className="bar"><i style={{ width: `${(f.confidence ?? 0) * 100}%` }} /></span>
+                  {f.models?.length ?? 0}/{answered.length}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : <p className="note">No model found any issue.</p>}
+    </section>
+  )
+}
+
+export default ConsensusPanel
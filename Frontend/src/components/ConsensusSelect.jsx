@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react'
+import { listConsensusModels } from '../api/review'
+
+// Picks the models of a consensus review among those the backend has
+// configured. `value` is the picked ids; fewer than two means a normal,
+// single-model review. Hidden when the backend has fewer than two models.
+function ConsensusSelect({ value, onChange }) {
+  const [ models, setModels ] = useState([])
+
+  useEffect(() => {
+    listConsensusModels()
+      .then(setModels)
+      .catch(err => console.error('Failed to load consensus models:', err))
+  }, [])
+
+  if (models.length < 2) return null
+
+  function toggle(id) {
+    onChange(value.includes(id) ? value.filter(v => v !== id) : [ ...value, id ])
+  }
+
+  return (
+    <details className="consensus-select">
+      <summary>{value.length >= 2 ? `Consensus · ${value.length} models` : 'Single model'}</summary>
+      <div>
+        <p className="note">Pick two or more models to review with all of them and merge their findings.</p>
+        {models.map(model => (
+          <label key={model.id}>
+            <input type="checkbox" checked={value.includes(model.id)} onChange={() => toggle(model.id)} />
+            {model.model} <span className="note">({model.provider})</span>
+          </label>
+        ))}
+      </div>
+    </details>
+  )
+}
+
+export default ConsensusSelect
@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import Editor from "react-simple-code-editor"
+import prism from "prismjs"
+import "prismjs/components/prism-diff"
+import Markdown from "react-markdown"
+import { createTwoFilesPatch } from 'diff'
+import DiffView from './DiffView'
+import ExportMenu from './ExportMenu'
+import { reviewDiff } from '../api/review'
+import { detectLanguage, highlight, languageFromPath } from '../utils/language'
+import { describeError } from '../utils/errors'
+
+const editorStyle = {
+  fontFamily: '"Fira code", "Fira Mono", monospace',
+  fontSize: 14,
+  height: "100%",
+  width: "100%"
+}
+
+// Pull-request style review: paste a unified diff or edit a before/after pair,
+// and see the model's comments inline next to the changed lines.
+function DiffReview({ settings }) {
+  const [ input, setInput ] = useState('pair')
+  const [ path, setPath ] = useState('sum.js')
+  const [ before, setBefore ] = useState(`function sum() {\n  return 1 + 1\n}\n`)
+  const [ after, setAfter ] = useState(`function sum(a, b) {\n  return a + b\n}\n`)
+  const [ diff, setDiff ] = useState('')
+  const [ result, setResult ] = useState(null)
+  // The reviewed change and the review's Markdown, for exports.
+  const [ source, setSource ] = useState(null)
+  const [ error, setError ] = useState('')
+  const [ loading, setLoading ] = useState(false)
+
+  const language = languageFromPath(path) ?? detectLanguage(after)
+  const highlightPair = code => highlight(code, language)
+
+  async function runReview() {
+    if (loading) return
+    try {
+      setLoading(true)
+      setError('')
+      const data = await reviewDiff({ ...(input === 'diff' ? { diff } : { before, after, path }), ...settings })
+      setResult(data.diff)
+      const patch = input === 'diff' ? diff : createTwoFilesPatch(`a/${path}`, `b/${path}`, before, after)
+      setSource({ kind: 'diff', code: patch, response: data.response, review: data.diff })
+    } catch (err) {
+      console.error('Failed to fetch diff review:', err)
+      setResult(null)
+      setSource(null)
+      setError(`**Error:** ${describeError(err)}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <main className="diff">
+      <div className="left">
+        <nav className="tabs">
+          <button className={input === 'pair' ? 'active' : ''} onClick={() => setInput('pair')}>Before / After</button>
+          <button className={input === 'diff' ? 'active' : ''} onClick={() => setInput('diff')}>Unified diff</button>
+          {input === 'pair' && <input className="path" value={path} onChange={e => setPath(e.target.value)} placeholder="file path" />}
+        </nav>
+        {input === 'pair' ? (
+          <div className="pair">
+            <div className="code"><Editor value={before} onValueChange={setBefore} highlight={highlightPair} padding={10} style={editorStyle} /></div>
+            <div className="code"><Editor value={after} onValueChange={setAfter} highlight={highlightPair} padding={10} style={editorStyle} /></div>
+          </div>
+        ) : (
+          <div className="code">
+            <Editor
+              value={diff}
+              onValueChange={setDiff}
+              highlight={code => prism.highlight(code, prism.languages.diff, "diff")}
+              placeholder="Paste the output of git diff here"
+              padding={10}
+              style={editorStyle} />
+          </div>
+        )}
+        <div className="actions">
+          <div onClick={runReview} className="review">{loading ? 'Reviewing...' : 'Review changes'}</div>
+        </div>
+      </div>
+
+      <div className="right">
+        {error && <Markdown>{error}</Markdown>}
+        {result?.files.length > 0 && source && !loading && <ExportMenu source={source} />}
+        {result && (result.files.length ? <DiffView files={result.files} /> : <p>No added or modified lines to review.</p>)}
+      </div>
+    </main>
+  )
+}
+
+export default DiffReview
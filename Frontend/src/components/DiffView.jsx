@@ -0,0 +1,102 @@
+import Markdown from "react-markdown"
+import rehypeHighlight from "rehype-highlight";
+
+// Pairs a hunk's lines into side-by-side rows: context lines sit on both sides,
+// and a run of removed lines is lined up against the added lines that follow it.
+function toRows(hunk) {
+  const rows = []
+  let dels = []
+  let adds = []
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(dels.length, adds.length); i++) {
+      rows.push({ left: dels[i], right: adds[i] })
+    }
+    dels = []
+    adds = []
+  }
+
+  for (const line of hunk.lines) {
+    if (line.type === 'del') {
+      if (adds.length) flush()
+      dels.push(line)
+    } else if (line.type === 'add') {
+      adds.push(line)
+    } else {
+      flush()
+      rows.push({ left: line, right: line })
+    }
+  }
+  flush()
+  return rows
+}
+
+function Cell({ line, number }) {
+  return (
+    <>
+      <td className="line-number">{line ? number : ''}</td>
+      <td className={`line ${line?.type ?? 'empty'}`}><pre>{line?.content ?? ''}</pre></td>
+    </>
+  )
+}
+
+function Comment({ finding }) {
+  return (
+    <tr className="diff-comment">
+      <td colSpan={4}>
+        <div className={`comment ${finding.severity}`}>
+          <strong>{finding.title || finding.category}</strong>
+          <span className="tag">{finding.severity} · {finding.category} · line {finding.lineStart}{finding.lineEnd !== finding.lineStart ? `-${finding.lineEnd}` : ''}</span>
+          <Markdown rehypePlugins={[ rehypeHighlight ]}>{finding.message}</Markdown>
+          {finding.suggestedFix && <Markdown rehypePlugins={[ rehypeHighlight ]}>{`**Fix:** ${finding.suggestedFix}`}</Markdown>}
+        </div>
+      </td>
+    </tr>
+  )
+}
+
+// Side-by-side view of a reviewed diff. Each finding is rendered right under the
+// row holding the last new-file line it refers to.
+function DiffView({ files }) {
+  return files.map(file => {
+    const findings = file.review?.findings ?? []
+    return (
+      <section key={file.path} className="diff-file">
+        <h3>{file.oldPath && file.oldPath !== file.path ? `${file.oldPath} → ${file.path}` : file.path}</h3>
+        {file.error && <p className="error">⚠️ Review failed: {file.error}</p>}
+        <table className="diff-table">
+          <tbody>
+            {file.hunks.map((hunk, h) => (
+              <HunkRows key={h} hunk={hunk} findings={findings} />
+            ))}
+          </tbody>
+        </table>
+        {file.review?.summary && <p className="summary">{file.review.summary}</p>}
+      </section>
+    )
+  })
+}
+
+function HunkRows({ hunk, findings }) {
+  const rows = toRows(hunk)
+  return (
+    <>
+      <tr className="hunk-header">
+        <td colSpan={4}>@@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@</td>
+      </tr>
+      {rows.map((row, i) => {
+        const newLine = row.right?.newLine
+        const anchored = newLine ? findings.filter(f => f.lineEnd === newLine) : []
+        return [
+          <tr key={`r${i}`}>
+            <Cell line={row.left} number={row.left?.oldLine} />
+            <Cell line={row.right} number={row.right?.newLine} />
+          </tr>,
+          ...anchored.map((finding, j) => <Comment key={`c${i}-${j}`} finding={finding} />)
+        ]
+      })}
+    </>
+  )
+}
+
+export default DiffView
@@ -0,0 +1,75 @@
+import { useState } from 'react'
+import { EXPORT_FORMATS, exportReview } from '../api/export'
+import { describeError } from '../utils/errors'
+
+// Object URLs are released once the browser has had time to use them.
+const URL_LIFETIME_MS = 60_000
+
+function releaseLater(url) {
+  setTimeout(() => URL.revokeObjectURL(url), URL_LIFETIME_MS)
+}
+
+// Buttons that download the review on screen as SARIF, JUnit XML or Markdown,
+// or open it as a print-styled report to save as PDF. `source` is what
+// api/export.js sends.
+function ExportMenu({ source }) {
+  const [ busy, setBusy ] = useState(null)
+  const [ error, setError ] = useState('')
+
+  async function download(format) {
+    setBusy(format)
+    setError('')
+    try {
+      const { blob, filename } = await exportReview(format, source)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      releaseLater(url)
+    } catch (err) {
+      console.error('Export failed:', err)
+      setError(describeError(err))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  async function openReport() {
+    // Opened before the request, while it still counts as the click's own
+    // window, so popup blockers let it through.
+    const report = window.open('', '_blank')
+    setBusy('pdf')
+    setError('')
+    try {
+      const { blob } = await exportReview('html', source, { print: true })
+      const url = URL.createObjectURL(blob)
+      if (report) report.location = url
+      else window.open(url, '_blank')
+      releaseLater(url)
+    } catch (err) {
+      console.error('Export failed:', err)
+      report?.close()
+      setError(describeError(err))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <div className="export">
+      <span>Export:</span>
+      {EXPORT_FORMATS.map(format => (
+        <button key={format.id} title={format.title} disabled={busy !== null} onClick={() => download(format.id)}>
+          {busy === format.id ? '...' : format.label}
+        </button>
+      ))}
+      <button title="A print-styled report with the code, to save as PDF" disabled={busy !== null} onClick={openReport}>
+        {busy === 'pdf' ? '...' : 'PDF'}
+      </button>
+      {error && <span className="error">{error}</span>}
+    </div>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,53 @@
+// Builds a nested { dirs, files } tree out of flat "a/b/c.js" paths.
+function buildTree(paths) {
+  const root = { dirs: {}, files: [] }
+  for (const path of paths) {
+    const segments = path.split('/')
+    let node = root
+    for (const dir of segments.slice(0, -1)) {
+      node.dirs[dir] ??= { dirs: {}, files: [] }
+      node = node.dirs[dir]
+    }
+    node.files.push({ name: segments.at(-1), path })
+  }
+  return root
+}
+
+function TreeNode({ node, depth, activePath, onSelect, badges }) {
+  const indent = { paddingLeft: `${depth * 0.8 + 0.5}rem` }
+  return (
+    <>
+      {Object.entries(node.dirs).sort(([ a ], [ b ]) => a.localeCompare(b)).map(([ name, child ]) => (
+        <li key={name}>
+          <div className="dir" style={indent}>📁 {name}</div>
+          <ul>
+            <TreeNode node={child} depth={depth + 1} activePath={activePath} onSelect={onSelect} badges={badges} />
+          </ul>
+        </li>
+      ))}
+      {node.files.sort((a, b) => a.name.localeCompare(b.name)).map(file => (
+        <li key={file.path}>
+          <div
+            className={`file ${file.path === activePath ? 'active' : ''}`}
+            style={indent}
+            onClick={() => onSelect(file.path)}>
+            📄 {file.name}
+            {badges?.[file.path] && <span className={`badge ${badges[file.path].severity}`}>{badges[file.path].count}</span>}
+          </div>
+        </li>
+      ))}
+    </>
+  )
+}
+
+// Sidebar listing project files as a directory tree. `badges` maps a path to
+// { count, severity } to show how many findings a file has.
+function FileTree({ paths, activePath, onSelect, badges }) {
+  return (
+    <ul className="file-tree">
+      <TreeNode node={buildTree(paths)} depth={0} activePath={activePath} onSelect={onSelect} badges={badges} />
+    </ul>
+  )
+}
+
+export default FileTree
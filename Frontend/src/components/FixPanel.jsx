@@ -0,0 +1,62 @@
+import { useMemo, useState } from 'react'
+import { toHunks, applyHunks, splitLines } from '../utils/hunks'
+
+function Lines({ text, type }) {
+  if (!text) return null
+  const prefix = { add: '+ ', del: '- ', context: '  ' }[type]
+  return splitLines(text).map((line, i) => <div key={i} className={`line ${type}`}>{prefix}{line}</div>)
+}
+
+// Diff between the editor buffer and the review's refactored code. Hunks can be
+// accepted one at a time or together with "Apply all", which skips the ones
+// rejected here. Every change goes through `onApply(newCode)` so the parent
+// keeps the undo stack; the diff follows the buffer, so accepted hunks drop out.
+function FixPanel({ code, refactored, onApply, onUndo, canUndo, onReviewAgain, reviewing }) {
+  const [ rejected, setRejected ] = useState(() => new Set())
+  const diff = useMemo(() => toHunks(code, refactored.code), [ code, refactored.code ])
+  const pending = diff.hunks.filter(hunk => !rejected.has(hunk.id))
+
+  function toggleRejected(hunk) {
+    setRejected(prev => {
+      const next = new Set(prev)
+      if (next.has(hunk.id)) next.delete(hunk.id)
+      else next.add(hunk.id)
+      return next
+    })
+  }
+
+  return (
+    <section className="fix">
+      <div className="fix-actions">
+        <button disabled={!pending.length} onClick={() => onApply(applyHunks(diff, hunk => !rejected.has(hunk.id)))}>
+          Apply all ({pending.length})
+        </button>
+        <button disabled={!canUndo} onClick={onUndo}>Undo</button>
+        <button disabled={!canUndo || reviewing} onClick={onReviewAgain} title="Review the code with the applied fixes">
+          Review again
+        </button>
+      </div>
+      {diff.hunks.length === 0 && <p className="note">The editor already matches the refactored code.</p>}
+      {diff.hunks.map(hunk => {
+        const isRejected = rejected.has(hunk.id)
+        return (
+          <div key={hunk.id} className={`hunk ${isRejected ? 'rejected' : ''}`}>
+            <div className="hunk-header">
+              <span>Line {hunk.line}</span>
+              <button disabled={isRejected} onClick={() => onApply(applyHunks(diff, h => h === hunk))}>Accept</button>
+              <button onClick={() => toggleRejected(hunk)}>{isRejected ? 'Restore' : 'Reject'}</button>
+            </div>
+            <pre>
+              <Lines text={hunk.before.join('\n')} type="context" />
+              <Lines text={hunk.removed} type="del" />
+              <Lines text={hunk.added} type="add" />
+              <Lines text={hunk.after.join('\n')} type="context" />
+            </pre>
+          </div>
+        )
+      })}
+    </section>
+  )
+}
+
+export default FixPanel
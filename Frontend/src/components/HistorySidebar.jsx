@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react'
+import { listHistory, getHistoryReview, deleteHistoryReview } from '../api/history'
+import { languageLabel } from '../utils/language'
+
+// Diffs and projects aren't in one language; snippets show theirs.
+const KIND_LABELS = { diff: 'Diff', project: 'Project' }
+
+// Past reviews with search. `version` changes whenever a new review is saved, so
+// the list reloads; `onOpen` receives the full review to load into the panels.
+function HistorySidebar({ version, onOpen }) {
+  const [ query, setQuery ] = useState('')
+  const [ reviews, setReviews ] = useState([])
+  const [ error, setError ] = useState('')
+
+  useEffect(() => {
+    // Wait for a pause in typing before searching.
+    const timer = setTimeout(() => {
+      listHistory(query.trim() ? { q: query.trim() } : {})
+        .then(list => { setReviews(list); setError('') })
+        .catch(err => setError(err.response?.data?.error ?? 'Could not load history'))
+    }, 250)
+    return () => clearTimeout(timer)
+  }, [ query, version ])
+
+  async function open(id) {
+    try {
+      onOpen(await getHistoryReview(id))
+    } catch (err) {
+      console.error('Failed to open review:', err)
+    }
+  }
+
+  async function remove(event, id) {
+    event.stopPropagation()
+    try {
+      await deleteHistoryReview(id)
+      setReviews(prev => prev.filter(r => r.id !== id))
+    } catch (err) {
+      console.error('Failed to delete review:', err)
+    }
+  }
+
+  return (
+    <aside className="history">
+      <input type="search" placeholder="Search history" value={query} onChange={e => setQuery(e.target.value)} />
+      {error && <p className="empty">{error}</p>}
+      {!error && reviews.length === 0 && <p className="empty">No reviews yet.</p>}
+      <ul>
+        {reviews.map(review => (
+          <li key={review.id} onClick={() => open(review.id)} title={review.preview}>
+            <code>{review.preview || '(empty)'}</code>
+            <span className="meta">
+              {KIND_LABELS[review.kind] ?? languageLabel(review.language) ?? 'Auto'}
+              {' · '}{new Date(review.createdAt).toLocaleString()}
+            </span>
+            <button onClick={e => remove(e, review.id)} title="Delete">×</button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  )
+}
+
+export default HistorySidebar
@@ -0,0 +1,15 @@
+import { LANGUAGES, languageLabel } from '../utils/language'
+
+// Dropdown with an "Auto" entry that shows which language was detected.
+function LanguageSelect({ value, detected, onChange }) {
+  return (
+    <select className="language-select" value={value} onChange={e => onChange(e.target.value)}>
+      <option value="auto">Auto{detected ? ` (${languageLabel(detected)})` : ''}</option>
+      {LANGUAGES.map(language => (
+        <option key={language.id} value={language.id}>{language.label}</option>
+      ))}
+    </select>
+  )
+}
+
+export default LanguageSelect
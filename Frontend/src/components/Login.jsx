@@ -0,0 +1,40 @@
+import { useState } from 'react'
+import { login, signup } from '../api/auth'
+
+// Sign-in form, switchable to sign-up. The session is stored by the auth API, and
+// App swaps this screen out once it changes.
+function Login() {
+  const [ creating, setCreating ] = useState(false)
+  const [ email, setEmail ] = useState('')
+  const [ password, setPassword ] = useState('')
+  const [ error, setError ] = useState('')
+  const [ loading, setLoading ] = useState(false)
+
+  async function submit(event) {
+    event.preventDefault()
+    setError('')
+    setLoading(true)
+    try {
+      if (creating) await signup(email, password)
+      else await login(email, password)
+    } catch (err) {
+      setError(err.response?.data?.error ?? 'Could not reach the server.')
+      setLoading(false)
+    }
+  }
+
+  return (
+    <form className="login" onSubmit={submit}>
+      <h1>{creating ? 'Create an account' : 'Sign in'}</h1>
+      <input type="email" placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} required autoFocus />
+      <input type="password" placeholder="Password" value={password} onChange={e => setPassword(e.target.value)} required minLength={creating ? 8 : undefined} />
+      {error && <p className="error">{error}</p>}
+      <button type="submit" disabled={loading}>{creating ? 'Sign up' : 'Sign in'}</button>
+      <button type="button" className="switch" onClick={() => { setCreating(!creating); setError('') }}>
+        {creating ? 'Already have an account? Sign in' : 'No account yet? Sign up'}
+      </button>
+    </form>
+  )
+}
+
+export default Login
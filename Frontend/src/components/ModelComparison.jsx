@@ -0,0 +1,23 @@
+import Markdown from "react-markdown"
+import rehypeHighlight from "rehype-highlight"
+
+// Every model's own review of a consensus review, side by side. `models` is the
+// review's `consensus.models`.
+function ModelComparison({ models }) {
+  return (
+    <div className="comparison">
+      {models.map(m => (
+        <section key={m.id}>
+          <h3>
+            {m.model} <span className="note">{m.provider} · {(m.latencyMs / 1000).toFixed(1)} s{m.cache === 'hit' ? ' · cached' : ''}</span>
+          </h3>
+          {m.status === 'succeeded'
+            ? <Markdown rehypePlugins={[ rehypeHighlight ]}>{m.response}</Markdown>
+            : <p className="error">{m.error?.error ?? 'Review failed'}</p>}
+        </section>
+      ))}
+    </div>
+  )
+}
+
+export default ModelComparison
@@ -0,0 +1,157 @@
+import { useState } from 'react'
+import Editor from "react-simple-code-editor"
+import Markdown from "react-markdown"
+import rehypeHighlight from "rehype-highlight";
+import FileTree from './FileTree'
+import AnalysisPanel from './AnalysisPanel'
+import { reviewProject, reviewProjectArchive } from '../api/review'
+import { detectLanguage, highlight, languageFromPath } from '../utils/language'
+import { describeError } from '../utils/errors'
+
+const OVERVIEW = '__overview__'
+
+// Highest severity first, used to colour a file's badge in the tree. Counts the
+// model's findings and the static analysis alike.
+function findingBadges(report) {
+  const badges = {}
+  for (const file of report?.files ?? []) {
+    const findings = [ ...(file.review?.findings ?? []), ...(file.analysis?.findings ?? []) ]
+    if (!findings.length) continue
+    const severity = [ 'critical', 'warning', 'suggestion' ].find(s => findings.some(f => f.severity === s))
+    badges[file.path] = { count: findings.length, severity }
+  }
+  return badges
+}
+
+function ProjectReview({ settings }) {
+  const [ files, setFiles ] = useState([
+    { path: 'src/math.js', content: `export function sum(a, b) {\n  return a + b\n}` },
+    { path: 'src/index.js', content: `import { sum } from './math'\n\nconsole.log(sum(1, 2))` }
+  ])
+  const [ activePath, setActivePath ] = useState('src/math.js')
+  const [ activeTab, setActiveTab ] = useState(OVERVIEW)
+  const [ newPath, setNewPath ] = useState('')
+  const [ report, setReport ] = useState(null)
+  const [ overview, setOverview ] = useState('')
+  const [ loading, setLoading ] = useState(false)
+
+  const activeFile = files.find(f => f.path === activePath)
+
+  function selectFile(path) {
+    setActivePath(path)
+    if (report?.files.some(f => f.path === path)) setActiveTab(path)
+  }
+
+  function updateActiveFile(content) {
+    setFiles(prev => prev.map(f => f.path === activePath ? { ...f, content } : f))
+  }
+
+  function addFile(event) {
+    event.preventDefault()
+    const path = newPath.trim().replace(/^\.?\/+/, '')
+    if (!path || files.some(f => f.path === path)) return
+    setFiles(prev => [ ...prev, { path, content: '' } ])
+    setActivePath(path)
+    setNewPath('')
+  }
+
+  function removeActiveFile() {
+    const remaining = files.filter(f => f.path !== activePath)
+    setFiles(remaining)
+    setActivePath(remaining[0]?.path ?? null)
+  }
+
+  async function runReview(request) {
+    try {
+      setLoading(true)
+      const data = await request()
+      if (data.files) {
+        setFiles(data.files)
+        setActivePath(data.files[0]?.path ?? null)
+      }
+      setReport(data.project)
+      setOverview(data.response)
+      setActiveTab(OVERVIEW)
+    } catch (err) {
+      console.error('Failed to fetch project review:', err)
+      setReport(null)
+      setOverview(`**Error:** ${describeError(err)}`)
+      setActiveTab(OVERVIEW)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  function uploadArchive(event) {
+    const archive = event.target.files?.[0]
+    event.target.value = ''
+    if (archive) runReview(() => reviewProjectArchive(archive, settings))
+  }
+
+  const tabFile = report?.files.find(f => f.path === activeTab)
+
+  return (
+    <main className="project">
+      <div className="left">
+        <aside className="sidebar">
+          <FileTree
+            paths={files.map(f => f.path)}
+            activePath={activePath}
+            onSelect={selectFile}
+            badges={findingBadges(report)} />
+          <form className="add-file" onSubmit={addFile}>
+            <input value={newPath} onChange={e => setNewPath(e.target.value)} placeholder="path/to/file.js" />
+          </form>
+          <label className="upload">
+            Upload .zip / .tar.gz
+            <input type="file" accept=".zip,.tar,.tgz,.gz" onChange={uploadArchive} hidden />
+          </label>
+        </aside>
+        <div className="code">
+          {activeFile ? (
+            <Editor
+              value={activeFile.content}
+              onValueChange={updateActiveFile}
+              highlight={code => highlight(code, languageFromPath(activeFile.path) ?? detectLanguage(code))}
+              padding={10}
+              style={{
+                fontFamily: '"Fira code", "Fira Mono", monospace',
+                fontSize: 16,
+                height: "100%",
+                width: "100%"
+              }}
+            />
+          ) : <p className="empty">Add a file or upload an archive.</p>}
+        </div>
+        <div className="actions">
+          {activeFile && <div onClick={removeActiveFile} className="cancel">Remove file</div>}
+          <div
+            onClick={() => !loading && files.length && runReview(() => reviewProject(files, settings))}
+            className="review">{loading ? 'Reviewing...' : 'Review project'}</div>
+        </div>
+      </div>
+
+      <div className="right">
+        {report && (
+          <nav className="tabs">
+            <button className={activeTab === OVERVIEW ? 'active' : ''} onClick={() => setActiveTab(OVERVIEW)}>Overview</button>
+            {report.files.map(file => (
+              <button
+                key={file.path}
+                className={activeTab === file.path ? 'active' : ''}
+                onClick={() => { setActiveTab(file.path); setActivePath(file.path) }}>
+                {file.path.split('/').at(-1)}
+              </button>
+            ))}
+          </nav>
+        )}
+        {tabFile && <AnalysisPanel analysis={tabFile.analysis} />}
+        <Markdown rehypePlugins={[ rehypeHighlight ]}>
+          {tabFile ? (tabFile.error ? `⚠️ Review failed: ${tabFile.error}` : `## \`${tabFile.path}\`\n\n${tabFile.markdown}`) : overview}
+        </Markdown>
+      </div>
+    </main>
+  )
+}
+
+export default ProjectReview
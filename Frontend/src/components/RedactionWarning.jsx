@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react'
+import { previewRedactions } from '../api/review'
+
+// How long the code has to stay unchanged before it is checked again.
+const CHECK_DELAY_MS = 600
+
+// Warns, before the code is submitted, about secrets and personal data the
+// backend will swap for placeholders on the way to the model. The check runs on
+// our own backend; nothing reaches the model. With `onSelect`, clicking a line
+// number selects that line in the editor.
+function RedactionWarning({ code, onSelect }) {
+  const [ redactions, setRedactions ] = useState([])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      previewRedactions(code, controller.signal)
+        .then(setRedactions)
+        // The backend redacts either way; the warning is only a heads-up.
+        .catch(err => !controller.signal.aborted && console.error('Failed to check for secrets:', err))
+    }, CHECK_DELAY_MS)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [ code ])
+
+  if (!redactions.length) return null
+
+  const secrets = redactions.filter(r => r.kind === 'secret').length
+  const personal = redactions.length - secrets
+  const summary = [
+    secrets && `${secrets} secret${secrets === 1 ? '' : 's'}`,
+    personal && `${personal} piece${personal === 1 ? '' : 's'} of personal data`
+  ].filter(Boolean).join(' and ')
+
+  return (
+    <details className="redaction-warning">
+      <summary>⚠️ This code contains {summary}. They will be replaced with placeholders before review and put back in the answer.</summary>
+      <ul>
+        {redactions.map((r, i) => (
+          <li key={i}>
+            {r.label} on{' '}
+            {onSelect ? <button onClick={() => onSelect(r.line, r.line)}>line {r.line}</button> : `line ${r.line}`}
+            {' '}→ <code>{r.placeholder}</code>
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
+
+export default RedactionWarning
@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react'
+import { listPresets, createPreset, deletePreset } from '../api/presets'
+import { listRuleSets } from '../api/ruleSets'
+import { FOCUS_AREAS, STRICTNESS_LEVELS } from '../utils/reviewSettings'
+
+// Focus toggles, strictness level, the team rule sets to enforce and the
+// team's saved presets.
+function ReviewSettings({ settings, onChange }) {
+  const [ presets, setPresets ] = useState([])
+  const [ presetId, setPresetId ] = useState('')
+  const [ ruleSets, setRuleSets ] = useState([])
+
+  useEffect(() => {
+    listPresets()
+      .then(setPresets)
+      .catch(err => console.error('Failed to load presets:', err))
+  }, [])
+
+  function toggleFocus(id) {
+    const focus = settings.focus.includes(id)
+      ? settings.focus.filter(f => f !== id)
+      : [ ...settings.focus, id ]
+    // A review needs at least one area.
+    if (focus.length) onChange({ ...settings, focus })
+    setPresetId('')
+  }
+
+  function applyPreset(id) {
+    setPresetId(id)
+    const preset = presets.find(p => p.id === id)
+    if (preset) onChange({ ...settings, focus: preset.focus, strictness: preset.strictness })
+  }
+
+  // Rule sets are edited on their own page, so the list is refreshed on every open.
+  function loadRuleSets(event) {
+    if (!event.currentTarget.open) return
+    listRuleSets()
+      .then(sets => {
+        setRuleSets(sets)
+        // Forget selected sets that were deleted meanwhile.
+        const ids = settings.ruleSets.filter(id => sets.some(set => set.id === id))
+        if (ids.length !== settings.ruleSets.length) onChange({ ...settings, ruleSets: ids })
+      })
+      .catch(err => console.error('Failed to load rule sets:', err))
+  }
+
+  function toggleRuleSet(id) {
+    const ids = settings.ruleSets.includes(id)
+      ? settings.ruleSets.filter(r => r !== id)
+      : [ ...settings.ruleSets, id ]
+    onChange({ ...settings, ruleSets: ids })
+  }
+
+  async function savePreset() {
+    const name = window.prompt('Preset name')
+    if (!name?.trim()) return
+    try {
+      const preset = await createPreset({ name, ...settings })
+      setPresets(prev => [ ...prev, preset ])
+      setPresetId(preset.id)
+    } catch (err) {
+      console.error('Failed to save preset:', err)
+    }
+  }
+
+  async function removePreset() {
+    if (!presetId) return
+    try {
+      await deletePreset(presetId)
+      setPresets(prev => prev.filter(p => p.id !== presetId))
+      setPresetId('')
+    } catch (err) {
+      console.error('Failed to delete preset:', err)
+    }
+  }
+
+  return (
+    <div className="review-settings">
+      {FOCUS_AREAS.map(area => (
+        <label key={area.id} className={`chip ${settings.focus.includes(area.id) ? 'on' : ''}`}>
+          <input type="checkbox" checked={settings.focus.includes(area.id)} onChange={() => toggleFocus(area.id)} hidden />
+          {area.label}
+        </label>
+      ))}
+      <select value={settings.strictness} onChange={e => { onChange({ ...settings, strictness: e.target.value }); setPresetId('') }}>
+        {STRICTNESS_LEVELS.map(level => <option key={level.id} value={level.id}>{level.label}</option>)}
+      </select>
+      <details className="rule-sets" onToggle={loadRuleSets}>
+        <summary>Rules{settings.ruleSets.length ? ` (${settings.ruleSets.length})` : ''}</summary>
+        <div>
+          {ruleSets.length === 0 && <p className="note">No rule sets yet. Add them under Rules.</p>}
+          {ruleSets.map(set => (
+            <label key={set.id}>
+              <input type="checkbox" checked={settings.ruleSets.includes(set.id)} onChange={() => toggleRuleSet(set.id)} />
+              {set.name} <span className="note">({set.rules.length})</span>
+            </label>
+          ))}
+        </div>
+      </details>
+      <span className="presets">
+        <select value={presetId} onChange={e => applyPreset(e.target.value)}>
+          <option value="">Presets…</option>
+          {presets.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+        </select>
+        <button onClick={savePreset}>Save</button>
+        {presetId && <button onClick={removePreset}>Delete</button>}
+      </span>
+    </div>
+  )
+}
+
+export default ReviewSettings
@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react'
+import { listRuleSets, createRuleSet, updateRuleSet, deleteRuleSet } from '../api/ruleSets'
+import { describeError } from '../utils/errors'
+
+const SEVERITIES = [ 'critical', 'warning', 'suggestion' ]
+
+const emptyRule = () => ({ id: '', title: '', description: '', severity: 'warning', bad: '', good: '' })
+const emptySet = () => ({ name: '', description: '', rules: [ emptyRule() ] })
+
+// One rule: title, optional id (the backend slugs the title otherwise),
+// severity, what it asks for and optional bad / good code examples.
+function RuleEditor({ rule, onChange, onRemove }) {
+  const set = field => event => onChange({ ...rule, [field]: event.target.value })
+
+  return (
+    <fieldset className="rule">
+      <div className="row">
+        <input placeholder="Title, e.g. No console.log" value={rule.title} onChange={set('title')} />
+        <input placeholder="id (optional)" value={rule.id} onChange={set('id')} />
+        <select value={rule.severity} onChange={set('severity')}>
+          {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+        </select>
+        <button onClick={onRemove} title="Remove this rule">✕</button>
+      </div>
+      <textarea placeholder="What the rule asks for and why" rows={2} value={rule.description} onChange={set('description')} />
+      <div className="row">
+        <textarea className="example" placeholder="Bad example (optional)" rows={3} value={rule.bad} onChange={set('bad')} />
+        <textarea className="example" placeholder="Good example (optional)" rows={3} value={rule.good} onChange={set('good')} />
+      </div>
+    </fieldset>
+  )
+}
+
+// The team's rule sets: named groups of custom rules that reviews can be
+// asked to enforce (see ReviewSettings). Findings that break one name it.
+function RuleSetManager() {
+  const [ ruleSets, setRuleSets ] = useState([])
+  // The set being edited: a copy of a saved one (with its id) or a new one.
+  const [ draft, setDraft ] = useState(null)
+  const [ error, setError ] = useState('')
+  const [ saving, setSaving ] = useState(false)
+
+  useEffect(() => {
+    listRuleSets()
+      .then(setRuleSets)
+      .catch(err => setError(describeError(err)))
+  }, [])
+
+  function edit(ruleSet) {
+    setDraft(structuredClone(ruleSet))
+    setError('')
+  }
+
+  function changeRule(index, rule) {
+    setDraft({ ...draft, rules: draft.rules.map((r, i) => (i === index ? rule : r)) })
+  }
+
+  function removeRule(index) {
+    setDraft({ ...draft, rules: draft.rules.filter((_, i) => i !== index) })
+  }
+
+  async function save() {
+    setSaving(true)
+    try {
+      const body = { name: draft.name, description: draft.description, rules: draft.rules }
+      const saved = draft.id ? await updateRuleSet(draft.id, body) : await createRuleSet(body)
+      setRuleSets(sets => (draft.id ? sets.map(s => (s.id === saved.id ? saved : s)) : [ ...sets, saved ]))
+      setDraft(structuredClone(saved))
+      setError('')
+    } catch (err) {
+      setError(describeError(err))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  async function remove() {
+    if (!confirm(`Delete the rule set "${draft.name}"?`)) return
+    try {
+      await deleteRuleSet(draft.id)
+      setRuleSets(sets => sets.filter(s => s.id !== draft.id))
+      setDraft(null)
+      setError('')
+    } catch (err) {
+      setError(describeError(err))
+    }
+  }
+
+  return (
+    <main className="rules">
+      <aside>
+        <h3>Rule sets</h3>
+        <ul>
+          {ruleSets.map(set => (
+            <li key={set.id} className={draft?.id === set.id ? 'active' : ''} onClick={() => edit(set)}>
+              {set.name} <span className="note">({set.rules.length})</span>
+            </li>
+          ))}
+        </ul>
+        <button onClick={() => edit(emptySet())}>New rule set</button>
+      </aside>
+      <section>
+        {error && <p className="error">{error}</p>}
+        {!draft && (
+          <p className="note">
+            Rule sets hold your team's own review rules. Pick the ones a review should enforce under Rules in the toolbar;
+            findings that break a rule name it.
+          </p>
+        )}
+        {draft && (
+          <>
+            <input className="name" placeholder="Rule set name" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+            <textarea placeholder="Description (optional)" rows={2} value={draft.description} onChange={e => setDraft({ ...draft, description: e.target.value })} />
+            {draft.rules.map((rule, i) => (
+              <RuleEditor key={i} rule={rule} onChange={rule => changeRule(i, rule)} onRemove={() => removeRule(i)} />
+            ))}
+            <div className="actions">
+              <button onClick={() => setDraft({ ...draft, rules: [ ...draft.rules, emptyRule() ] })}>Add rule</button>
+              <button onClick={save} disabled={saving}>{saving ? 'Saving…' : 'Save'}</button>
+              {draft.id && <button onClick={remove}>Delete</button>}
+            </div>
+          </>
+        )}
+      </section>
+    </main>
+  )
+}
+
+export default RuleSetManager
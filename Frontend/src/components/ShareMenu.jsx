@@ -0,0 +1,105 @@
+import { useState } from 'react'
+import { createShare, listShares, revokeShare } from '../api/shares'
+import { describeError } from '../utils/errors'
+
+const EXPIRIES = [
+  { days: null, label: 'Never expires' },
+  { days: 1, label: 'Expires in 1 day' },
+  { days: 7, label: 'Expires in 7 days' },
+  { days: 30, label: 'Expires in 30 days' }
+]
+
+const expiryNote = share => (share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleString()}` : 'no expiry')
+
+// Shares the review on screen as a read-only link, with an optional expiry, and
+// lists the user's links so any of them can be revoked. `snapshot` is what
+// api/shares.js sends.
+function ShareMenu({ snapshot }) {
+  const [ expiresInDays, setExpiresInDays ] = useState(null)
+  const [ share, setShare ] = useState(null)
+  const [ links, setLinks ] = useState(null)
+  const [ busy, setBusy ] = useState(false)
+  const [ copied, setCopied ] = useState(false)
+  const [ error, setError ] = useState('')
+
+  async function run(action) {
+    setBusy(true)
+    setError('')
+    try {
+      await action()
+    } catch (err) {
+      console.error('Sharing failed:', err)
+      setError(describeError(err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  function create() {
+    return run(async () => {
+      const created = await createShare(snapshot, expiresInDays)
+      setShare(created)
+      setCopied(false)
+      if (links) setLinks([ created, ...links ])
+    })
+  }
+
+  function revoke(id) {
+    return run(async () => {
+      await revokeShare(id)
+      if (share?.id === id) setShare(null)
+      setLinks(links?.filter(link => link.id !== id) ?? null)
+    })
+  }
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(share.url)
+      setCopied(true)
+    } catch {
+      setError('Could not copy; select the link instead.')
+    }
+  }
+
+  function loadLinks(event) {
+    if (event.currentTarget.open && !links) run(async () => setLinks(await listShares()))
+  }
+
+  return (
+    <div className="export share">
+      <span>Share:</span>
+      {share ? (
+        <>
+          <input readOnly value={share.url} onFocus={e => e.target.select()} aria-label="Shared review link" />
+          <button onClick={copy}>{copied ? 'Copied' : 'Copy'}</button>
+          <button disabled={busy} onClick={() => revoke(share.id)} title="Stop sharing: the link will no longer open">Revoke</button>
+        </>
+      ) : (
+        <>
+          <select value={expiresInDays ?? ''} onChange={e => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}>
+            {EXPIRIES.map(expiry => <option key={expiry.label} value={expiry.days ?? ''}>{expiry.label}</option>)}
+          </select>
+          <button disabled={busy} onClick={create} title="A read-only link to this code and review">
+            {busy ? '...' : 'Create link'}
+          </button>
+        </>
+      )}
+      {error && <span className="error">{error}</span>}
+      <details onToggle={loadLinks}>
+        <summary>Your links</summary>
+        {links?.length === 0 && <p className="note">You have no shared reviews.</p>}
+        <ul>
+          {links?.map(link => (
+            <li key={link.id}>
+              <a href={link.url} target="_blank" rel="noreferrer">{link.url}</a>
+              <span className="note">{expiryNote(link)}</span>
+              <button disabled={busy} onClick={() => revoke(link.id)}>Revoke</button>
+            </li>
+          ))}
+        </ul>
+      </details>
+    </div>
+  )
+}
+
+export default ShareMenu
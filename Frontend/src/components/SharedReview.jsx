@@ -0,0 +1,88 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import Markdown from "react-markdown"
+import rehypeHighlight from "rehype-highlight"
+import CodeEditor from './CodeEditor'
+import AnalysisPanel from './AnalysisPanel'
+import { getSharedReview } from '../api/shares'
+import { detectLanguage, languageLabel } from '../utils/language'
+import { locate } from '../utils/findings'
+import { describeError } from '../utils/errors'
+import { navigate } from '../utils/router'
+
+const NO_ANNOTATIONS = []
+
+// A review shared by link (`/s/<id>`), in the snippet layout but read-only:
+// the code with the review's findings drawn on it, and the review beside it.
+// Needs no session.
+function SharedReview({ id }) {
+  const [ review, setReview ] = useState(null)
+  const [ error, setError ] = useState('')
+  const editorRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getSharedReview(id)
+      .then(review => !cancelled && setReview(review))
+      .catch(err => !cancelled && setError(describeError(err)))
+    return () => { cancelled = true }
+  }, [ id ])
+
+  // Findings carry line numbers of the reviewed snippet; diffs and projects
+  // were reviewed from other text than the one shown.
+  const annotations = useMemo(
+    () => (review?.kind === 'snippet'
+      ? locate([ ...(review.findings ?? []), ...(review.analysis?.findings ?? []) ], review.code)
+      : NO_ANNOTATIONS),
+    [ review ]
+  )
+
+  const language = review?.language && review.language !== 'auto'
+    ? review.language
+    : (detectLanguage(review?.code ?? '') ?? 'javascript')
+
+  function selectLines(start, end) {
+    editorRef.current?.selectLines(start, end)
+  }
+
+  return (
+    <>
+      <header className="toolbar shared">
+        <strong>Shared review</strong>
+        {review && (
+          <span className="note">
+            {languageLabel(language)} · shared {new Date(review.createdAt).toLocaleDateString()}
+            {review.expiresAt && ` · expires ${new Date(review.expiresAt).toLocaleString()}`}
+          </span>
+        )}
+        <span className="account">
+          <button onClick={() => navigate('/')}>Open the reviewer</button>
+        </span>
+      </header>
+      {!review && (
+        <main className="shared">
+          {error ? <p className="error">{error}</p> : <p className="note">Loading…</p>}
+        </main>
+      )}
+      {review && (
+        <main>
+          <div className="left">
+            <div className="code">
+              <CodeEditor
+                ref={editorRef}
+                value={review.code}
+                language={language}
+                annotations={annotations}
+                readOnly />
+            </div>
+          </div>
+          <div className="right">
+            <AnalysisPanel analysis={review.analysis} onSelect={review.kind === 'snippet' ? selectLines : undefined} />
+            <Markdown rehypePlugins={[ rehypeHighlight ]}>{review.response}</Markdown>
+          </div>
+        </main>
+      )}
+    </>
+  )
+}
+
+export default SharedReview
@@ -0,0 +1,40 @@
+// Turns a failed API call into a message the user can act on, keyed by the
+// `code` of the backend's error envelope.
+
+const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`
+
+function formatDuration(seconds) {
+  if (seconds < 60) return plural(seconds, 'second')
+  const minutes = Math.ceil(seconds / 60)
+  if (minutes < 60) return plural(minutes, 'minute')
+  const hours = Math.floor(minutes / 60)
+  return `${hours}h ${minutes % 60}m`
+}
+
+const MESSAGES = {
+  invalid_input: data => `The request was rejected: ${data.error}`,
+  unauthorized: () => 'Your session has expired. Please sign in again.',
+  forbidden: () => 'Your account is not allowed to do this.',
+  queue_full: data => `You already have ${data.limit} reviews waiting in the queue. Wait for one to finish or cancel one.`,
+  quota_exceeded: data => `You have used today's review quota. It resets in ${formatDuration(data.quota?.resetsIn ?? 0)}.`,
+  provider_quota: data => data.retryAfter
+    ? `The AI provider is rate-limiting requests. Try again in ${formatDuration(data.retryAfter)}.`
+    : 'The AI provider is rate-limiting requests or is out of quota. Try again later.',
+  safety_block: () => "The model's safety filters blocked this review. Remove offensive or sensitive content (such as personal data) and try again.",
+  timeout: () => 'The model took too long to answer. Try again, or review a smaller piece of code.',
+  upstream_error: () => 'The AI provider returned an error. Try again in a moment.',
+  provider_unavailable: () => 'No AI provider is configured on the server. Ask an administrator to set one up.',
+  service_unavailable: data => `${data.error}. Try again later.`,
+  payload_too_large: () => 'That is too large to review in one go. Split it into smaller parts.',
+  not_found: data => data.error
+}
+
+export function describeError(err) {
+  const data = err?.data ?? err?.response?.data
+  // No response at all: the backend is down or unreachable.
+  if (!data && !err?.response && !err?.status) {
+    return 'Cannot reach the review server. Check that the backend is running and try again.'
+  }
+  const message = MESSAGES[data?.code]
+  return message ? message(data) : `Something went wrong on the server${data?.error ? `: ${data.error}` : ''}. Check the console for details.`
+}
@@ -0,0 +1,29 @@
+// Helpers for pointing review findings at lines of the code in the editor.
+
+export const SEVERITY_RANK = { critical: 0, warning: 1, suggestion: 2 }
+
+// "line 12" / "lines 12-14" in a review bullet, the same way the backend reads
+// them (see BackEnd/src/utils/reviewMarkdown.js), as { lineStart, lineEnd }.
+export function lineRange(text) {
+  const match = text.match(/\blines?\s+(\d+)(?:\s*[-–]\s*(\d+))?/i)
+  if (!match) return null
+  return { lineStart: Number(match[1]), lineEnd: Number(match[2] ?? match[1]) }
+}
+
+// Text of a react-markdown (hast) node without the nested lists, so a bullet
+// only matches its own line reference.
+export function ownText(node) {
+  if (node.type === 'text') return node.value
+  return (node.children ?? [])
+    .filter(child => child.tagName !== 'ul' && child.tagName !== 'ol')
+    .map(ownText)
+    .join('')
+}
+
+// Findings that point at lines of `code`, with ranges clamped to its length.
+export function locate(findings, code) {
+  const count = code.split('\n').length
+  return findings
+    .filter(f => f.lineStart > 0 && f.lineStart <= count)
+    .map(f => ({ ...f, lineEnd: Math.min(Math.max(f.lineEnd || f.lineStart, f.lineStart), count) }))
+}
@@ -0,0 +1,65 @@
+import { diffLines } from 'diff'
+
+// Lines of unchanged code shown around each hunk.
+const CONTEXT_LINES = 2
+
+export function splitLines(text) {
+  return text.replace(/\n$/, '').split('\n')
+}
+
+// Splits the difference between the editor buffer and the refactored code into
+// hunks: runs of removed and/or added lines, each with its neighbouring
+// unchanged lines as context and `line`, its first line in the buffer. `parts`
+// is the whole text as unchanged strings and hunks, for applyHunks.
+export function toHunks(current, target) {
+  // Both sides are compared with one final newline, so a missing one doesn't
+  // turn the last line into a change; applyHunks puts the buffer's back.
+  const newline = current.endsWith('\n')
+  current = current.replace(/\r\n/g, '\n').replace(/\n*$/, '\n')
+  target = target.replace(/\r\n/g, '\n').replace(/\n*$/, '\n')
+
+  const parts = []
+  let line = 1
+  for (const change of diffLines(current, target)) {
+    const last = parts.at(-1)
+    if (!change.added && !change.removed) {
+      parts.push(change.value)
+    } else if (typeof last === 'object') {
+      last[change.added ? 'added' : 'removed'] += change.value
+    } else {
+      parts.push({ line, removed: change.removed ? change.value : '', added: change.added ? change.value : '' })
+    }
+    if (!change.added) line += change.count
+  }
+
+  const hunks = []
+  // How many hunks so far had each content-and-context key.
+  const seen = new Map()
+  parts.forEach((part, i) => {
+    if (typeof part === 'string') return
+    const before = typeof parts[i - 1] === 'string' ? splitLines(parts[i - 1]).slice(-CONTEXT_LINES) : []
+    const after = typeof parts[i + 1] === 'string' ? splitLines(parts[i + 1]).slice(0, CONTEXT_LINES) : []
+    // Identifies a hunk by its content and context rather than its line, so the
+    // id survives re-diffing after other hunks are applied. The same edit in the
+    // same surroundings twice is told apart by its occurrence.
+    const key = [ part.removed, part.added, ...before, ...after ].join('\u0000')
+    const occurrence = seen.get(key) ?? 0
+    seen.set(key, occurrence + 1)
+    part.id = `${key}\u0000${occurrence}`
+    part.before = before
+    part.after = after
+    hunks.push(part)
+  })
+
+  return { parts, hunks, newline }
+}
+
+// Rebuilds the buffer with the hunks `accept` returns true for taking the
+// refactored version, and the others left as they were.
+export function applyHunks({ parts, newline }, accept) {
+  const text = parts.map(part => {
+    if (typeof part === 'string') return part
+    return accept(part) ? part.added : part.removed
+  }).join('')
+  return newline ? text : text.replace(/\n$/, '')
+}
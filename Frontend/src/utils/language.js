@@ -0,0 +1,80 @@
+import prism from "prismjs"
+import "prismjs/components/prism-typescript"
+import "prismjs/components/prism-python"
+import "prismjs/components/prism-java"
+import "prismjs/components/prism-go"
+import "prismjs/components/prism-sql"
+import "prismjs/components/prism-rust"
+
+// Languages the backend has review profiles for (see BackEnd/src/prompts/languages).
+export const LANGUAGES = [
+  { id: 'javascript', label: 'JavaScript', extensions: [ 'js', 'jsx', 'mjs', 'cjs' ] },
+  { id: 'typescript', label: 'TypeScript', extensions: [ 'ts', 'tsx', 'mts', 'cts' ] },
+  { id: 'python', label: 'Python', extensions: [ 'py', 'pyw' ] },
+  { id: 'java', label: 'Java', extensions: [ 'java' ] },
+  { id: 'go', label: 'Go', extensions: [ 'go' ] },
+  { id: 'sql', label: 'SQL', extensions: [ 'sql' ] },
+  { id: 'rust', label: 'Rust', extensions: [ 'rs' ] }
+]
+
+// A lighter version of the backend heuristics, good enough to pick a Prism
+// grammar while typing. The backend still does its own detection for the prompt.
+const SIGNALS = {
+  typescript: [ /\binterface\s+\w+\s*\{/, /:\s*(string|number|boolean|void|any|unknown)\b/, /\btype\s+\w+\s*=/ ],
+  python: [ /^\s*def\s+\w+\s*\(.*\)\s*(->.*)?:\s*$/m, /^\s*class\s+\w+(\(.*\))?:\s*$/m, /\bself\b/, /^\s*(elif|except)\b/m ],
+  java: [ /\bpublic\s+(static\s+)?class\s+\w+/, /\bSystem\.out\.print/, /^\s*import\s+java\./m ],
+  go: [ /^\s*package\s+\w+\s*$/m, /\bfunc\s+(\(.*?\)\s+)?\w+\(/, /\bif\s+err\s*!=\s*nil\b/ ],
+  rust: [ /\bfn\s+\w+\s*(<.*>)?\s*\(/, /\blet\s+mut\b/, /\bimpl\b/, /->\s*(Result|Option)</ ],
+  sql: [ /^\s*SELECT\b[\s\S]+\bFROM\b/im, /^\s*(INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+TABLE)\b/im ],
+  javascript: [ /\b(const|let|var)\s+\w+\s*=/, /\bfunction\s*\w*\s*\(/, /=>/, /\brequire\(|\bexport\s+default\b/ ]
+}
+
+export function detectLanguage(code) {
+  let best = null
+  let bestScore = 0
+  for (const [ id, patterns ] of Object.entries(SIGNALS)) {
+    const score = patterns.filter(pattern => pattern.test(code)).length
+    // Ties keep the earlier (more specific) language, so TypeScript beats JavaScript.
+    if (score > bestScore) {
+      best = id
+      bestScore = score
+    }
+  }
+  return best
+}
+
+export function languageFromPath(path) {
+  const ext = path?.split('.').pop()?.toLowerCase()
+  return LANGUAGES.find(l => l.extensions.includes(ext))?.id ?? null
+}
+
+export function languageLabel(id) {
+  return LANGUAGES.find(l => l.id === id)?.label ?? id
+}
+
+// Highlights code for react-simple-code-editor, falling back to JavaScript.
+export function highlight(code, language) {
+  const id = prism.languages[language] ? language : 'javascript'
+  return prism.highlight(code, prism.languages[id], id)
+}
+
+// Same as highlight, with every line wrapped in <span class="line" data-line="N">
+// so the editor can find where a line is drawn. Tokens that span several lines
+// (block comments, template strings) are closed at each line end and reopened.
+export function highlightLines(code, language) {
+  const lines = []
+  const open = []
+  let line = ''
+  for (const [ part ] of highlight(code, language).matchAll(/<span[^>]*>|<\/span>|\n|[^<\n]+/g)) {
+    if (part === '\n') {
+      lines.push(line + '</span>'.repeat(open.length))
+      line = open.join('')
+    } else {
+      if (part.startsWith('<span')) open.push(part)
+      else if (part === '</span>') open.pop()
+      line += part
+    }
+  }
+  lines.push(line)
+  return lines.map((html, i) => `<span class="line" data-line="${i + 1}">${html}</span>`).join('\n')
+}
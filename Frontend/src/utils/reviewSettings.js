@@ -0,0 +1,22 @@
+// Mirrors FOCUS_IDS / STRICTNESS_LEVELS in BackEnd/src/prompts/system.prompt.js.
+export const FOCUS_AREAS = [
+  { id: 'architecture', label: 'Architecture' },
+  { id: 'security', label: 'Security' },
+  { id: 'performance', label: 'Performance' },
+  { id: 'error-handling', label: 'Error handling' },
+  { id: 'readability', label: 'Readability' },
+  { id: 'testing', label: 'Testing' }
+]
+
+export const STRICTNESS_LEVELS = [
+  { id: 'strict', label: 'Strict' },
+  { id: 'balanced', label: 'Balanced' },
+  { id: 'beginner-friendly', label: 'Beginner-friendly' }
+]
+
+export const DEFAULT_SETTINGS = {
+  focus: FOCUS_AREAS.map(area => area.id),
+  strictness: 'balanced',
+  // Ids of the team rule sets to enforce.
+  ruleSets: []
+}
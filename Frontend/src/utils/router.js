@@ -0,0 +1,34 @@
+import { useSyncExternalStore } from 'react'
+
+// A minimal client-side router over the history API: the app only has a couple
+// of pages, so matching is done by the components that read the path.
+
+const listeners = new Set()
+
+function subscribe(listener) {
+  listeners.add(listener)
+  window.addEventListener('popstate', listener)
+  return () => {
+    listeners.delete(listener)
+    window.removeEventListener('popstate', listener)
+  }
+}
+
+const currentPath = () => window.location.pathname
+
+// The current path, re-rendering on navigate() and the browser's back/forward.
+export function usePath() {
+  return useSyncExternalStore(subscribe, currentPath)
+}
+
+export function navigate(path, { replace = false } = {}) {
+  if (path === currentPath()) return
+  if (replace) window.history.replaceState(null, '', path)
+  else window.history.pushState(null, '', path)
+  listeners.forEach(listener => listener())
+}
+
+// The id of a shared review link, `/s/<id>`, or null for any other path.
+export function sharedReviewId(path) {
+  return path.match(/^\/s\/([\w-]+)\/?$/)?.[1] ?? null
+}